@@ -0,0 +1,504 @@
+const { supabase } = require("../config/database");
+const { stripe } = require("../config/stripe");
+const { ACCOUNTING, ASSOCIATION_LEGAL } = require("../config/constants");
+const { logWithTimestamp } = require("../shared/logger");
+
+const EXPORT_FORMATS = ["csv", "fec"];
+
+// Types de balance transactions Stripe (remboursements, frais Stripe)
+const REFUND_TYPES = ["refund", "payment_refund"];
+const FEE_TYPES = ["stripe_fee", "stripe_fx_fee", "tax_fee"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Vérifie et normalise la période d'export (dates comptables incluses)
+ * @param {object} period - { from, to } au format YYYY-MM-DD
+ * @returns {object} Période normalisée
+ */
+function parseExportPeriod({ from, to } = {}) {
+  const isDate = (value) =>
+    /^\d{4}-\d{2}-\d{2}$/.test(value || "") &&
+    !Number.isNaN(Date.parse(`${value}T00:00:00Z`));
+
+  if (!isDate(from) || !isDate(to)) {
+    throw Object.assign(new Error("from et to requis au format YYYY-MM-DD"), {
+      status: 400,
+    });
+  }
+  if (from > to) {
+    throw Object.assign(new Error("from doit précéder to"), { status: 400 });
+  }
+
+  return { from, to };
+}
+
+/**
+ * Date comptable (YYYY-MM-DD, fuseau de l'association) d'un timestamp Stripe
+ * @param {number} timestamp - Secondes depuis epoch
+ * @returns {string} Date
+ */
+function toAccountingDate(timestamp) {
+  return new Date(timestamp * 1000).toLocaleDateString("sv-SE", {
+    timeZone: ACCOUNTING.TIMEZONE,
+  });
+}
+
+/**
+ * Balance transactions Stripe de la période (sources développées)
+ * @param {object} period - { from, to }
+ * @returns {Promise<Array<object>>} Balance transactions
+ */
+async function listBalanceTransactions({ from, to }) {
+  // Marge d'un jour de part et d'autre, puis filtre sur la date comptable
+  const transactions = [];
+
+  for await (const transaction of stripe.balanceTransactions.list({
+    created: {
+      gte: Math.floor((Date.parse(`${from}T00:00:00Z`) - DAY_MS) / 1000),
+      lt: Math.floor((Date.parse(`${to}T00:00:00Z`) + 2 * DAY_MS) / 1000),
+    },
+    limit: 100,
+    expand: ["data.source"],
+  })) {
+    const date = toAccountingDate(transaction.created);
+    if (date >= from && date <= to) transactions.push(transaction);
+  }
+
+  return transactions.sort((a, b) => a.created - b.created);
+}
+
+/**
+ * Lignes locales rattachées à des payment intents (requêtes par lots)
+ * @param {string} table - Table Supabase
+ * @param {string} columns - Colonnes à sélectionner
+ * @param {string} column - Colonne de jointure
+ * @param {Array<string>} values - Valeurs recherchées
+ * @returns {Promise<Array<object>>} Lignes
+ */
+async function selectIn(table, columns, column, values) {
+  const rows = [];
+
+  for (let i = 0; i < values.length; i += 100) {
+    const { data, error } = await supabase
+      .from(table)
+      .select(columns)
+      .in(column, values.slice(i, i + 100));
+
+    if (error) throw error;
+    rows.push(...(data || []));
+  }
+
+  return rows;
+}
+
+/**
+ * Charge les adhésions (et leurs échéances), changements de forfait, achats,
+ * transferts et factures des paiements exportés
+ * @param {Array<string>} paymentIntentIds - IDs des payment intents
+ * @returns {Promise<object>} Index par payment_intent_id / stripe_refund_id
+ */
+async function loadLocalPayments(paymentIntentIds) {
+  const [
+    memberships,
+    membershipPayments,
+    tierChanges,
+    purchases,
+    transfers,
+    invoices,
+  ] = await Promise.all([
+    selectIn(
+      "memberships",
+      "membership_id, payment_intent_id",
+      "payment_intent_id",
+      paymentIntentIds
+    ),
+    // Échéances de renouvellement des adhésions par abonnement
+    selectIn(
+      "membership_payments",
+      "membership_id, payment_intent_id",
+      "payment_intent_id",
+      paymentIntentIds
+    ),
+    selectIn(
+      "membership_tier_changes",
+      "id, membership_id, user_id, payment_intent_id",
+      "payment_intent_id",
+      paymentIntentIds
+    ),
+    selectIn(
+      "trainings_purchase",
+      "purchase_id, user_id, training_id, payment_intent_id",
+      "payment_intent_id",
+      paymentIntentIds
+    ),
+    selectIn(
+      "training_transfers",
+      "id, purchase_id, user_id, payment_intent_id",
+      "payment_intent_id",
+      paymentIntentIds
+    ),
+    selectIn(
+      "invoices",
+      "invoice_number, kind, payment_intent_id, stripe_refund_id",
+      "payment_intent_id",
+      paymentIntentIds
+    ),
+  ]);
+
+  const trainingIds = [
+    ...new Set(purchases.map((purchase) => purchase.training_id)),
+  ];
+  const trainings = trainingIds.length
+    ? await selectIn(
+        "trainings",
+        "training_id, training_name",
+        "training_id",
+        trainingIds
+      )
+    : [];
+
+  const byPaymentIntent = (rows) =>
+    new Map(rows.map((row) => [row.payment_intent_id, row]));
+
+  return {
+    memberships: byPaymentIntent([...memberships, ...membershipPayments]),
+    tierChanges: byPaymentIntent(tierChanges),
+    purchases: byPaymentIntent(purchases),
+    transfers: byPaymentIntent(transfers),
+    trainingNames: new Map(
+      trainings.map((training) => [
+        training.training_id,
+        training.training_name,
+      ])
+    ),
+    invoices: byPaymentIntent(
+      invoices.filter((invoice) => invoice.kind === "invoice")
+    ),
+    creditNotes: new Map(
+      invoices
+        .filter((invoice) => invoice.kind === "credit_note")
+        .map((invoice) => [invoice.stripe_refund_id, invoice])
+    ),
+  };
+}
+
+/**
+ * Payment intent d'une balance transaction (charge ou remboursement)
+ * @param {object} transaction - Balance transaction
+ * @returns {string|null} ID du payment intent
+ */
+function getPaymentIntentId(transaction) {
+  const paymentIntent = transaction.source?.payment_intent;
+  if (!paymentIntent) return null;
+  return typeof paymentIntent === "string" ? paymentIntent : paymentIntent.id;
+}
+
+/**
+ * Catégorise une balance transaction et la rattache aux lignes locales
+ * @param {object} transaction - Balance transaction
+ * @param {object} local - Index des lignes locales
+ * @returns {object} Ligne d'export
+ */
+function buildExportRow(transaction, local) {
+  const paymentIntentId = getPaymentIntentId(transaction);
+  const isRefund = REFUND_TYPES.includes(transaction.type);
+
+  const row = {
+    date: toAccountingDate(transaction.created),
+    balance_transaction_id: transaction.id,
+    type: transaction.type,
+    category: "other",
+    description: transaction.description || transaction.type,
+    gross: transaction.amount / 100,
+    fee: transaction.fee / 100,
+    net: transaction.net / 100,
+    currency: transaction.currency.toUpperCase(),
+    payment_intent_id: paymentIntentId,
+    membership_id: null,
+    purchase_id: null,
+    user_id: null,
+    invoice_number: null,
+  };
+
+  if (transaction.type === "payout") {
+    return {
+      ...row,
+      category: "payout",
+      description: "Virement Stripe vers le compte bancaire",
+    };
+  }
+  if (FEE_TYPES.includes(transaction.type)) {
+    return { ...row, category: "fees" };
+  }
+  if (!paymentIntentId) return row;
+
+  const document = isRefund
+    ? local.creditNotes.get(transaction.source.id)
+    : local.invoices.get(paymentIntentId);
+  row.invoice_number = document?.invoice_number || null;
+
+  const prefix = isRefund ? "Remboursement - " : "";
+  const membership = local.memberships.get(paymentIntentId);
+  const tierChange = local.tierChanges.get(paymentIntentId);
+  const purchase = local.purchases.get(paymentIntentId);
+  const transfer = local.transfers.get(paymentIntentId);
+
+  if (membership) {
+    return {
+      ...row,
+      category: "membership",
+      description: `${prefix}Adhésion`,
+      membership_id: membership.membership_id,
+    };
+  }
+  if (tierChange) {
+    return {
+      ...row,
+      category: "membership",
+      description: `${prefix}Changement de forfait d'adhésion`,
+      membership_id: tierChange.membership_id,
+      user_id: tierChange.user_id,
+    };
+  }
+  if (purchase) {
+    const trainingName =
+      local.trainingNames.get(purchase.training_id) || purchase.training_id;
+    return {
+      ...row,
+      category: "training",
+      description: `${prefix}Formation ${trainingName}`,
+      purchase_id: purchase.purchase_id,
+      user_id: purchase.user_id,
+    };
+  }
+  if (transfer) {
+    return {
+      ...row,
+      category: "training_transfer",
+      description: `${prefix}Frais de transfert de session`,
+      purchase_id: transfer.purchase_id,
+      user_id: transfer.user_id,
+    };
+  }
+
+  return row;
+}
+
+/**
+ * Lignes d'export comptable de la période : balance transactions Stripe
+ * (brut, frais, net) rattachées aux adhésions et achats de formation
+ * @param {object} period - { from, to } au format YYYY-MM-DD
+ * @returns {Promise<Array<object>>} Lignes dans l'ordre chronologique
+ */
+async function getAccountingRows(period) {
+  const { from, to } = parseExportPeriod(period);
+
+  const transactions = await listBalanceTransactions({ from, to });
+  const paymentIntentIds = [
+    ...new Set(transactions.map(getPaymentIntentId).filter(Boolean)),
+  ];
+  const local = await loadLocalPayments(paymentIntentIds);
+
+  const rows = transactions.map((transaction) =>
+    buildExportRow(transaction, local)
+  );
+
+  logWithTimestamp("info", "📒 Export comptable", {
+    from,
+    to,
+    transactions: rows.length,
+    unmatched: rows.filter((row) => row.category === "other").length,
+  });
+
+  return rows;
+}
+
+/**
+ * Formate un montant à la française (virgule décimale, sans séparateur)
+ * @param {number} amount - Montant en euros
+ * @returns {string} Montant formaté
+ */
+function formatAmount(amount) {
+  return (Math.round(amount * 100) / 100).toFixed(2).replace(".", ",");
+}
+
+/**
+ * Génère le CSV (séparateur ";" et BOM pour l'ouverture dans Excel)
+ * @param {Array<object>} rows - Lignes d'export
+ * @returns {string} Contenu CSV
+ */
+function toCsv(rows) {
+  const columns = [
+    "date",
+    "balance_transaction_id",
+    "type",
+    "category",
+    "description",
+    "gross",
+    "fee",
+    "net",
+    "currency",
+    "payment_intent_id",
+    "membership_id",
+    "purchase_id",
+    "user_id",
+    "invoice_number",
+  ];
+  const amountColumns = ["gross", "fee", "net"];
+
+  const escape = (value) => {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[";\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = rows.map((row) =>
+    columns
+      .map((column) =>
+        amountColumns.includes(column)
+          ? formatAmount(row[column])
+          : escape(row[column])
+      )
+      .join(";")
+  );
+
+  return `\uFEFF${[columns.join(";"), ...lines].join("\r\n")}\r\n`;
+}
+
+/**
+ * Écritures en partie double d'une ligne d'export
+ * (compte Stripe au net, frais bancaires, contrepartie au brut)
+ * @param {object} row - Ligne d'export
+ * @returns {Array<object>} Écritures { account, debit, credit }
+ */
+function buildEntries(row) {
+  const { ACCOUNTS } = ACCOUNTING;
+  const counterpart =
+    row.category === "payout"
+      ? ACCOUNTS.bank
+      : row.category === "fees"
+        ? ACCOUNTS.fees
+        : ACCOUNTS[row.category] || ACCOUNTS.other;
+
+  const entry = (account, amount, isDebit) => ({
+    account,
+    debit: isDebit === amount > 0 ? Math.abs(amount) : 0,
+    credit: isDebit === amount > 0 ? 0 : Math.abs(amount),
+  });
+
+  return [
+    entry(ACCOUNTS.stripe, row.net, true),
+    row.fee !== 0 && entry(ACCOUNTS.fees, row.fee, true),
+    entry(counterpart, row.gross, false),
+  ].filter((line) => line && (line.debit > 0 || line.credit > 0));
+}
+
+/**
+ * Génère le fichier des écritures comptables (format FEC, séparateur "|")
+ * @param {Array<object>} rows - Lignes d'export
+ * @returns {string} Contenu FEC
+ */
+function toFec(rows) {
+  const columns = [
+    "JournalCode",
+    "JournalLib",
+    "EcritureNum",
+    "EcritureDate",
+    "CompteNum",
+    "CompteLib",
+    "CompAuxNum",
+    "CompAuxLib",
+    "PieceRef",
+    "PieceDate",
+    "EcritureLib",
+    "Debit",
+    "Credit",
+    "EcritureLet",
+    "DateLet",
+    "ValidDate",
+    "Montantdevise",
+    "Idevise",
+  ];
+  const clean = (value) => String(value ?? "").replace(/[|\r\n]/g, " ");
+
+  const lines = [];
+  rows.forEach((row, index) => {
+    const date = row.date.replace(/-/g, "");
+
+    for (const { account, debit, credit } of buildEntries(row)) {
+      lines.push(
+        [
+          ACCOUNTING.JOURNAL_CODE,
+          ACCOUNTING.JOURNAL_LABEL,
+          index + 1,
+          date,
+          account.number,
+          account.label,
+          "",
+          "",
+          row.invoice_number || row.balance_transaction_id,
+          date,
+          row.description,
+          formatAmount(debit),
+          formatAmount(credit),
+          "",
+          "",
+          date,
+          "",
+          row.currency,
+        ]
+          .map(clean)
+          .join("|")
+      );
+    }
+  });
+
+  return `${[columns.join("|"), ...lines].join("\r\n")}\r\n`;
+}
+
+/**
+ * Produit le fichier d'export comptable d'une période
+ * @param {object} options - { from, to, format: "csv" | "fec" }
+ * @returns {Promise<object>} { filename, contentType, content, count }
+ */
+async function exportAccounting({ from, to, format = "csv" } = {}) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw Object.assign(
+      new Error(`Format invalide (${EXPORT_FORMATS.join(", ")})`),
+      { status: 400 }
+    );
+  }
+
+  const rows = await getAccountingRows({ from, to });
+
+  if (format === "fec") {
+    // Nom réglementaire : SIREN + "FEC" + date de clôture
+    const siren = (ASSOCIATION_LEGAL.SIRET || "")
+      .replace(/\s/g, "")
+      .slice(0, 9);
+    return {
+      filename: `${siren}FEC${to.replace(/-/g, "")}.txt`,
+      contentType: "text/plain; charset=utf-8",
+      content: toFec(rows),
+      count: rows.length,
+    };
+  }
+
+  return {
+    filename: `export-comptable-${from}-${to}.csv`,
+    contentType: "text/csv; charset=utf-8",
+    content: toCsv(rows),
+    count: rows.length,
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  parseExportPeriod,
+  loadLocalPayments,
+  buildExportRow,
+  getAccountingRows,
+  buildEntries,
+  toFec,
+  exportAccounting,
+};
@@ -0,0 +1,89 @@
+const express = require("express");
+const router = express.Router();
+
+const { logWithTimestamp } = require("../shared/logger");
+const { requireAdmin } = require("../shared/middleware");
+const { exportAccounting } = require("./accountingExportService");
+const {
+  reconcilePayout,
+  getPayoutReconciliationReport,
+} = require("./payoutReconciliationService");
+
+/**
+ * GET /admin/accounting/export
+ * Export comptable des paiements, remboursements et frais Stripe (admin)
+ * Query: from, to (YYYY-MM-DD, inclus), format? (csv | fec)
+ */
+router.get("/admin/accounting/export", requireAdmin, async (req, res) => {
+  const { from, to, format = "csv" } = req.query;
+
+  try {
+    const file = await exportAccounting({ from, to, format });
+
+    res.setHeader("Content-Type", file.contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${file.filename}"`
+    );
+    res.send(file.content);
+  } catch (error) {
+    logWithTimestamp("error", "❌ Erreur export comptable", {
+      from,
+      to,
+      format,
+      error: error.message,
+    });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /admin/accounting/payouts/reconciliation
+ * Rapprochement des virements Stripe d'une période avec les adhésions et
+ * formations, orphelins des deux côtés (admin)
+ * Query: from, to (YYYY-MM-DD, date d'arrivée du virement)
+ */
+router.get(
+  "/admin/accounting/payouts/reconciliation",
+  requireAdmin,
+  async (req, res) => {
+    const { from, to } = req.query;
+
+    try {
+      const report = await getPayoutReconciliationReport({ from, to });
+      res.json({ success: true, ...report });
+    } catch (error) {
+      logWithTimestamp("error", "❌ Erreur rapprochement virements", {
+        from,
+        to,
+        error: error.message,
+      });
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * GET /admin/accounting/payouts/:payoutId/reconciliation
+ * Rapprochement d'un virement Stripe (admin)
+ */
+router.get(
+  "/admin/accounting/payouts/:payoutId/reconciliation",
+  requireAdmin,
+  async (req, res) => {
+    const { payoutId } = req.params;
+
+    try {
+      const reconciliation = await reconcilePayout(payoutId);
+      res.json({ success: true, ...reconciliation });
+    } catch (error) {
+      logWithTimestamp("error", "❌ Erreur rapprochement virement", {
+        payoutId,
+        error: error.message,
+      });
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+);
+
+module.exports = router;
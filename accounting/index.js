@@ -0,0 +1,29 @@
+/**
+ * Module comptabilité
+ * Exporte les services (export comptable CSV / FEC, rapprochement des
+ * virements Stripe) et les routes
+ */
+
+const {
+  EXPORT_FORMATS,
+  getAccountingRows,
+  exportAccounting,
+} = require("./accountingExportService");
+const {
+  reconcilePayout,
+  getPayoutReconciliationReport,
+} = require("./payoutReconciliationService");
+
+const accountingRoutes = require("./accountingRoutes");
+
+module.exports = {
+  // Services
+  EXPORT_FORMATS,
+  getAccountingRows,
+  exportAccounting,
+  reconcilePayout,
+  getPayoutReconciliationReport,
+
+  // Routes (pour montage dans createApp.js)
+  accountingRoutes,
+};
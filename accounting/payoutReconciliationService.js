@@ -0,0 +1,375 @@
+const { supabase } = require("../config/database");
+const { stripe } = require("../config/stripe");
+const { logWithTimestamp } = require("../shared/logger");
+const {
+  parseExportPeriod,
+  loadLocalPayments,
+  buildExportRow,
+} = require("./accountingExportService");
+
+// Balance transactions qui doivent correspondre à une ligne locale
+const PAYMENT_TRANSACTION_TYPES = [
+  "charge",
+  "payment",
+  "refund",
+  "payment_refund",
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Ligne locale rattachée à une session checkout (repli quand le
+ * payment_intent_id n'a pas été enregistré localement)
+ * @param {string} paymentIntentId - ID du payment intent
+ * @returns {Promise<object|null>} { category, membership_id?, purchase_id? }
+ */
+async function findLocalPaymentBySession(paymentIntentId) {
+  const sessions = await stripe.checkout.sessions.list({
+    payment_intent: paymentIntentId,
+    limit: 1,
+  });
+  const sessionId = sessions.data[0]?.id;
+  if (!sessionId) return null;
+
+  const lookups = [
+    ["membership", "memberships", "membership_id"],
+    ["membership", "membership_tier_changes", "membership_id"],
+    ["training", "trainings_purchase", "purchase_id"],
+    ["training_transfer", "training_transfers", "purchase_id"],
+  ];
+
+  for (const [category, table, column] of lookups) {
+    const { data, error } = await supabase
+      .from(table)
+      .select(column)
+      .eq("stripe_session_id", sessionId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (data) {
+      return { category, [column]: data[column], stripe_session_id: sessionId };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Rapproche les balance transactions d'un virement des lignes locales
+ * @param {object} payout - Virement Stripe
+ * @returns {Promise<object>} Rapprochement du virement
+ */
+async function reconcilePayoutTransactions(payout) {
+  const transactions = [];
+
+  for await (const transaction of stripe.balanceTransactions.list({
+    payout: payout.id,
+    limit: 100,
+    expand: ["data.source"],
+  })) {
+    // La transaction du virement lui-même n'est pas une opération rapprochée
+    if (transaction.type !== "payout") transactions.push(transaction);
+  }
+
+  const paymentIntentIds = [
+    ...new Set(
+      transactions
+        .map((transaction) => transaction.source?.payment_intent)
+        .map((paymentIntent) =>
+          typeof paymentIntent === "string" ? paymentIntent : paymentIntent?.id
+        )
+        .filter(Boolean)
+    ),
+  ];
+  const local = await loadLocalPayments(paymentIntentIds);
+
+  const rows = [];
+  for (const transaction of transactions) {
+    const row = buildExportRow(transaction, local);
+    const mustMatch = PAYMENT_TRANSACTION_TYPES.includes(row.type);
+
+    if (!mustMatch || row.category !== "other") {
+      rows.push({ ...row, matched_by: mustMatch ? "payment_intent_id" : null });
+      continue;
+    }
+
+    const sessionMatch = row.payment_intent_id
+      ? await findLocalPaymentBySession(row.payment_intent_id)
+      : null;
+
+    rows.push(
+      sessionMatch
+        ? { ...row, ...sessionMatch, matched_by: "stripe_session_id" }
+        : { ...row, matched_by: null, orphan: true }
+    );
+  }
+
+  const sum = (field) =>
+    Math.round(rows.reduce((total, row) => total + row[field] * 100, 0)) / 100;
+  const net = sum("net");
+
+  return {
+    payout: {
+      id: payout.id,
+      amount: payout.amount / 100,
+      currency: payout.currency.toUpperCase(),
+      status: payout.status,
+      arrival_date: new Date(payout.arrival_date * 1000).toISOString(),
+    },
+    totals: { gross: sum("gross"), fee: sum("fee"), net },
+    // Net des opérations = montant viré (sinon virement manuel ou partiel)
+    balanced: Math.round(net * 100) === payout.amount,
+    transactions: rows,
+    paymentIntentIds,
+  };
+}
+
+/**
+ * Vérifie qu'une ligne locale payée correspond à un paiement Stripe réussi
+ * @param {object} row - Ligne locale ({ payment_intent_id, stripe_session_id })
+ * @returns {Promise<string|null>} Motif d'anomalie, ou null si le paiement existe
+ */
+async function checkStripePayment(row) {
+  try {
+    let paymentIntentId = row.payment_intent_id;
+
+    if (!paymentIntentId && row.stripe_session_id) {
+      const session = await stripe.checkout.sessions.retrieve(
+        row.stripe_session_id
+      );
+      paymentIntentId = session.payment_intent;
+    }
+    if (!paymentIntentId) return "no_stripe_reference";
+
+    const paymentIntent = await stripe.paymentIntents.retrieve(
+      typeof paymentIntentId === "string" ? paymentIntentId : paymentIntentId.id
+    );
+    return paymentIntent.status === "succeeded"
+      ? null
+      : `payment_intent_${paymentIntent.status}`;
+  } catch (error) {
+    if (error.code === "resource_missing") return "stripe_payment_not_found";
+    throw error;
+  }
+}
+
+/**
+ * Lignes locales payées de la période (adhésions et leurs échéances,
+ * changements de forfait, achats, frais de transfert)
+ * @param {object} period - { from, to }
+ * @returns {Promise<Array<object>>} Lignes { category, id, amount, ... }
+ */
+async function listPaidLocalRows({ from, to }) {
+  const start = `${from}T00:00:00Z`;
+  const end = new Date(Date.parse(`${to}T00:00:00Z`) + DAY_MS).toISOString();
+
+  const [memberships, membershipPayments, tierChanges, purchases, transfers] =
+    await Promise.all([
+      // Pas de date de paiement sur les adhésions : début de période d'adhésion
+      supabase
+        .from("memberships")
+        .select(
+          "membership_id, membership_price, payment_intent_id, stripe_session_id, membership_start"
+        )
+        .gt("membership_price", 0)
+        .gte("membership_start", start)
+        .lt("membership_start", end),
+      // Échéances de renouvellement des adhésions par abonnement
+      supabase
+        .from("membership_payments")
+        .select("id, membership_id, amount, payment_intent_id, created_at")
+        .gt("amount", 0)
+        .gte("created_at", start)
+        .lt("created_at", end),
+      supabase
+        .from("membership_tier_changes")
+        .select(
+          "id, membership_id, amount, payment_intent_id, stripe_session_id, created_at"
+        )
+        .gt("amount", 0)
+        .gte("created_at", start)
+        .lt("created_at", end),
+      supabase
+        .from("trainings_purchase")
+        .select(
+          "purchase_id, purchase_amount, payment_intent_id, stripe_session_id, purchase_date"
+        )
+        .gt("purchase_amount", 0)
+        .gte("purchase_date", start)
+        .lt("purchase_date", end),
+      supabase
+        .from("training_transfers")
+        .select(
+          "id, purchase_id, fee, payment_intent_id, stripe_session_id, created_at"
+        )
+        .gt("fee", 0)
+        .gte("created_at", start)
+        .lt("created_at", end),
+    ]);
+
+  for (const result of [
+    memberships,
+    membershipPayments,
+    tierChanges,
+    purchases,
+    transfers,
+  ]) {
+    if (result.error) throw result.error;
+  }
+
+  return [
+    ...(memberships.data || []).map((row) => ({
+      category: "membership",
+      membership_id: row.membership_id,
+      amount: Number(row.membership_price),
+      date: row.membership_start,
+      payment_intent_id: row.payment_intent_id,
+      stripe_session_id: row.stripe_session_id,
+    })),
+    ...(membershipPayments.data || []).map((row) => ({
+      category: "membership",
+      membership_payment_id: row.id,
+      membership_id: row.membership_id,
+      amount: Number(row.amount),
+      date: row.created_at,
+      payment_intent_id: row.payment_intent_id,
+      stripe_session_id: null,
+    })),
+    ...(tierChanges.data || []).map((row) => ({
+      category: "membership",
+      tier_change_id: row.id,
+      membership_id: row.membership_id,
+      amount: Number(row.amount),
+      date: row.created_at,
+      payment_intent_id: row.payment_intent_id,
+      stripe_session_id: row.stripe_session_id,
+    })),
+    ...(purchases.data || []).map((row) => ({
+      category: "training",
+      purchase_id: row.purchase_id,
+      amount: Number(row.purchase_amount),
+      date: row.purchase_date,
+      payment_intent_id: row.payment_intent_id,
+      stripe_session_id: row.stripe_session_id,
+    })),
+    ...(transfers.data || []).map((row) => ({
+      category: "training_transfer",
+      transfer_id: row.id,
+      purchase_id: row.purchase_id,
+      amount: Number(row.fee),
+      date: row.created_at,
+      payment_intent_id: row.payment_intent_id,
+      stripe_session_id: row.stripe_session_id,
+    })),
+  ];
+}
+
+/**
+ * Rapprochement d'un virement Stripe
+ * @param {string} payoutId - ID du virement (po_...)
+ * @returns {Promise<object>} Rapprochement et opérations orphelines
+ */
+async function reconcilePayout(payoutId) {
+  let payout;
+  try {
+    payout = await stripe.payouts.retrieve(payoutId);
+  } catch (error) {
+    if (error.code === "resource_missing") {
+      throw Object.assign(new Error("Virement introuvable"), { status: 404 });
+    }
+    throw error;
+  }
+
+  const { paymentIntentIds, ...reconciliation } =
+    await reconcilePayoutTransactions(payout);
+
+  return {
+    ...reconciliation,
+    stripe_orphans: reconciliation.transactions.filter((row) => row.orphan),
+  };
+}
+
+/**
+ * Rapport de rapprochement des virements Stripe d'une période
+ * - chaque virement avec ses opérations rattachées aux lignes locales
+ * - orphelins Stripe : opération payée sans ligne locale
+ * - orphelins locaux : ligne payée de la période sans paiement Stripe réussi
+ * @param {object} period - { from, to } au format YYYY-MM-DD (date d'arrivée)
+ * @returns {Promise<object>} Rapport
+ */
+async function getPayoutReconciliationReport(period) {
+  const { from, to } = parseExportPeriod(period);
+
+  logWithTimestamp("info", "=== RAPPROCHEMENT VIREMENTS STRIPE ===", {
+    from,
+    to,
+  });
+
+  const payouts = [];
+  for await (const payout of stripe.payouts.list({
+    arrival_date: {
+      gte: Math.floor(Date.parse(`${from}T00:00:00Z`) / 1000),
+      lt: Math.floor((Date.parse(`${to}T00:00:00Z`) + DAY_MS) / 1000),
+    },
+    limit: 100,
+  })) {
+    payouts.push(payout);
+  }
+
+  const reconciliations = [];
+  const paidOutPaymentIntents = new Set();
+  for (const payout of payouts.sort(
+    (a, b) => a.arrival_date - b.arrival_date
+  )) {
+    const { paymentIntentIds, ...reconciliation } =
+      await reconcilePayoutTransactions(payout);
+    paymentIntentIds.forEach((id) => paidOutPaymentIntents.add(id));
+    reconciliations.push(reconciliation);
+  }
+
+  // Lignes locales absentes des virements : paiement non encore viré,
+  // ou aucun paiement Stripe réussi derrière (orphelin)
+  const localOrphans = [];
+  for (const row of await listPaidLocalRows({ from, to })) {
+    if (paidOutPaymentIntents.has(row.payment_intent_id)) continue;
+
+    const reason = await checkStripePayment(row);
+    if (reason) localOrphans.push({ ...row, reason });
+  }
+
+  const stripeOrphans = reconciliations.flatMap((reconciliation) =>
+    reconciliation.transactions
+      .filter((row) => row.orphan)
+      .map((row) => ({ ...row, payout_id: reconciliation.payout.id }))
+  );
+
+  const report = {
+    period: { from, to },
+    summary: {
+      payouts: reconciliations.length,
+      unbalanced_payouts: reconciliations.filter((r) => !r.balanced).length,
+      transactions: reconciliations.reduce(
+        (total, reconciliation) => total + reconciliation.transactions.length,
+        0
+      ),
+      stripe_orphans: stripeOrphans.length,
+      local_orphans: localOrphans.length,
+    },
+    payouts: reconciliations,
+    stripe_orphans: stripeOrphans,
+    local_orphans: localOrphans,
+  };
+
+  logWithTimestamp(
+    stripeOrphans.length || localOrphans.length ? "warn" : "info",
+    "🏦 Rapprochement des virements terminé",
+    report.summary
+  );
+
+  return report;
+}
+
+module.exports = {
+  reconcilePayout,
+  getPayoutReconciliationReport,
+};
@@ -0,0 +1,153 @@
+// Variables d'environnement de test (avant tout chargement de module)
+process.env.STRIPE_SECRET_KEY = "sk_test_local";
+
+jest.mock("./config/database", () => ({ supabase: {} }));
+
+const { ACCOUNTING } = require("./config/constants");
+const {
+  buildExportRow,
+  buildEntries,
+  toFec,
+} = require("./accounting/accountingExportService");
+
+const { ACCOUNTS } = ACCOUNTING;
+
+// 2026-10-19 12:00 (Europe/Paris)
+const created = Math.floor(Date.parse("2026-10-19T10:00:00Z") / 1000);
+
+const local = {
+  memberships: new Map([["pi_membership", { membership_id: 7 }]]),
+  tierChanges: new Map(),
+  purchases: new Map([
+    [
+      "pi_training",
+      { purchase_id: 12, user_id: "u1", training_id: "training_1" },
+    ],
+  ]),
+  transfers: new Map(),
+  trainingNames: new Map([["training_1", "Thérapie brève"]]),
+  invoices: new Map([["pi_training", { invoice_number: "F-2026-0042" }]]),
+  creditNotes: new Map([["re_1", { invoice_number: "AV-2026-0003" }]]),
+};
+
+/**
+ * Balance transaction Stripe minimale (montants en centimes)
+ */
+function transaction(id, type, amount, fee, paymentIntent = null) {
+  return {
+    id,
+    type,
+    created,
+    amount,
+    fee,
+    net: amount - fee,
+    currency: "eur",
+    description: null,
+    source: paymentIntent
+      ? {
+          id: type === "refund" ? "re_1" : "ch_1",
+          payment_intent: paymentIntent,
+        }
+      : null,
+  };
+}
+
+const transactions = [
+  transaction("txn_membership", "charge", 9000, 155, "pi_membership"),
+  transaction("txn_training", "charge", 24990, 374, "pi_training"),
+  // Remboursement : Stripe ne restitue pas ses frais
+  transaction("txn_refund", "refund", -24990, 0, "pi_training"),
+  // Remboursement avec frais restitués
+  transaction("txn_refund_fee", "refund", -9000, -155, "pi_membership"),
+  transaction("txn_fee", "stripe_fee", -120, 0),
+  transaction("txn_payout", "payout", -50000, 0),
+];
+
+const rows = transactions.map((item) => buildExportRow(item, local));
+
+const cents = (amount) => Math.round(amount * 100);
+const total = (entries, side) =>
+  entries.reduce((sum, entry) => sum + cents(entry[side]), 0);
+
+describe("buildExportRow", () => {
+  test("links a training payment to its purchase and invoice", () => {
+    expect(rows[1]).toMatchObject({
+      date: "2026-10-19",
+      category: "training",
+      description: "Formation Thérapie brève",
+      gross: 249.9,
+      fee: 3.74,
+      net: 246.16,
+      purchase_id: 12,
+      user_id: "u1",
+      invoice_number: "F-2026-0042",
+    });
+  });
+
+  test("links a refund to its credit note", () => {
+    expect(rows[2]).toMatchObject({
+      category: "training",
+      description: "Remboursement - Formation Thérapie brève",
+      invoice_number: "AV-2026-0003",
+    });
+  });
+
+  test("categorizes payouts and Stripe fees", () => {
+    expect(rows[4].category).toBe("fees");
+    expect(rows[5].category).toBe("payout");
+  });
+});
+
+describe("buildEntries", () => {
+  test.each(rows.map((row) => [row.balance_transaction_id, row]))(
+    "balances debits and credits for %s",
+    (_id, row) => {
+      const entries = buildEntries(row);
+
+      expect(entries.length).toBeGreaterThanOrEqual(2);
+      expect(total(entries, "debit")).toBe(total(entries, "credit"));
+    }
+  );
+
+  test("books a payment at net on Stripe, fees and gross revenue", () => {
+    expect(buildEntries(rows[0])).toEqual([
+      { account: ACCOUNTS.stripe, debit: 88.45, credit: 0 },
+      { account: ACCOUNTS.fees, debit: 1.55, credit: 0 },
+      { account: ACCOUNTS.membership, debit: 0, credit: 90 },
+    ]);
+  });
+
+  test("moves a payout from Stripe to the bank account", () => {
+    expect(buildEntries(rows[5])).toEqual([
+      { account: ACCOUNTS.stripe, debit: 0, credit: 500 },
+      { account: ACCOUNTS.bank, debit: 500, credit: 0 },
+    ]);
+  });
+});
+
+describe("toFec", () => {
+  test("writes balanced entries for each transaction", () => {
+    const [header, ...lines] = toFec(rows).trim().split("\r\n");
+    const columns = header.split("|");
+    const byEntry = new Map();
+
+    for (const line of lines) {
+      const values = line.split("|");
+      expect(values).toHaveLength(columns.length);
+
+      const field = (name) => values[columns.indexOf(name)];
+      const amount = (name) => cents(Number(field(name).replace(",", ".")));
+      const balance = byEntry.get(field("EcritureNum")) || 0;
+      byEntry.set(
+        field("EcritureNum"),
+        balance + amount("Debit") - amount("Credit")
+      );
+
+      expect(field("EcritureDate")).toBe("20261019");
+      expect(field("JournalCode")).toBe(ACCOUNTING.JOURNAL_CODE);
+    }
+
+    expect(byEntry.size).toBe(rows.length);
+    for (const balance of byEntry.values()) expect(balance).toBe(0);
+  });
+});
@@ -0,0 +1,54 @@
+// Variables d'environnement de test (avant tout chargement de module)
+process.env.ADMIN_API_KEYS = "alice:key-alice, bob:key-bob";
+process.env.ADMIN_API_KEY = "key-shared";
+
+jest.mock("./config/database", () => ({ supabase: {} }));
+
+const { requireAdmin } = require("./shared/middleware");
+
+/**
+ * Exécute requireAdmin sur une requête simulée
+ */
+function authenticate(headers) {
+  const req = { headers, method: "POST", originalUrl: "/admin/refunds" };
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis(),
+  };
+  const next = jest.fn();
+
+  requireAdmin(req, res, next);
+  return { req, res, next };
+}
+
+describe("requireAdmin", () => {
+  test.each([
+    ["key-alice", "alice"],
+    ["key-bob", "bob"],
+    ["key-shared", "admin"],
+  ])("identifies the administrator from key %s", (key, adminId) => {
+    const { req, next } = authenticate({ "x-admin-key": key });
+
+    expect(next).toHaveBeenCalled();
+    expect(req.adminId).toBe(adminId);
+  });
+
+  test("ignores a client-supplied administrator id", () => {
+    const { req } = authenticate({
+      "x-admin-key": "key-bob",
+      "x-admin-id": "alice",
+    });
+
+    expect(req.adminId).toBe("bob");
+  });
+
+  test.each([[undefined], ["key-unknown"], ["alice"]])(
+    "rejects key %s with 401",
+    (key) => {
+      const { res, next } = authenticate({ "x-admin-key": key });
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    }
+  );
+});
@@ -0,0 +1,166 @@
+// Variables d'environnement de test (avant tout chargement de module)
+process.env.STRIPE_SECRET_KEY = "sk_test_local";
+
+jest.mock("./config/database", () => ({ supabase: {} }));
+jest.mock("./emails", () => ({
+  sendTrainingRefundNotificationEmail: jest.fn(),
+  sendMembershipRefundEmail: jest.fn(),
+}));
+jest.mock("./memberships/membershipService", () => ({
+  revokeUserMembershipStatus: jest.fn(),
+}));
+jest.mock("./memberships/membershipLifecycleService", () => ({
+  getMembershipHolder: jest.fn(),
+  logMembershipTransition: jest.fn(),
+}));
+jest.mock("./trainings/trainingSeatService", () => ({
+  releasePurchaseSeat: jest.fn(),
+}));
+jest.mock("./certificates/certificateService", () => ({
+  revokeTrainingCertificate: jest.fn(),
+}));
+
+const { supabase } = require("./config/database");
+const { stripe } = require("./config/stripe");
+const { sendTrainingRefundNotificationEmail } = require("./emails");
+const { releasePurchaseSeat } = require("./trainings/trainingSeatService");
+const {
+  revokeTrainingCertificate,
+} = require("./certificates/certificateService");
+const {
+  refundTrainingPurchaseAsAdmin,
+} = require("./payments/adminRefundService");
+
+const purchase = {
+  purchase_id: 12,
+  user_id: "u1",
+  training_id: "training_1",
+  purchase_amount: 250,
+  refund_amount: null,
+  payment_status: "paid",
+  payment_intent_id: "pi_training",
+};
+
+/**
+ * Simule les tables de l'achat et enregistre les écritures
+ */
+function mockTables(row) {
+  const writes = [];
+
+  supabase.from = jest.fn((table) => {
+    const builder = {
+      select: () => builder,
+      eq: () => builder,
+      update: (fields) => {
+        writes.push({ table, op: "update", fields });
+        builder.result = { data: { ...row, ...fields }, error: null };
+        return builder;
+      },
+      insert: async (fields) => {
+        writes.push({ table, op: "insert", fields });
+        return { error: null };
+      },
+      delete: () => {
+        writes.push({ table, op: "delete" });
+        return { eq: () => ({ eq: async () => ({ error: null }) }) };
+      },
+      maybeSingle: async () =>
+        table === "trainings"
+          ? { data: { training_name: "TCC" }, error: null }
+          : { data: row, error: null },
+      single: async () => builder.result,
+    };
+    return builder;
+  });
+
+  return writes;
+}
+
+describe("refundTrainingPurchaseAsAdmin", () => {
+  beforeEach(() => {
+    jest.spyOn(stripe.refunds, "create").mockResolvedValue({ id: "re_1" });
+  });
+
+  test("keeps the enrolment on a partial refund", async () => {
+    mockTables(purchase);
+
+    const result = await refundTrainingPurchaseAsAdmin(
+      12,
+      { amount: 50, reason: "Geste commercial" },
+      "alice"
+    );
+
+    expect(stripe.refunds.create).toHaveBeenCalledWith(
+      expect.objectContaining({ payment_intent: "pi_training", amount: 5000 })
+    );
+    expect(result).toMatchObject({
+      refund_amount: 50,
+      total_refunded: 50,
+      payment_status: "partially_refunded",
+    });
+    expect(releasePurchaseSeat).not.toHaveBeenCalled();
+    expect(revokeTrainingCertificate).not.toHaveBeenCalled();
+    expect(sendTrainingRefundNotificationEmail).toHaveBeenCalledWith(
+      "u1",
+      expect.objectContaining({ isFullRefund: false, consequence: null })
+    );
+  });
+
+  test("unenrols once partial refunds reach the amount paid", async () => {
+    mockTables({
+      ...purchase,
+      payment_status: "partially_refunded",
+      refund_amount: 50,
+    });
+
+    const result = await refundTrainingPurchaseAsAdmin(
+      12,
+      { reason: "Annulation" },
+      "alice"
+    );
+
+    expect(stripe.refunds.create).toHaveBeenCalledWith(
+      expect.objectContaining({ amount: 20000 })
+    );
+    expect(result).toMatchObject({
+      total_refunded: 250,
+      payment_status: "refunded",
+    });
+    expect(releasePurchaseSeat).toHaveBeenCalledWith(
+      expect.objectContaining({ user_id: "u1", training_id: "training_1" })
+    );
+    expect(revokeTrainingCertificate).toHaveBeenCalledWith(12, "refunded");
+  });
+
+  test("logs the refund under the administrator", async () => {
+    const writes = mockTables(purchase);
+
+    await refundTrainingPurchaseAsAdmin(
+      12,
+      { amount: 50, reason: "Geste commercial" },
+      "alice"
+    );
+
+    expect(writes).toContainEqual({
+      table: "admin_refunds",
+      op: "insert",
+      fields: expect.objectContaining({ amount: 50, admin_id: "alice" }),
+    });
+  });
+
+  test.each([
+    ["above the remaining balance", { amount: 210 }, 400],
+    ["without a reason", { amount: 10, reason: "" }, 400],
+  ])("rejects a partial refund %s", async (_label, input, status) => {
+    mockTables({ ...purchase, refund_amount: 50 });
+
+    await expect(
+      refundTrainingPurchaseAsAdmin(
+        12,
+        { reason: "Geste commercial", ...input },
+        "alice"
+      )
+    ).rejects.toMatchObject({ status });
+    expect(stripe.refunds.create).not.toHaveBeenCalled();
+  });
+});
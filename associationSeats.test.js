@@ -0,0 +1,118 @@
+// Variables d'environnement de test (avant tout chargement de module)
+process.env.STRIPE_SECRET_KEY = "sk_test_local";
+process.env.ADMIN_API_KEYS = "alice:key-alice";
+
+const request = require("supertest");
+
+jest.mock("./config/database", () => ({ supabase: {} }));
+jest.mock("./config/email", () => ({
+  resend: { emails: { send: jest.fn() } },
+  FROM_EMAIL: "noreply@novapsy.info",
+  CONTACT_EMAIL: "contact@novapsy.info",
+}));
+jest.mock("./memberships/associationSeatService", () => ({
+  getAssociationRoster: jest.fn(),
+  inviteAssociationMember: jest.fn(),
+  acceptAssociationSeat: jest.fn(),
+  removeAssociationSeat: jest.fn(),
+}));
+
+const { supabase } = require("./config/database");
+const seats = require("./memberships/associationSeatService");
+const { createApp } = require("./createApp");
+
+const ASSOCIATION_ID = "a0000000-0000-4000-8000-000000000001";
+const OTHER_ASSOCIATION_ID = "a0000000-0000-4000-8000-000000000002";
+
+/**
+ * Simule la vérification des jetons de session : "token-<id>" identifie le compte <id>
+ */
+function mockSessions() {
+  supabase.auth = {
+    getUser: jest.fn(async (token) =>
+      token.startsWith("token-")
+        ? { data: { user: { id: token.slice(6) } }, error: null }
+        : { data: { user: null }, error: { message: "invalid JWT" } }
+    ),
+  };
+}
+
+describe("Association seat routes", () => {
+  let app;
+
+  beforeAll(() => {
+    app = createApp();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    mockSessions();
+
+    seats.getAssociationRoster.mockResolvedValue({ seats: [] });
+    seats.inviteAssociationMember.mockResolvedValue({ seat_id: 4 });
+    seats.removeAssociationSeat.mockResolvedValue({
+      seat_id: 4,
+      status: "removed",
+    });
+  });
+
+  test("lets an association manage its own roster", async () => {
+    const auth = `Bearer token-${ASSOCIATION_ID}`;
+
+    const list = await request(app)
+      .get(`/associations/${ASSOCIATION_ID}/seats`)
+      .set("Authorization", auth);
+    const invite = await request(app)
+      .post(`/associations/${ASSOCIATION_ID}/seats`)
+      .set("Authorization", auth)
+      .send({ email: "membre@example.org" });
+    const remove = await request(app)
+      .delete(`/associations/${ASSOCIATION_ID}/seats/4`)
+      .set("Authorization", auth);
+
+    expect(list.status).toBe(200);
+    expect(invite.status).toBe(201);
+    expect(seats.inviteAssociationMember).toHaveBeenCalledWith(
+      ASSOCIATION_ID,
+      "membre@example.org"
+    );
+    expect(remove.status).toBe(200);
+    expect(seats.removeAssociationSeat).toHaveBeenCalledWith(ASSOCIATION_ID, 4);
+  });
+
+  test("refuses another association's roster", async () => {
+    const response = await request(app)
+      .post(`/associations/${OTHER_ASSOCIATION_ID}/seats`)
+      .set("Authorization", `Bearer token-${ASSOCIATION_ID}`)
+      .send({ email: "membre@example.org" });
+
+    expect(response.status).toBe(403);
+    expect(seats.inviteAssociationMember).not.toHaveBeenCalled();
+  });
+
+  test("requires a valid session", async () => {
+    const missing = await request(app).get(
+      `/associations/${ASSOCIATION_ID}/seats`
+    );
+    const invalid = await request(app)
+      .delete(`/associations/${ASSOCIATION_ID}/seats/4`)
+      .set("Authorization", "Bearer forged");
+
+    expect(missing.status).toBe(401);
+    expect(invalid.status).toBe(401);
+    expect(seats.removeAssociationSeat).not.toHaveBeenCalled();
+  });
+
+  test("keeps the admin override on any association", async () => {
+    const response = await request(app)
+      .delete(`/admin/associations/${OTHER_ASSOCIATION_ID}/seats/4`)
+      .set("X-Admin-Key", "key-alice");
+
+    expect(response.status).toBe(200);
+    expect(seats.removeAssociationSeat).toHaveBeenCalledWith(
+      OTHER_ASSOCIATION_ID,
+      4
+    );
+  });
+});
@@ -0,0 +1,158 @@
+const express = require("express");
+const router = express.Router();
+
+const { logWithTimestamp } = require("../shared/logger");
+const { requireAdmin } = require("../shared/middleware");
+const {
+  listCatalogEntries,
+  getCatalogEntry,
+  createCatalogEntry,
+  updateCatalogEntry,
+  deactivateCatalogEntry,
+  syncCatalogFromStripe,
+} = require("./catalogService");
+
+/**
+ * GET /admin/catalog
+ * Liste les produits du catalogue (admin)
+ * Query: kind?, includeInactive? (true|false)
+ */
+router.get("/admin/catalog", requireAdmin, async (req, res) => {
+  const { kind, includeInactive } = req.query;
+
+  try {
+    const products = await listCatalogEntries({
+      kind,
+      includeInactive: includeInactive === "true",
+    });
+    res.json({ success: true, count: products.length, products });
+  } catch (error) {
+    logWithTimestamp("error", "❌ Erreur liste catalogue", {
+      error: error.message,
+    });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /admin/catalog/:priceId
+ * Récupère un produit du catalogue (admin)
+ */
+router.get("/admin/catalog/:priceId", requireAdmin, async (req, res) => {
+  const { priceId } = req.params;
+
+  try {
+    const product = await getCatalogEntry(priceId);
+    if (!product) {
+      return res.status(404).json({ error: "Produit introuvable" });
+    }
+    res.json({ success: true, product });
+  } catch (error) {
+    logWithTimestamp("error", "❌ Erreur récupération produit catalogue", {
+      priceId,
+      error: error.message,
+    });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /admin/catalog
+ * Ajoute un produit au catalogue (admin)
+ * Body: { price_id, kind, name, full_name?, amount, member_discount?, duration?, training_type?, seat_limit?, status_id? }
+ */
+router.post("/admin/catalog", requireAdmin, async (req, res) => {
+  logWithTimestamp("info", "=== AJOUT PRODUIT CATALOGUE ===", {
+    priceId: req.body.price_id,
+    adminId: req.adminId,
+  });
+
+  try {
+    const product = await createCatalogEntry(req.body);
+    res.status(201).json({ success: true, product });
+  } catch (error) {
+    logWithTimestamp("error", "❌ Erreur ajout produit catalogue", {
+      priceId: req.body.price_id,
+      error: error.message,
+    });
+    res
+      .status(error.status || 500)
+      .json({ error: error.message, errors: error.errors });
+  }
+});
+
+/**
+ * PUT /admin/catalog/:priceId
+ * Modifie un produit du catalogue (admin)
+ */
+router.put("/admin/catalog/:priceId", requireAdmin, async (req, res) => {
+  const { priceId } = req.params;
+
+  logWithTimestamp("info", "=== MODIFICATION PRODUIT CATALOGUE ===", {
+    priceId,
+    adminId: req.adminId,
+  });
+
+  try {
+    const product = await updateCatalogEntry(priceId, req.body);
+    res.json({ success: true, product });
+  } catch (error) {
+    logWithTimestamp("error", "❌ Erreur modification produit catalogue", {
+      priceId,
+      error: error.message,
+    });
+    res
+      .status(error.status || 500)
+      .json({ error: error.message, errors: error.errors });
+  }
+});
+
+/**
+ * DELETE /admin/catalog/:priceId
+ * Désactive un produit du catalogue (admin)
+ * Le produit est conservé pour les achats existants
+ */
+router.delete("/admin/catalog/:priceId", requireAdmin, async (req, res) => {
+  const { priceId } = req.params;
+
+  logWithTimestamp("info", "=== DÉSACTIVATION PRODUIT CATALOGUE ===", {
+    priceId,
+    adminId: req.adminId,
+  });
+
+  try {
+    const product = await deactivateCatalogEntry(priceId);
+    res.json({ success: true, product });
+  } catch (error) {
+    logWithTimestamp("error", "❌ Erreur désactivation produit catalogue", {
+      priceId,
+      error: error.message,
+    });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /admin/catalog/sync
+ * Synchronise le catalogue avec les produits et prix Stripe (admin)
+ * Query: dryRun=true pour une simulation
+ */
+router.post("/admin/catalog/sync", requireAdmin, async (req, res) => {
+  logWithTimestamp("info", "=== SYNCHRONISATION CATALOGUE (ADMIN) ===", {
+    adminId: req.adminId,
+  });
+
+  try {
+    const report = await syncCatalogFromStripe({
+      dryRun: req.query.dryRun === "true",
+    });
+    res.json({ success: true, report });
+  } catch (error) {
+    logWithTimestamp("error", "❌ Erreur synchronisation catalogue", {
+      error: error.message,
+    });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,387 @@
+const { supabase } = require("../config/database");
+const { stripe } = require("../config/stripe");
+const { logWithTimestamp } = require("../shared/logger");
+const { CATALOG, USER_STATUS } = require("../config/constants");
+
+const CATALOG_KINDS = ["membership", "training", "prevention", "other"];
+
+// Champs modifiables par l'administration
+const EDITABLE_FIELDS = [
+  "product_id",
+  "kind",
+  "name",
+  "full_name",
+  "amount",
+  "currency",
+  "member_discount",
+  "duration",
+  "training_type",
+  "seat_limit",
+  "status_id",
+  "active",
+];
+
+// Cache en mémoire : priceId => entrée du catalogue
+let catalogCache = null;
+let catalogLoadedAt = 0;
+let pendingLoad = null;
+
+/**
+ * Convertit une ligne catalog_products en entrée de catalogue
+ * (mêmes champs que les anciennes constantes TRAININGS)
+ * @param {object} row - Ligne de la table catalog_products
+ * @returns {object} Entrée du catalogue
+ */
+function toCatalogEntry(row) {
+  return {
+    price_id: row.price_id,
+    product_id: row.product_id,
+    kind: row.kind,
+    name: row.name,
+    full_name: row.full_name || row.name,
+    base_price: Number(row.amount),
+    currency: row.currency,
+    member_discount: Number(row.member_discount || 0),
+    duration: row.duration,
+    training_type: row.training_type,
+    seat_limit: row.seat_limit ?? null,
+    status_id: row.status_id ?? null,
+    active: row.active,
+    updated_at: row.updated_at,
+  };
+}
+
+/**
+ * Charge le catalogue (depuis le cache s'il est encore valide)
+ * @param {object} options - Options
+ * @param {boolean} options.force - Ignore le cache
+ * @returns {Promise<Map<string, object>>} Catalogue indexé par priceId
+ */
+async function loadCatalog({ force = false } = {}) {
+  const isFresh = Date.now() - catalogLoadedAt < CATALOG.CACHE_TTL_MS;
+  if (catalogCache && isFresh && !force) return catalogCache;
+
+  // Un seul chargement à la fois, partagé par les appels concurrents
+  if (!pendingLoad) {
+    pendingLoad = (async () => {
+      const { data, error } = await supabase
+        .from("catalog_products")
+        .select("*");
+
+      if (error) throw error;
+
+      catalogCache = new Map(
+        (data || []).map((row) => [row.price_id, toCatalogEntry(row)])
+      );
+      catalogLoadedAt = Date.now();
+
+      logWithTimestamp("info", "📦 Catalogue produits chargé", {
+        products: catalogCache.size,
+      });
+
+      return catalogCache;
+    })().finally(() => {
+      pendingLoad = null;
+    });
+  }
+
+  try {
+    return await pendingLoad;
+  } catch (error) {
+    // Base indisponible : on sert le dernier catalogue connu s'il existe
+    if (catalogCache) {
+      logWithTimestamp("warn", "Catalogue servi depuis un cache expiré", {
+        error: error.message,
+      });
+      return catalogCache;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Vide le cache (après une modification du catalogue)
+ */
+function invalidateCatalogCache() {
+  catalogCache = null;
+  catalogLoadedAt = 0;
+}
+
+/**
+ * Récupère une entrée du catalogue par son ID de prix Stripe
+ * @param {string} priceId - ID du prix Stripe
+ * @returns {Promise<object|null>} Entrée du catalogue ou null
+ */
+async function getCatalogEntry(priceId) {
+  if (!priceId) return null;
+  const catalog = await loadCatalog();
+  return catalog.get(priceId) || null;
+}
+
+/**
+ * Liste les entrées du catalogue
+ * @param {object} filters - Filtres
+ * @param {string} filters.kind - Type de produit (optionnel)
+ * @param {boolean} filters.includeInactive - Inclut les produits désactivés
+ * @returns {Promise<Array<object>>} Entrées du catalogue
+ */
+async function listCatalogEntries({ kind, includeInactive = false } = {}) {
+  const catalog = await loadCatalog();
+
+  return [...catalog.values()]
+    .filter((entry) => !kind || entry.kind === kind)
+    .filter((entry) => includeInactive || entry.active)
+    .sort(
+      (a, b) => a.kind.localeCompare(b.kind) || a.name.localeCompare(b.name)
+    );
+}
+
+/**
+ * Valide et filtre les champs d'une entrée du catalogue
+ * @param {object} input - Données reçues
+ * @param {object} options - Options
+ * @param {boolean} options.partial - Mise à jour partielle
+ * @returns {object} Données à écrire
+ */
+function sanitizeCatalogInput(input = {}, { partial = false } = {}) {
+  const data = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (input[field] !== undefined) data[field] = input[field];
+  }
+
+  const errors = [];
+
+  if (!partial && !data.name) errors.push("name manquant");
+  if (!partial && data.amount === undefined) errors.push("amount manquant");
+
+  if (data.kind !== undefined && !CATALOG_KINDS.includes(data.kind)) {
+    errors.push(`kind invalide (${CATALOG_KINDS.join(", ")})`);
+  }
+  for (const field of ["amount", "member_discount"]) {
+    if (data[field] !== undefined) {
+      data[field] = Number(data[field]);
+      if (!Number.isFinite(data[field]) || data[field] < 0) {
+        errors.push(`${field} invalide`);
+      }
+    }
+  }
+  if (
+    data.amount !== undefined &&
+    data.member_discount !== undefined &&
+    data.member_discount > data.amount
+  ) {
+    errors.push("member_discount supérieur au montant");
+  }
+  if (data.duration !== undefined && data.duration !== null) {
+    data.duration = Number(data.duration);
+    if (!Number.isInteger(data.duration) || data.duration <= 0) {
+      errors.push("duration invalide");
+    }
+  }
+  if (data.seat_limit !== undefined && data.seat_limit !== null) {
+    data.seat_limit = Number(data.seat_limit);
+    if (!Number.isInteger(data.seat_limit) || data.seat_limit < 0) {
+      errors.push("seat_limit invalide");
+    }
+  }
+  if (data.status_id !== undefined && data.status_id !== null) {
+    data.status_id = Number(data.status_id);
+    if (!USER_STATUS.MEMBER_STATUS_IDS.includes(data.status_id)) {
+      errors.push("status_id invalide");
+    }
+  }
+  if (!partial && data.kind === "training" && !data.duration) {
+    errors.push("duration requise pour une formation");
+  }
+
+  if (errors.length > 0) {
+    throw Object.assign(new Error(`Produit invalide: ${errors.join(", ")}`), {
+      status: 400,
+      errors,
+    });
+  }
+
+  return data;
+}
+
+/**
+ * Crée une entrée du catalogue
+ * @param {object} input - Données du produit (price_id obligatoire)
+ * @returns {Promise<object>} Entrée créée
+ */
+async function createCatalogEntry(input) {
+  if (!input?.price_id) {
+    throw Object.assign(new Error("price_id manquant"), { status: 400 });
+  }
+
+  const data = sanitizeCatalogInput(input);
+
+  const { data: row, error } = await supabase
+    .from("catalog_products")
+    .insert({ price_id: input.price_id, ...data })
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === "23505") {
+      throw Object.assign(new Error("Produit déjà présent au catalogue"), {
+        status: 409,
+      });
+    }
+    throw error;
+  }
+
+  invalidateCatalogCache();
+  logWithTimestamp("info", "✅ Produit ajouté au catalogue", {
+    priceId: row.price_id,
+    kind: row.kind,
+  });
+
+  return toCatalogEntry(row);
+}
+
+/**
+ * Met à jour une entrée du catalogue
+ * @param {string} priceId - ID du prix Stripe
+ * @param {object} input - Champs à modifier
+ * @returns {Promise<object>} Entrée mise à jour
+ */
+async function updateCatalogEntry(priceId, input) {
+  const data = sanitizeCatalogInput(input, { partial: true });
+
+  if (Object.keys(data).length === 0) {
+    throw Object.assign(new Error("Aucun champ à modifier"), { status: 400 });
+  }
+
+  const { data: row, error } = await supabase
+    .from("catalog_products")
+    .update({ ...data, updated_at: new Date().toISOString() })
+    .eq("price_id", priceId)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!row) {
+    throw Object.assign(new Error("Produit introuvable"), { status: 404 });
+  }
+
+  invalidateCatalogCache();
+  logWithTimestamp("info", "✅ Produit du catalogue mis à jour", {
+    priceId,
+    fields: Object.keys(data),
+  });
+
+  return toCatalogEntry(row);
+}
+
+/**
+ * Désactive une entrée du catalogue (les achats passés y restent rattachés)
+ * @param {string} priceId - ID du prix Stripe
+ * @returns {Promise<object>} Entrée désactivée
+ */
+async function deactivateCatalogEntry(priceId) {
+  return updateCatalogEntry(priceId, { active: false });
+}
+
+/**
+ * Synchronise le catalogue avec les produits et prix Stripe
+ * - prix connus : nom, montant, devise, produit et statut actif mis à jour
+ *   (l'intitulé complet full_name reste géré par l'administration)
+ * - nouveaux prix : ajoutés (type et champs métier lus dans les metadata
+ *   du produit Stripe : kind, member_discount, duration, training_type)
+ * @param {object} options - Options
+ * @param {boolean} options.dryRun - Simulation sans écriture
+ * @returns {Promise<object>} Rapport de synchronisation
+ */
+async function syncCatalogFromStripe({ dryRun = false } = {}) {
+  logWithTimestamp("info", "=== SYNCHRONISATION CATALOGUE STRIPE ===", {
+    dryRun,
+  });
+
+  const catalog = await loadCatalog({ force: true });
+  const now = new Date().toISOString();
+  const report = { created: [], updated: [], unchanged: [], dryRun };
+
+  for await (const price of stripe.prices.list({
+    limit: 100,
+    expand: ["data.product"],
+  })) {
+    const product = price.product;
+    if (!product || product.deleted || price.unit_amount === null) continue;
+
+    const stripeFields = {
+      product_id: product.id,
+      name: product.name,
+      amount: price.unit_amount / 100,
+      currency: price.currency,
+      active: price.active && product.active,
+    };
+
+    const existing = catalog.get(price.id);
+
+    if (!existing) {
+      const metadata = product.metadata || {};
+      const row = {
+        price_id: price.id,
+        ...stripeFields,
+        kind: CATALOG_KINDS.includes(metadata.kind) ? metadata.kind : "other",
+        full_name: metadata.full_name || product.name,
+        member_discount: Number(metadata.member_discount) || 0,
+        duration: Number(metadata.duration) || null,
+        training_type: metadata.training_type || null,
+        stripe_synced_at: now,
+      };
+
+      if (!dryRun) {
+        const { error } = await supabase.from("catalog_products").insert(row);
+        if (error) throw error;
+      }
+      report.created.push(price.id);
+      continue;
+    }
+
+    const changed =
+      existing.product_id !== stripeFields.product_id ||
+      existing.name !== stripeFields.name ||
+      existing.base_price !== stripeFields.amount ||
+      existing.currency !== stripeFields.currency ||
+      existing.active !== stripeFields.active;
+
+    if (!changed) {
+      report.unchanged.push(price.id);
+      continue;
+    }
+
+    if (!dryRun) {
+      const { error } = await supabase
+        .from("catalog_products")
+        .update({ ...stripeFields, stripe_synced_at: now, updated_at: now })
+        .eq("price_id", price.id);
+      if (error) throw error;
+    }
+    report.updated.push(price.id);
+  }
+
+  invalidateCatalogCache();
+
+  logWithTimestamp("info", "✅ Catalogue synchronisé avec Stripe", {
+    created: report.created.length,
+    updated: report.updated.length,
+    unchanged: report.unchanged.length,
+    dryRun,
+  });
+
+  return report;
+}
+
+module.exports = {
+  CATALOG_KINDS,
+  loadCatalog,
+  invalidateCatalogCache,
+  getCatalogEntry,
+  listCatalogEntries,
+  createCatalogEntry,
+  updateCatalogEntry,
+  deactivateCatalogEntry,
+  syncCatalogFromStripe,
+};
@@ -0,0 +1,24 @@
+/**
+ * Module catalogue produits
+ * Exporte le service (prix, formations) et les routes d'administration
+ */
+
+const {
+  getCatalogEntry,
+  listCatalogEntries,
+  invalidateCatalogCache,
+  syncCatalogFromStripe,
+} = require("./catalogService");
+
+const catalogRoutes = require("./catalogRoutes");
+
+module.exports = {
+  // Services
+  getCatalogEntry,
+  listCatalogEntries,
+  invalidateCatalogCache,
+  syncCatalogFromStripe,
+
+  // Routes (pour montage dans createApp.js)
+  catalogRoutes,
+};
@@ -0,0 +1,85 @@
+// Variables d'environnement de test (avant tout chargement de module)
+process.env.STRIPE_SECRET_KEY = "sk_test_local";
+
+jest.mock("./config/database", () => ({ supabase: {} }));
+
+const { supabase } = require("./config/database");
+const { stripe } = require("./config/stripe");
+const { syncCatalogFromStripe } = require("./catalog/catalogService");
+
+const catalogRow = {
+  price_id: "price_tcc",
+  product_id: "prod_tcc",
+  kind: "training",
+  name: "TCC",
+  full_name: "Formation aux thérapies cognitives et comportementales",
+  amount: 250,
+  currency: "eur",
+  active: true,
+};
+
+/**
+ * Simule catalog_products (une ligne) et enregistre les mises à jour
+ */
+function mockCatalog() {
+  const updates = [];
+
+  supabase.from = jest.fn(() => ({
+    select: async () => ({ data: [catalogRow], error: null }),
+    update: (fields) => {
+      updates.push(fields);
+      return { eq: async () => ({ error: null }) };
+    },
+  }));
+
+  return updates;
+}
+
+/**
+ * Simule la liste paginée des prix Stripe
+ */
+function mockStripePrices(prices) {
+  jest.spyOn(stripe.prices, "list").mockImplementation(async function* () {
+    yield* prices;
+  });
+}
+
+const stripePrice = {
+  id: "price_tcc",
+  unit_amount: 25000,
+  currency: "eur",
+  active: true,
+  product: { id: "prod_tcc", name: "TCC", active: true, metadata: {} },
+};
+
+describe("syncCatalogFromStripe", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  test("leaves an entry matching Stripe untouched", async () => {
+    const updates = mockCatalog();
+    mockStripePrices([stripePrice]);
+
+    const report = await syncCatalogFromStripe();
+
+    expect(report.unchanged).toEqual(["price_tcc"]);
+    expect(updates).toHaveLength(0);
+  });
+
+  test("updates a product renamed in Stripe but keeps the full name", async () => {
+    const updates = mockCatalog();
+    mockStripePrices([
+      {
+        ...stripePrice,
+        product: { ...stripePrice.product, name: "TCC – niveau 1" },
+      },
+    ]);
+
+    const report = await syncCatalogFromStripe();
+
+    expect(report.updated).toEqual(["price_tcc"]);
+    expect(updates[0]).toMatchObject({ name: "TCC – niveau 1" });
+    expect(updates[0].full_name).toBeUndefined();
+  });
+});
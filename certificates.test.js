@@ -0,0 +1,93 @@
+// Variables d'environnement de test (avant tout chargement de module)
+process.env.STRIPE_SECRET_KEY = "sk_test_local";
+
+jest.mock("./config/database", () => ({ supabase: {} }));
+jest.mock("./config/email", () => ({
+  resend: { emails: { send: jest.fn() } },
+  FROM_EMAIL: "noreply@novapsy.info",
+  CONTACT_EMAIL: "contact@novapsy.info",
+}));
+
+const { supabase } = require("./config/database");
+const {
+  revokeTrainingCertificate,
+  verifyCertificate,
+} = require("./certificates/certificateService");
+
+const certificate = {
+  verification_code: "NPY-3F9A-C21B-7D04",
+  holder_name: "Jeanne Martin",
+  training_full_name: "TCC",
+  hours: "14.00",
+  revoked_at: null,
+  revoked_reason: null,
+};
+
+/**
+ * Simule training_certificates : `row` est la ligne renvoyée, les filtres
+ * et écritures sont enregistrés
+ */
+function mockCertificates(row) {
+  const query = { filters: [] };
+
+  supabase.from = jest.fn(() => {
+    const builder = {
+      select: () => builder,
+      update: (fields) => {
+        query.fields = fields;
+        return builder;
+      },
+      eq: (column, value) => {
+        query.filters.push(["eq", column, value]);
+        return builder;
+      },
+      is: (column, value) => {
+        query.filters.push(["is", column, value]);
+        return builder;
+      },
+      maybeSingle: async () => ({ data: row, error: null }),
+    };
+    return builder;
+  });
+
+  return query;
+}
+
+describe("Training certificates", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  test("verifies a certificate in force", async () => {
+    mockCertificates(certificate);
+
+    const result = await verifyCertificate("npy-3f9a-c21b-7d04");
+
+    expect(result).toMatchObject({ valid: true, hours: 14 });
+  });
+
+  test("reports a revoked certificate as no longer valid", async () => {
+    mockCertificates({
+      ...certificate,
+      revoked_at: "2026-10-19T08:00:00.000Z",
+      revoked_reason: "refunded",
+    });
+
+    const result = await verifyCertificate(certificate.verification_code);
+
+    expect(result).toMatchObject({ valid: false, revoked_reason: "refunded" });
+  });
+
+  test("revokes only a certificate still in force", async () => {
+    const query = mockCertificates({ certificate_id: 5, purchase_id: 12 });
+
+    const revoked = await revokeTrainingCertificate(12, "disputed");
+
+    expect(revoked.certificate_id).toBe(5);
+    expect(query.fields).toMatchObject({ revoked_reason: "disputed" });
+    expect(query.filters).toEqual([
+      ["eq", "purchase_id", 12],
+      ["is", "revoked_at", null],
+    ]);
+  });
+});
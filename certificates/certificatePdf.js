@@ -0,0 +1,116 @@
+const { PDF_BRAND, renderPdf, formatPdfDate } = require("../shared/pdf");
+
+/**
+ * Génère le PDF d'un certificat de fin de formation
+ * @param {object} certificate - Certificat (training_certificates)
+ * @param {string} verifyUrl - Adresse de vérification du certificat
+ * @returns {Promise<Buffer>} Contenu du PDF
+ */
+function renderCertificatePdf(certificate, verifyUrl) {
+  const title =
+    certificate.training_type === "Certifiante"
+      ? "CERTIFICAT DE RÉUSSITE"
+      : "ATTESTATION DE FORMATION";
+
+  const dates =
+    certificate.session_start && certificate.session_end
+      ? certificate.session_start === certificate.session_end
+        ? `le ${formatPdfDate(certificate.session_start)}`
+        : `du ${formatPdfDate(certificate.session_start)} au ${formatPdfDate(certificate.session_end)}`
+      : null;
+
+  return renderPdf(
+    (doc) => {
+      const { width, height } = doc.page;
+
+      // Cadre
+      doc
+        .lineWidth(4)
+        .strokeColor(PDF_BRAND.PRIMARY_COLOR)
+        .rect(25, 25, width - 50, height - 50)
+        .stroke();
+
+      doc
+        .fillColor(PDF_BRAND.PRIMARY_COLOR)
+        .font("Helvetica-Bold")
+        .fontSize(28)
+        .text(PDF_BRAND.NAME, 0, 70, { align: "center" });
+
+      doc
+        .fillColor(PDF_BRAND.TEXT_COLOR)
+        .fontSize(24)
+        .text(title, 0, 130, { align: "center" });
+
+      doc
+        .font("Helvetica")
+        .fontSize(14)
+        .fillColor(PDF_BRAND.MUTED_COLOR)
+        .text("Nous certifions que", 0, 190, { align: "center" });
+
+      doc
+        .font("Helvetica-Bold")
+        .fontSize(26)
+        .fillColor(PDF_BRAND.TEXT_COLOR)
+        .text(certificate.holder_name, 0, 220, { align: "center" });
+
+      doc
+        .font("Helvetica")
+        .fontSize(14)
+        .fillColor(PDF_BRAND.MUTED_COLOR)
+        .text("a suivi avec assiduité la formation", 0, 270, {
+          align: "center",
+        });
+
+      doc
+        .font("Helvetica-Bold")
+        .fontSize(18)
+        .fillColor(PDF_BRAND.TEXT_COLOR)
+        .text(certificate.training_full_name, 80, 300, {
+          align: "center",
+          width: width - 160,
+        });
+
+      doc
+        .font("Helvetica")
+        .fontSize(13)
+        .fillColor(PDF_BRAND.MUTED_COLOR)
+        .text(
+          [dates, `Durée : ${Number(certificate.hours)} heures`]
+            .filter(Boolean)
+            .join(" - "),
+          0,
+          360,
+          { align: "center" }
+        );
+
+      doc
+        .fontSize(11)
+        .text(
+          `Délivré le ${formatPdfDate(certificate.issued_at)}`,
+          0,
+          height - 120,
+          { align: "center" }
+        );
+
+      doc
+        .fontSize(9)
+        .text(
+          `Code de vérification : ${certificate.verification_code} - ${verifyUrl}`,
+          0,
+          height - 95,
+          { align: "center" }
+        );
+    },
+    {
+      layout: "landscape",
+      info: {
+        Title: `${title} - ${certificate.training_full_name}`,
+        Author: PDF_BRAND.NAME,
+      },
+    }
+  );
+}
+
+module.exports = {
+  renderCertificatePdf,
+};
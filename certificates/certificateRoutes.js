@@ -0,0 +1,60 @@
+const express = require("express");
+const router = express.Router();
+
+const { logWithTimestamp } = require("../shared/logger");
+const { requireAdmin } = require("../shared/middleware");
+const {
+  issueTrainingCertificate,
+  verifyCertificate,
+} = require("./certificateService");
+
+/**
+ * GET /certificates/verify/:code
+ * Vérifie l'authenticité d'un certificat de formation (public)
+ */
+router.get("/certificates/verify/:code", async (req, res) => {
+  const { code } = req.params;
+
+  try {
+    const certificate = await verifyCertificate(code);
+    res.json(certificate);
+  } catch (error) {
+    if (error.status !== 404) {
+      logWithTimestamp("error", "Erreur vérification certificat", {
+        code,
+        error: error.message,
+      });
+    }
+    res
+      .status(error.status || 500)
+      .json({ valid: false, error: error.message });
+  }
+});
+
+/**
+ * POST /admin/trainings/purchases/:purchaseId/certificate
+ * Délivre le certificat d'un achat terminé (admin)
+ * Body: { regenerate?: true pour régénérer le PDF et le renvoyer par email }
+ */
+router.post(
+  "/admin/trainings/purchases/:purchaseId/certificate",
+  requireAdmin,
+  async (req, res) => {
+    const { purchaseId } = req.params;
+
+    try {
+      const certificate = await issueTrainingCertificate(Number(purchaseId), {
+        regenerate: req.body?.regenerate === true,
+      });
+      res.json({ success: true, certificate });
+    } catch (error) {
+      logWithTimestamp("error", "❌ Erreur délivrance certificat", {
+        purchaseId,
+        error: error.message,
+      });
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,305 @@
+const crypto = require("crypto");
+const { supabase } = require("../config/database");
+const { stripe } = require("../config/stripe");
+const { CERTIFICATES } = require("../config/constants");
+const { logWithTimestamp } = require("../shared/logger");
+const { getTrainingDetails } = require("../shared/pricing");
+const { sendTrainingCertificateEmail } = require("../emails");
+const { getSessionDays } = require("../trainings/trainingSessionService");
+const { renderCertificatePdf } = require("./certificatePdf");
+
+// Achats pour lesquels aucun certificat n'est délivré
+const CLOSED_PURCHASE_STATUSES = ["refunded", "cancelled", "disputed"];
+
+/**
+ * Génère un code de vérification unique (ex. NPY-3F9A-C21B-7D04)
+ * @returns {string} Code de vérification
+ */
+function generateVerificationCode() {
+  const hex = crypto.randomBytes(6).toString("hex").toUpperCase();
+  return `NPY-${hex.match(/.{4}/g).join("-")}`;
+}
+
+/**
+ * Adresse publique de vérification d'un certificat
+ * @param {string} code - Code de vérification
+ * @returns {string} URL de vérification
+ */
+function getCertificateVerifyUrl(code) {
+  return `${CERTIFICATES.VERIFY_URL}/${code}`;
+}
+
+/**
+ * Nom complet du titulaire du certificat
+ * @param {string} userId - UUID de l'utilisateur
+ * @returns {Promise<string|null>} Prénom et nom, ou null si inconnu
+ */
+async function getHolderName(userId) {
+  const { data: user, error } = await supabase
+    .from("users")
+    .select("user_firstname, user_lastname, user_name")
+    .eq("user_id", userId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  const fullName = [user?.user_firstname, user?.user_lastname]
+    .filter(Boolean)
+    .join(" ");
+  return fullName || user?.user_name || null;
+}
+
+/**
+ * Intitulé et type de la formation achetée
+ * (entrée du catalogue via le prix du checkout, sinon table trainings)
+ * @param {object} purchase - Achat (trainings_purchase)
+ * @returns {Promise<{full_name: string, training_type: string|null}>}
+ */
+async function getCertificateTraining(purchase) {
+  try {
+    const session = await stripe.checkout.sessions.retrieve(
+      purchase.stripe_session_id
+    );
+    const trainingDetails = await getTrainingDetails(session.metadata?.priceId);
+    if (trainingDetails) {
+      return {
+        full_name: trainingDetails.full_name,
+        training_type: trainingDetails.training_type || null,
+      };
+    }
+  } catch (error) {
+    logWithTimestamp("warn", "Formation du checkout introuvable", {
+      purchaseId: purchase.purchase_id,
+      error: error.message,
+    });
+  }
+
+  const { data: training, error } = await supabase
+    .from("trainings")
+    .select("training_name")
+    .eq("training_id", purchase.training_id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return {
+    full_name: training?.training_name || purchase.training_id,
+    training_type: null,
+  };
+}
+
+/**
+ * Délivre le certificat de fin de formation d'un achat : génère le PDF,
+ * le stocke et l'envoie par email à l'apprenant
+ * Un certificat déjà délivré est renvoyé tel quel, sauf régénération (admin)
+ * qui lève aussi une révocation
+ * @param {number} purchaseId - ID de l'achat dans trainings_purchase
+ * @param {object} options - Options
+ * @param {boolean} options.regenerate - Régénère le PDF et le renvoie par email
+ * @returns {Promise<object>} Certificat (training_certificates)
+ */
+async function issueTrainingCertificate(
+  purchaseId,
+  { regenerate = false } = {}
+) {
+  const { data: purchase, error } = await supabase
+    .from("trainings_purchase")
+    .select("*")
+    .eq("purchase_id", purchaseId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!purchase) {
+    throw Object.assign(new Error("Achat introuvable"), { status: 404 });
+  }
+  if (CLOSED_PURCHASE_STATUSES.includes(purchase.payment_status)) {
+    throw Object.assign(new Error("Achat annulé, remboursé ou contesté"), {
+      status: 409,
+    });
+  }
+  if (purchase.completion_status !== "completed") {
+    throw Object.assign(
+      new Error("Formation non terminée : présence incomplète"),
+      { status: 409 }
+    );
+  }
+
+  const { data: existing, error: existingError } = await supabase
+    .from("training_certificates")
+    .select("*")
+    .eq("purchase_id", purchaseId)
+    .maybeSingle();
+
+  if (existingError) throw existingError;
+  if (existing && !regenerate) return existing;
+
+  const { data: enrolment, error: enrolmentError } = await supabase
+    .from("users_trainings")
+    .select("session_id")
+    .eq("user_id", purchase.user_id)
+    .eq("training_id", purchase.training_id)
+    .maybeSingle();
+
+  if (enrolmentError) throw enrolmentError;
+
+  const sessionId = enrolment?.session_id || null;
+  const [days, holderName, training] = await Promise.all([
+    getSessionDays(sessionId),
+    getHolderName(purchase.user_id),
+    getCertificateTraining(purchase),
+  ]);
+
+  if (!holderName) {
+    throw Object.assign(new Error("Nom de l'apprenant manquant"), {
+      status: 422,
+    });
+  }
+
+  const verificationCode =
+    existing?.verification_code || generateVerificationCode();
+  const certificate = {
+    purchase_id: purchaseId,
+    user_id: purchase.user_id,
+    training_id: purchase.training_id,
+    session_id: sessionId,
+    verification_code: verificationCode,
+    holder_name: holderName,
+    training_full_name: training.full_name,
+    training_type: training.training_type,
+    session_start: days.length ? days[0].toISOString().slice(0, 10) : null,
+    session_end: days.length
+      ? days[days.length - 1].toISOString().slice(0, 10)
+      : null,
+    hours: Number(purchase.hours_consumed),
+    storage_path: `${purchase.training_id}/${verificationCode}.pdf`,
+    issued_at: existing?.issued_at || new Date().toISOString(),
+    revoked_at: null,
+    revoked_reason: null,
+  };
+
+  const pdf = await renderCertificatePdf(
+    certificate,
+    getCertificateVerifyUrl(verificationCode)
+  );
+
+  const { error: uploadError } = await supabase.storage
+    .from(CERTIFICATES.BUCKET)
+    .upload(certificate.storage_path, pdf, {
+      contentType: "application/pdf",
+      upsert: true,
+    });
+
+  if (uploadError) throw uploadError;
+
+  const { data: saved, error: saveError } = existing
+    ? await supabase
+        .from("training_certificates")
+        .update(certificate)
+        .eq("certificate_id", existing.certificate_id)
+        .select()
+        .single()
+    : await supabase
+        .from("training_certificates")
+        .insert(certificate)
+        .select()
+        .single();
+
+  if (saveError) throw saveError;
+
+  logWithTimestamp("info", "🎓 Certificat de formation délivré", {
+    purchaseId,
+    certificateId: saved.certificate_id,
+    verificationCode,
+    regenerate,
+  });
+
+  const emailed = await sendTrainingCertificateEmail(
+    purchase.user_id,
+    {
+      trainingName: certificate.training_full_name,
+      verificationCode,
+      verifyUrl: getCertificateVerifyUrl(verificationCode),
+    },
+    pdf
+  );
+
+  if (!emailed) return saved;
+
+  const { data: sent, error: sentError } = await supabase
+    .from("training_certificates")
+    .update({ emailed_at: new Date().toISOString() })
+    .eq("certificate_id", saved.certificate_id)
+    .select()
+    .single();
+
+  if (sentError) throw sentError;
+  return sent;
+}
+
+/**
+ * Révoque le certificat d'un achat (remboursement intégral, annulation, litige)
+ * Sans effet si aucun certificat n'a été délivré ou s'il est déjà révoqué ;
+ * une régénération par l'administration le rétablit
+ * @param {number} purchaseId - ID de l'achat dans trainings_purchase
+ * @param {string} reason - refunded | cancelled | disputed
+ * @returns {Promise<object|null>} Certificat révoqué, ou null
+ */
+async function revokeTrainingCertificate(purchaseId, reason) {
+  const { data: revoked, error } = await supabase
+    .from("training_certificates")
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq("purchase_id", purchaseId)
+    .is("revoked_at", null)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (revoked) {
+    logWithTimestamp("info", "🚫 Certificat de formation révoqué", {
+      purchaseId,
+      certificateId: revoked.certificate_id,
+      reason,
+    });
+  }
+
+  return revoked;
+}
+
+/**
+ * Vérifie un certificat à partir de son code (route publique)
+ * @param {string} code - Code de vérification
+ * @returns {Promise<object>} Informations publiques du certificat
+ */
+async function verifyCertificate(code) {
+  const { data: certificate, error } = await supabase
+    .from("training_certificates")
+    .select(
+      "verification_code, holder_name, training_full_name, training_type, session_start, session_end, hours, issued_at, revoked_at, revoked_reason"
+    )
+    .eq(
+      "verification_code",
+      String(code || "")
+        .trim()
+        .toUpperCase()
+    )
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!certificate) {
+    throw Object.assign(new Error("Certificat introuvable"), { status: 404 });
+  }
+
+  // Un certificat révoqué reste consultable mais n'est plus valide
+  return {
+    valid: !certificate.revoked_at,
+    ...certificate,
+    hours: Number(certificate.hours),
+  };
+}
+
+module.exports = {
+  generateVerificationCode,
+  issueTrainingCertificate,
+  revokeTrainingCertificate,
+  verifyCertificate,
+};
@@ -0,0 +1,20 @@
+/**
+ * Module certificats de fin de formation
+ * Exporte les services (délivrance, vérification) et les routes
+ */
+
+const {
+  issueTrainingCertificate,
+  verifyCertificate,
+} = require("./certificateService");
+
+const certificateRoutes = require("./certificateRoutes");
+
+module.exports = {
+  // Services
+  issueTrainingCertificate,
+  verifyCertificate,
+
+  // Routes (pour montage dans createApp.js)
+  certificateRoutes,
+};
@@ -3,39 +3,51 @@ const PORT = process.env.PORT || 3001;
 const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:3000";
 const WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET;
 
-// Prix des produits Stripe
-const PRICES = {
-  // Adhésions forfait unique (1 an)
-  price_1RknRO05Uibkj68MUPgVuW2Y: 30, // Adhésion Simple
-  price_1RknR205Uibkj68MeezgOEAs: 20, // Adhésion Pro
-  price_1RknQd05Uibkj68MgNOg2UxF: 10, // Membre Asso
-
-  // Formations
-  price_1RZKxz05Uibkj68MfCpirZlH: 250, // PSSM
-  price_1RT2Gi05Uibkj68MuYaG5HZn: 50, // VSS
+// Clés d'accès aux routes d'administration (header X-Admin-Key), une par
+// administrateur : ADMIN_API_KEYS="identifiant:clé,..." ; l'identifiant associé
+// à la clé est enregistré comme auteur des opérations (remboursements...)
+// ADMIN_API_KEY : clé partagée historique, enregistrée sous l'identifiant "admin"
+const ADMIN_API_KEYS = [
+  ...(process.env.ADMIN_API_KEYS || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf(":");
+      return {
+        adminId: entry.slice(0, separator).trim(),
+        key: entry.slice(separator + 1).trim(),
+      };
+    })
+    .filter(({ adminId, key }) => adminId && key),
+  ...(process.env.ADMIN_API_KEY
+    ? [{ adminId: "admin", key: process.env.ADMIN_API_KEY }]
+    : []),
+];
+
+// Secret des tâches planifiées (header Authorization: Bearer, envoyé par Vercel Cron)
+const CRON_SECRET = process.env.CRON_SECRET;
+
+// Catalogue produits (table catalog_products, voir catalog/catalogService.js)
+const CATALOG = {
+  CACHE_TTL_MS: 5 * 60 * 1000, // Durée de vie du cache en mémoire
 };
 
-// Détails des formations
-const TRAININGS = {
-  price_1RZKxz05Uibkj68MfCpirZlH: {
-    name: "PSSM",
-    full_name: "Premiers Secours en Santé Mentale",
-    base_price: 250,
-    member_discount: 35,
-    duration: 14,
-    training_type: "Premiers Secours en Santé Mentale",
-  },
-  price_1RT2Gi05Uibkj68MuYaG5HZn: {
-    name: "VSS",
-    full_name: "Violences Sexistes et Sexuelles",
-    base_price: 50,
-    member_discount: 15,
-    duration: 7,
-    training_type: "Violences Sexistes et Sexuelles",
-  },
+// Règles de transfert vers une autre session de la même formation
+const TRANSFER_RULES = {
+  FREE_TRANSFER_DAYS: 16, // >= 16 jours avant : transfert gratuit
+  TRANSFER_FEE: 30,       // < 16 jours avant : frais de transfert (€)
+};
+
+// Places de formation (réservation pendant le checkout)
+const TRAINING_SEATS = {
+  // Durée de la réservation = expiration de la session Stripe
+  // (Stripe impose au moins 30 minutes, marge d'une minute)
+  HOLD_MINUTES: 31,
 };
 
 // Règles de remboursement des formations
+// (repli si aucune politique n'est enregistrée dans refund_policies)
 const REFUND_RULES = {
   FULL_REFUND_DAYS: 31,    // >= 31 jours avant : 100% remboursé
   PARTIAL_REFUND_DAYS: 16, // 16-30 jours avant : 80% remboursé
@@ -43,6 +55,81 @@ const REFUND_RULES = {
   NO_REFUND_DAYS: 15,      // <= 15 jours avant : 0% remboursé
 };
 
+// Mentions légales de l'association (attestations et reçus de paiement PDF)
+const ASSOCIATION_LEGAL = {
+  NAME: process.env.ASSOCIATION_NAME || "Association Novapsy",
+  ADDRESS: process.env.ASSOCIATION_ADDRESS || "",
+  SIRET: process.env.ASSOCIATION_SIRET || "",
+  RNA: process.env.ASSOCIATION_RNA || "", // Numéro du répertoire national des associations
+  TRAINING_DECLARATION: process.env.ASSOCIATION_NDA || "", // Déclaration d'activité (organisme de formation)
+  VAT_MENTION:
+    process.env.ASSOCIATION_VAT_MENTION ||
+    "TVA non applicable, article 261-7-1° du CGI",
+};
+
+// Certificats de fin de formation (bucket Supabase Storage et page de vérification)
+const CERTIFICATES = {
+  BUCKET: "certificates",
+  VERIFY_URL:
+    process.env.CERTIFICATE_VERIFY_URL || `${FRONTEND_URL}/certificats/verification`,
+};
+
+// Export comptable (journal Stripe, plan comptable associatif)
+const ACCOUNTING = {
+  JOURNAL_CODE: "STRP",
+  JOURNAL_LABEL: "Stripe",
+  TIMEZONE: "Europe/Paris", // Date comptable des opérations
+  ACCOUNTS: {
+    stripe: { number: "511200", label: "Stripe - fonds en transit" },
+    bank: { number: "512000", label: "Banque" },
+    fees: { number: "627000", label: "Services bancaires" },
+    membership: { number: "756000", label: "Cotisations" },
+    training: { number: "706000", label: "Prestations de formation" },
+    training_transfer: { number: "706000", label: "Prestations de formation" },
+    other: { number: "758000", label: "Produits divers de gestion" },
+  },
+};
+
+// Statuts utilisateurs (table status)
+const USER_STATUS = {
+  DEFAULT_STATUS_ID: Number(process.env.DEFAULT_USER_STATUS_ID) || 1, // Non adhérent
+  MEMBER_STATUS_IDS: [2, 3, 4], // Statuts d'adhésion
+};
+
+// Cycle de vie des adhésions
+const MEMBERSHIP_LIFECYCLE = {
+  REMINDER_DAYS: [30, 7, 1], // Rappels de renouvellement avant membership_end
+  GRACE_DAYS: 15, // Après membership_end : avantages maintenus le temps de renouveler
+};
+
+// Réparation des adhésions incomplètes (facture, customer ou session Stripe manquants)
+const MEMBERSHIP_REPAIR = {
+  BATCH_SIZE: 25,  // Adhésions traitées par exécution
+  MAX_ATTEMPTS: 5, // Au-delà, l'adhésion n'est plus reprise automatiquement
+};
+
+// File de tâches (table jobs, voir jobs/jobQueueService.js)
+const JOB_QUEUE = {
+  BATCH_SIZE: 10,              // Tâches réservées par passage du worker
+  MAX_ATTEMPTS: 5,             // Au-delà : tâche mise de côté (dead)
+  BACKOFF_BASE_SECONDS: 30,    // Délai avant reprise : 30s, 1min, 2min, 4min...
+  BACKOFF_MAX_SECONDS: 60 * 60,
+  LOCK_TIMEOUT_SECONDS: 5 * 60, // Tâche "running" abandonnée par un worker interrompu
+};
+
+// Changement de forfait d'une adhésion en cours (différence au prorata)
+const MEMBERSHIP_TIER_CHANGE = {
+  MIN_CHARGE: 0.5, // Montant minimal d'un paiement Stripe : en dessous, pas de paiement
+};
+
+// Places d'adhésion des associations (membres couverts par l'adhésion)
+const ASSOCIATION_SEATS = {
+  // Places par défaut si le forfait n'a pas de seat_limit (catalog_products)
+  DEFAULT_SEAT_LIMIT: Number(process.env.ASSOCIATION_DEFAULT_SEAT_LIMIT) || 10,
+  INVITE_DAYS: 14, // Validité d'une invitation
+  ACCEPT_URL: `${FRONTEND_URL}/associations/invitation`,
+};
+
 // Origines autorisées pour CORS
 const ALLOWED_ORIGINS = [
   process.env.FRONTEND_URL,
@@ -66,8 +153,20 @@ module.exports = {
   PORT,
   FRONTEND_URL,
   WEBHOOK_SECRET,
-  PRICES,
-  TRAININGS,
+  ADMIN_API_KEYS,
+  CRON_SECRET,
+  CATALOG,
   ALLOWED_ORIGINS,
   REFUND_RULES,
+  TRANSFER_RULES,
+  TRAINING_SEATS,
+  CERTIFICATES,
+  ASSOCIATION_LEGAL,
+  ACCOUNTING,
+  USER_STATUS,
+  MEMBERSHIP_LIFECYCLE,
+  MEMBERSHIP_REPAIR,
+  JOB_QUEUE,
+  MEMBERSHIP_TIER_CHANGE,
+  ASSOCIATION_SEATS,
 };
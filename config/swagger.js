@@ -96,17 +96,87 @@ const options = {
         MembershipStatus: {
           type: "object",
           properties: {
-            isMember: {
+            holder_type: { type: "string", enum: ["user", "association"] },
+            holder_id: { type: "string", format: "uuid" },
+            is_member: {
               type: "boolean",
-              description: "Statut d'adhésion actuel",
+              description: "Adhésion en cours ou en délai de grâce",
             },
-            membershipType: { type: "string", description: "Type d'adhésion" },
-            expirationDate: {
+            state: {
               type: "string",
-              format: "date",
-              description: "Date d'expiration",
+              enum: ["active", "grace", "expired", "none"],
+            },
+            source: {
+              type: "string",
+              enum: ["membership", "association_seat"],
+              nullable: true,
+              description:
+                "Adhésion propre ou place sur celle d'une association",
+            },
+            association_id: { type: "string", nullable: true },
+            membership_id: { type: "integer", nullable: true },
+            tier: {
+              type: "object",
+              nullable: true,
+              properties: {
+                price_id: { type: "string", nullable: true },
+                name: { type: "string", example: "Adhésion Pro" },
+                status_id: { type: "integer" },
+                status_name: { type: "string", nullable: true },
+              },
+            },
+            membership_start: {
+              type: "string",
+              format: "date-time",
+              nullable: true,
+            },
+            membership_end: {
+              type: "string",
+              format: "date-time",
+              nullable: true,
+            },
+            covered_until: {
+              type: "string",
+              format: "date-time",
+              nullable: true,
+              description: "Fin de couverture, renouvellements payés compris",
+            },
+            days_remaining: { type: "integer" },
+            grace_period: {
+              type: "object",
+              properties: {
+                days: { type: "integer", example: 15 },
+                in_grace_period: { type: "boolean" },
+                ends_at: {
+                  type: "string",
+                  format: "date-time",
+                  nullable: true,
+                },
+              },
+            },
+            renewal: {
+              type: "object",
+              properties: {
+                eligible: { type: "boolean" },
+                reason: {
+                  type: "string",
+                  nullable: true,
+                  enum: [
+                    "no_membership",
+                    "auto_renew",
+                    "already_renewed",
+                    "covered_by_association",
+                  ],
+                },
+                auto_renew: { type: "boolean" },
+                renewed_by: { type: "integer", nullable: true },
+              },
+            },
+            memberships: {
+              type: "array",
+              description: "Historique des adhésions, la plus récente d'abord",
+              items: { type: "object" },
             },
-            status: { type: "string", description: "Statut détaillé" },
           },
         },
 
@@ -226,6 +296,11 @@ const options = {
           name: "stripe-signature",
           description: "Signature Stripe pour la vérification des webhooks",
         },
+        SupabaseSession: {
+          type: "http",
+          scheme: "bearer",
+          description: "Jeton de session Supabase du compte",
+        },
       },
     },
 
@@ -517,8 +592,15 @@ const options = {
                           amount: { type: "number" },
                           currency: { type: "string" },
                           status: { type: "string" },
-                          date_french: { type: "string" },
-                          customer_email: { type: "string" },
+                          created_date: { type: "string", format: "date-time" },
+                          description: { type: "string" },
+                          customer_name: { type: "string", nullable: true },
+                          customer_email: { type: "string", nullable: true },
+                          last4: { type: "string", nullable: true },
+                          pdf_url: {
+                            type: "string",
+                            example: "/attestations/pi_123.pdf",
+                          },
                         },
                       },
                     },
@@ -546,6 +628,128 @@ const options = {
         },
       },
 
+      "/attestations/{paymentIntentId}.pdf": {
+        get: {
+          tags: ["Payments"],
+          summary: "Attestation ou reçu de paiement (PDF)",
+          description:
+            "Télécharge l'attestation de paiement (justificatif pour l'employeur ou l'OPCO) ou le reçu d'un paiement réussi : mentions légales de l'association, objet, montant, payeur, carte utilisée et mention de TVA. Réservé au titulaire du paiement (utilisateur ou association).",
+          parameters: [
+            {
+              name: "paymentIntentId",
+              in: "path",
+              required: true,
+              schema: { type: "string" },
+              description: "ID du payment intent Stripe",
+            },
+            {
+              name: "type",
+              in: "query",
+              required: false,
+              schema: {
+                type: "string",
+                enum: ["attestation", "receipt"],
+                default: "attestation",
+              },
+            },
+            {
+              name: "userId",
+              in: "query",
+              required: false,
+              schema: { type: "string", format: "uuid" },
+            },
+            {
+              name: "associationId",
+              in: "query",
+              required: false,
+              schema: { type: "string" },
+            },
+          ],
+          responses: {
+            200: {
+              description: "Document PDF",
+              content: {
+                "application/pdf": {
+                  schema: { type: "string", format: "binary" },
+                },
+              },
+            },
+            400: {
+              description:
+                "Paiement non réussi, type invalide ou titulaire manquant",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/ErrorResponse" },
+                },
+              },
+            },
+            404: {
+              description: "Paiement introuvable pour ce titulaire",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/ErrorResponse" },
+                },
+              },
+            },
+          },
+        },
+      },
+
+      "/invoices/{invoiceNumber}.pdf": {
+        get: {
+          tags: ["Invoices"],
+          summary: "Facture ou avoir (PDF)",
+          description:
+            "Télécharge une facture ou un avoir du registre, tel qu'émis. Réservé au titulaire du paiement (utilisateur ou association).",
+          parameters: [
+            {
+              name: "invoiceNumber",
+              in: "path",
+              required: true,
+              schema: { type: "string", example: "FA-2026-000001" },
+            },
+            {
+              name: "userId",
+              in: "query",
+              required: false,
+              schema: { type: "string", format: "uuid" },
+            },
+            {
+              name: "associationId",
+              in: "query",
+              required: false,
+              schema: { type: "string" },
+            },
+          ],
+          responses: {
+            200: {
+              description: "Document PDF",
+              content: {
+                "application/pdf": {
+                  schema: { type: "string", format: "binary" },
+                },
+              },
+            },
+            400: {
+              description: "userId ou associationId manquant",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/ErrorResponse" },
+                },
+              },
+            },
+            404: {
+              description: "Facture introuvable",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/ErrorResponse" },
+                },
+              },
+            },
+          },
+        },
+      },
+
       "/create-checkout-session": {
         post: {
           tags: ["Membership"],
@@ -577,6 +781,15 @@ const options = {
                       type: "string",
                       description: "ID de l'association (si applicable)",
                     },
+                    autoRenew: {
+                      type: "boolean",
+                      description:
+                        "Abonnement annuel à renouvellement automatique (équivaut à type membership_subscription)",
+                    },
+                    couponCode: {
+                      type: "string",
+                      description: "Code promo (optionnel)",
+                    },
                   },
                 },
               },
@@ -670,11 +883,63 @@ const options = {
         },
       },
 
+      "/memberships/{membershipId}/cancel-auto-renew": {
+        post: {
+          tags: ["Membership"],
+          summary: "Désactivation du renouvellement automatique",
+          description:
+            "Annule l'abonnement Stripe à la fin de la période payée. L'adhésion reste valable jusqu'à sa date de fin",
+          parameters: [
+            {
+              name: "membershipId",
+              in: "path",
+              required: true,
+              schema: { type: "integer" },
+              description: "ID de l'adhésion",
+            },
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    userId: { type: "string", format: "uuid" },
+                    associationId: { type: "string", format: "uuid" },
+                  },
+                },
+              },
+            },
+          },
+          responses: {
+            200: { description: "Renouvellement automatique désactivé" },
+            403: {
+              description: "Adhésion d'un autre titulaire",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/ErrorResponse" },
+                },
+              },
+            },
+            409: {
+              description: "Adhésion sans abonnement",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/ErrorResponse" },
+                },
+              },
+            },
+          },
+        },
+      },
+
       "/membership-status/{userId}/{userType}": {
         get: {
           tags: ["Membership"],
           summary: "Vérification du statut d'adhésion",
-          description: "Vérifie le statut d'adhésion d'un utilisateur",
+          description:
+            "Statut d'adhésion calculé à partir des dates des adhésions : forfait actif, jours restants, délai de grâce et éligibilité au renouvellement. Un utilisateur peut être couvert par l'adhésion d'une association",
           parameters: [
             {
               name: "userId",
@@ -689,9 +954,9 @@ const options = {
               required: true,
               schema: {
                 type: "string",
-                enum: ["individual", "student", "association"],
+                enum: ["user", "association"],
               },
-              description: "Type d'utilisateur",
+              description: "Type de titulaire",
             },
           ],
           responses: {
@@ -723,46 +988,57 @@ const options = {
         },
       },
 
-      "/receipt/{invoiceId}": {
-        get: {
+      "/memberships/{membershipId}/renew": {
+        post: {
           tags: ["Membership"],
-          summary: "Récupération d'un reçu",
-          description: "Récupère le reçu d'une facture Stripe",
+          summary: "Renouvellement d'une adhésion",
+          description:
+            "Crée une session de paiement pour le même forfait. La nouvelle période démarre à la fin de l'adhésion actuelle (ou maintenant si elle est expirée)",
           parameters: [
             {
-              name: "invoiceId",
+              name: "membershipId",
               in: "path",
               required: true,
-              schema: { type: "string" },
-              description: "ID de la facture Stripe",
+              schema: { type: "integer" },
+              description: "ID de l'adhésion à renouveler",
             },
           ],
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    userId: { type: "string", format: "uuid" },
+                    associationId: { type: "string", format: "uuid" },
+                    successUrl: { type: "string" },
+                    cancelUrl: { type: "string" },
+                  },
+                },
+              },
+            },
+          },
           responses: {
-            200: {
-              description: "Reçu récupéré avec succès",
+            200: { description: "Session de paiement créée" },
+            403: {
+              description: "Adhésion d'un autre titulaire",
               content: {
                 "application/json": {
-                  schema: {
-                    type: "object",
-                    properties: {
-                      invoice: { type: "object" },
-                      receipt_url: { type: "string" },
-                      download_url: { type: "string" },
-                    },
-                  },
+                  schema: { $ref: "#/components/schemas/ErrorResponse" },
                 },
               },
             },
             404: {
-              description: "Facture non trouvée",
+              description: "Adhésion introuvable",
               content: {
                 "application/json": {
                   schema: { $ref: "#/components/schemas/ErrorResponse" },
                 },
               },
             },
-            500: {
-              description: "Erreur serveur",
+            409: {
+              description: "Adhésion déjà renouvelée, remboursée ou contestée",
               content: {
                 "application/json": {
                   schema: { $ref: "#/components/schemas/ErrorResponse" },
@@ -773,33 +1049,36 @@ const options = {
         },
       },
 
-      // === ENDPOINTS DE FORMATION ===
-      "/create-training-checkout": {
+      "/memberships/{membershipId}/change-tier": {
         post: {
-          tags: ["Training"],
-          summary: "Création d'une session de paiement pour formation",
+          tags: ["Membership"],
+          summary: "Changement de forfait d'une adhésion",
           description:
-            "Crée une session Stripe pour le paiement d'une formation avec réduction adhérent",
+            "Passe une adhésion individuelle en cours sur un autre forfait en conservant sa date de fin. La différence au prorata des jours restants est payée via une session Stripe ; une descente de gamme est appliquée immédiatement, sans remboursement",
+          parameters: [
+            {
+              name: "membershipId",
+              in: "path",
+              required: true,
+              schema: { type: "integer" },
+            },
+          ],
           requestBody: {
             required: true,
             content: {
               "application/json": {
                 schema: {
                   type: "object",
-                  required: ["priceId", "userId", "trainingId"],
+                  required: ["userId", "priceId"],
                   properties: {
+                    userId: { type: "string", format: "uuid" },
                     priceId: {
                       type: "string",
-                      description: "ID du prix de la formation",
-                    },
-                    userId: {
-                      type: "string",
-                      description: "ID de l'utilisateur",
-                    },
-                    trainingId: {
-                      type: "string",
-                      description: "ID de la formation",
+                      description:
+                        "Prix Stripe du forfait visé (le statut d'adhésion est celui du forfait au catalogue)",
                     },
+                    successUrl: { type: "string" },
+                    cancelUrl: { type: "string" },
                   },
                 },
               },
@@ -807,31 +1086,52 @@ const options = {
           },
           responses: {
             200: {
-              description: "Session créée avec succès",
+              description:
+                "Forfait changé (changed: true) ou session de paiement de la différence créée",
               content: {
                 "application/json": {
                   schema: {
                     type: "object",
                     properties: {
+                      success: { type: "boolean" },
+                      changed: { type: "boolean" },
+                      amount: { type: "number", example: 8.22 },
+                      remaining_days: { type: "integer" },
+                      membership_end: { type: "string", format: "date-time" },
                       sessionId: { type: "string" },
                       url: { type: "string" },
-                      finalPrice: { type: "number" },
-                      isMember: { type: "boolean" },
                     },
                   },
                 },
               },
             },
             400: {
-              description: "Paramètres manquants ou formation non trouvée",
+              description: "Forfait inconnu ou déjà souscrit, statut invalide",
               content: {
                 "application/json": {
                   schema: { $ref: "#/components/schemas/ErrorResponse" },
                 },
               },
             },
-            500: {
-              description: "Erreur serveur",
+            403: {
+              description: "Adhésion d'un autre titulaire",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/ErrorResponse" },
+                },
+              },
+            },
+            404: {
+              description: "Adhésion introuvable",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/ErrorResponse" },
+                },
+              },
+            },
+            409: {
+              description:
+                "Adhésion expirée, non payée ou à renouvellement automatique",
               content: {
                 "application/json": {
                   schema: { $ref: "#/components/schemas/ErrorResponse" },
@@ -842,46 +1142,796 @@ const options = {
         },
       },
 
-      "/check-training-purchase/{userId}/{trainingId}": {
-        get: {
-          tags: ["Training"],
-          summary: "Vérification d'un achat de formation",
+      "/association-seats/accept": {
+        post: {
+          tags: ["Membership"],
+          summary: "Acceptation d'une invitation",
           description:
-            "Vérifie si un utilisateur a acheté une formation spécifique",
-          parameters: [
-            {
-              name: "userId",
-              in: "path",
-              required: true,
-              schema: { type: "string" },
-              description: "ID de l'utilisateur",
-            },
-            {
-              name: "trainingId",
-              in: "path",
-              required: true,
-              schema: { type: "string" },
-              description: "ID de la formation",
+            "L'utilisateur (même email que l'invitation) est couvert par l'adhésion de l'association",
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  required: ["token", "userId"],
+                  properties: {
+                    token: { type: "string" },
+                    userId: { type: "string", format: "uuid" },
+                  },
+                },
+              },
+            },
+          },
+          responses: {
+            200: { description: "Invitation acceptée" },
+            403: {
+              description: "Invitation destinée à une autre adresse email",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/ErrorResponse" },
+                },
+              },
+            },
+            404: {
+              description: "Invitation introuvable",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/ErrorResponse" },
+                },
+              },
+            },
+            410: {
+              description: "Invitation expirée",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/ErrorResponse" },
+                },
+              },
+            },
+          },
+        },
+      },
+
+      "/associations/{associationId}/seats": {
+        get: {
+          tags: ["Membership"],
+          summary: "Places de l'association",
+          description:
+            "Membres couverts par l'adhésion de l'association et invitations en cours. Réservé au compte de l'association (jeton de session Supabase).",
+          security: [{ SupabaseSession: [] }],
+          parameters: [
+            {
+              name: "associationId",
+              in: "path",
+              required: true,
+              schema: { type: "string", format: "uuid" },
+            },
+          ],
+          responses: {
+            200: { description: "Places occupées et limite du forfait" },
+            401: {
+              description: "Authentification requise",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/ErrorResponse" },
+                },
+              },
+            },
+            403: {
+              description: "Accès réservé à l'association concernée",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/ErrorResponse" },
+                },
+              },
+            },
+          },
+        },
+        post: {
+          tags: ["Membership"],
+          summary: "Invitation d'un membre",
+          description:
+            "L'association invite un membre par email sur sa propre adhésion, dans la limite des places du forfait.",
+          security: [{ SupabaseSession: [] }],
+          parameters: [
+            {
+              name: "associationId",
+              in: "path",
+              required: true,
+              schema: { type: "string", format: "uuid" },
+            },
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  required: ["email"],
+                  properties: { email: { type: "string", format: "email" } },
+                },
+              },
+            },
+          },
+          responses: {
+            201: { description: "Invitation envoyée" },
+            401: {
+              description: "Authentification requise",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/ErrorResponse" },
+                },
+              },
+            },
+            403: {
+              description: "Accès réservé à l'association concernée",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/ErrorResponse" },
+                },
+              },
+            },
+            409: {
+              description:
+                "Aucune adhésion active, membre déjà invité ou places épuisées",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/ErrorResponse" },
+                },
+              },
+            },
+          },
+        },
+      },
+
+      "/associations/{associationId}/seats/{seatId}": {
+        delete: {
+          tags: ["Membership"],
+          summary: "Retrait d'un membre",
+          description:
+            "L'association retire l'un de ses membres ou annule une invitation : la place est libérée.",
+          security: [{ SupabaseSession: [] }],
+          parameters: [
+            {
+              name: "associationId",
+              in: "path",
+              required: true,
+              schema: { type: "string", format: "uuid" },
+            },
+            {
+              name: "seatId",
+              in: "path",
+              required: true,
+              schema: { type: "integer" },
+            },
+          ],
+          responses: {
+            200: { description: "Place libérée" },
+            401: {
+              description: "Authentification requise",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/ErrorResponse" },
+                },
+              },
+            },
+            403: {
+              description: "Accès réservé à l'association concernée",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/ErrorResponse" },
+                },
+              },
+            },
+            404: {
+              description: "Place introuvable pour cette association",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/ErrorResponse" },
+                },
+              },
+            },
+          },
+        },
+      },
+
+      "/receipt/{invoiceId}": {
+        get: {
+          tags: ["Membership"],
+          summary: "Récupération d'un reçu",
+          description: "Récupère le reçu d'une facture Stripe",
+          parameters: [
+            {
+              name: "invoiceId",
+              in: "path",
+              required: true,
+              schema: { type: "string" },
+              description: "ID de la facture Stripe",
+            },
+          ],
+          responses: {
+            200: {
+              description: "Reçu récupéré avec succès",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      invoice: { type: "object" },
+                      receipt_url: { type: "string" },
+                      download_url: { type: "string" },
+                    },
+                  },
+                },
+              },
+            },
+            404: {
+              description: "Facture non trouvée",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/ErrorResponse" },
+                },
+              },
+            },
+            500: {
+              description: "Erreur serveur",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/ErrorResponse" },
+                },
+              },
+            },
+          },
+        },
+      },
+
+      "/certificates/verify/{code}": {
+        get: {
+          tags: ["Certificates"],
+          summary: "Vérification d'un certificat de formation",
+          description:
+            "Vérifie l'authenticité d'un certificat de fin de formation à partir du code imprimé sur le PDF (route publique).",
+          parameters: [
+            {
+              name: "code",
+              in: "path",
+              required: true,
+              schema: { type: "string", example: "NPY-3F9A-C21B-7D04" },
+            },
+          ],
+          responses: {
+            200: {
+              description:
+                "Certificat authentique (valid: false s'il a été révoqué)",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      valid: { type: "boolean", example: true },
+                      verification_code: { type: "string" },
+                      holder_name: { type: "string" },
+                      training_full_name: { type: "string" },
+                      training_type: { type: "string", nullable: true },
+                      session_start: {
+                        type: "string",
+                        format: "date",
+                        nullable: true,
+                      },
+                      session_end: {
+                        type: "string",
+                        format: "date",
+                        nullable: true,
+                      },
+                      hours: { type: "number" },
+                      issued_at: { type: "string", format: "date-time" },
+                      revoked_at: {
+                        type: "string",
+                        format: "date-time",
+                        nullable: true,
+                      },
+                      revoked_reason: {
+                        type: "string",
+                        enum: ["refunded", "cancelled", "disputed"],
+                        nullable: true,
+                      },
+                    },
+                  },
+                },
+              },
+            },
+            404: {
+              description: "Certificat introuvable",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/ErrorResponse" },
+                },
+              },
+            },
+          },
+        },
+      },
+
+      // === ENDPOINTS DE FORMATION ===
+      "/coupons/validate": {
+        post: {
+          tags: ["Coupons"],
+          summary: "Validation d'un code promo",
+          description:
+            "Vérifie un code promo pour un produit et calcule le prix final (cumulé avec la réduction adhérent pour les formations)",
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  required: ["code", "priceId"],
+                  properties: {
+                    code: { type: "string", description: "Code promo" },
+                    priceId: {
+                      type: "string",
+                      description: "ID du prix Stripe (formation ou forfait)",
+                    },
+                    userId: {
+                      type: "string",
+                      description:
+                        "ID de l'utilisateur (pour la réduction adhérent)",
+                    },
+                  },
+                },
+              },
+            },
+          },
+          responses: {
+            200: {
+              description: "Code promo valide",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      valid: { type: "boolean" },
+                      code: { type: "string" },
+                      original_price: { type: "number" },
+                      member_discount: { type: "number" },
+                      coupon_discount: { type: "number" },
+                      final_price: { type: "number" },
+                    },
+                  },
+                },
+              },
+            },
+            400: {
+              description:
+                "Code promo invalide, expiré, épuisé ou non applicable",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/ErrorResponse" },
+                },
+              },
+            },
+            404: {
+              description: "Produit introuvable",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/ErrorResponse" },
+                },
+              },
+            },
+          },
+        },
+      },
+
+      "/create-training-checkout": {
+        post: {
+          tags: ["Training"],
+          summary: "Création d'une session de paiement pour formation",
+          description:
+            "Crée une session Stripe pour le paiement d'une formation avec réduction adhérent",
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  required: ["priceId", "userId", "trainingId"],
+                  properties: {
+                    priceId: {
+                      type: "string",
+                      description: "ID du prix de la formation",
+                    },
+                    userId: {
+                      type: "string",
+                      description: "ID de l'utilisateur",
+                    },
+                    trainingId: {
+                      type: "string",
+                      description: "ID de la formation",
+                    },
+                    sessionId: {
+                      type: "string",
+                      description:
+                        "ID de la session choisie (doit appartenir à la formation et être à venir)",
+                    },
+                    couponCode: {
+                      type: "string",
+                      description: "Code promo (optionnel)",
+                    },
+                  },
+                },
+              },
+            },
+          },
+          responses: {
+            200: {
+              description: "Session créée avec succès",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      sessionId: { type: "string" },
+                      url: { type: "string" },
+                      finalPrice: { type: "number" },
+                      isMember: { type: "boolean" },
+                    },
+                  },
+                },
+              },
+            },
+            409: {
+              description: "Formation complète (sold_out: true)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/ErrorResponse" },
+                },
+              },
+            },
+            400: {
+              description: "Paramètres manquants ou formation non trouvée",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/ErrorResponse" },
+                },
+              },
+            },
+            500: {
+              description: "Erreur serveur",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/ErrorResponse" },
+                },
+              },
+            },
+          },
+        },
+      },
+
+      "/check-training-purchase/{userId}/{trainingId}": {
+        get: {
+          tags: ["Training"],
+          summary: "Vérification d'un achat de formation",
+          description:
+            "Vérifie si un utilisateur a acheté une formation spécifique",
+          parameters: [
+            {
+              name: "userId",
+              in: "path",
+              required: true,
+              schema: { type: "string" },
+              description: "ID de l'utilisateur",
+            },
+            {
+              name: "trainingId",
+              in: "path",
+              required: true,
+              schema: { type: "string" },
+              description: "ID de la formation",
+            },
+          ],
+          responses: {
+            200: {
+              description: "Vérification effectuée",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      hasPurchased: { type: "boolean" },
+                      purchaseDate: { type: "string", format: "date-time" },
+                      details: { type: "object" },
+                    },
+                  },
+                },
+              },
+            },
+            500: {
+              description: "Erreur serveur",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/ErrorResponse" },
+                },
+              },
+            },
+          },
+        },
+      },
+
+      "/trainings/purchases/{purchaseId}/refund-quote": {
+        get: {
+          tags: ["Training"],
+          summary: "Aperçu du remboursement avant annulation",
+          description:
+            "Calcule le remboursement exact (au centime) si l'utilisateur annule maintenant, selon la politique de la formation : dérogation admin, exception accordée ou palier selon le délai avant la session.",
+          parameters: [
+            {
+              name: "purchaseId",
+              in: "path",
+              required: true,
+              schema: { type: "integer" },
+            },
+            {
+              name: "userId",
+              in: "query",
+              required: true,
+              schema: { type: "string" },
             },
           ],
           responses: {
             200: {
-              description: "Vérification effectuée",
+              description: "Devis de remboursement",
               content: {
                 "application/json": {
                   schema: {
                     type: "object",
                     properties: {
-                      hasPurchased: { type: "boolean" },
-                      purchaseDate: { type: "string", format: "date-time" },
-                      details: { type: "object" },
+                      days_until: { type: "integer", nullable: true },
+                      refund_percent: { type: "number" },
+                      rule: {
+                        type: "string",
+                        enum: ["tier", "exception", "override", "no_session"],
+                      },
+                      rule_label: { type: "string" },
+                      amount_paid: { type: "number" },
+                      refund_amount: { type: "number" },
                     },
                   },
                 },
               },
             },
-            500: {
-              description: "Erreur serveur",
+            404: {
+              description: "Achat introuvable",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/ErrorResponse" },
+                },
+              },
+            },
+            409: {
+              description:
+                "Achat déjà remboursé ou annulé, ou formation commencée (présence enregistrée)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/ErrorResponse" },
+                },
+              },
+            },
+          },
+        },
+      },
+
+      "/trainings/purchases/{purchaseId}/attendance": {
+        get: {
+          tags: ["Training"],
+          summary: "Présences et heures consommées",
+          description:
+            "Présence de l'apprenant sur chaque jour de sa session, heures consommées et statut de complétion de l'achat.",
+          parameters: [
+            {
+              name: "purchaseId",
+              in: "path",
+              required: true,
+              schema: { type: "integer" },
+            },
+            {
+              name: "userId",
+              in: "query",
+              required: true,
+              schema: { type: "string" },
+            },
+          ],
+          responses: {
+            200: {
+              description: "Récapitulatif de présence",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      completion_status: {
+                        type: "string",
+                        enum: ["not_started", "in_progress", "completed"],
+                      },
+                      completed_at: {
+                        type: "string",
+                        format: "date-time",
+                        nullable: true,
+                      },
+                      hours_purchased: { type: "number" },
+                      hours_consumed: { type: "number" },
+                      hours_remaining: { type: "number" },
+                      progress_percent: { type: "integer" },
+                      days: {
+                        type: "array",
+                        items: {
+                          type: "object",
+                          properties: {
+                            day_date: { type: "string", format: "date" },
+                            present: { type: "boolean" },
+                            hours: { type: "number" },
+                          },
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+            404: {
+              description: "Achat introuvable",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/ErrorResponse" },
+                },
+              },
+            },
+          },
+        },
+      },
+
+      "/trainings/purchases/{purchaseId}/transfer": {
+        post: {
+          tags: ["Training"],
+          summary: "Transfert vers une autre session",
+          description:
+            "Transfère un achat vers une autre session à venir de la même formation. Gratuit à 16 jours ou plus de la session d'origine (appliqué immédiatement), sinon des frais sont payés via une session Stripe et le transfert est appliqué au paiement.",
+          parameters: [
+            {
+              name: "purchaseId",
+              in: "path",
+              required: true,
+              schema: { type: "integer" },
+            },
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  required: ["userId", "targetSessionId"],
+                  properties: {
+                    userId: { type: "string" },
+                    targetSessionId: { type: "string" },
+                  },
+                },
+              },
+            },
+          },
+          responses: {
+            200: {
+              description:
+                "Transfert effectué (transferred: true) ou session de paiement des frais créée (url)",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      success: { type: "boolean" },
+                      transferred: { type: "boolean" },
+                      fee: { type: "number" },
+                      url: { type: "string" },
+                    },
+                  },
+                },
+              },
+            },
+            400: {
+              description: "Session visée invalide ou passée",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/ErrorResponse" },
+                },
+              },
+            },
+            409: {
+              description: "Achat non transférable ou session déjà commencée",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/ErrorResponse" },
+                },
+              },
+            },
+          },
+        },
+      },
+
+      "/trainings/{trainingId}/availability": {
+        get: {
+          tags: ["Training"],
+          summary: "Places disponibles d'une formation",
+          description:
+            "Capacité, places occupées (achats et réservations de checkout en cours) et places restantes",
+          parameters: [
+            {
+              name: "trainingId",
+              in: "path",
+              required: true,
+              schema: { type: "string" },
+            },
+          ],
+          responses: {
+            200: {
+              description: "Disponibilité de la formation",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      training_id: { type: "string" },
+                      capacity: { type: "integer", nullable: true },
+                      taken: { type: "integer" },
+                      available: { type: "integer", nullable: true },
+                      sold_out: { type: "boolean" },
+                    },
+                  },
+                },
+              },
+            },
+            404: {
+              description: "Formation introuvable",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/ErrorResponse" },
+                },
+              },
+            },
+          },
+        },
+      },
+
+      "/trainings/{trainingId}/waitlist": {
+        post: {
+          tags: ["Training"],
+          summary: "Inscription en liste d'attente",
+          description:
+            "Inscrit l'utilisateur en liste d'attente d'une formation complète. Un email lui est envoyé quand une annulation libère une place.",
+          parameters: [
+            {
+              name: "trainingId",
+              in: "path",
+              required: true,
+              schema: { type: "string" },
+            },
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  required: ["userId"],
+                  properties: { userId: { type: "string" } },
+                },
+              },
+            },
+          },
+          responses: {
+            201: { description: "Inscription enregistrée (avec position)" },
+            409: {
+              description:
+                "Places encore disponibles ou utilisateur déjà inscrit",
               content: {
                 "application/json": {
                   schema: { $ref: "#/components/schemas/ErrorResponse" },
@@ -1101,72 +2151,6 @@ const options = {
         },
       },
 
-      "/create-invoice": {
-        post: {
-          tags: ["Payments"],
-          summary: "Création d'une facture",
-          description: "Crée une facture Stripe pour un paiement",
-          requestBody: {
-            required: true,
-            content: {
-              "application/json": {
-                schema: {
-                  type: "object",
-                  required: ["paymentIntentId", "customerId"],
-                  properties: {
-                    paymentIntentId: {
-                      type: "string",
-                      description: "ID du payment intent",
-                    },
-                    customerId: {
-                      type: "string",
-                      description: "ID du client Stripe",
-                    },
-                    description: {
-                      type: "string",
-                      description: "Description de la facture",
-                    },
-                  },
-                },
-              },
-            },
-          },
-          responses: {
-            200: {
-              description: "Facture créée avec succès",
-              content: {
-                "application/json": {
-                  schema: {
-                    type: "object",
-                    properties: {
-                      success: { type: "boolean" },
-                      invoice: { type: "object" },
-                      invoiceId: { type: "string" },
-                    },
-                  },
-                },
-              },
-            },
-            400: {
-              description: "Paramètres manquants",
-              content: {
-                "application/json": {
-                  schema: { $ref: "#/components/schemas/ErrorResponse" },
-                },
-              },
-            },
-            500: {
-              description: "Erreur serveur",
-              content: {
-                "application/json": {
-                  schema: { $ref: "#/components/schemas/ErrorResponse" },
-                },
-              },
-            },
-          },
-        },
-      },
-
       // === ENDPOINTS UTILITAIRES ===
       "/send-newsletter": {
         post: {
@@ -1286,6 +2270,18 @@ const options = {
         name: "Training",
         description: "Gestion des formations et paiements de formation",
       },
+      {
+        name: "Coupons",
+        description: "Codes promo applicables aux formations et adhésions",
+      },
+      {
+        name: "Certificates",
+        description: "Certificats de fin de formation",
+      },
+      {
+        name: "Invoices",
+        description: "Registre des factures et avoirs",
+      },
       {
         name: "Payments",
         description: "Gestion générique des paiements et webhooks Stripe",
@@ -0,0 +1,140 @@
+// Variables d'environnement de test (avant tout chargement de module)
+process.env.STRIPE_SECRET_KEY = "sk_test_local";
+
+jest.mock("./config/database", () => ({ supabase: {} }));
+
+const { supabase } = require("./config/database");
+const {
+  normalizeCouponCode,
+  validateCoupon,
+  applyCouponToSession,
+  getSessionCoupon,
+} = require("./coupons/couponService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const baseCoupon = {
+  coupon_id: 4,
+  code: "RENTREE26",
+  active: true,
+  percent_off: 20,
+  amount_off: null,
+  applies_to: "all",
+  price_ids: null,
+  max_redemptions: null,
+  expires_at: null,
+  stripe_promotion_code_id: "promo_123",
+};
+
+/**
+ * Simule les tables coupons et coupon_redemptions
+ */
+function mockCouponTables(coupon, redemptions = 0) {
+  supabase.from = jest.fn((table) => {
+    if (table === "coupons") {
+      return {
+        select: () => ({
+          eq: () => ({
+            maybeSingle: async () => ({ data: coupon, error: null }),
+          }),
+        }),
+      };
+    }
+    return {
+      select: () => ({
+        eq: async () => ({ count: redemptions, error: null }),
+      }),
+    };
+  });
+}
+
+describe("validateCoupon", () => {
+  const target = { priceId: "price_training", kind: "training" };
+
+  test("normalizes the code before lookup", async () => {
+    mockCouponTables(baseCoupon);
+
+    await expect(validateCoupon("  rentree26 ", target)).resolves.toBe(
+      baseCoupon
+    );
+    expect(normalizeCouponCode("  rentree26 ")).toBe("RENTREE26");
+  });
+
+  test.each([
+    ["it is unknown", null, "Code promo invalide"],
+    ["it is inactive", { ...baseCoupon, active: false }, "Code promo invalide"],
+    [
+      "it has expired",
+      {
+        ...baseCoupon,
+        expires_at: new Date(Date.now() - DAY_MS).toISOString(),
+      },
+      "Code promo expiré",
+    ],
+    [
+      "it is scoped to another kind",
+      { ...baseCoupon, applies_to: "membership" },
+      "Code promo non applicable à ce produit",
+    ],
+    [
+      "it is restricted to other prices",
+      { ...baseCoupon, price_ids: ["price_other"] },
+      "Code promo non applicable à ce produit",
+    ],
+  ])("rejects the coupon with 400 when %s", async (_label, coupon, message) => {
+    mockCouponTables(coupon);
+
+    await expect(validateCoupon("RENTREE26", target)).rejects.toMatchObject({
+      status: 400,
+      message,
+    });
+  });
+
+  test("rejects a coupon whose redemptions are exhausted", async () => {
+    mockCouponTables({ ...baseCoupon, max_redemptions: 3 }, 3);
+
+    await expect(validateCoupon("RENTREE26", target)).rejects.toMatchObject({
+      status: 400,
+      message: "Code promo épuisé",
+    });
+  });
+
+  test("accepts a coupon with redemptions left", async () => {
+    const coupon = { ...baseCoupon, max_redemptions: 3 };
+    mockCouponTables(coupon, 2);
+
+    await expect(validateCoupon("RENTREE26", target)).resolves.toBe(coupon);
+  });
+});
+
+describe("applyCouponToSession", () => {
+  test("adds the promotion code and keeps existing metadata", () => {
+    const config = applyCouponToSession(
+      { mode: "payment", metadata: { type: "training", userId: "u1" } },
+      baseCoupon
+    );
+
+    expect(config.discounts).toEqual([{ promotion_code: "promo_123" }]);
+    expect(config.metadata).toEqual({
+      type: "training",
+      userId: "u1",
+      couponId: "4",
+      couponCode: "RENTREE26",
+    });
+  });
+});
+
+describe("getSessionCoupon", () => {
+  test("returns the discount applied by Stripe in euros", () => {
+    expect(
+      getSessionCoupon(
+        { couponId: "4" },
+        { total_details: { amount_discount: 5000 } }
+      )
+    ).toEqual({ coupon_id: 4, coupon_discount: 50 });
+  });
+
+  test("returns null when no coupon was applied", () => {
+    expect(getSessionCoupon({}, {})).toBeNull();
+  });
+});
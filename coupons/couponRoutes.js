@@ -0,0 +1,145 @@
+const express = require("express");
+const router = express.Router();
+
+const { logWithTimestamp } = require("../shared/logger");
+const { requireAdmin } = require("../shared/middleware");
+const { getCatalogEntry } = require("../catalog/catalogService");
+const {
+  calculateDiscountedPrice,
+  applyCouponDiscount,
+} = require("../shared/pricing");
+const { checkIfUserIsMember } = require("../memberships/membershipService");
+const {
+  createCoupon,
+  listCoupons,
+  deactivateCoupon,
+  validateCoupon,
+} = require("./couponService");
+
+/**
+ * POST /coupons/validate
+ * Vérifie un code promo et calcule le prix obtenu (cumulé avec la réduction adhérent)
+ * Body: { code, priceId, userId? }
+ */
+router.post("/coupons/validate", async (req, res) => {
+  const { code, priceId, userId } = req.body;
+
+  if (!code || !priceId) {
+    return res.status(400).json({ error: "code et priceId requis" });
+  }
+
+  try {
+    const product = await getCatalogEntry(priceId);
+    if (!product || !product.active) {
+      return res.status(404).json({ error: "Produit introuvable" });
+    }
+
+    const coupon = await validateCoupon(code, {
+      priceId,
+      kind: product.kind,
+    });
+
+    const basePrice = product.base_price;
+    let finalPrice;
+    let memberDiscount = 0;
+
+    if (product.kind === "training") {
+      const isMember = userId ? await checkIfUserIsMember(userId) : false;
+      memberDiscount = isMember ? product.member_discount : 0;
+      finalPrice = calculateDiscountedPrice(product, isMember, coupon);
+    } else {
+      finalPrice = applyCouponDiscount(basePrice, coupon).finalAmount;
+    }
+
+    res.json({
+      valid: true,
+      code: coupon.code,
+      description: coupon.description,
+      original_price: basePrice,
+      member_discount: memberDiscount,
+      coupon_discount:
+        Math.round((basePrice - memberDiscount - finalPrice) * 100) / 100,
+      final_price: finalPrice,
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ valid: false, error: error.message });
+    }
+
+    logWithTimestamp("error", "Erreur validation code promo", {
+      code,
+      priceId,
+      error: error.message,
+    });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /admin/coupons
+ * Liste les codes promo et leur nombre d'utilisations (admin)
+ * Query: includeInactive? (true|false)
+ */
+router.get("/admin/coupons", requireAdmin, async (req, res) => {
+  try {
+    const coupons = await listCoupons({
+      includeInactive: req.query.includeInactive === "true",
+    });
+    res.json({ success: true, count: coupons.length, coupons });
+  } catch (error) {
+    logWithTimestamp("error", "❌ Erreur liste codes promo", {
+      error: error.message,
+    });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /admin/coupons
+ * Crée un code promo (admin)
+ * Body: { code, percent_off | amount_off, applies_to?, price_ids?, max_redemptions?, expires_at?, description? }
+ */
+router.post("/admin/coupons", requireAdmin, async (req, res) => {
+  logWithTimestamp("info", "=== CRÉATION CODE PROMO ===", {
+    code: req.body.code,
+    adminId: req.adminId,
+  });
+
+  try {
+    const coupon = await createCoupon(req.body, req.adminId);
+    res.status(201).json({ success: true, coupon });
+  } catch (error) {
+    logWithTimestamp("error", "❌ Erreur création code promo", {
+      code: req.body.code,
+      error: error.message,
+    });
+    res
+      .status(error.status || 500)
+      .json({ error: error.message, errors: error.errors });
+  }
+});
+
+/**
+ * POST /admin/coupons/:couponId/deactivate
+ * Désactive un code promo (admin)
+ */
+router.post(
+  "/admin/coupons/:couponId/deactivate",
+  requireAdmin,
+  async (req, res) => {
+    const { couponId } = req.params;
+
+    try {
+      const coupon = await deactivateCoupon(Number(couponId), req.adminId);
+      res.json({ success: true, coupon });
+    } catch (error) {
+      logWithTimestamp("error", "❌ Erreur désactivation code promo", {
+        couponId,
+        error: error.message,
+      });
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,354 @@
+const { supabase } = require("../config/database");
+const { stripe } = require("../config/stripe");
+const { logWithTimestamp } = require("../shared/logger");
+
+const COUPON_SCOPES = ["all", "training", "membership"];
+
+/**
+ * Normalise un code promo saisi (majuscules, sans espaces)
+ * @param {string} code - Code saisi
+ * @returns {string} Code normalisé
+ */
+function normalizeCouponCode(code) {
+  return String(code || "")
+    .trim()
+    .toUpperCase();
+}
+
+/**
+ * Valide les données de création d'un code promo
+ * @param {object} input - Données reçues
+ * @returns {object} Données normalisées
+ */
+function sanitizeCouponInput(input = {}) {
+  const errors = [];
+  const code = normalizeCouponCode(input.code);
+
+  if (!/^[A-Z0-9_-]{3,40}$/.test(code)) {
+    errors.push("code invalide (3 à 40 caractères A-Z, 0-9, _ ou -)");
+  }
+
+  const percentOff =
+    input.percent_off !== undefined ? Number(input.percent_off) : null;
+  const amountOff =
+    input.amount_off !== undefined ? Number(input.amount_off) : null;
+
+  if ((percentOff === null) === (amountOff === null)) {
+    errors.push("percent_off ou amount_off requis (un seul des deux)");
+  }
+  if (percentOff !== null && !(percentOff > 0 && percentOff <= 100)) {
+    errors.push("percent_off invalide");
+  }
+  if (amountOff !== null && !(amountOff > 0)) {
+    errors.push("amount_off invalide");
+  }
+
+  const appliesTo = input.applies_to || "all";
+  if (!COUPON_SCOPES.includes(appliesTo)) {
+    errors.push(`applies_to invalide (${COUPON_SCOPES.join(", ")})`);
+  }
+
+  const priceIds = input.price_ids?.length ? input.price_ids : null;
+  if (priceIds && !Array.isArray(priceIds)) {
+    errors.push("price_ids doit être une liste");
+  }
+
+  const maxRedemptions =
+    input.max_redemptions !== undefined && input.max_redemptions !== null
+      ? Number(input.max_redemptions)
+      : null;
+  if (
+    maxRedemptions !== null &&
+    !(Number.isInteger(maxRedemptions) && maxRedemptions > 0)
+  ) {
+    errors.push("max_redemptions invalide");
+  }
+
+  const expiresAt = input.expires_at ? new Date(input.expires_at) : null;
+  if (expiresAt && (isNaN(expiresAt.getTime()) || expiresAt <= new Date())) {
+    errors.push("expires_at invalide (date future attendue)");
+  }
+
+  if (errors.length > 0) {
+    throw Object.assign(
+      new Error(`Code promo invalide: ${errors.join(", ")}`),
+      { status: 400, errors }
+    );
+  }
+
+  return {
+    code,
+    description: input.description || null,
+    percent_off: percentOff,
+    amount_off: amountOff,
+    applies_to: appliesTo,
+    price_ids: priceIds,
+    max_redemptions: maxRedemptions,
+    expires_at: expiresAt ? expiresAt.toISOString() : null,
+  };
+}
+
+/**
+ * Crée un code promo et son équivalent Stripe (coupon + promotion code)
+ * @param {object} input - Données du code promo
+ * @param {string} adminId - Administrateur à l'origine de la création
+ * @returns {Promise<object>} Code promo créé
+ */
+async function createCoupon(input, adminId) {
+  const data = sanitizeCouponInput(input);
+
+  const { data: existing, error: existingError } = await supabase
+    .from("coupons")
+    .select("coupon_id")
+    .eq("code", data.code)
+    .maybeSingle();
+
+  if (existingError) throw existingError;
+  if (existing) {
+    throw Object.assign(new Error("Ce code promo existe déjà"), {
+      status: 409,
+    });
+  }
+
+  const redeemBy = data.expires_at
+    ? Math.floor(new Date(data.expires_at).getTime() / 1000)
+    : undefined;
+
+  const stripeCoupon = await stripe.coupons.create({
+    name: data.code,
+    duration: "once",
+    ...(data.percent_off
+      ? { percent_off: data.percent_off }
+      : { amount_off: Math.round(data.amount_off * 100), currency: "eur" }),
+    ...(data.max_redemptions && { max_redemptions: data.max_redemptions }),
+    ...(redeemBy && { redeem_by: redeemBy }),
+  });
+
+  const promotionCode = await stripe.promotionCodes.create({
+    coupon: stripeCoupon.id,
+    code: data.code,
+    ...(data.max_redemptions && { max_redemptions: data.max_redemptions }),
+    ...(redeemBy && { expires_at: redeemBy }),
+  });
+
+  const { data: coupon, error } = await supabase
+    .from("coupons")
+    .insert({
+      ...data,
+      stripe_coupon_id: stripeCoupon.id,
+      stripe_promotion_code_id: promotionCode.id,
+      created_by: adminId,
+    })
+    .select()
+    .single();
+
+  if (error) {
+    // Ne pas laisser un code utilisable côté Stripe sans équivalent local
+    await stripe.promotionCodes
+      .update(promotionCode.id, { active: false })
+      .catch(() => null);
+    throw error;
+  }
+
+  logWithTimestamp("info", "🏷️ Code promo créé", {
+    couponId: coupon.coupon_id,
+    code: coupon.code,
+    adminId,
+  });
+
+  return coupon;
+}
+
+/**
+ * Compte les utilisations d'un code promo
+ * @param {number} couponId - ID du code promo
+ * @returns {Promise<number>} Nombre d'utilisations
+ */
+async function countCouponRedemptions(couponId) {
+  const { count, error } = await supabase
+    .from("coupon_redemptions")
+    .select("id", { count: "exact", head: true })
+    .eq("coupon_id", couponId);
+
+  if (error) throw error;
+  return count || 0;
+}
+
+/**
+ * Liste les codes promo avec leur nombre d'utilisations
+ * @param {object} filters - Filtres
+ * @param {boolean} filters.includeInactive - Inclut les codes désactivés
+ * @returns {Promise<Array<object>>} Codes promo
+ */
+async function listCoupons({ includeInactive = false } = {}) {
+  let query = supabase
+    .from("coupons")
+    .select("*")
+    .order("created_at", { ascending: false });
+
+  if (!includeInactive) query = query.eq("active", true);
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  return Promise.all(
+    (data || []).map(async (coupon) => ({
+      ...coupon,
+      times_redeemed: await countCouponRedemptions(coupon.coupon_id),
+    }))
+  );
+}
+
+/**
+ * Désactive un code promo (localement et dans Stripe)
+ * @param {number} couponId - ID du code promo
+ * @param {string} adminId - Administrateur à l'origine de la désactivation
+ * @returns {Promise<object>} Code promo désactivé
+ */
+async function deactivateCoupon(couponId, adminId) {
+  const { data: coupon, error } = await supabase
+    .from("coupons")
+    .update({ active: false, updated_at: new Date().toISOString() })
+    .eq("coupon_id", couponId)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!coupon) {
+    throw Object.assign(new Error("Code promo introuvable"), { status: 404 });
+  }
+
+  if (coupon.stripe_promotion_code_id) {
+    await stripe.promotionCodes.update(coupon.stripe_promotion_code_id, {
+      active: false,
+    });
+  }
+
+  logWithTimestamp("info", "🏷️ Code promo désactivé", {
+    couponId,
+    code: coupon.code,
+    adminId,
+  });
+
+  return coupon;
+}
+
+/**
+ * Vérifie qu'un code promo est utilisable pour un produit
+ * @param {string} code - Code saisi
+ * @param {object} target - Produit visé
+ * @param {string} target.priceId - ID du prix Stripe (formation ou forfait)
+ * @param {string} target.kind - "training" ou "membership"
+ * @returns {Promise<object>} Code promo valide
+ */
+async function validateCoupon(code, { priceId, kind }) {
+  const normalizedCode = normalizeCouponCode(code);
+
+  const { data: coupon, error } = await supabase
+    .from("coupons")
+    .select("*")
+    .eq("code", normalizedCode)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  const reject = (message) =>
+    Object.assign(new Error(message), { status: 400, code: normalizedCode });
+
+  if (!coupon || !coupon.active) throw reject("Code promo invalide");
+
+  if (coupon.expires_at && new Date(coupon.expires_at) <= new Date()) {
+    throw reject("Code promo expiré");
+  }
+
+  if (coupon.applies_to !== "all" && coupon.applies_to !== kind) {
+    throw reject("Code promo non applicable à ce produit");
+  }
+  if (coupon.price_ids && !coupon.price_ids.includes(priceId)) {
+    throw reject("Code promo non applicable à ce produit");
+  }
+
+  if (coupon.max_redemptions) {
+    const redemptions = await countCouponRedemptions(coupon.coupon_id);
+    if (redemptions >= coupon.max_redemptions) {
+      throw reject("Code promo épuisé");
+    }
+  }
+
+  return coupon;
+}
+
+/**
+ * Applique un code promo validé à une configuration de session Stripe
+ * @param {object} sessionConfig - Configuration de la session checkout
+ * @param {object} coupon - Code promo validé
+ * @returns {object} Configuration modifiée
+ */
+function applyCouponToSession(sessionConfig, coupon) {
+  sessionConfig.discounts = [
+    { promotion_code: coupon.stripe_promotion_code_id },
+  ];
+  sessionConfig.metadata = {
+    ...sessionConfig.metadata,
+    couponId: String(coupon.coupon_id),
+    couponCode: coupon.code,
+  };
+  return sessionConfig;
+}
+
+/**
+ * Récupère le code promo appliqué à une session complétée
+ * @param {object} metadata - Métadonnées de la session
+ * @param {object} session - Session Stripe
+ * @returns {{coupon_id: number, coupon_discount: number}|null} Colonnes à enregistrer
+ */
+function getSessionCoupon(metadata, session) {
+  if (!metadata?.couponId) return null;
+
+  return {
+    coupon_id: parseInt(metadata.couponId),
+    coupon_discount: (session?.total_details?.amount_discount || 0) / 100,
+  };
+}
+
+/**
+ * Enregistre l'utilisation d'un code promo (une seule fois par session)
+ * @param {object} session - Session Stripe complétée
+ * @returns {Promise<boolean>} True si une utilisation a été enregistrée
+ */
+async function recordCouponRedemption(session) {
+  const applied = getSessionCoupon(session.metadata, session);
+  if (!applied) return false;
+
+  const { error } = await supabase.from("coupon_redemptions").insert({
+    coupon_id: applied.coupon_id,
+    stripe_session_id: session.id,
+    user_id: session.metadata.userId || null,
+    association_id: session.metadata.associationId || null,
+    amount_discount: applied.coupon_discount,
+  });
+
+  if (error) {
+    if (error.code === "23505") return false;
+    throw error;
+  }
+
+  logWithTimestamp("info", "🏷️ Utilisation code promo enregistrée", {
+    couponId: applied.coupon_id,
+    sessionId: session.id,
+    discount: applied.coupon_discount,
+  });
+
+  return true;
+}
+
+module.exports = {
+  normalizeCouponCode,
+  createCoupon,
+  listCoupons,
+  deactivateCoupon,
+  validateCoupon,
+  applyCouponToSession,
+  getSessionCoupon,
+  recordCouponRedemption,
+};
@@ -0,0 +1,24 @@
+/**
+ * Module codes promo
+ * Exporte les services (validation, application au checkout) et les routes
+ */
+
+const {
+  validateCoupon,
+  applyCouponToSession,
+  getSessionCoupon,
+  recordCouponRedemption,
+} = require("./couponService");
+
+const couponRoutes = require("./couponRoutes");
+
+module.exports = {
+  // Services
+  validateCoupon,
+  applyCouponToSession,
+  getSessionCoupon,
+  recordCouponRedemption,
+
+  // Routes (pour montage dans createApp.js)
+  couponRoutes,
+};
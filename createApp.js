@@ -0,0 +1,117 @@
+const express = require("express");
+
+// Shared utilities imports
+const {
+  corsMiddleware,
+  errorHandler,
+  notFoundHandler,
+} = require("./shared/middleware");
+
+// Business logic imports
+const membershipRoutes = require("./memberships/membershipRoutes");
+const { trainingRoutes } = require("./trainings");
+const { healthRoutes } = require("./health");
+const { contactRoutes } = require("./contact");
+const { preventionRoutes } = require("./prevention");
+const { paymentRoutes, webhookRoutes } = require("./payments");
+const { newsletterRoutes } = require("./newsletter");
+const { debugRoutes } = require("./debug");
+const { catalogRoutes } = require("./catalog");
+const { couponRoutes } = require("./coupons");
+const { certificateRoutes } = require("./certificates");
+const { invoiceRoutes } = require("./invoices");
+const { accountingRoutes } = require("./accounting");
+const { jobRoutes } = require("./jobs");
+
+const { specs, swaggerUi } = require("./config/swagger");
+
+/**
+ * Construit l'application Express (sans la démarrer)
+ * Utilisée par startServer() et par les tests d'intégration
+ * @returns {import("express").Express} Application configurée
+ */
+function createApp() {
+  const app = express();
+
+  // Swagger documentation
+  app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(specs));
+
+  // ========================
+  // WEBHOOKS (CORPS BRUT)
+  // ========================
+
+  // IMPORTANT: Les webhooks Stripe doivent être montés AVANT express.json()
+  // pour que la signature soit vérifiée sur le corps brut de la requête
+  app.use("/", webhookRoutes);
+
+  // ========================
+  // MIDDLEWARES
+  // ========================
+
+  app.use(express.json());
+
+  // Configuration CORS
+  app.use(corsMiddleware);
+
+  // ========================
+  // ROUTES MODULAIRES
+  // ========================
+
+  // Routes des adhésions
+  app.use("/", membershipRoutes);
+
+  // Routes des formations
+  app.use("/", trainingRoutes);
+
+  // Routes de santé
+  app.use("/", healthRoutes);
+
+  // Routes de contact
+  app.use("/", contactRoutes);
+
+  // Routes de prévention
+  app.use("/", preventionRoutes);
+
+  // Routes de paiement
+  app.use("/", paymentRoutes);
+
+  // Routes de newsletter
+  app.use("/", newsletterRoutes);
+
+  // Routes du catalogue produits (admin)
+  app.use("/", catalogRoutes);
+
+  // Routes des codes promo
+  app.use("/", couponRoutes);
+
+  // Routes des certificats de formation
+  app.use("/", certificateRoutes);
+
+  // Routes des factures
+  app.use("/", invoiceRoutes);
+
+  // Routes de l'export comptable (admin)
+  app.use("/", accountingRoutes);
+
+  // Routes de la file de tâches (cron, admin)
+  app.use("/", jobRoutes);
+
+  // Routes de debug/utils
+  app.use("/", debugRoutes);
+
+  // ========================
+  // GESTION D'ERREURS
+  // ========================
+
+  // Gestionnaire d'erreurs global
+  app.use(errorHandler);
+
+  // Route non trouvée
+  app.use("*", notFoundHandler);
+
+  return app;
+}
+
+module.exports = {
+  createApp,
+};
@@ -0,0 +1,28 @@
+const { sendEmail } = require("./emailCore");
+const { generateAdminPaymentAlertHTML } = require("./emailTemplates");
+const { CONTACT_EMAIL } = require("../config/email");
+const { logWithTimestamp } = require("../shared/logger");
+
+/**
+ * Envoie une alerte paiement (remboursement, litige, échec) à l'administration
+ * @param {object} alertData - Données de l'alerte (title, eventType, summary, details)
+ * @returns {Promise<boolean>} Succès de l'envoi
+ */
+async function sendAdminPaymentAlertEmail(alertData) {
+  try {
+    const subject = `[Paiements] ${alertData.title}`;
+    const html = generateAdminPaymentAlertHTML(alertData);
+
+    return await sendEmail(CONTACT_EMAIL, subject, html);
+  } catch (error) {
+    logWithTimestamp("error", "Erreur envoi alerte paiement admin", {
+      eventType: alertData.eventType,
+      error: error.message,
+    });
+    return false;
+  }
+}
+
+module.exports = {
+  sendAdminPaymentAlertEmail,
+};
@@ -6,9 +6,10 @@ const { logWithTimestamp } = require("../shared/logger");
  * @param {string} to - Email du destinataire
  * @param {string} subject - Sujet de l'email
  * @param {string} html - Contenu HTML de l'email
+ * @param {object} options - Options supplémentaires (attachments, etc.)
  * @returns {Promise<boolean>} Succès de l'envoi
  */
-async function sendEmail(to, subject, html) {
+async function sendEmail(to, subject, html, options = {}) {
   try {
     logWithTimestamp("info", "Envoi email", { to, subject });
 
@@ -22,6 +23,7 @@ async function sendEmail(to, subject, html) {
       to: to,
       subject: subject,
       html: html,
+      ...options,
     });
 
     if (result.data && result.data.id) {
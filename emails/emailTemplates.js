@@ -531,7 +531,7 @@ function generateAssociationMembershipConfirmationHTML(
         </ul>
       </div>
       
-      <p><strong>Important :</strong> Tous vos membres actuels et futurs bénéficient automatiquement de ces avantages. Aucune action supplémentaire n'est requise !</p>
+      <p><strong>Important :</strong> Invitez vos membres depuis votre espace association : chaque membre qui accepte l'invitation bénéficie de ces avantages pendant toute la durée de l'adhésion.</p>
       
       <p>Si vous avez des questions, n'hésitez pas à nous contacter.</p>
       
@@ -540,6 +540,79 @@ function generateAssociationMembershipConfirmationHTML(
   `;
 }
 
+/**
+ * Génère le HTML pour l'email de rappel de renouvellement d'adhésion
+ * @param {object} membershipData - Données de l'adhésion
+ * @param {number} daysLeft - Nombre de jours avant expiration
+ * @param {string} renewUrl - Lien de renouvellement
+ * @returns {string} HTML de l'email
+ */
+function generateMembershipRenewalReminderHTML(
+  membershipData,
+  daysLeft,
+  renewUrl
+) {
+  const delay = daysLeft <= 1 ? "demain" : `dans ${daysLeft} jours`;
+
+  return `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #333;">Votre adhésion expire ${delay}</h2>
+
+      <p>Votre adhésion Novapsy arrive bientôt à échéance. Pensez à la renouveler pour continuer à profiter de vos avantages, notamment les réductions sur nos formations.</p>
+
+      <div style="background-color: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <h3 style="margin-top: 0; color: #333;">Votre adhésion actuelle :</h3>
+        <p><strong>Début :</strong> ${new Date(
+          membershipData.membership_start
+        ).toLocaleDateString("fr-FR")}</p>
+        <p><strong>Fin :</strong> ${new Date(
+          membershipData.membership_end
+        ).toLocaleDateString("fr-FR")}</p>
+      </div>
+
+      <p style="text-align: center; margin: 30px 0;">
+        <a href="${renewUrl}" style="background-color: #333; color: #fff; padding: 12px 24px; border-radius: 6px; text-decoration: none;">Renouveler mon adhésion</a>
+      </p>
+
+      <p>Si vous avez des questions, n'hésitez pas à nous contacter.</p>
+
+      <p>Cordialement,<br>L'équipe Novapsy</p>
+    </div>
+  `;
+}
+
+/**
+ * Génère le HTML pour l'email d'invitation sur l'adhésion d'une association
+ * @param {object} invitationData - Données de l'invitation
+ * @param {string} invitationData.associationName - Nom de l'association
+ * @param {Date} invitationData.expiresAt - Fin de validité de l'invitation
+ * @param {string} invitationData.acceptUrl - Lien d'acceptation
+ * @returns {string} HTML de l'email
+ */
+function generateAssociationSeatInvitationHTML(invitationData) {
+  const { associationName, expiresAt, acceptUrl } = invitationData;
+
+  return `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #333;">${associationName} vous invite à rejoindre son adhésion</h2>
+
+      <p>L'association <strong>${associationName}</strong> est adhérente Novapsy et vous propose de bénéficier de son adhésion : vous profiterez notamment du tarif adhérent sur nos formations.</p>
+
+      <p>Connectez-vous avec cette adresse email pour accepter l'invitation, valable jusqu'au ${new Date(
+        expiresAt
+      ).toLocaleDateString("fr-FR")}.</p>
+
+      <p style="text-align: center; margin: 30px 0;">
+        <a href="${acceptUrl}" style="background-color: #333; color: #fff; padding: 12px 24px; border-radius: 6px; text-decoration: none;">J'accepte l'invitation</a>
+      </p>
+
+      <p>Si vous avez des questions, n'hésitez pas à nous contacter.</p>
+
+      <p>Cordialement,<br>L'équipe Novapsy</p>
+    </div>
+  `;
+}
+
 /**
  * Génère le HTML pour l'email de confirmation d'achat de formation
  * @param {object} purchaseData - Données de l'achat
@@ -580,6 +653,114 @@ function generateTrainingPurchaseConfirmationHTML(
   `;
 }
 
+/**
+ * Génère le HTML pour l'email de place libérée (liste d'attente formation)
+ * @param {object} waitlistData - Données de la liste d'attente
+ * @param {string} waitlistData.trainingName - Nom de la formation
+ * @param {number} waitlistData.available - Places disponibles
+ * @param {string} waitlistData.bookingUrl - Lien d'inscription
+ * @returns {string} HTML de l'email
+ */
+function generateTrainingWaitlistHTML(waitlistData) {
+  const { trainingName, available, bookingUrl } = waitlistData;
+
+  return `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #333;">Une place s'est libérée !</h2>
+
+      <p>Vous êtes inscrit(e) en liste d'attente pour la formation <strong>${trainingName}</strong> : ${
+        available > 1 ? `${available} places sont` : "une place est"
+      } de nouveau disponible${available > 1 ? "s" : ""}.</p>
+
+      <p>Les places sont attribuées aux premières personnes qui finalisent leur inscription, ne tardez pas.</p>
+
+      <p style="text-align: center; margin: 30px 0;">
+        <a href="${bookingUrl}" style="background-color: #333; color: #fff; padding: 12px 24px; border-radius: 6px; text-decoration: none;">Je m'inscris</a>
+      </p>
+
+      <p>Si vous avez des questions, n'hésitez pas à nous contacter.</p>
+
+      <p>Cordialement,<br>L'équipe Novapsy</p>
+    </div>
+  `;
+}
+
+/**
+ * Génère le HTML pour l'email de transfert de session de formation
+ * @param {object} transferData - Données du transfert
+ * @param {string} transferData.trainingName - Nom de la formation
+ * @param {Date|null} transferData.fromStart - Début de l'ancienne session
+ * @param {Array<Date>} transferData.newDays - Jours de la nouvelle session
+ * @param {number} transferData.fee - Frais de transfert payés
+ * @returns {string} HTML de l'email
+ */
+function generateTrainingTransferHTML(transferData) {
+  const { trainingName, fromStart, newDays = [], fee } = transferData;
+  const formatDay = (date) =>
+    new Date(date).toLocaleDateString("fr-FR", {
+      weekday: "long",
+      day: "numeric",
+      month: "long",
+      year: "numeric",
+    });
+
+  return `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #333;">Votre changement de session est confirmé</h2>
+
+      <p>Votre inscription à la formation <strong>${trainingName}</strong> a bien été transférée vers une nouvelle session.</p>
+
+      <div style="background-color: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <h3 style="margin-top: 0; color: #333;">Vos nouvelles dates :</h3>
+        ${
+          newDays.length > 0
+            ? `<ul>${newDays.map((day) => `<li>${formatDay(day)}</li>`).join("")}</ul>`
+            : "<p>Les dates vous seront communiquées prochainement.</p>"
+        }
+        ${
+          fromStart
+            ? `<p><strong>Ancienne session :</strong> à partir du ${formatDay(fromStart)}</p>`
+            : ""
+        }
+        ${fee > 0 ? `<p><strong>Frais de transfert :</strong> ${fee}€</p>` : ""}
+      </div>
+
+      <p>Si vous avez des questions, n'hésitez pas à nous contacter.</p>
+
+      <p>Cordialement,<br>L'équipe Novapsy</p>
+    </div>
+  `;
+}
+
+/**
+ * Génère le HTML pour l'email d'envoi du certificat de fin de formation
+ * @param {object} certificateData - Données du certificat
+ * @param {string} certificateData.trainingName - Intitulé de la formation
+ * @param {string} certificateData.verificationCode - Code de vérification
+ * @param {string} certificateData.verifyUrl - Adresse de vérification
+ * @returns {string} HTML de l'email
+ */
+function generateTrainingCertificateHTML(certificateData) {
+  const { trainingName, verificationCode, verifyUrl } = certificateData;
+
+  return `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #333;">Félicitations, votre formation est terminée !</h2>
+
+      <p>Vous avez suivi l'intégralité de la formation <strong>${trainingName}</strong>. Vous trouverez votre certificat en pièce jointe (PDF).</p>
+
+      <div style="background-color: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <p><strong>Code de vérification :</strong> ${verificationCode}</p>
+        <p>Toute personne peut vérifier l'authenticité de ce certificat à l'adresse suivante :<br><a href="${verifyUrl}">${verifyUrl}</a></p>
+      </div>
+
+      <p>Si vous avez des questions, n'hésitez pas à nous contacter.</p>
+
+      <p>Cordialement,<br>L'équipe Novapsy</p>
+    </div>
+  `;
+}
+
 /**
  * Génère le HTML pour l'email de remboursement de formation
  * @param {object} refundData - Données du remboursement
@@ -592,6 +773,7 @@ function generateTrainingRefundHTML(refundData) {
     refundPercent,
     daysUntil,
     sessionFirstDay,
+    refundRuleLabel,
     trainingDetails,
   } = refundData;
 
@@ -668,10 +850,11 @@ function generateTrainingRefundHTML(refundData) {
           <div style="background-color: ${isNoRefund ? "#fef2f2" : "#f0fdf4"}; border-left: 4px solid ${headerColor}; padding: 14px 18px; border-radius: 4px; margin: 20px 0;">
             <p style="margin: 0; color: #374151; font-size: 14px; line-height: 1.6;">
               ${refundDelayMessage}
+              ${refundRuleLabel ? `<br><strong>${refundRuleLabel}</strong>` : ""}
               ${isNoRefund
-                ? "<br>Conformément à nos conditions, aucun remboursement n'est possible à moins de 16 jours du début de la session."
+                ? "<br>Conformément aux conditions d'annulation de cette formation, aucun remboursement n'est applicable à ce stade."
                 : isPartialRefund
-                ? "<br>Conformément à nos conditions, un remboursement partiel de 80% est appliqué entre 16 et 30 jours avant la session."
+                ? `<br>Conformément aux conditions d'annulation de cette formation, un remboursement partiel de ${refundPercent}% est appliqué.`
                 : "<br>Votre remboursement intégral sera crédité sur votre moyen de paiement d'origine sous 5 à 10 jours ouvrés."}
             </p>
           </div>
@@ -701,6 +884,86 @@ function generateTrainingRefundHTML(refundData) {
   `;
 }
 
+/**
+ * Génère le HTML pour l'email de remboursement émis par l'administration
+ * @param {object} refundData - Données du remboursement
+ * @param {string} refundData.productLabel - Produit remboursé (ex. "Formation PSSM")
+ * @param {number} refundData.refundAmount - Montant remboursé
+ * @param {number} refundData.amountPaid - Montant payé initialement
+ * @param {boolean} refundData.isFullRefund - Remboursement du solde restant
+ * @param {string} refundData.consequence - Conséquence du remboursement (optionnel)
+ * @returns {string} HTML de l'email
+ */
+function generateRefundNotificationHTML(refundData) {
+  const { productLabel, refundAmount, amountPaid, isFullRefund, consequence } =
+    refundData;
+
+  return `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #333;">${isFullRefund ? "Remboursement effectué" : "Remboursement partiel effectué"}</h2>
+
+      <p>Nous vous confirmons le remboursement suivant :</p>
+
+      <div style="background-color: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <p><strong>Produit :</strong> ${productLabel}</p>
+        <p><strong>Montant payé :</strong> ${amountPaid}€</p>
+        <p><strong>Montant remboursé :</strong> ${refundAmount}€</p>
+        <p><strong>Date :</strong> ${new Date().toLocaleDateString("fr-FR")}</p>
+      </div>
+
+      ${consequence ? `<p>${consequence}</p>` : ""}
+
+      <p>Le remboursement sera crédité sur votre moyen de paiement d'origine sous 5 à 10 jours ouvrés.</p>
+
+      <p>Si vous avez des questions, n'hésitez pas à nous contacter.</p>
+
+      <p>Cordialement,<br>L'équipe Novapsy</p>
+    </div>
+  `;
+}
+
+/**
+ * Génère le HTML d'une alerte paiement envoyée à l'administration
+ * @param {object} alertData - Données de l'alerte
+ * @param {string} alertData.title - Titre de l'alerte
+ * @param {string} alertData.eventType - Type d'événement Stripe
+ * @param {string} alertData.summary - Résumé lisible
+ * @param {object} alertData.details - Détails clé/valeur
+ * @returns {string} HTML de l'email
+ */
+function generateAdminPaymentAlertHTML(alertData) {
+  const { title, eventType, summary, details = {} } = alertData;
+
+  const rows = Object.entries(details)
+    .filter(
+      ([, value]) => value !== undefined && value !== null && value !== ""
+    )
+    .map(
+      ([label, value]) => `
+        <tr>
+          <td style="padding: 6px 0; color: #6b7280; font-size: 14px;">${label}</td>
+          <td style="padding: 6px 0; color: #111827; font-size: 14px; text-align: right;">${value}</td>
+        </tr>`
+    )
+    .join("");
+
+  return `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #b91c1c;">⚠️ ${title}</h2>
+
+      <p>${summary}</p>
+
+      <div style="background-color: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <h3 style="margin-top: 0; color: #333;">Détails (${eventType}) :</h3>
+        <table style="width: 100%; border-collapse: collapse;">${rows}
+        </table>
+      </div>
+
+      <p style="color: #6b7280; font-size: 13px;">Alerte générée automatiquement le ${new Date().toLocaleString("fr-FR")} à partir des webhooks Stripe.</p>
+    </div>
+  `;
+}
+
 module.exports = {
   getPreventionThemeColors,
   generateContactEmailHTML,
@@ -708,6 +971,13 @@ module.exports = {
   generatePreventionRequestEmailHTML,
   generateMembershipConfirmationHTML,
   generateAssociationMembershipConfirmationHTML,
+  generateMembershipRenewalReminderHTML,
+  generateAssociationSeatInvitationHTML,
   generateTrainingPurchaseConfirmationHTML,
   generateTrainingRefundHTML,
+  generateTrainingWaitlistHTML,
+  generateTrainingTransferHTML,
+  generateTrainingCertificateHTML,
+  generateRefundNotificationHTML,
+  generateAdminPaymentAlertHTML,
 };
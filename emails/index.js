@@ -21,22 +21,39 @@ const {
   generatePreventionRequestEmailHTML,
   generateMembershipConfirmationHTML,
   generateAssociationMembershipConfirmationHTML,
+  generateMembershipRenewalReminderHTML,
+  generateAssociationSeatInvitationHTML,
   generateTrainingPurchaseConfirmationHTML,
   generateTrainingRefundHTML,
+  generateTrainingWaitlistHTML,
+  generateTrainingTransferHTML,
+  generateTrainingCertificateHTML,
+  generateRefundNotificationHTML,
+  generateAdminPaymentAlertHTML,
 } = require("./emailTemplates");
 
 // Membership emails
 const {
   sendMembershipConfirmationEmail,
   sendAssociationMembershipConfirmationEmail,
+  sendMembershipRenewalReminderEmail,
+  sendMembershipRefundEmail,
+  sendAssociationSeatInvitationEmail,
 } = require("./membershipEmails");
 
 // Training emails
 const {
   sendTrainingPurchaseConfirmationEmail,
   sendTrainingRefundEmail,
+  sendTrainingWaitlistEmail,
+  sendTrainingTransferEmail,
+  sendTrainingCertificateEmail,
+  sendTrainingRefundNotificationEmail,
 } = require("./trainingEmails");
 
+// Admin emails
+const { sendAdminPaymentAlertEmail } = require("./adminEmails");
+
 // Contact emails
 const { sendContactEmail } = require("./contactEmails");
 
@@ -69,14 +86,29 @@ module.exports = {
   generatePreventionRequestEmailHTML,
   generateMembershipConfirmationHTML,
   generateAssociationMembershipConfirmationHTML,
+  generateMembershipRenewalReminderHTML,
+  generateAssociationSeatInvitationHTML,
   generateTrainingPurchaseConfirmationHTML,
   generateTrainingRefundHTML,
+  generateTrainingWaitlistHTML,
+  generateTrainingTransferHTML,
+  generateTrainingCertificateHTML,
+  generateRefundNotificationHTML,
+  generateAdminPaymentAlertHTML,
 
   // Business functions
   sendMembershipConfirmationEmail,
   sendAssociationMembershipConfirmationEmail,
+  sendMembershipRenewalReminderEmail,
+  sendMembershipRefundEmail,
+  sendAssociationSeatInvitationEmail,
   sendTrainingPurchaseConfirmationEmail,
   sendTrainingRefundEmail,
+  sendTrainingWaitlistEmail,
+  sendTrainingTransferEmail,
+  sendTrainingCertificateEmail,
+  sendTrainingRefundNotificationEmail,
+  sendAdminPaymentAlertEmail,
   sendContactEmail,
   sendPreventionRequest,
   testPreventionRequest,
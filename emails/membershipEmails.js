@@ -2,8 +2,12 @@ const { sendEmail } = require("./emailCore");
 const {
   generateMembershipConfirmationHTML,
   generateAssociationMembershipConfirmationHTML,
+  generateMembershipRenewalReminderHTML,
+  generateAssociationSeatInvitationHTML,
+  generateRefundNotificationHTML,
 } = require("./emailTemplates");
 const { supabase } = require("../config/database");
+const { FRONTEND_URL } = require("../config/constants");
 const { logWithTimestamp } = require("../shared/logger");
 const { getMailByUser } = require("../shared/userUtils");
 
@@ -85,7 +89,143 @@ async function sendAssociationMembershipConfirmationEmail(
   }
 }
 
+/**
+ * Récupère l'email du titulaire d'une adhésion (utilisateur ou association)
+ * @param {object} holder - Titulaire ({ userId } ou { associationId })
+ * @returns {Promise<string|null>} Email du titulaire
+ */
+async function getHolderEmail(holder) {
+  if (holder.userId) {
+    return getMailByUser(holder.userId);
+  }
+
+  if (holder.associationId) {
+    const { data: association } = await supabase
+      .from("associations")
+      .select("association_mail")
+      .eq("association_id", holder.associationId)
+      .single();
+    return association?.association_mail || null;
+  }
+
+  return null;
+}
+
+/**
+ * Envoie un rappel de renouvellement au titulaire d'une adhésion
+ * @param {object} holder - Titulaire de l'adhésion ({ userId } ou { associationId })
+ * @param {object} membershipData - Données de l'adhésion
+ * @param {number} daysLeft - Nombre de jours avant expiration
+ * @returns {Promise<boolean>} Succès de l'envoi
+ */
+async function sendMembershipRenewalReminderEmail(
+  holder,
+  membershipData,
+  daysLeft
+) {
+  try {
+    const recipient = await getHolderEmail(holder);
+
+    if (!recipient) {
+      logWithTimestamp(
+        "warn",
+        "Email titulaire non trouvé pour rappel renouvellement",
+        { ...holder, membershipId: membershipData.membership_id }
+      );
+      return false;
+    }
+
+    const subject =
+      daysLeft <= 1
+        ? "Votre adhésion expire demain"
+        : `Votre adhésion expire dans ${daysLeft} jours`;
+    const html = generateMembershipRenewalReminderHTML(
+      membershipData,
+      daysLeft,
+      `${FRONTEND_URL}/pricing`
+    );
+
+    return await sendEmail(recipient, subject, html);
+  } catch (error) {
+    logWithTimestamp("error", "Erreur envoi rappel renouvellement adhésion", {
+      ...holder,
+      error: error.message,
+    });
+    return false;
+  }
+}
+
+/**
+ * Prévient le titulaire d'une adhésion d'un remboursement
+ * @param {object} holder - Titulaire de l'adhésion ({ userId } ou { associationId })
+ * @param {object} refundData - Données (refundAmount, amountPaid, isFullRefund, consequence)
+ * @returns {Promise<boolean>} Succès de l'envoi
+ */
+async function sendMembershipRefundEmail(holder, refundData) {
+  try {
+    const recipient = await getHolderEmail(holder);
+    if (!recipient) {
+      logWithTimestamp(
+        "warn",
+        "Email titulaire non trouvé pour remboursement adhésion",
+        holder
+      );
+      return false;
+    }
+
+    const subject = `Remboursement de ${refundData.refundAmount}€ - Adhésion Novapsy`;
+    const html = generateRefundNotificationHTML({
+      productLabel: "Adhésion Novapsy",
+      ...refundData,
+    });
+
+    return await sendEmail(recipient, subject, html);
+  } catch (error) {
+    logWithTimestamp("error", "Erreur envoi email remboursement adhésion", {
+      ...holder,
+      error: error.message,
+    });
+    return false;
+  }
+}
+
+/**
+ * Envoie l'invitation d'un membre sur l'adhésion d'une association
+ * @param {string} associationId - UUID de l'association
+ * @param {object} invitation - Invitation (email, expiresAt, acceptUrl)
+ * @returns {Promise<boolean>} Succès de l'envoi
+ */
+async function sendAssociationSeatInvitationEmail(associationId, invitation) {
+  try {
+    const { data: association } = await supabase
+      .from("associations")
+      .select("association_name")
+      .eq("association_id", associationId)
+      .single();
+
+    const associationName = association?.association_name || "Une association";
+    const subject = `Invitation à rejoindre l'adhésion de ${associationName}`;
+    const html = generateAssociationSeatInvitationHTML({
+      associationName,
+      expiresAt: invitation.expiresAt,
+      acceptUrl: invitation.acceptUrl,
+    });
+
+    return await sendEmail(invitation.email, subject, html);
+  } catch (error) {
+    logWithTimestamp("error", "Erreur envoi invitation adhésion association", {
+      associationId,
+      error: error.message,
+    });
+    return false;
+  }
+}
+
 module.exports = {
   sendMembershipConfirmationEmail,
   sendAssociationMembershipConfirmationEmail,
+  sendMembershipRenewalReminderEmail,
+  sendMembershipRefundEmail,
+  sendAssociationSeatInvitationEmail,
+  getHolderEmail,
 };
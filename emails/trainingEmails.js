@@ -2,6 +2,10 @@ const { sendEmail } = require("./emailCore");
 const {
   generateTrainingPurchaseConfirmationHTML,
   generateTrainingRefundHTML,
+  generateTrainingWaitlistHTML,
+  generateTrainingTransferHTML,
+  generateTrainingCertificateHTML,
+  generateRefundNotificationHTML,
 } = require("./emailTemplates");
 const { getMailByUser } = require("../shared/userUtils");
 const { logWithTimestamp } = require("../shared/logger");
@@ -78,7 +82,146 @@ async function sendTrainingRefundEmail(userId, refundData) {
   }
 }
 
+/**
+ * Prévient une personne en liste d'attente qu'une place s'est libérée
+ * @param {string} userId - UUID de l'utilisateur
+ * @param {object} waitlistData - Données (trainingName, available, bookingUrl)
+ * @returns {Promise<boolean>} Succès de l'envoi
+ */
+async function sendTrainingWaitlistEmail(userId, waitlistData) {
+  try {
+    const userEmail = await getMailByUser(userId);
+    if (!userEmail) {
+      logWithTimestamp(
+        "warn",
+        "Email utilisateur non trouvé pour liste d'attente formation",
+        { userId }
+      );
+      return false;
+    }
+
+    const subject = `Une place s'est libérée - Formation ${waitlistData.trainingName}`;
+    const html = generateTrainingWaitlistHTML(waitlistData);
+
+    return await sendEmail(userEmail, subject, html);
+  } catch (error) {
+    logWithTimestamp("error", "Erreur envoi email liste d'attente formation", {
+      userId,
+      error: error.message,
+    });
+    return false;
+  }
+}
+
+/**
+ * Envoie la confirmation d'un transfert de session avec les nouvelles dates
+ * @param {string} userId - UUID de l'utilisateur
+ * @param {object} transferData - Données (trainingName, fromStart, newDays, fee)
+ * @returns {Promise<boolean>} Succès de l'envoi
+ */
+async function sendTrainingTransferEmail(userId, transferData) {
+  try {
+    const userEmail = await getMailByUser(userId);
+    if (!userEmail) {
+      logWithTimestamp(
+        "warn",
+        "Email utilisateur non trouvé pour transfert formation",
+        { userId }
+      );
+      return false;
+    }
+
+    const subject = `Changement de session confirmé - Formation ${transferData.trainingName}`;
+    const html = generateTrainingTransferHTML(transferData);
+
+    return await sendEmail(userEmail, subject, html);
+  } catch (error) {
+    logWithTimestamp("error", "Erreur envoi email transfert formation", {
+      userId,
+      error: error.message,
+    });
+    return false;
+  }
+}
+
+/**
+ * Envoie le certificat de fin de formation (PDF en pièce jointe)
+ * @param {string} userId - UUID de l'utilisateur
+ * @param {object} certificateData - Données (trainingName, verificationCode, verifyUrl)
+ * @param {Buffer} pdf - Certificat au format PDF
+ * @returns {Promise<boolean>} Succès de l'envoi
+ */
+async function sendTrainingCertificateEmail(userId, certificateData, pdf) {
+  try {
+    const userEmail = await getMailByUser(userId);
+    if (!userEmail) {
+      logWithTimestamp(
+        "warn",
+        "Email utilisateur non trouvé pour certificat formation",
+        { userId }
+      );
+      return false;
+    }
+
+    const subject = `Votre certificat - Formation ${certificateData.trainingName}`;
+    const html = generateTrainingCertificateHTML(certificateData);
+
+    return await sendEmail(userEmail, subject, html, {
+      attachments: [
+        {
+          filename: `certificat-${certificateData.verificationCode}.pdf`,
+          content: pdf,
+        },
+      ],
+    });
+  } catch (error) {
+    logWithTimestamp("error", "Erreur envoi email certificat formation", {
+      userId,
+      error: error.message,
+    });
+    return false;
+  }
+}
+
+/**
+ * Prévient l'acheteur d'un remboursement émis par l'administration
+ * @param {string} userId - UUID de l'utilisateur
+ * @param {object} refundData - Données (trainingName, refundAmount, amountPaid, isFullRefund, consequence)
+ * @returns {Promise<boolean>} Succès de l'envoi
+ */
+async function sendTrainingRefundNotificationEmail(userId, refundData) {
+  try {
+    const userEmail = await getMailByUser(userId);
+    if (!userEmail) {
+      logWithTimestamp(
+        "warn",
+        "Email utilisateur non trouvé pour remboursement formation",
+        { userId }
+      );
+      return false;
+    }
+
+    const subject = `Remboursement de ${refundData.refundAmount}€ - Formation ${refundData.trainingName}`;
+    const html = generateRefundNotificationHTML({
+      productLabel: `Formation ${refundData.trainingName}`,
+      ...refundData,
+    });
+
+    return await sendEmail(userEmail, subject, html);
+  } catch (error) {
+    logWithTimestamp("error", "Erreur envoi email remboursement formation", {
+      userId,
+      error: error.message,
+    });
+    return false;
+  }
+}
+
 module.exports = {
   sendTrainingPurchaseConfirmationEmail,
   sendTrainingRefundEmail,
+  sendTrainingWaitlistEmail,
+  sendTrainingTransferEmail,
+  sendTrainingCertificateEmail,
+  sendTrainingRefundNotificationEmail,
 };
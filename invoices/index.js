@@ -0,0 +1,28 @@
+/**
+ * Module factures
+ * Exporte les services (registre des factures et avoirs) et les routes
+ */
+
+const {
+  issueTrainingInvoice,
+  issueTransferFeeInvoice,
+  issueMembershipInvoice,
+  issueCreditNotesForCharge,
+  getInvoiceByNumber,
+  listInvoices,
+} = require("./invoiceService");
+
+const invoiceRoutes = require("./invoiceRoutes");
+
+module.exports = {
+  // Services
+  issueTrainingInvoice,
+  issueTransferFeeInvoice,
+  issueMembershipInvoice,
+  issueCreditNotesForCharge,
+  getInvoiceByNumber,
+  listInvoices,
+
+  // Routes (pour montage dans createApp.js)
+  invoiceRoutes,
+};
@@ -0,0 +1,135 @@
+const {
+  PDF_BRAND,
+  renderPdf,
+  formatPdfDate,
+  formatPdfAmount,
+} = require("../shared/pdf");
+
+/**
+ * Génère le PDF d'une facture ou d'un avoir à partir de son snapshot
+ * (le document reste identique à celui émis, même si les données changent)
+ * @param {object} invoice - Document du registre (invoices)
+ * @returns {Promise<Buffer>} Contenu du PDF
+ */
+function renderInvoicePdf(invoice) {
+  const {
+    seller,
+    buyer,
+    lines,
+    total,
+    vat_mention: vatMention,
+  } = invoice.snapshot;
+  const title = invoice.kind === "credit_note" ? "AVOIR" : "FACTURE";
+
+  const sellerLines = [
+    seller.address,
+    seller.siret && `SIRET : ${seller.siret}`,
+    seller.rna && `RNA : ${seller.rna}`,
+    seller.training_declaration &&
+      `Déclaration d'activité : ${seller.training_declaration}`,
+  ].filter(Boolean);
+
+  return renderPdf(
+    (doc) => {
+      const left = doc.page.margins.left;
+      const contentWidth =
+        doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+      // Émetteur
+      doc
+        .fillColor(PDF_BRAND.PRIMARY_COLOR)
+        .font("Helvetica-Bold")
+        .fontSize(18)
+        .text(seller.name, left, 50);
+      doc.font("Helvetica").fontSize(9).fillColor(PDF_BRAND.MUTED_COLOR);
+      sellerLines.forEach((line) => doc.text(line));
+
+      // Numéro et date
+      doc
+        .moveDown(2)
+        .font("Helvetica-Bold")
+        .fontSize(20)
+        .fillColor(PDF_BRAND.TEXT_COLOR)
+        .text(`${title} N° ${invoice.invoice_number}`);
+      doc
+        .font("Helvetica")
+        .fontSize(11)
+        .text(`Date d'émission : ${formatPdfDate(invoice.issued_at)}`);
+      if (invoice.snapshot.credited_invoice_number) {
+        doc.text(
+          `Avoir sur la facture N° ${invoice.snapshot.credited_invoice_number}`
+        );
+      }
+
+      // Client
+      doc.moveDown(1.5).font("Helvetica-Bold").text("Client");
+      doc.font("Helvetica").text(buyer.name || buyer.email || "—");
+      if (buyer.name && buyer.email) doc.text(buyer.email);
+
+      // Lignes
+      doc.moveDown(1.5);
+      const headerY = doc.y;
+      doc
+        .font("Helvetica-Bold")
+        .text("Désignation", left, headerY, { width: contentWidth - 120 })
+        .text("Montant", left + contentWidth - 120, headerY, {
+          width: 120,
+          align: "right",
+        });
+      doc
+        .moveTo(left, doc.y + 4)
+        .lineTo(left + contentWidth, doc.y + 4)
+        .strokeColor(PDF_BRAND.MUTED_COLOR)
+        .stroke();
+      doc.moveDown(0.8);
+
+      doc.font("Helvetica");
+      lines.forEach((line) => {
+        const y = doc.y;
+        doc
+          .text(line.label, left, y, { width: contentWidth - 120 })
+          .text(formatPdfAmount(line.amount), left + contentWidth - 120, y, {
+            width: 120,
+            align: "right",
+          });
+        doc.moveDown(0.4);
+      });
+
+      doc
+        .moveDown(1)
+        .font("Helvetica-Bold")
+        .text(`Total : ${formatPdfAmount(total)}`, left, doc.y, {
+          width: contentWidth,
+          align: "right",
+        });
+
+      doc
+        .moveDown(1)
+        .font("Helvetica")
+        .fontSize(10)
+        .fillColor(PDF_BRAND.MUTED_COLOR)
+        .text(vatMention, left, doc.y, { width: contentWidth });
+
+      if (invoice.kind === "invoice") {
+        doc.text(
+          `Acquittée par paiement en ligne (référence ${invoice.payment_intent_id})`,
+          { width: contentWidth }
+        );
+      } else if (invoice.snapshot.reason) {
+        doc.text(`Motif : ${invoice.snapshot.reason}`, {
+          width: contentWidth,
+        });
+      }
+    },
+    {
+      info: {
+        Title: `${title} ${invoice.invoice_number}`,
+        Author: seller.name,
+      },
+    }
+  );
+}
+
+module.exports = {
+  renderInvoicePdf,
+};
@@ -0,0 +1,158 @@
+const express = require("express");
+const router = express.Router();
+
+const { supabase } = require("../config/database");
+const { logWithTimestamp } = require("../shared/logger");
+const { requireAdmin } = require("../shared/middleware");
+const {
+  getMembershipHolder,
+} = require("../memberships/membershipLifecycleService");
+const {
+  issueTrainingInvoice,
+  issueMembershipInvoice,
+  getInvoiceByNumber,
+  listInvoices,
+} = require("./invoiceService");
+const { renderInvoicePdf } = require("./invoicePdf");
+
+/**
+ * Envoie un document du registre au format PDF
+ * @param {object} res - Réponse Express
+ * @param {object} invoice - Document (invoices)
+ */
+async function sendInvoicePdf(res, invoice) {
+  const pdf = await renderInvoicePdf(invoice);
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${invoice.invoice_number}.pdf"`
+  );
+  res.send(pdf);
+}
+
+/**
+ * GET /invoices/:invoiceNumber.pdf
+ * Télécharge une facture ou un avoir (titulaire uniquement)
+ * Query: userId | associationId
+ */
+router.get("/invoices/:invoiceNumber.pdf", async (req, res) => {
+  const { invoiceNumber } = req.params;
+  const { userId, associationId } = req.query;
+
+  if (!userId && !associationId) {
+    return res.status(400).json({ error: "userId ou associationId manquant" });
+  }
+
+  try {
+    const invoice = await getInvoiceByNumber(invoiceNumber);
+
+    // Numéros séquentiels : on ne révèle pas l'existence d'une facture d'autrui
+    const isHolder = userId
+      ? invoice.user_id === userId
+      : invoice.association_id === String(associationId);
+    if (!isHolder) {
+      return res.status(404).json({ error: "Facture introuvable" });
+    }
+
+    await sendInvoicePdf(res, invoice);
+  } catch (error) {
+    logWithTimestamp("error", "Erreur téléchargement facture", {
+      invoiceNumber,
+      error: error.message,
+    });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /admin/invoices
+ * Registre des factures et avoirs (admin)
+ * Query: from?, to? (dates ISO), membershipId?, purchaseId?
+ */
+router.get("/admin/invoices", requireAdmin, async (req, res) => {
+  try {
+    const invoices = await listInvoices(req.query);
+    res.json({ success: true, count: invoices.length, invoices });
+  } catch (error) {
+    logWithTimestamp("error", "❌ Erreur liste factures", {
+      error: error.message,
+    });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /admin/invoices/:invoiceNumber.pdf
+ * Télécharge une facture ou un avoir (admin)
+ */
+router.get(
+  "/admin/invoices/:invoiceNumber.pdf",
+  requireAdmin,
+  async (req, res) => {
+    const { invoiceNumber } = req.params;
+
+    try {
+      await sendInvoicePdf(res, await getInvoiceByNumber(invoiceNumber));
+    } catch (error) {
+      logWithTimestamp("error", "❌ Erreur téléchargement facture", {
+        invoiceNumber,
+        error: error.message,
+      });
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * POST /admin/invoices
+ * Émet la facture manquante d'un paiement (admin, sans effet si elle existe)
+ * Body: { targetType: "training" | "membership", targetId }
+ */
+router.post("/admin/invoices", requireAdmin, async (req, res) => {
+  const { targetType, targetId } = req.body;
+
+  if (!["training", "membership"].includes(targetType) || !targetId) {
+    return res
+      .status(400)
+      .json({ error: "targetType (training, membership) et targetId requis" });
+  }
+
+  try {
+    const isTraining = targetType === "training";
+    const { data: row, error } = await supabase
+      .from(isTraining ? "trainings_purchase" : "memberships")
+      .select("*")
+      .eq(isTraining ? "purchase_id" : "membership_id", targetId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!row) {
+      return res.status(404).json({ error: "Paiement introuvable" });
+    }
+
+    const invoice = isTraining
+      ? await issueTrainingInvoice(row)
+      : await issueMembershipInvoice(
+          row,
+          await getMembershipHolder(row.membership_id)
+        );
+
+    if (!invoice) {
+      return res
+        .status(422)
+        .json({ error: "Aucun encaissement à facturer pour ce paiement" });
+    }
+
+    res.json({ success: true, invoice });
+  } catch (error) {
+    logWithTimestamp("error", "❌ Erreur émission facture", {
+      targetType,
+      targetId,
+      error: error.message,
+    });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
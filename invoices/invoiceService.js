@@ -0,0 +1,380 @@
+const { supabase } = require("../config/database");
+const { stripe } = require("../config/stripe");
+const { ASSOCIATION_LEGAL } = require("../config/constants");
+const { logWithTimestamp } = require("../shared/logger");
+
+/**
+ * Arrondit un montant au centime
+ * @param {number} amount - Montant en euros
+ * @returns {number} Montant arrondi
+ */
+function toAmount(amount) {
+  return Math.round(Number(amount || 0) * 100) / 100;
+}
+
+/**
+ * Émetteur figé sur chaque document (mentions légales de l'association)
+ * @returns {object} Émetteur
+ */
+function getSellerSnapshot() {
+  return {
+    name: ASSOCIATION_LEGAL.NAME,
+    address: ASSOCIATION_LEGAL.ADDRESS || null,
+    siret: ASSOCIATION_LEGAL.SIRET || null,
+    rna: ASSOCIATION_LEGAL.RNA || null,
+    training_declaration: ASSOCIATION_LEGAL.TRAINING_DECLARATION || null,
+  };
+}
+
+/**
+ * Client figé sur la facture (utilisateur ou association)
+ * @param {object} holder - { userId } ou { associationId }
+ * @returns {Promise<object>} Client
+ */
+async function getBuyerSnapshot({ userId, associationId }) {
+  if (associationId) {
+    const { data: association, error } = await supabase
+      .from("associations")
+      .select("association_name, association_mail")
+      .eq("association_id", associationId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return {
+      type: "association",
+      name: association?.association_name || null,
+      email: association?.association_mail || null,
+    };
+  }
+
+  const { data: user, error } = await supabase
+    .from("users")
+    .select("user_firstname, user_lastname, user_name, user_email")
+    .eq("user_id", userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return {
+    type: "user",
+    name:
+      [user?.user_firstname, user?.user_lastname].filter(Boolean).join(" ") ||
+      user?.user_name ||
+      null,
+    email: user?.user_email || null,
+  };
+}
+
+/**
+ * Émet un document dans le registre (numéro attribué de manière atomique)
+ * @param {string} kind - "invoice" ou "credit_note"
+ * @param {object} invoice - Colonnes du document (liens, montant, snapshot)
+ * @returns {Promise<object>} Document enregistré (invoices)
+ */
+async function issueRegisterDocument(kind, invoice) {
+  const { data, error } = await supabase.rpc("issue_invoice", {
+    p_kind: kind,
+    p_invoice: invoice,
+  });
+
+  if (error) throw error;
+
+  logWithTimestamp(
+    "info",
+    kind === "invoice" ? "🧾 Facture émise" : "🧾 Avoir émis",
+    {
+      invoiceNumber: data.invoice_number,
+      total: data.total_amount,
+      membershipId: data.membership_id,
+      purchaseId: data.purchase_id,
+    }
+  );
+
+  return data;
+}
+
+/**
+ * Émet la facture d'un paiement (une seule par payment_intent)
+ * @param {object} params - Paramètres de la facture
+ * @param {object} params.links - { membership_id } ou { purchase_id }
+ * @param {object} params.holder - { userId } ou { associationId }
+ * @param {string} params.paymentIntentId - ID du payment_intent
+ * @param {Array<object>} params.lines - Lignes [{ label, amount }]
+ * @returns {Promise<object|null>} Facture, ou null si rien n'a été encaissé
+ */
+async function issueInvoice({ links, holder, paymentIntentId, lines }) {
+  const total = toAmount(lines.reduce((sum, line) => sum + line.amount, 0));
+
+  if (!paymentIntentId || total <= 0) {
+    logWithTimestamp("info", "Aucun encaissement, pas de facture", {
+      ...links,
+      paymentIntentId,
+      total,
+    });
+    return null;
+  }
+
+  return issueRegisterDocument("invoice", {
+    ...links,
+    user_id: holder.userId || null,
+    association_id: holder.associationId || null,
+    payment_intent_id: paymentIntentId,
+    total_amount: total,
+    currency: "EUR",
+    snapshot: {
+      kind: "invoice",
+      seller: getSellerSnapshot(),
+      buyer: await getBuyerSnapshot(holder),
+      lines: lines.map((line) => ({ ...line, amount: toAmount(line.amount) })),
+      total,
+      currency: "EUR",
+      vat_mention: ASSOCIATION_LEGAL.VAT_MENTION,
+      payment_intent_id: paymentIntentId,
+    },
+  });
+}
+
+/**
+ * Émet la facture d'un achat de formation
+ * @param {object} purchase - Achat (trainings_purchase)
+ * @returns {Promise<object|null>} Facture
+ */
+async function issueTrainingInvoice(purchase) {
+  const { data: training } = await supabase
+    .from("trainings")
+    .select("training_name")
+    .eq("training_id", purchase.training_id)
+    .maybeSingle();
+
+  const lines = [
+    {
+      label: `Formation ${training?.training_name || purchase.training_id}`,
+      amount: Number(purchase.original_price ?? purchase.purchase_amount),
+    },
+  ];
+  if (Number(purchase.member_discount) > 0) {
+    lines.push({
+      label: "Réduction adhérent",
+      amount: -Number(purchase.member_discount),
+    });
+  }
+  if (Number(purchase.coupon_discount) > 0) {
+    lines.push({
+      label: "Code promo",
+      amount: -Number(purchase.coupon_discount),
+    });
+  }
+
+  return issueInvoice({
+    links: { purchase_id: purchase.purchase_id },
+    holder: { userId: purchase.user_id },
+    paymentIntentId: purchase.payment_intent_id,
+    lines,
+  });
+}
+
+/**
+ * Émet la facture des frais de transfert de session d'un achat de formation
+ * @param {object} transfer - Transfert (training_transfers)
+ * @param {string} trainingName - Nom de la formation
+ * @returns {Promise<object|null>} Facture
+ */
+async function issueTransferFeeInvoice(transfer, trainingName) {
+  return issueInvoice({
+    links: { purchase_id: transfer.purchase_id },
+    holder: { userId: transfer.user_id },
+    paymentIntentId: transfer.payment_intent_id,
+    lines: [
+      {
+        label: `Frais de transfert de session - Formation ${trainingName}`,
+        amount: Number(transfer.fee),
+      },
+    ],
+  });
+}
+
+/**
+ * Émet la facture d'une adhésion
+ * @param {object} membership - Adhésion (memberships)
+ * @param {object} holder - Titulaire ({ userId } ou { associationId })
+ * @returns {Promise<object|null>} Facture
+ */
+async function issueMembershipInvoice(membership, holder) {
+  const formatDate = (date) => new Date(date).toLocaleDateString("fr-FR");
+  const couponDiscount = Number(membership.coupon_discount || 0);
+
+  const lines = [
+    {
+      label: `Adhésion du ${formatDate(membership.membership_start)} au ${formatDate(membership.membership_end)}`,
+      amount: Number(membership.membership_price) + couponDiscount,
+    },
+  ];
+  if (couponDiscount > 0) {
+    lines.push({ label: "Code promo", amount: -couponDiscount });
+  }
+
+  return issueInvoice({
+    links: { membership_id: membership.membership_id },
+    holder,
+    paymentIntentId: membership.payment_intent_id,
+    lines,
+  });
+}
+
+/**
+ * Émet la facture de la différence payée pour un changement de forfait d'adhésion
+ * @param {object} change - Changement de forfait (membership_tier_changes)
+ * @param {string} fromName - Nom du forfait quitté
+ * @param {string} toName - Nom du nouveau forfait
+ * @returns {Promise<object|null>} Facture
+ */
+async function issueTierChangeInvoice(change, fromName, toName) {
+  return issueInvoice({
+    links: { membership_id: change.membership_id },
+    holder: { userId: change.user_id },
+    paymentIntentId: change.payment_intent_id,
+    lines: [
+      {
+        label: `Changement de forfait d'adhésion ${fromName} vers ${toName} (${change.remaining_days} jours restants)`,
+        amount: Number(change.amount),
+      },
+    ],
+  });
+}
+
+/**
+ * Émet un avoir sur une facture (un avoir par remboursement Stripe)
+ * @param {object} invoice - Facture créditée (invoices)
+ * @param {object} refund - { amount: euros, stripeRefundId, reason? }
+ * @returns {Promise<object>} Avoir
+ */
+async function issueCreditNote(invoice, { amount, stripeRefundId, reason }) {
+  const total = -toAmount(amount);
+
+  return issueRegisterDocument("credit_note", {
+    membership_id: invoice.membership_id,
+    purchase_id: invoice.purchase_id,
+    user_id: invoice.user_id,
+    association_id: invoice.association_id,
+    payment_intent_id: invoice.payment_intent_id,
+    stripe_refund_id: stripeRefundId,
+    credited_invoice_id: invoice.invoice_id,
+    total_amount: total,
+    currency: invoice.currency,
+    snapshot: {
+      kind: "credit_note",
+      seller: invoice.snapshot.seller,
+      buyer: invoice.snapshot.buyer,
+      lines: [
+        {
+          label: `Remboursement - ${invoice.snapshot.lines[0]?.label || "Paiement"}`,
+          amount: total,
+        },
+      ],
+      total,
+      currency: invoice.currency,
+      vat_mention: invoice.snapshot.vat_mention,
+      payment_intent_id: invoice.payment_intent_id,
+      credited_invoice_number: invoice.invoice_number,
+      reason: reason || null,
+    },
+  });
+}
+
+/**
+ * Émet les avoirs des remboursements d'une charge qui n'en ont pas encore
+ * (remboursements par annulation, par l'administration ou depuis Stripe)
+ * @param {object} charge - Charge Stripe remboursée
+ * @returns {Promise<Array<object>>} Avoirs de la facture du paiement
+ */
+async function issueCreditNotesForCharge(charge) {
+  const paymentIntentId =
+    typeof charge.payment_intent === "string"
+      ? charge.payment_intent
+      : charge.payment_intent?.id;
+
+  const { data: invoice, error } = await supabase
+    .from("invoices")
+    .select("*")
+    .eq("kind", "invoice")
+    .eq("payment_intent_id", paymentIntentId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!invoice) {
+    logWithTimestamp("warn", "Remboursement sans facture au registre", {
+      chargeId: charge.id,
+      paymentIntentId,
+    });
+    return [];
+  }
+
+  const refunds = await stripe.refunds.list({ charge: charge.id, limit: 100 });
+  const creditNotes = [];
+
+  for (const refund of refunds.data) {
+    if (refund.status === "failed" || refund.status === "canceled") continue;
+
+    creditNotes.push(
+      await issueCreditNote(invoice, {
+        amount: refund.amount / 100,
+        stripeRefundId: refund.id,
+        reason: refund.metadata?.admin_reason || refund.reason,
+      })
+    );
+  }
+
+  return creditNotes;
+}
+
+/**
+ * Récupère un document du registre par son numéro
+ * @param {string} invoiceNumber - Numéro (ex. FA-2026-000001)
+ * @returns {Promise<object>} Document (invoices)
+ */
+async function getInvoiceByNumber(invoiceNumber) {
+  const { data, error } = await supabase
+    .from("invoices")
+    .select("*")
+    .eq("invoice_number", invoiceNumber)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) {
+    throw Object.assign(new Error("Facture introuvable"), { status: 404 });
+  }
+  return data;
+}
+
+/**
+ * Liste les documents du registre (admin)
+ * @param {object} filters - { from?, to?, membershipId?, purchaseId? }
+ * @returns {Promise<Array<object>>} Documents dans l'ordre de numérotation
+ */
+async function listInvoices({ from, to, membershipId, purchaseId } = {}) {
+  let query = supabase
+    .from("invoices")
+    .select(
+      "invoice_id, invoice_number, kind, issued_at, membership_id, purchase_id, payment_intent_id, stripe_refund_id, credited_invoice_id, total_amount, currency"
+    )
+    .order("issued_at", { ascending: true })
+    .order("sequence_number", { ascending: true });
+
+  if (from) query = query.gte("issued_at", from);
+  if (to) query = query.lte("issued_at", to);
+  if (membershipId) query = query.eq("membership_id", membershipId);
+  if (purchaseId) query = query.eq("purchase_id", purchaseId);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+module.exports = {
+  issueTrainingInvoice,
+  issueTransferFeeInvoice,
+  issueMembershipInvoice,
+  issueTierChangeInvoice,
+  issueCreditNotesForCharge,
+  getInvoiceByNumber,
+  listInvoices,
+};
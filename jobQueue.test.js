@@ -0,0 +1,123 @@
+// Variables d'environnement de test (avant tout chargement de module)
+process.env.STRIPE_SECRET_KEY = "sk_test_local";
+
+jest.mock("./config/database", () => ({ supabase: {} }));
+
+const { supabase } = require("./config/database");
+const { JOB_QUEUE } = require("./config/constants");
+const {
+  registerJobHandler,
+  getRetryDelaySeconds,
+  processJobs,
+} = require("./jobs/jobQueueService");
+
+const handlers = {
+  ok: jest.fn(),
+  failing: jest.fn(),
+};
+registerJobHandler("test.ok", (...args) => handlers.ok(...args));
+registerJobHandler("test.failing", (...args) => handlers.failing(...args));
+
+/**
+ * Simule la réservation des tâches et enregistre les mises à jour
+ */
+function mockClaimedJobs(jobs) {
+  const updates = [];
+
+  supabase.rpc = jest.fn(async () => ({ data: jobs, error: null }));
+  supabase.from = jest.fn(() => ({
+    update: (fields) => ({
+      eq: (_column, id) => ({
+        eq: async () => {
+          updates.push({ id, ...fields });
+          return { error: null };
+        },
+      }),
+    }),
+  }));
+
+  return updates;
+}
+
+function job(id, type, attempts, maxAttempts = JOB_QUEUE.MAX_ATTEMPTS) {
+  return {
+    id,
+    type,
+    payload: { id },
+    attempts,
+    max_attempts: maxAttempts,
+  };
+}
+
+describe("getRetryDelaySeconds", () => {
+  test.each([
+    [0, 30],
+    [1, 30],
+    [2, 60],
+    [3, 120],
+    [5, 480],
+  ])("waits exponentially after %i attempts", (attempts, delay) => {
+    expect(getRetryDelaySeconds(attempts)).toBe(delay);
+  });
+
+  test("caps the delay", () => {
+    expect(getRetryDelaySeconds(20)).toBe(JOB_QUEUE.BACKOFF_MAX_SECONDS);
+  });
+});
+
+describe("processJobs", () => {
+  test("marks a handled job as succeeded", async () => {
+    handlers.ok.mockResolvedValue(undefined);
+    const updates = mockClaimedJobs([job(1, "test.ok", 1)]);
+
+    const report = await processJobs({ workerId: "test" });
+
+    expect(handlers.ok).toHaveBeenCalledWith(
+      { id: 1 },
+      expect.objectContaining({ id: 1 })
+    );
+    expect(report).toMatchObject({ claimed: 1, succeeded: 1 });
+    expect(updates[0]).toMatchObject({
+      id: 1,
+      status: "succeeded",
+      locked_by: null,
+    });
+  });
+
+  test("schedules a retry with backoff after a failure", async () => {
+    handlers.failing.mockRejectedValue(new Error("Resend indisponible"));
+    const updates = mockClaimedJobs([job(2, "test.failing", 2)]);
+
+    const before = Date.now();
+    const report = await processJobs({ workerId: "test" });
+
+    expect(report).toMatchObject({ claimed: 1, retried: 1, dead: 0 });
+    expect(updates[0]).toMatchObject({
+      id: 2,
+      status: "pending",
+      last_error: "Resend indisponible",
+    });
+    const runAt = Date.parse(updates[0].run_at);
+    expect(runAt).toBeGreaterThanOrEqual(before + 60 * 1000);
+  });
+
+  test("sets a job aside once its attempts are exhausted", async () => {
+    handlers.failing.mockRejectedValue(new Error("Resend indisponible"));
+    const updates = mockClaimedJobs([job(3, "test.failing", 5, 5)]);
+
+    const report = await processJobs({ workerId: "test" });
+
+    expect(report).toMatchObject({ claimed: 1, dead: 1 });
+    expect(updates[0]).toMatchObject({ id: 3, status: "dead" });
+    expect(updates[0].run_at).toBeUndefined();
+  });
+
+  test("retries a job of an unknown type", async () => {
+    const updates = mockClaimedJobs([job(4, "test.unknown", 1)]);
+
+    const report = await processJobs({ workerId: "test" });
+
+    expect(report.retried).toBe(1);
+    expect(updates[0].last_error).toBe("Type de tâche inconnu: test.unknown");
+  });
+});
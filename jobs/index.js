@@ -0,0 +1,30 @@
+/**
+ * Module file de tâches
+ * Exporte les services (mise en file, worker) et les routes
+ */
+
+const {
+  registerJobHandler,
+  enqueueJob,
+  enqueueJobs,
+  processJobs,
+  listJobs,
+  retryDeadJob,
+} = require("./jobQueueService");
+const { runJobWorker } = require("./jobWorker");
+
+const jobRoutes = require("./jobRoutes");
+
+module.exports = {
+  // Services
+  registerJobHandler,
+  enqueueJob,
+  enqueueJobs,
+  processJobs,
+  listJobs,
+  retryDeadJob,
+  runJobWorker,
+
+  // Routes (pour montage dans createApp.js)
+  jobRoutes,
+};
@@ -0,0 +1,278 @@
+const os = require("os");
+const { supabase } = require("../config/database");
+const { JOB_QUEUE } = require("../config/constants");
+const { logWithTimestamp } = require("../shared/logger");
+
+/**
+ * Registre des gestionnaires de tâches
+ * Chaque module (adhésions, formations...) y déclare ses types de tâches :
+ * - type : valeur de jobs.type
+ * - handler : async (payload, job) => résultat, lève une erreur pour réessayer
+ */
+const jobHandlers = new Map();
+
+/**
+ * Enregistre le gestionnaire d'un type de tâche
+ * @param {string} type - Type de tâche
+ * @param {function} handler - async (payload, job) => résultat
+ * @returns {void}
+ */
+function registerJobHandler(type, handler) {
+  if (!type || typeof handler !== "function") {
+    throw new Error("Tâche invalide: type et handler requis");
+  }
+  if (jobHandlers.has(type)) {
+    throw new Error(`Tâche déjà enregistrée: ${type}`);
+  }
+
+  jobHandlers.set(type, handler);
+}
+
+/**
+ * Ajoute des tâches à la file (une tâche existante de même dedupeKey est conservée)
+ * @param {Array<object>} jobs - [{ type, payload, dedupeKey?, runAt?, maxAttempts? }]
+ * @returns {Promise<Array<object>>} Tâches créées
+ */
+async function enqueueJobs(jobs) {
+  if (jobs.length === 0) return [];
+
+  const rows = jobs.map(({ type, payload, dedupeKey, runAt, maxAttempts }) => ({
+    type,
+    payload: payload || {},
+    dedupe_key: dedupeKey || null,
+    run_at: (runAt || new Date()).toISOString(),
+    max_attempts: maxAttempts || JOB_QUEUE.MAX_ATTEMPTS,
+  }));
+
+  const { data, error } = await supabase
+    .from("jobs")
+    .upsert(rows, { onConflict: "dedupe_key", ignoreDuplicates: true })
+    .select("id, type, dedupe_key, run_at");
+
+  if (error) throw error;
+
+  logWithTimestamp("info", "📥 Tâches ajoutées à la file", {
+    jobs: (data || []).map((job) => `${job.type}#${job.id}`),
+  });
+
+  return data || [];
+}
+
+/**
+ * Ajoute une tâche à la file
+ * @param {string} type - Type de tâche
+ * @param {object} payload - Données de la tâche
+ * @param {object} options - { dedupeKey?, runAt?, maxAttempts? }
+ * @returns {Promise<object|null>} Tâche créée (null si déjà présente)
+ */
+async function enqueueJob(type, payload, options = {}) {
+  const [job] = await enqueueJobs([{ type, payload, ...options }]);
+  return job || null;
+}
+
+/**
+ * Délai avant la prochaine tentative (exponentiel, plafonné)
+ * @param {number} attempts - Tentatives déjà effectuées
+ * @returns {number} Délai en secondes
+ */
+function getRetryDelaySeconds(attempts) {
+  return Math.min(
+    JOB_QUEUE.BACKOFF_BASE_SECONDS * 2 ** Math.max(attempts - 1, 0),
+    JOB_QUEUE.BACKOFF_MAX_SECONDS
+  );
+}
+
+/**
+ * Met à jour une tâche réservée par ce worker
+ * @param {object} job - Tâche
+ * @param {string} workerId - Identifiant du worker
+ * @param {object} fields - Colonnes à mettre à jour
+ */
+async function updateClaimedJob(job, workerId, fields) {
+  const { error } = await supabase
+    .from("jobs")
+    .update({
+      ...fields,
+      locked_at: null,
+      locked_by: null,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", job.id)
+    .eq("locked_by", workerId);
+
+  if (error) throw error;
+}
+
+/**
+ * Exécute une tâche réservée : succès, nouvelle tentative différée ou mise de côté
+ * @param {object} job - Tâche réservée
+ * @param {string} workerId - Identifiant du worker
+ * @returns {Promise<object>} Résultat { jobId, type, action }
+ */
+async function runJob(job, workerId) {
+  const result = { jobId: job.id, type: job.type, attempt: job.attempts };
+
+  try {
+    // Tâche reprise après l'interruption de son worker, tentatives épuisées
+    if (job.attempts > job.max_attempts) {
+      throw new Error("Tentatives épuisées (worker interrompu)");
+    }
+
+    const handler = jobHandlers.get(job.type);
+    if (!handler) {
+      throw new Error(`Type de tâche inconnu: ${job.type}`);
+    }
+
+    await handler(job.payload, job);
+
+    await updateClaimedJob(job, workerId, {
+      status: "succeeded",
+      last_error: null,
+      completed_at: new Date().toISOString(),
+    });
+
+    return { ...result, action: "succeeded" };
+  } catch (error) {
+    const isDead = job.attempts >= job.max_attempts;
+    const delay = getRetryDelaySeconds(job.attempts);
+
+    logWithTimestamp(isDead ? "error" : "warn", "❌ Échec tâche", {
+      jobId: job.id,
+      type: job.type,
+      attempt: job.attempts,
+      maxAttempts: job.max_attempts,
+      error: error.message,
+      ...(isDead ? {} : { retryInSeconds: delay }),
+    });
+
+    await updateClaimedJob(
+      job,
+      workerId,
+      isDead
+        ? { status: "dead", last_error: error.message }
+        : {
+            status: "pending",
+            last_error: error.message,
+            run_at: new Date(Date.now() + delay * 1000).toISOString(),
+          }
+    );
+
+    return {
+      ...result,
+      action: isDead ? "dead" : "retry",
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Réserve et exécute un lot de tâches dues
+ * @param {object} options - Options
+ * @param {number} options.limit - Nombre maximal de tâches
+ * @param {string} options.workerId - Identifiant du worker
+ * @returns {Promise<object>} Rapport du passage
+ */
+async function processJobs({
+  limit = JOB_QUEUE.BATCH_SIZE,
+  workerId = `${os.hostname()}:${process.pid}`,
+} = {}) {
+  const { data: jobs, error } = await supabase.rpc("claim_jobs", {
+    p_worker: workerId,
+    p_limit: limit,
+    p_lock_timeout_seconds: JOB_QUEUE.LOCK_TIMEOUT_SECONDS,
+  });
+
+  if (error) throw error;
+
+  const results = [];
+  for (const job of jobs || []) {
+    results.push(await runJob(job, workerId));
+  }
+
+  const count = (action) =>
+    results.filter((result) => result.action === action).length;
+
+  const report = {
+    workerId,
+    claimed: results.length,
+    succeeded: count("succeeded"),
+    retried: count("retry"),
+    dead: count("dead"),
+    results,
+  };
+
+  if (report.claimed > 0) {
+    logWithTimestamp("info", "⚙️ Passage du worker de tâches", {
+      claimed: report.claimed,
+      succeeded: report.succeeded,
+      retried: report.retried,
+      dead: report.dead,
+    });
+  }
+
+  return report;
+}
+
+/**
+ * Liste les tâches de la file (admin)
+ * @param {object} filters - { status?, type?, limit? }
+ * @returns {Promise<Array<object>>} Tâches, les plus récentes d'abord
+ */
+async function listJobs({ status, type, limit = 100 } = {}) {
+  let query = supabase
+    .from("jobs")
+    .select("*")
+    .order("updated_at", { ascending: false })
+    .limit(limit);
+
+  if (status) query = query.eq("status", status);
+  if (type) query = query.eq("type", type);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Remet en file une tâche mise de côté (admin), avec un nouveau jeu de tentatives
+ * @param {number} jobId - ID de la tâche
+ * @returns {Promise<object>} Tâche remise en file
+ */
+async function retryDeadJob(jobId) {
+  const { data, error } = await supabase
+    .from("jobs")
+    .update({
+      status: "pending",
+      attempts: 0,
+      run_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", jobId)
+    .eq("status", "dead")
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) {
+    throw Object.assign(new Error("Tâche introuvable ou non mise de côté"), {
+      status: 404,
+    });
+  }
+
+  logWithTimestamp("info", "🔁 Tâche remise en file", {
+    jobId,
+    type: data.type,
+  });
+
+  return data;
+}
+
+module.exports = {
+  registerJobHandler,
+  enqueueJob,
+  enqueueJobs,
+  getRetryDelaySeconds,
+  processJobs,
+  listJobs,
+  retryDeadJob,
+};
@@ -0,0 +1,68 @@
+const express = require("express");
+const router = express.Router();
+
+const { logWithTimestamp } = require("../shared/logger");
+const { requireAdmin, requireCronSecret } = require("../shared/middleware");
+const { listJobs, retryDeadJob } = require("./jobQueueService");
+const { runJobWorker } = require("./jobWorker");
+
+/**
+ * GET /cron/jobs
+ * Tâche planifiée (Vercel Cron) : exécute les tâches dues de la file
+ * Header: Authorization: Bearer CRON_SECRET
+ */
+router.get("/cron/jobs", requireCronSecret, async (req, res) => {
+  try {
+    const report = await runJobWorker();
+    res.json({ success: true, report });
+  } catch (error) {
+    logWithTimestamp("error", "Erreur worker de tâches", {
+      error: error.message,
+    });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /admin/jobs
+ * Liste les tâches de la file (admin)
+ * Query: status? (pending | running | succeeded | dead), type?, limit?
+ */
+router.get("/admin/jobs", requireAdmin, async (req, res) => {
+  const { status, type, limit } = req.query;
+
+  try {
+    const jobs = await listJobs({
+      status,
+      type,
+      limit: limit ? parseInt(limit) : undefined,
+    });
+    res.json({ success: true, count: jobs.length, jobs });
+  } catch (error) {
+    logWithTimestamp("error", "❌ Erreur liste tâches", {
+      error: error.message,
+    });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /admin/jobs/:jobId/retry
+ * Remet en file une tâche mise de côté après trop d'échecs (admin)
+ */
+router.post("/admin/jobs/:jobId/retry", requireAdmin, async (req, res) => {
+  const { jobId } = req.params;
+
+  try {
+    const job = await retryDeadJob(jobId);
+    res.json({ success: true, job });
+  } catch (error) {
+    logWithTimestamp("error", "❌ Erreur remise en file tâche", {
+      jobId,
+      error: error.message,
+    });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const { processJobs } = require("./jobQueueService");
+
+// Gestionnaires de tâches (enregistrés au chargement des modules)
+require("../memberships/membershipJobs");
+require("../trainings/trainingJobs");
+require("../prevention/preventionJobs");
+
+/**
+ * Exécute un passage du worker : réserve et traite les tâches dues
+ * Utilisé par la commande CLI et par la route cron
+ * @param {object} options - { limit?, workerId? }
+ * @returns {Promise<object>} Rapport du passage
+ */
+async function runJobWorker(options = {}) {
+  return processJobs(options);
+}
+
+module.exports = {
+  runJobWorker,
+};
@@ -0,0 +1,30 @@
+// Variables d'environnement de test (avant tout chargement de module)
+process.env.STRIPE_SECRET_KEY = "sk_test_local";
+
+jest.mock("./config/database", () => ({ supabase: {} }));
+jest.mock("./config/email", () => ({
+  resend: { emails: { send: jest.fn() } },
+  FROM_EMAIL: "noreply@novapsy.info",
+  CONTACT_EMAIL: "contact@novapsy.info",
+}));
+
+const { getReminderTier } = require("./memberships/membershipLifecycleService");
+
+// Paliers configurés : MEMBERSHIP_LIFECYCLE.REMINDER_DAYS = [30, 7, 1]
+describe("getReminderTier", () => {
+  test.each([
+    [30, 30],
+    [12, 30],
+    [7, 7],
+    [5, 7],
+    [1, 1],
+    [0, 1],
+  ])("returns the smallest tier covering %i days left", (daysLeft, tier) => {
+    expect(getReminderTier(daysLeft)).toBe(tier);
+  });
+
+  test("returns null beyond the first reminder", () => {
+    expect(getReminderTier(31)).toBeNull();
+    expect(getReminderTier(90)).toBeNull();
+  });
+});
@@ -0,0 +1,178 @@
+// Variables d'environnement de test (avant tout chargement de module)
+process.env.STRIPE_SECRET_KEY = "sk_test_local";
+
+jest.mock("./config/database", () => ({ supabase: {} }));
+jest.mock("./config/email", () => ({
+  resend: { emails: { send: jest.fn() } },
+  FROM_EMAIL: "noreply@novapsy.info",
+  CONTACT_EMAIL: "contact@novapsy.info",
+}));
+jest.mock("./shared/pricing", () => ({ getPriceFromPriceId: jest.fn() }));
+jest.mock("./shared/userUtils", () => ({ getMailByUser: jest.fn() }));
+jest.mock("./jobs/jobQueueService", () => ({ enqueueJobs: jest.fn() }));
+
+const { supabase } = require("./config/database");
+const { getPriceFromPriceId } = require("./shared/pricing");
+const { createMembership } = require("./memberships/membershipService");
+const {
+  buildMembershipCheckoutSession,
+} = require("./memberships/membershipPaymentType");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Simule les tables Supabase : resolve(query) fournit le résultat de chaque
+ * requête ({ table, op, filters, row }) ; les insertions sont enregistrées
+ */
+function mockTables(resolve) {
+  const inserts = [];
+
+  supabase.from = jest.fn((table) => {
+    const query = { table, op: "select", filters: {} };
+    const run = async () => resolve(query);
+    const builder = {
+      select: () => builder,
+      insert: (row) => {
+        Object.assign(query, { op: "insert", row });
+        inserts.push({ table, row });
+        return builder;
+      },
+      eq: (column, value) => {
+        query.filters[column] = value;
+        return builder;
+      },
+      maybeSingle: run,
+      single: run,
+    };
+    return builder;
+  });
+
+  return inserts;
+}
+
+const metadata = {
+  type: "membership",
+  userType: "user",
+  userId: "u1",
+  associationId: "",
+  priceId: "price_membership",
+  statusId: "2",
+  renewsMembershipId: "3",
+};
+
+/**
+ * Adhésions 3 (titulaire u1) et 8 (renouvellement de 3, titulaire u1)
+ */
+function memberships({ renewed = false, failFirstInsert = false } = {}) {
+  const owned = {
+    3: { membership_id: 3, membership_end: new Date(Date.now() + 20 * DAY_MS) },
+    8: {
+      membership_id: 8,
+      membership_end: new Date(Date.now() + 385 * DAY_MS),
+    },
+  };
+  let insertAttempts = 0;
+
+  return (query) => {
+    const { table, op, filters, row } = query;
+
+    if (table === "users_memberships" && op === "select") {
+      const membership =
+        filters.user_id === "u1" ? owned[filters.membership_id] : null;
+      return {
+        data:
+          filters.user_id && membership ? { memberships: membership } : null,
+        error: null,
+      };
+    }
+    if (table === "memberships" && op === "select") {
+      const renewal =
+        renewed && filters.previous_membership_id === 3
+          ? { membership_id: 8 }
+          : null;
+      return { data: renewal, error: null };
+    }
+    if (table === "memberships" && op === "insert") {
+      insertAttempts += 1;
+      if (failFirstInsert && insertAttempts === 1) {
+        return { data: null, error: { code: "23505", message: "duplicate" } };
+      }
+      return { data: { membership_id: 20, ...row }, error: null };
+    }
+    return { data: { ...row }, error: null };
+  };
+}
+
+const session = { id: "cs_renewal", invoice: "in_1", payment_intent: "pi_1" };
+
+describe("membership renewal fulfilment", () => {
+  beforeEach(() => {
+    getPriceFromPriceId.mockResolvedValue(90);
+  });
+
+  test("extends from the end of the renewed membership", async () => {
+    const inserts = mockTables(memberships());
+
+    await createMembership(metadata, session);
+
+    const { row } = inserts.find(({ table }) => table === "memberships");
+    expect(row.previous_membership_id).toBe(3);
+    expect(Date.parse(row.membership_start)).toBeGreaterThan(
+      Date.now() + 19 * DAY_MS
+    );
+  });
+
+  test("ignores a membership that belongs to another holder", async () => {
+    const inserts = mockTables(memberships());
+
+    await createMembership({ ...metadata, userId: "u2" }, session);
+
+    const { row } = inserts.find(({ table }) => table === "memberships");
+    expect(row.previous_membership_id).toBeUndefined();
+    expect(Date.parse(row.membership_start)).toBeLessThanOrEqual(Date.now());
+  });
+
+  test("chains a second paid renewal after the first one", async () => {
+    const inserts = mockTables(
+      memberships({ renewed: true, failFirstInsert: true })
+    );
+
+    const membership = await createMembership(metadata, session);
+
+    const rows = inserts
+      .filter(({ table }) => table === "memberships")
+      .map(({ row }) => row);
+    expect(rows).toHaveLength(2);
+    expect(membership.previous_membership_id).toBe(8);
+    expect(Date.parse(membership.membership_start)).toBeGreaterThan(
+      Date.now() + 384 * DAY_MS
+    );
+  });
+});
+
+describe("membership checkout metadata", () => {
+  const params = {
+    priceId: "price_membership",
+    userType: "user",
+    userId: "u1",
+    statusId: 2,
+  };
+
+  test("ignores a renewal injected by the client", async () => {
+    const { sessionConfig } = await buildMembershipCheckoutSession({
+      ...params,
+      metadata: { renewsMembershipId: "3" },
+    });
+
+    expect(sessionConfig.metadata.renewsMembershipId).toBe("");
+    expect(sessionConfig.metadata.client_renewsMembershipId).toBe("3");
+  });
+
+  test("takes the renewal from the server context", async () => {
+    const { sessionConfig } = await buildMembershipCheckoutSession(params, {
+      renewsMembershipId: 3,
+    });
+
+    expect(sessionConfig.metadata.renewsMembershipId).toBe("3");
+  });
+});
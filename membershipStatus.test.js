@@ -0,0 +1,170 @@
+// Variables d'environnement de test (avant tout chargement de module)
+process.env.STRIPE_SECRET_KEY = "sk_test_local";
+
+jest.mock("./config/database", () => ({ supabase: {} }));
+jest.mock("./catalog/catalogService", () => ({ getCatalogEntry: jest.fn() }));
+
+const { supabase } = require("./config/database");
+const { MEMBERSHIP_LIFECYCLE } = require("./config/constants");
+const {
+  getMembershipStatus,
+} = require("./memberships/membershipStatusService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date("2026-10-19T10:00:00Z");
+
+function daysFromNow(days) {
+  return new Date(now.getTime() + days * DAY_MS).toISOString();
+}
+
+function membership(id, startDays, endDays, overrides = {}) {
+  return {
+    membership_id: id,
+    price_id: "price_membership",
+    status_id: 2,
+    status: { status_name: "Adhérent" },
+    payment_status: "paid",
+    auto_renew: false,
+    previous_membership_id: null,
+    membership_start: daysFromNow(startDays),
+    membership_end: daysFromNow(endDays),
+    ...overrides,
+  };
+}
+
+/**
+ * Simule les adhésions des titulaires et les places d'association
+ */
+function mockHolders({ users = {}, associations = {}, seats = {} }) {
+  supabase.from = jest.fn((table) => ({
+    select: () => ({
+      eq: (_column, id) => {
+        if (table === "association_seats") {
+          return { eq: async () => ({ data: seats[id] || [], error: null }) };
+        }
+        const holders = table === "users_memberships" ? users : associations;
+        return Promise.resolve({
+          data: (holders[id] || []).map((item) => ({ memberships: item })),
+          error: null,
+        });
+      },
+    }),
+  }));
+}
+
+describe("getMembershipStatus", () => {
+  test("requires a holder", async () => {
+    await expect(getMembershipStatus({})).rejects.toMatchObject({
+      status: 400,
+    });
+  });
+
+  test("covers until the end of an already paid renewal", async () => {
+    mockHolders({
+      users: {
+        u1: [
+          membership(1, -300, 65),
+          membership(2, 65, 430, { previous_membership_id: 1 }),
+        ],
+      },
+    });
+
+    const status = await getMembershipStatus({ userId: "u1" }, { now });
+
+    expect(status).toMatchObject({
+      is_member: true,
+      state: "active",
+      source: "membership",
+      membership_id: 1,
+      covered_until: daysFromNow(430),
+      days_remaining: 430,
+      renewal: { eligible: false, reason: "already_renewed", renewed_by: 2 },
+    });
+  });
+
+  test("keeps membership benefits during the grace period", async () => {
+    mockHolders({ users: { u1: [membership(1, -370, -5)] } });
+
+    const status = await getMembershipStatus({ userId: "u1" }, { now });
+
+    expect(status).toMatchObject({
+      is_member: true,
+      state: "grace",
+      covered_until: daysFromNow(-5),
+      days_remaining: 0,
+      renewal: { eligible: true },
+    });
+    expect(status.grace_period).toEqual({
+      days: MEMBERSHIP_LIFECYCLE.GRACE_DAYS,
+      in_grace_period: true,
+      ends_at: daysFromNow(MEMBERSHIP_LIFECYCLE.GRACE_DAYS - 5),
+    });
+  });
+
+  test("expires after the grace period", async () => {
+    mockHolders({
+      users: {
+        u1: [membership(1, -380, -(MEMBERSHIP_LIFECYCLE.GRACE_DAYS + 1))],
+      },
+    });
+
+    const status = await getMembershipStatus({ userId: "u1" }, { now });
+
+    expect(status).toMatchObject({
+      is_member: false,
+      state: "expired",
+      covered_until: null,
+    });
+    expect(status.grace_period.in_grace_period).toBe(false);
+  });
+
+  test("ignores refunded and disputed memberships", async () => {
+    mockHolders({
+      users: {
+        u1: [
+          membership(1, -10, 355, { payment_status: "refunded" }),
+          membership(2, -400, -35, { payment_status: "disputed" }),
+        ],
+      },
+    });
+
+    const status = await getMembershipStatus({ userId: "u1" }, { now });
+
+    expect(status).toMatchObject({ is_member: false, state: "none" });
+  });
+
+  test("covers a user through an association seat", async () => {
+    mockHolders({
+      associations: { a1: [membership(9, -100, 265)] },
+      seats: { u1: [{ seat_id: 3, association_id: "a1" }] },
+    });
+
+    const status = await getMembershipStatus({ userId: "u1" }, { now });
+
+    expect(status).toMatchObject({
+      holder_type: "user",
+      is_member: true,
+      state: "active",
+      source: "association_seat",
+      association_id: "a1",
+      membership_id: 9,
+      covered_until: daysFromNow(265),
+      renewal: { eligible: false, reason: "covered_by_association" },
+    });
+  });
+
+  test("stops seat coverage when the association membership expired", async () => {
+    mockHolders({
+      associations: { a1: [membership(9, -400, -35)] },
+      seats: { u1: [{ seat_id: 3, association_id: "a1" }] },
+    });
+
+    const status = await getMembershipStatus({ userId: "u1" }, { now });
+
+    expect(status).toMatchObject({
+      is_member: false,
+      state: "none",
+      source: null,
+    });
+  });
+});
@@ -0,0 +1,158 @@
+// Variables d'environnement de test (avant tout chargement de module)
+process.env.STRIPE_SECRET_KEY = "sk_test_local";
+
+jest.mock("./config/database", () => ({ supabase: {} }));
+jest.mock("./config/email", () => ({
+  resend: { emails: { send: jest.fn() } },
+  FROM_EMAIL: "noreply@novapsy.info",
+  CONTACT_EMAIL: "contact@novapsy.info",
+}));
+jest.mock("./jobs/jobQueueService", () => ({ enqueueJobs: jest.fn() }));
+jest.mock("./memberships/membershipLifecycleService", () => ({
+  getMembershipHolder: jest.fn(),
+  getHolderMembership: jest.fn(),
+  logMembershipTransition: jest.fn(),
+}));
+
+const { supabase } = require("./config/database");
+const { enqueueJobs } = require("./jobs/jobQueueService");
+const {
+  getMembershipHolder,
+} = require("./memberships/membershipLifecycleService");
+const {
+  handleSubscriptionInvoicePaid,
+} = require("./memberships/membershipSubscriptionService");
+
+const membership = {
+  membership_id: 8,
+  membership_end: "2027-01-10T00:00:00.000Z",
+  stripe_invoice_id: "in_first",
+  payment_intent_id: "pi_first",
+  membership_price: 250,
+  expired_at: null,
+};
+
+const renewalInvoice = {
+  id: "in_renewal",
+  subscription: "sub_1",
+  billing_reason: "subscription_cycle",
+  payment_intent: "pi_renewal",
+  amount_paid: 25000,
+  lines: {
+    data: [
+      {
+        period: {
+          start: Date.parse("2027-01-10T00:00:00Z") / 1000,
+          end: Date.parse("2028-01-10T00:00:00Z") / 1000,
+        },
+      },
+    ],
+  },
+};
+
+/**
+ * Simule memberships et membership_payments ; `recorded` indique si
+ * l'échéance est déjà enregistrée (upsert sans effet)
+ */
+function mockTables({ recorded = false } = {}) {
+  const writes = [];
+
+  supabase.from = jest.fn((table) => {
+    const builder = {
+      select: () => builder,
+      eq: () => builder,
+      update: (fields) => {
+        writes.push({ table, op: "update", fields });
+        return { eq: async () => ({ error: null }) };
+      },
+      upsert: (row, options) => {
+        writes.push({ table, op: "upsert", row, options });
+        return builder;
+      },
+      maybeSingle: async () =>
+        table === "membership_payments"
+          ? { data: recorded ? null : { id: 31 }, error: null }
+          : { data: membership, error: null },
+    };
+    return builder;
+  });
+
+  return writes;
+}
+
+describe("handleSubscriptionInvoicePaid", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    getMembershipHolder.mockResolvedValue({
+      userId: "u1",
+      associationId: null,
+    });
+  });
+
+  test("records the billed period without overwriting the first payment", async () => {
+    const writes = mockTables();
+
+    const outcome = await handleSubscriptionInvoicePaid(renewalInvoice);
+
+    const [membershipUpdate] = writes.filter(
+      (write) => write.table === "memberships"
+    );
+    expect(membershipUpdate.fields).toEqual({
+      payment_status: "paid",
+      subscription_status: "active",
+      expired_at: null,
+      membership_end: "2028-01-10T00:00:00.000Z",
+    });
+    expect(writes).toContainEqual({
+      table: "membership_payments",
+      op: "upsert",
+      row: {
+        membership_id: 8,
+        stripe_invoice_id: "in_renewal",
+        payment_intent_id: "pi_renewal",
+        amount: 250,
+        period_start: "2027-01-10T00:00:00.000Z",
+        period_end: "2028-01-10T00:00:00.000Z",
+      },
+      options: { onConflict: "stripe_invoice_id", ignoreDuplicates: true },
+    });
+    expect(outcome).toMatchObject({
+      action: "membership_extended",
+      membershipPaymentId: 31,
+    });
+    expect(enqueueJobs).toHaveBeenCalled();
+  });
+
+  test("acknowledges a period already recorded", async () => {
+    mockTables({ recorded: true });
+
+    const outcome = await handleSubscriptionInvoicePaid(renewalInvoice);
+
+    expect(outcome.action).toBe("already_synced");
+    expect(enqueueJobs).toHaveBeenCalled();
+  });
+
+  test("never moves the membership end backwards", async () => {
+    const writes = mockTables();
+
+    await handleSubscriptionInvoicePaid({
+      ...renewalInvoice,
+      id: "in_late",
+      lines: {
+        data: [
+          {
+            period: {
+              start: Date.parse("2026-01-10T00:00:00Z") / 1000,
+              end: Date.parse("2027-01-10T00:00:00Z") / 1000,
+            },
+          },
+        ],
+      },
+    });
+
+    const [membershipUpdate] = writes.filter(
+      (write) => write.table === "memberships"
+    );
+    expect(membershipUpdate.fields.membership_end).toBeUndefined();
+  });
+});
@@ -0,0 +1,179 @@
+// Variables d'environnement de test (avant tout chargement de module)
+process.env.STRIPE_SECRET_KEY = "sk_test_local";
+
+jest.mock("./config/database", () => ({ supabase: {} }));
+jest.mock("./catalog/catalogService", () => ({ getCatalogEntry: jest.fn() }));
+jest.mock("./memberships/membershipLifecycleService", () => ({
+  getHolderMembership: jest.fn(),
+  getMembershipPriceId: jest.fn(),
+}));
+
+const { supabase } = require("./config/database");
+const { stripe } = require("./config/stripe");
+const { getCatalogEntry } = require("./catalog/catalogService");
+const {
+  getHolderMembership,
+  getMembershipPriceId,
+} = require("./memberships/membershipLifecycleService");
+const {
+  computeTierChangeAmount,
+  getTierChangeQuote,
+  fulfilMembershipTierChange,
+} = require("./memberships/membershipTierChangeService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const catalog = {
+  price_basic: {
+    price_id: "price_basic",
+    kind: "membership",
+    active: true,
+    name: "Adhésion",
+    base_price: 30,
+    status_id: 2,
+  },
+  price_premium: {
+    price_id: "price_premium",
+    kind: "membership",
+    active: true,
+    name: "Adhésion premium",
+    base_price: 60,
+    status_id: 3,
+  },
+};
+
+function paidMembership(overrides = {}) {
+  return {
+    membership_id: 7,
+    payment_status: "paid",
+    auto_renew: false,
+    status_id: 2,
+    price_id: "price_basic",
+    membership_start: new Date(Date.now() - 265 * DAY_MS).toISOString(),
+    membership_end: new Date(Date.now() + 100 * DAY_MS).toISOString(),
+    ...overrides,
+  };
+}
+
+function mockHolderMembership(membership) {
+  getHolderMembership.mockResolvedValue({ membership });
+  getMembershipPriceId.mockResolvedValue(membership.price_id);
+  getCatalogEntry.mockImplementation(async (priceId) => catalog[priceId]);
+}
+
+describe("computeTierChangeAmount", () => {
+  test("charges the prorated difference for the remaining days", () => {
+    expect(computeTierChangeAmount(30, 60, 100, 365)).toBe(8.22);
+  });
+
+  test("charges the full difference for a membership not started yet", () => {
+    expect(computeTierChangeAmount(30, 60, 365, 365)).toBe(30);
+  });
+
+  test("charges nothing for a downgrade", () => {
+    expect(computeTierChangeAmount(60, 30, 100, 365)).toBe(0);
+  });
+
+  test("charges nothing below the Stripe minimum", () => {
+    expect(computeTierChangeAmount(30, 31, 100, 365)).toBe(0);
+  });
+});
+
+describe("getTierChangeQuote", () => {
+  test("takes the target status from the catalog", async () => {
+    mockHolderMembership(paidMembership());
+
+    const quote = await getTierChangeQuote(7, {
+      userId: "u1",
+      priceId: "price_premium",
+    });
+
+    expect(quote).toMatchObject({
+      from_price_id: "price_basic",
+      from_status_id: 2,
+      to_price_id: "price_premium",
+      to_status_id: 3,
+      remaining_days: 100,
+      amount: 8.22,
+    });
+  });
+
+  test("rejects a tier without a configured status", async () => {
+    mockHolderMembership(paidMembership());
+    getCatalogEntry.mockImplementation(async (priceId) =>
+      priceId === "price_premium"
+        ? { ...catalog.price_premium, status_id: null }
+        : catalog[priceId]
+    );
+
+    await expect(
+      getTierChangeQuote(7, { userId: "u1", priceId: "price_premium" })
+    ).rejects.toMatchObject({ status: 422 });
+  });
+
+  test.each([
+    ["a refunded membership", { payment_status: "refunded" }],
+    ["an auto-renewing membership", { auto_renew: true }],
+    [
+      "an expired membership",
+      { membership_end: new Date(Date.now() - DAY_MS).toISOString() },
+    ],
+  ])("rejects %s with 409", async (_label, overrides) => {
+    mockHolderMembership(paidMembership(overrides));
+
+    await expect(
+      getTierChangeQuote(7, { userId: "u1", priceId: "price_premium" })
+    ).rejects.toMatchObject({ status: 409 });
+  });
+});
+
+describe("fulfilMembershipTierChange", () => {
+  const metadata = {
+    membershipId: "7",
+    userId: "u1",
+    fromPriceId: "price_basic",
+    priceId: "price_premium",
+    statusId: "3",
+    remainingDays: "100",
+    tierChangeAmount: "8.22",
+  };
+  const session = { id: "cs_tier", payment_intent: "pi_tier" };
+
+  function mockTables(membership) {
+    supabase.from = jest.fn(() => ({
+      select: () => ({
+        eq: (column) => ({
+          maybeSingle: async () => ({
+            data: column === "membership_id" ? membership : null,
+            error: null,
+          }),
+        }),
+      }),
+    }));
+  }
+
+  test.each([
+    ["membership_not_found", null],
+    ["membership_refunded", paidMembership({ payment_status: "refunded" })],
+    ["tier_already_changed", paidMembership({ price_id: "price_premium" })],
+  ])("refunds the difference (%s)", async (reason, membership) => {
+    mockTables(membership);
+    getMembershipPriceId.mockResolvedValue(membership?.price_id);
+    const refund = jest
+      .spyOn(stripe.refunds, "create")
+      .mockResolvedValue({ id: "re_tier" });
+
+    const result = await fulfilMembershipTierChange(metadata, session);
+
+    expect(result).toEqual({
+      action: "difference_refunded",
+      membership_id: 7,
+      reason,
+      stripe_refund_id: "re_tier",
+    });
+    expect(refund).toHaveBeenCalledWith(
+      expect.objectContaining({ payment_intent: "pi_tier" }),
+      { idempotencyKey: "membership-tier-change-refund-cs_tier" }
+    );
+  });
+});
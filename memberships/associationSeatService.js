@@ -0,0 +1,270 @@
+const crypto = require("crypto");
+const { supabase } = require("../config/database");
+const { logWithTimestamp } = require("../shared/logger");
+const { ASSOCIATION_SEATS } = require("../config/constants");
+const { getCatalogEntry } = require("../catalog/catalogService");
+const { getMembershipStatus } = require("./membershipStatusService");
+const { isValidEmail } = require("../emails/emailValidation");
+const {
+  sendAssociationSeatInvitationEmail,
+} = require("../emails/membershipEmails");
+
+/**
+ * Places d'adhésion des associations
+ * Les membres d'une association adhérente sont invités par email (par
+ * l'association elle-même ou par un administrateur) ; une fois l'invitation
+ * acceptée, le membre est couvert par l'adhésion de l'association (voir
+ * membershipStatusService, tarif adhérent des formations)
+ */
+
+/**
+ * Récupère l'adhésion qui couvre une association (en cours ou en délai de
+ * grâce, mêmes règles que getMembershipStatus)
+ * @param {string} associationId - UUID de l'association
+ * @param {Date} now - Date de référence
+ * @returns {Promise<object|null>} Adhésion (memberships)
+ */
+async function getActiveAssociationMembership(associationId, now = new Date()) {
+  const status = await getMembershipStatus({ associationId }, { now });
+  if (!status.is_member) return null;
+
+  return (
+    status.memberships.find(
+      (membership) => membership.membership_id === status.membership_id
+    ) || null
+  );
+}
+
+/**
+ * Nombre de places incluses dans le forfait d'une adhésion
+ * @param {object} membership - Adhésion (memberships)
+ * @returns {Promise<number>} Nombre de places
+ */
+async function getSeatLimit(membership) {
+  const entry = await getCatalogEntry(membership.price_id);
+  return entry?.seat_limit ?? ASSOCIATION_SEATS.DEFAULT_SEAT_LIMIT;
+}
+
+/**
+ * Liste les membres couverts par l'adhésion d'une association
+ * @param {string} associationId - UUID de l'association
+ * @returns {Promise<object>} { association_id, membership_id, seat_limit, seats_used, seats }
+ */
+async function getAssociationRoster(associationId) {
+  const membership = await getActiveAssociationMembership(associationId);
+
+  const { data: seats, error } = await supabase
+    .from("association_seats")
+    .select(
+      "seat_id, email, user_id, status, invite_expires_at, invited_at, accepted_at"
+    )
+    .eq("association_id", associationId)
+    .in("status", ["invited", "active"])
+    .order("invited_at", { ascending: true });
+
+  if (error) throw error;
+
+  // Invitations périmées : elles ne comptent plus dans les places occupées
+  const now = new Date();
+  const current = (seats || []).filter(
+    (seat) => seat.status === "active" || new Date(seat.invite_expires_at) > now
+  );
+
+  return {
+    association_id: associationId,
+    membership_id: membership?.membership_id || null,
+    seat_limit: membership ? await getSeatLimit(membership) : 0,
+    seats_used: current.length,
+    seats: current,
+  };
+}
+
+/**
+ * Invite un membre à rejoindre l'adhésion d'une association
+ * @param {string} associationId - UUID de l'association
+ * @param {string} email - Email du membre invité
+ * @returns {Promise<object>} Place créée (statut invited)
+ */
+async function inviteAssociationMember(associationId, email) {
+  const normalizedEmail = String(email || "")
+    .trim()
+    .toLowerCase();
+  if (!isValidEmail(normalizedEmail)) {
+    throw Object.assign(new Error("Email invalide"), { status: 400 });
+  }
+
+  const membership = await getActiveAssociationMembership(associationId);
+  if (!membership) {
+    throw Object.assign(
+      new Error("Aucune adhésion active pour l'association"),
+      {
+        status: 409,
+      }
+    );
+  }
+
+  const seatLimit = await getSeatLimit(membership);
+  const token = crypto.randomBytes(24).toString("hex");
+  const expiresAt = new Date(
+    Date.now() + ASSOCIATION_SEATS.INVITE_DAYS * 24 * 60 * 60 * 1000
+  );
+
+  const { data: seatId, error } = await supabase.rpc(
+    "invite_association_seat",
+    {
+      p_association_id: associationId,
+      p_email: normalizedEmail,
+      p_seat_limit: seatLimit,
+      p_token: token,
+      p_expires_at: expiresAt.toISOString(),
+    }
+  );
+
+  if (error) {
+    if (error.code === "23505") {
+      throw Object.assign(new Error("Membre déjà invité ou couvert"), {
+        status: 409,
+      });
+    }
+    throw error;
+  }
+
+  if (!seatId) {
+    throw Object.assign(
+      new Error(`Toutes les places de l'adhésion sont occupées (${seatLimit})`),
+      { status: 409, seatLimit }
+    );
+  }
+
+  logWithTimestamp("info", "✉️ Membre invité sur l'adhésion association", {
+    associationId,
+    seatId,
+    email: normalizedEmail,
+  });
+
+  await sendAssociationSeatInvitationEmail(associationId, {
+    email: normalizedEmail,
+    expiresAt,
+    acceptUrl: `${ASSOCIATION_SEATS.ACCEPT_URL}?token=${token}`,
+  });
+
+  return {
+    seat_id: seatId,
+    association_id: associationId,
+    email: normalizedEmail,
+    status: "invited",
+    invite_expires_at: expiresAt.toISOString(),
+  };
+}
+
+/**
+ * Accepte une invitation : l'utilisateur est couvert par l'adhésion
+ * @param {string} token - Jeton d'invitation
+ * @param {string} userId - UUID de l'utilisateur
+ * @returns {Promise<object>} Place activée
+ */
+async function acceptAssociationSeat(token, userId) {
+  if (!token || !userId) {
+    throw Object.assign(new Error("token et userId requis"), { status: 400 });
+  }
+
+  const { data: seat, error } = await supabase
+    .from("association_seats")
+    .select("*")
+    .eq("invite_token", token)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!seat || seat.status !== "invited") {
+    throw Object.assign(new Error("Invitation introuvable"), { status: 404 });
+  }
+  if (new Date(seat.invite_expires_at) <= new Date()) {
+    throw Object.assign(new Error("Invitation expirée"), { status: 410 });
+  }
+
+  const { data: user, error: userError } = await supabase
+    .from("users")
+    .select("user_email")
+    .eq("user_id", userId)
+    .maybeSingle();
+
+  if (userError) throw userError;
+  if (user?.user_email?.toLowerCase() !== seat.email) {
+    throw Object.assign(
+      new Error("Invitation destinée à une autre adresse email"),
+      { status: 403 }
+    );
+  }
+
+  const now = new Date().toISOString();
+  const { data: activated, error: updateError } = await supabase
+    .from("association_seats")
+    .update({
+      status: "active",
+      user_id: userId,
+      invite_token: null,
+      accepted_at: now,
+      updated_at: now,
+    })
+    .eq("seat_id", seat.seat_id)
+    .eq("status", "invited")
+    .select()
+    .maybeSingle();
+
+  if (updateError) throw updateError;
+  if (!activated) {
+    throw Object.assign(new Error("Invitation introuvable"), { status: 404 });
+  }
+
+  logWithTimestamp("info", "✅ Invitation association acceptée", {
+    associationId: seat.association_id,
+    seatId: seat.seat_id,
+    userId,
+  });
+
+  return activated;
+}
+
+/**
+ * Retire un membre (ou annule une invitation) de l'adhésion d'une association
+ * @param {string} associationId - UUID de l'association
+ * @param {number} seatId - ID de la place
+ * @returns {Promise<object>} Place retirée
+ */
+async function removeAssociationSeat(associationId, seatId) {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from("association_seats")
+    .update({
+      status: "removed",
+      invite_token: null,
+      removed_at: now,
+      updated_at: now,
+    })
+    .eq("seat_id", seatId)
+    .eq("association_id", associationId)
+    .in("status", ["invited", "active"])
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) {
+    throw Object.assign(new Error("Place introuvable"), { status: 404 });
+  }
+
+  logWithTimestamp("info", "🚪 Membre retiré de l'adhésion association", {
+    associationId,
+    seatId,
+    userId: data.user_id,
+  });
+
+  return data;
+}
+
+module.exports = {
+  getActiveAssociationMembership,
+  getAssociationRoster,
+  inviteAssociationMember,
+  acceptAssociationSeat,
+  removeAssociationSeat,
+};
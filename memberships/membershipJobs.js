@@ -0,0 +1,109 @@
+const { supabase } = require("../config/database");
+const { registerJobHandler } = require("../jobs/jobQueueService");
+const {
+  sendMembershipConfirmationEmail,
+  sendAssociationMembershipConfirmationEmail,
+} = require("../emails/membershipEmails");
+const {
+  issueMembershipInvoice,
+  issueTierChangeInvoice,
+} = require("../invoices/invoiceService");
+const { updateUserStatusToMembership } = require("./membershipService");
+const { runMembershipRepairJob } = require("./membershipRepairService");
+
+/**
+ * Tâches de la file déclenchées par la création d'une adhésion
+ * (voir enqueueMembershipFulfilmentJobs dans membershipService), par une
+ * échéance d'abonnement (handleSubscriptionInvoicePaid) ou par un
+ * changement de forfait (applyMembershipTierChange)
+ */
+
+/**
+ * Récupère une adhésion par son ID
+ * @param {number} membershipId - ID de l'adhésion
+ * @returns {Promise<object>} Adhésion (memberships)
+ */
+async function getMembership(membershipId) {
+  const { data, error } = await supabase
+    .from("memberships")
+    .select("*")
+    .eq("membership_id", membershipId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw new Error(`Adhésion introuvable: ${membershipId}`);
+  return data;
+}
+
+// Statut adhérent de l'utilisateur : { userId, statusId }
+registerJobHandler("membership.user_status", async ({ userId, statusId }) => {
+  if (!(await updateUserStatusToMembership(userId, statusId))) {
+    throw new Error("Mise à jour du statut utilisateur impossible");
+  }
+});
+
+// Email de confirmation : { membershipId, userId | associationId }
+registerJobHandler(
+  "membership.confirmation_email",
+  async ({ membershipId, userId, associationId }) => {
+    const membership = await getMembership(membershipId);
+    const sent = associationId
+      ? await sendAssociationMembershipConfirmationEmail(
+          associationId,
+          membership
+        )
+      : await sendMembershipConfirmationEmail(userId, membership);
+
+    if (!sent) throw new Error("Email de confirmation d'adhésion non envoyé");
+  }
+);
+
+// Facture au registre : { membershipId, userId | associationId, period? }
+// period : échéance d'abonnement { paymentIntentId, start, end, amount }
+registerJobHandler(
+  "membership.invoice",
+  async ({ membershipId, userId, associationId, period }) => {
+    const membership = await getMembership(membershipId);
+
+    await issueMembershipInvoice(
+      period
+        ? {
+            ...membership,
+            membership_start: period.start,
+            membership_end: period.end,
+            membership_price: period.amount,
+            coupon_discount: 0,
+            payment_intent_id: period.paymentIntentId,
+          }
+        : membership,
+      associationId ? { associationId } : { userId }
+    );
+  }
+);
+
+// Facture de la différence d'un changement de forfait : { tierChangeId, fromName, toName }
+registerJobHandler(
+  "membership.tier_change_invoice",
+  async ({ tierChangeId, fromName, toName }) => {
+    const { data: change, error } = await supabase
+      .from("membership_tier_changes")
+      .select("*")
+      .eq("id", tierChangeId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!change) {
+      throw new Error(`Changement de forfait introuvable: ${tierChangeId}`);
+    }
+
+    await issueTierChangeInvoice(change, fromName, toName);
+  }
+);
+
+// Facture ou reçu Stripe pas encore disponible à la création : { membershipId }
+registerJobHandler("membership.repair", async ({ membershipId }) => {
+  const report = await runMembershipRepairJob({ membershipId });
+  if (report.errors > 0) {
+    throw new Error(report.results[0]?.error || "Réparation impossible");
+  }
+});
@@ -0,0 +1,451 @@
+const { supabase } = require("../config/database");
+const { logWithTimestamp } = require("../shared/logger");
+const { MEMBERSHIP_LIFECYCLE } = require("../config/constants");
+const {
+  sendMembershipRenewalReminderEmail,
+} = require("../emails/membershipEmails");
+const { listCatalogEntries } = require("../catalog/catalogService");
+const { revokeUserMembershipStatus } = require("./membershipService");
+const { INACTIVE_PAYMENT_STATUSES } = require("./membershipStatusService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Détermine l'échéance de rappel applicable (la plus proche non dépassée)
+ * Ex : avec [30, 7, 1], 5 jours restants => rappel "7 jours"
+ * @param {number} daysLeft - Nombre de jours avant expiration
+ * @returns {number|null} Échéance en jours ou null si aucun rappel
+ */
+function getReminderTier(daysLeft) {
+  const tiers = [...MEMBERSHIP_LIFECYCLE.REMINDER_DAYS].sort((a, b) => a - b);
+  return tiers.find((days) => daysLeft <= days) ?? null;
+}
+
+/**
+ * Récupère le titulaire d'une adhésion (utilisateur ou association)
+ * @param {number} membershipId - ID de l'adhésion
+ * @returns {Promise<{userId: string|null, associationId: string|null}>}
+ */
+async function getMembershipHolder(membershipId) {
+  const [userResult, associationResult] = await Promise.all([
+    supabase
+      .from("users_memberships")
+      .select("user_id")
+      .eq("membership_id", membershipId)
+      .maybeSingle(),
+    supabase
+      .from("associations_memberships")
+      .select("association_id")
+      .eq("membership_id", membershipId)
+      .maybeSingle(),
+  ]);
+
+  if (userResult.error) throw userResult.error;
+  if (associationResult.error) throw associationResult.error;
+
+  return {
+    userId: userResult.data?.user_id || null,
+    associationId: associationResult.data?.association_id || null,
+  };
+}
+
+/**
+ * Récupère une adhésion en vérifiant qu'elle appartient au titulaire indiqué
+ * @param {number} membershipId - ID de l'adhésion
+ * @param {object} params - Titulaire ({ userId } ou { associationId })
+ * @returns {Promise<{membership: object, holder: object}>}
+ */
+async function getHolderMembership(membershipId, { userId, associationId }) {
+  if (!userId && !associationId) {
+    throw Object.assign(new Error("userId ou associationId manquant"), {
+      status: 400,
+    });
+  }
+
+  const { data: membership, error } = await supabase
+    .from("memberships")
+    .select("*")
+    .eq("membership_id", membershipId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!membership) {
+    throw Object.assign(new Error("Adhésion introuvable"), { status: 404 });
+  }
+
+  const holder = await getMembershipHolder(membershipId);
+  const isHolder = userId
+    ? holder.userId === userId
+    : holder.associationId === associationId;
+
+  if (!isHolder) {
+    throw Object.assign(
+      new Error("Cette adhésion n'appartient pas à ce titulaire"),
+      { status: 403 }
+    );
+  }
+
+  return { membership, holder };
+}
+
+/**
+ * Retrouve le prix Stripe du forfait d'une adhésion
+ * Les adhésions antérieures à la colonne price_id sont rapprochées par montant
+ * @param {object} membership - Adhésion
+ * @returns {Promise<string|null>} ID du prix Stripe
+ */
+async function getMembershipPriceId(membership) {
+  if (membership.price_id) return membership.price_id;
+
+  const memberships = await listCatalogEntries({ kind: "membership" });
+  const entry = memberships.find(
+    (product) => product.base_price === Number(membership.membership_price)
+  );
+
+  return entry?.price_id || null;
+}
+
+/**
+ * Vérifie si le titulaire possède une adhésion se terminant après celle-ci
+ * (adhésion déjà renouvelée : pas de rappel)
+ * @param {object} holder - Titulaire de l'adhésion
+ * @param {object} membership - Adhésion concernée
+ * @returns {Promise<boolean>} True si une adhésion plus longue existe
+ */
+async function hasLaterMembership(holder, membership) {
+  const [table, column, id] = holder.userId
+    ? ["users_memberships", "user_id", holder.userId]
+    : ["associations_memberships", "association_id", holder.associationId];
+
+  const { data, error } = await supabase
+    .from(table)
+    .select("memberships (membership_id, membership_end, payment_status)")
+    .eq(column, id);
+
+  if (error) throw error;
+
+  return (data || []).some(
+    ({ memberships: other }) =>
+      other &&
+      other.membership_id !== membership.membership_id &&
+      new Date(other.membership_end) > new Date(membership.membership_end) &&
+      !INACTIVE_PAYMENT_STATUSES.includes(other.payment_status)
+  );
+}
+
+/**
+ * Journalise une transition d'adhésion (logs + table membership_transitions)
+ * @param {object} membership - Adhésion concernée
+ * @param {object} holder - Titulaire de l'adhésion
+ * @param {string} transition - Type de transition
+ * @param {object} details - Détails complémentaires
+ * @returns {Promise<void>}
+ */
+async function logMembershipTransition(
+  membership,
+  holder,
+  transition,
+  details
+) {
+  logWithTimestamp("info", `🔁 Transition adhésion: ${transition}`, {
+    membershipId: membership.membership_id,
+    ...holder,
+    ...details,
+  });
+
+  const { error } = await supabase.from("membership_transitions").insert({
+    membership_id: membership.membership_id,
+    user_id: holder.userId,
+    association_id: holder.associationId,
+    transition,
+    details,
+  });
+
+  if (error) {
+    logWithTimestamp("warn", "Erreur enregistrement transition adhésion", {
+      membershipId: membership.membership_id,
+      transition,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Réserve l'envoi d'un rappel (une seule fois par adhésion et par échéance)
+ * @param {number} membershipId - ID de l'adhésion
+ * @param {number} daysBefore - Échéance du rappel
+ * @returns {Promise<object|null>} Ligne de rappel ou null si déjà envoyé
+ */
+async function claimReminder(membershipId, daysBefore) {
+  const { data, error } = await supabase
+    .from("membership_reminders")
+    .insert({ membership_id: membershipId, days_before: daysBefore })
+    .select()
+    .single();
+
+  if (!error) return data;
+  if (error.code !== "23505") throw error;
+
+  // Rappel déjà réservé : on ne le renvoie que si l'envoi précédent a échoué
+  const { data: existing, error: existingError } = await supabase
+    .from("membership_reminders")
+    .select("*")
+    .eq("membership_id", membershipId)
+    .eq("days_before", daysBefore)
+    .single();
+
+  if (existingError) throw existingError;
+  return existing.sent ? null : existing;
+}
+
+/**
+ * Envoie les rappels de renouvellement (30/7/1 jours avant membership_end)
+ * @param {object} options - Options d'exécution
+ * @param {Date} options.now - Date de référence
+ * @param {boolean} options.dryRun - Simulation sans envoi ni écriture
+ * @returns {Promise<Array<object>>} Rappels traités
+ */
+async function sendRenewalReminders({ now, dryRun }) {
+  const horizon = new Date(
+    now.getTime() + Math.max(...MEMBERSHIP_LIFECYCLE.REMINDER_DAYS) * DAY_MS
+  );
+
+  const { data: memberships, error } = await supabase
+    .from("memberships")
+    .select("*")
+    .is("expired_at", null)
+    .gt("membership_end", now.toISOString())
+    .lte("membership_end", horizon.toISOString())
+    .order("membership_end", { ascending: true });
+
+  if (error) throw error;
+
+  const results = [];
+
+  for (const membership of memberships || []) {
+    // Pas de rappel pour les adhésions remboursées ou en renouvellement automatique
+    if (
+      INACTIVE_PAYMENT_STATUSES.includes(membership.payment_status) ||
+      membership.auto_renew
+    ) {
+      continue;
+    }
+
+    const daysLeft = Math.ceil(
+      (new Date(membership.membership_end) - now) / DAY_MS
+    );
+    const tier = getReminderTier(daysLeft);
+    if (tier === null) continue;
+
+    const result = {
+      membershipId: membership.membership_id,
+      daysLeft,
+      tier,
+    };
+
+    try {
+      const holder = await getMembershipHolder(membership.membership_id);
+
+      if (!holder.userId && !holder.associationId) {
+        results.push({ ...result, action: "skipped", reason: "no_holder" });
+        continue;
+      }
+
+      if (await hasLaterMembership(holder, membership)) {
+        results.push({ ...result, action: "skipped", reason: "renewed" });
+        continue;
+      }
+
+      if (dryRun) {
+        results.push({ ...result, ...holder, action: "would_remind" });
+        continue;
+      }
+
+      const reminder = await claimReminder(membership.membership_id, tier);
+      if (!reminder) {
+        results.push({ ...result, action: "skipped", reason: "already_sent" });
+        continue;
+      }
+
+      const sent = await sendMembershipRenewalReminderEmail(
+        holder,
+        membership,
+        daysLeft
+      );
+
+      if (sent) {
+        await supabase
+          .from("membership_reminders")
+          .update({ sent: true })
+          .eq("id", reminder.id);
+      }
+
+      await logMembershipTransition(membership, holder, "renewal_reminder", {
+        days_before: tier,
+        days_left: daysLeft,
+        email_sent: sent,
+      });
+
+      results.push({
+        ...result,
+        ...holder,
+        action: sent ? "reminded" : "email_failed",
+      });
+    } catch (reminderError) {
+      logWithTimestamp("error", "Erreur rappel renouvellement adhésion", {
+        membershipId: membership.membership_id,
+        error: reminderError.message,
+      });
+      results.push({
+        ...result,
+        action: "error",
+        error: reminderError.message,
+      });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Traite les adhésions arrivées à échéance et rétrograde le statut des titulaires
+ * (à la fin du délai de grâce, voir membershipStatusService)
+ * @param {object} options - Options d'exécution
+ * @param {Date} options.now - Date de référence
+ * @param {boolean} options.dryRun - Simulation sans écriture
+ * @returns {Promise<Array<object>>} Expirations traitées
+ */
+async function processExpiredMemberships({ now, dryRun }) {
+  const graceStart = new Date(
+    now.getTime() - MEMBERSHIP_LIFECYCLE.GRACE_DAYS * DAY_MS
+  );
+
+  const { data: memberships, error } = await supabase
+    .from("memberships")
+    .select("*")
+    .is("expired_at", null)
+    .lte("membership_end", graceStart.toISOString())
+    .order("membership_end", { ascending: true });
+
+  if (error) throw error;
+
+  const results = [];
+
+  for (const membership of memberships || []) {
+    const result = {
+      membershipId: membership.membership_id,
+      membershipEnd: membership.membership_end,
+    };
+
+    try {
+      const holder = await getMembershipHolder(membership.membership_id);
+
+      if (dryRun) {
+        results.push({ ...result, ...holder, action: "would_expire" });
+        continue;
+      }
+
+      // Réservation : une exécution concurrente ne traite pas deux fois l'adhésion
+      const { data: claimed, error: claimError } = await supabase
+        .from("memberships")
+        .update({ expired_at: now.toISOString() })
+        .eq("membership_id", membership.membership_id)
+        .is("expired_at", null)
+        .select("membership_id");
+
+      if (claimError) throw claimError;
+      if (!claimed || claimed.length === 0) {
+        results.push({
+          ...result,
+          action: "skipped",
+          reason: "already_expired",
+        });
+        continue;
+      }
+
+      await logMembershipTransition(membership, holder, "expired", {
+        membership_end: membership.membership_end,
+        status_id: membership.status_id,
+      });
+
+      let statusDowngraded = false;
+      if (holder.userId) {
+        statusDowngraded = await revokeUserMembershipStatus(
+          holder.userId,
+          membership.membership_id
+        );
+
+        await logMembershipTransition(
+          membership,
+          holder,
+          statusDowngraded ? "status_downgraded" : "status_kept",
+          { previous_status_id: membership.status_id }
+        );
+      }
+
+      results.push({
+        ...result,
+        ...holder,
+        action: "expired",
+        statusDowngraded,
+      });
+    } catch (expiryError) {
+      logWithTimestamp("error", "Erreur expiration adhésion", {
+        membershipId: membership.membership_id,
+        error: expiryError.message,
+      });
+      results.push({ ...result, action: "error", error: expiryError.message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Exécute la tâche de cycle de vie des adhésions (rappels puis expirations)
+ * Utilisée par la commande CLI et par la route cron
+ * @param {object} options - Options d'exécution
+ * @param {Date} options.now - Date de référence (par défaut maintenant)
+ * @param {boolean} options.dryRun - Simulation sans envoi ni écriture
+ * @returns {Promise<object>} Rapport d'exécution
+ */
+async function runMembershipLifecycleJob({
+  now = new Date(),
+  dryRun = false,
+} = {}) {
+  logWithTimestamp("info", "=== TÂCHE CYCLE DE VIE ADHÉSIONS ===", {
+    now: now.toISOString(),
+    dryRun,
+  });
+
+  const reminders = await sendRenewalReminders({ now, dryRun });
+  const expirations = await processExpiredMemberships({ now, dryRun });
+
+  const report = {
+    ranAt: now.toISOString(),
+    dryRun,
+    reminders,
+    expirations,
+    errors: [...reminders, ...expirations].filter((r) => r.action === "error")
+      .length,
+  };
+
+  logWithTimestamp("info", "✅ Tâche cycle de vie adhésions terminée", {
+    reminders: reminders.length,
+    expirations: expirations.length,
+    errors: report.errors,
+  });
+
+  return report;
+}
+
+module.exports = {
+  getReminderTier,
+  getMembershipHolder,
+  getHolderMembership,
+  getMembershipPriceId,
+  logMembershipTransition,
+  sendRenewalReminders,
+  processExpiredMemberships,
+  runMembershipLifecycleJob,
+};
@@ -0,0 +1,185 @@
+const { stripe } = require("../config/stripe");
+const { FRONTEND_URL } = require("../config/constants");
+const { logWithTimestamp } = require("../shared/logger");
+const { getMailByUser } = require("../shared/userUtils");
+const {
+  registerPaymentType,
+  toClientMetadata,
+} = require("../payments/paymentTypeRegistry");
+const { createMembership } = require("./membershipService");
+const {
+  validateCoupon,
+  applyCouponToSession,
+} = require("../coupons/couponService");
+const {
+  activateMembershipSubscription,
+} = require("./membershipSubscriptionService");
+
+/**
+ * Construit la session Stripe d'un forfait d'adhésion d'un an
+ * (paiement unique, ou abonnement annuel renouvelé automatiquement si autoRenew)
+ * @param {object} params - Paramètres de la session
+ * @param {string} params.priceId - ID du prix Stripe
+ * @param {string} params.userId - UUID de l'utilisateur (userType "user")
+ * @param {string} params.associationId - UUID de l'association (userType "association")
+ * @param {string} params.userType - "user" ou "association"
+ * @param {number|string} params.statusId - ID du statut d'adhésion
+ * @param {boolean} params.autoRenew - Abonnement Stripe à renouvellement annuel
+ * @param {string} params.couponCode - Code promo (optionnel, première année)
+ * @param {object} params.metadata - Métadonnées additionnelles du client (préfixées)
+ * @param {string} params.successUrl - URL de succès (optionnel)
+ * @param {string} params.cancelUrl - URL d'annulation (optionnel)
+ * @param {object} context - Contexte fixé par le serveur
+ * @param {number} context.renewsMembershipId - Adhésion renouvelée (route /renew uniquement)
+ * @returns {Promise<object>} { sessionConfig, details }
+ */
+async function buildMembershipCheckoutSession(
+  {
+    priceId,
+    userId,
+    associationId,
+    userType,
+    statusId,
+    autoRenew = false,
+    couponCode,
+    metadata = {},
+    successUrl,
+    cancelUrl,
+  },
+  { renewsMembershipId } = {}
+) {
+  // Validation des paramètres
+  if (!priceId) {
+    throw Object.assign(new Error("priceId manquant"), { status: 400 });
+  }
+  if (!statusId) {
+    throw Object.assign(new Error("statusId manquant"), { status: 400 });
+  }
+  if (
+    !userType ||
+    (userType === "user" && !userId) ||
+    (userType === "association" && !associationId)
+  ) {
+    throw Object.assign(new Error("Informations utilisateur manquantes"), {
+      status: 400,
+    });
+  }
+
+  // Récupérer l'email de l'utilisateur pour créer un customer
+  let customerEmail = null;
+  if (userType === "user" && userId) {
+    customerEmail = await getMailByUser(userId);
+  }
+
+  // URLs par défaut ou personnalisées
+  const defaultSuccessUrl = `${FRONTEND_URL}/success?session_id={CHECKOUT_SESSION_ID}`;
+  const defaultCancelUrl = `${FRONTEND_URL}/pricing`;
+
+  const type = autoRenew ? "membership_subscription" : "membership_onetime";
+  const sessionMetadata = {
+    ...toClientMetadata(metadata),
+    userId: userId || "",
+    associationId: associationId || "",
+    userType: userType,
+    priceId: priceId,
+    statusId: String(statusId),
+    renewsMembershipId: renewsMembershipId ? String(renewsMembershipId) : "",
+    type,
+  };
+
+  const sessionConfig = {
+    mode: "payment",
+    line_items: [{ price: priceId, quantity: 1 }],
+    success_url: successUrl || defaultSuccessUrl,
+    cancel_url: cancelUrl || defaultCancelUrl,
+    payment_method_types: ["card"],
+    metadata: sessionMetadata,
+    // IMPORTANT: Ajouter ces options pour créer automatiquement un customer
+    customer_creation: "always", // Force la création d'un customer
+  };
+
+  if (autoRenew) {
+    // Les prix des forfaits sont des paiements uniques : le prix récurrent
+    // annuel est construit à partir du même produit et du même montant
+    const price = await stripe.prices.retrieve(priceId);
+
+    sessionConfig.mode = "subscription";
+    sessionConfig.line_items = [
+      {
+        price_data: {
+          currency: price.currency,
+          product: price.product,
+          unit_amount: price.unit_amount,
+          recurring: { interval: "year" },
+        },
+        quantity: 1,
+      },
+    ];
+    // Les métadonnées de l'abonnement sont reprises par ses webhooks
+    sessionConfig.subscription_data = { metadata: sessionMetadata };
+    // Le customer est toujours créé en mode abonnement
+    delete sessionConfig.customer_creation;
+  }
+
+  // Si on a un email, l'ajouter pour pré-remplir le formulaire
+  if (customerEmail) {
+    sessionConfig.customer_email = customerEmail;
+  }
+
+  let coupon = null;
+  if (couponCode) {
+    coupon = await validateCoupon(couponCode, { priceId, kind: "membership" });
+    applyCouponToSession(sessionConfig, coupon);
+  }
+
+  logWithTimestamp("info", "Configuration session forfait adhésion prête", {
+    userType,
+    priceId,
+    mode: sessionConfig.mode,
+    successUrl: sessionConfig.success_url,
+  });
+
+  return {
+    sessionConfig,
+    details: {
+      userType,
+      priceId,
+      statusId: String(statusId),
+      autoRenew: Boolean(autoRenew),
+      couponCode: coupon?.code || null,
+    },
+  };
+}
+
+const membershipMetadataSchema = {
+  required: ["userType", "priceId", "statusId"],
+  validate: (metadata) => {
+    if (metadata.userType === "user" && !metadata.userId) {
+      return ["userId manquant"];
+    }
+    if (metadata.userType === "association" && !metadata.associationId) {
+      return ["associationId manquant"];
+    }
+    return [];
+  },
+};
+
+registerPaymentType({
+  type: "membership",
+  aliases: ["membership_onetime"],
+  metadataSchema: membershipMetadataSchema,
+  buildCheckoutSession: buildMembershipCheckoutSession,
+  fulfil: createMembership,
+});
+
+registerPaymentType({
+  type: "membership_subscription",
+  metadataSchema: membershipMetadataSchema,
+  buildCheckoutSession: (params, context) =>
+    buildMembershipCheckoutSession({ ...params, autoRenew: true }, context),
+  fulfil: activateMembershipSubscription,
+});
+
+module.exports = {
+  buildMembershipCheckoutSession,
+};
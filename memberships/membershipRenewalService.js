@@ -0,0 +1,89 @@
+const { supabase } = require("../config/database");
+const { logWithTimestamp } = require("../shared/logger");
+const { createCheckoutSession } = require("../payments/paymentService");
+const {
+  getHolderMembership,
+  getMembershipPriceId,
+} = require("./membershipLifecycleService");
+const { INACTIVE_PAYMENT_STATUSES } = require("./membershipStatusService");
+
+/**
+ * Crée une session de paiement pour renouveler une adhésion avec le même forfait
+ * La période achetée démarre à la fin de l'adhésion actuelle (voir createMembership)
+ * @param {number} membershipId - ID de l'adhésion à renouveler
+ * @param {object} params - Paramètres de la demande
+ * @param {string} params.userId - UUID de l'utilisateur titulaire
+ * @param {string} params.associationId - UUID de l'association titulaire
+ * @param {string} params.successUrl - URL de succès (optionnel)
+ * @param {string} params.cancelUrl - URL d'annulation (optionnel)
+ * @returns {Promise<object>} { session, details }
+ */
+async function createMembershipRenewalCheckout(
+  membershipId,
+  { userId, associationId, successUrl, cancelUrl }
+) {
+  const { membership, holder } = await getHolderMembership(membershipId, {
+    userId,
+    associationId,
+  });
+
+  if (INACTIVE_PAYMENT_STATUSES.includes(membership.payment_status)) {
+    throw Object.assign(
+      new Error("Une adhésion remboursée ou contestée ne peut être renouvelée"),
+      { status: 409 }
+    );
+  }
+
+  const { data: renewal, error: renewalError } = await supabase
+    .from("memberships")
+    .select("membership_id")
+    .eq("previous_membership_id", membershipId)
+    .limit(1)
+    .maybeSingle();
+
+  if (renewalError) throw renewalError;
+  if (renewal) {
+    throw Object.assign(new Error("Adhésion déjà renouvelée"), {
+      status: 409,
+      renewalMembershipId: renewal.membership_id,
+    });
+  }
+
+  const priceId = await getMembershipPriceId(membership);
+  if (!priceId) {
+    throw Object.assign(
+      new Error("Forfait de l'adhésion introuvable pour le renouvellement"),
+      { status: 422 }
+    );
+  }
+
+  logWithTimestamp("info", "Création session renouvellement adhésion", {
+    membershipId,
+    priceId,
+    statusId: membership.status_id,
+    membershipEnd: membership.membership_end,
+  });
+
+  const result = await createCheckoutSession(
+    {
+      type: "membership",
+      priceId,
+      statusId: membership.status_id,
+      userType: holder.userId ? "user" : "association",
+      userId: holder.userId,
+      associationId: holder.associationId,
+      successUrl,
+      cancelUrl,
+    },
+    { renewsMembershipId: membershipId }
+  );
+
+  return {
+    ...result,
+    details: { ...result.details, renewsMembershipId: membershipId },
+  };
+}
+
+module.exports = {
+  createMembershipRenewalCheckout,
+};
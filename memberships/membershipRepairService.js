@@ -0,0 +1,335 @@
+const { supabase } = require("../config/database");
+const { stripe } = require("../config/stripe");
+const { MEMBERSHIP_REPAIR } = require("../config/constants");
+const { logWithTimestamp } = require("../shared/logger");
+const { getHolderEmail } = require("../emails/membershipEmails");
+const { getInvoiceFromPayment } = require("./membershipService");
+const { getMembershipHolder } = require("./membershipLifecycleService");
+
+// Valeurs de metadata.type des sessions de paiement d'adhésion
+const MEMBERSHIP_SESSION_TYPES = [
+  "membership",
+  "membership_onetime",
+  "membership_subscription",
+];
+
+// Références Stripe attendues sur une adhésion payante
+const REPAIRED_FIELDS = [
+  "stripe_session_id",
+  "stripe_invoice_id",
+  "stripe_customer_id",
+];
+
+/**
+ * Normalise une référence Stripe (ID ou objet développé) en ID
+ * @param {string|object|null} reference - Référence Stripe
+ * @returns {string|null} ID Stripe
+ */
+function toStripeId(reference) {
+  if (!reference) return null;
+  return typeof reference === "string" ? reference : reference.id;
+}
+
+/**
+ * Retrouve la session checkout d'une adhésion
+ * (session enregistrée, puis payment_intent, puis sessions payées du titulaire)
+ * @param {object} membership - Adhésion (memberships)
+ * @param {object} holder - Titulaire ({ userId } ou { associationId })
+ * @returns {Promise<object|null>} Session Stripe
+ */
+async function findMembershipSession(membership, holder) {
+  if (membership.stripe_session_id) {
+    return stripe.checkout.sessions.retrieve(membership.stripe_session_id);
+  }
+
+  if (membership.payment_intent_id) {
+    const sessions = await stripe.checkout.sessions.list({
+      payment_intent: membership.payment_intent_id,
+      limit: 1,
+    });
+    return sessions.data[0] || null;
+  }
+
+  // Sessions créées avant le début de l'adhésion (renouvellement compris),
+  // de la plus récente à la plus ancienne
+  const start = Math.floor(
+    new Date(membership.membership_start).getTime() / 1000
+  );
+  const sessions = await stripe.checkout.sessions.list({
+    limit: 100,
+    created: { lte: start + 24 * 60 * 60 },
+  });
+
+  const candidates = sessions.data.filter((session) => {
+    const metadata = session.metadata || {};
+    const isHolder = holder.userId
+      ? metadata.userId === holder.userId
+      : String(metadata.associationId) === String(holder.associationId);
+
+    return (
+      MEMBERSHIP_SESSION_TYPES.includes(metadata.type) &&
+      session.payment_status === "paid" &&
+      isHolder &&
+      session.amount_total === Math.round(membership.membership_price * 100)
+    );
+  });
+
+  for (const candidate of candidates) {
+    // Une session déjà rattachée appartient à une autre adhésion
+    const { data: linked, error } = await supabase
+      .from("memberships")
+      .select("membership_id")
+      .eq("stripe_session_id", candidate.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!linked) return candidate;
+  }
+
+  return null;
+}
+
+/**
+ * Retrouve (ou crée) le customer Stripe du titulaire d'une adhésion
+ * @param {object} membership - Adhésion (memberships)
+ * @param {object|null} session - Session checkout de l'adhésion
+ * @param {object} holder - Titulaire ({ userId } ou { associationId })
+ * @param {boolean} dryRun - Simulation : aucun customer n'est créé
+ * @returns {Promise<object|null>} { customerId, source }
+ */
+async function resolveMembershipCustomer(membership, session, holder, dryRun) {
+  if (session?.customer) {
+    return { customerId: toStripeId(session.customer), source: "session" };
+  }
+
+  const paymentIntentId =
+    toStripeId(session?.payment_intent) || membership.payment_intent_id;
+  if (paymentIntentId) {
+    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+    if (paymentIntent.customer) {
+      return {
+        customerId: toStripeId(paymentIntent.customer),
+        source: "payment_intent",
+      };
+    }
+  }
+
+  const email = await getHolderEmail(holder);
+  if (!email) return null;
+
+  const existing = await stripe.customers.list({ email, limit: 1 });
+  if (existing.data[0]) {
+    return { customerId: existing.data[0].id, source: "email" };
+  }
+
+  if (dryRun) return { customerId: null, source: "would_create" };
+
+  const customer = await stripe.customers.create(
+    {
+      email,
+      metadata: {
+        ...(holder.userId
+          ? { user_id: holder.userId }
+          : { association_id: String(holder.associationId) }),
+        membership_id: String(membership.membership_id),
+        created_retroactively: "true",
+      },
+      description: `Customer créé rétroactivement pour l'adhésion ${membership.membership_id}`,
+    },
+    { idempotencyKey: `membership-repair-customer-${membership.membership_id}` }
+  );
+
+  return { customerId: customer.id, source: "created" };
+}
+
+/**
+ * Complète les références Stripe manquantes d'une adhésion
+ * (session, payment_intent, facture ou reçu, customer)
+ * @param {object} membership - Adhésion (memberships)
+ * @param {object} options - Options
+ * @param {boolean} options.dryRun - Simulation sans écriture
+ * @param {Date} options.now - Date de l'exécution
+ * @returns {Promise<object>} Résultat de la réparation
+ */
+async function repairMembership(membership, { dryRun, now }) {
+  const holder = await getMembershipHolder(membership.membership_id);
+  const changes = {};
+
+  const session = await findMembershipSession(membership, holder);
+  if (!membership.stripe_session_id && session) {
+    changes.stripe_session_id = session.id;
+  }
+
+  const paymentIntentId =
+    membership.payment_intent_id || toStripeId(session?.payment_intent);
+  if (!membership.payment_intent_id && paymentIntentId) {
+    changes.payment_intent_id = paymentIntentId;
+  }
+
+  if (!membership.stripe_invoice_id && (session || paymentIntentId)) {
+    // Facture Stripe, ou payment_intent pour le reçu de paiement
+    const invoiceId = await getInvoiceFromPayment({
+      id: session?.id || null,
+      invoice: toStripeId(session?.invoice),
+      payment_intent: paymentIntentId,
+    });
+    if (invoiceId) changes.stripe_invoice_id = invoiceId;
+  }
+
+  let customerSource = null;
+  if (!membership.stripe_customer_id) {
+    const customer = await resolveMembershipCustomer(
+      membership,
+      session,
+      holder,
+      dryRun
+    );
+    customerSource = customer?.source || null;
+    if (customer?.customerId) changes.stripe_customer_id = customer.customerId;
+  }
+
+  const missing = REPAIRED_FIELDS.filter(
+    (field) => !membership[field] && !changes[field]
+  );
+  const repaired = Object.keys(changes).length > 0;
+
+  const result = {
+    membershipId: membership.membership_id,
+    ...holder,
+    changes,
+    customerSource,
+    missing,
+  };
+
+  if (dryRun) {
+    return {
+      ...result,
+      action:
+        repaired || customerSource === "would_create"
+          ? "would_repair"
+          : "unresolved",
+    };
+  }
+
+  const { error } = await supabase
+    .from("memberships")
+    .update({
+      ...changes,
+      repair_attempts: (membership.repair_attempts || 0) + 1,
+      repair_attempted_at: now.toISOString(),
+    })
+    .eq("membership_id", membership.membership_id);
+
+  if (error) throw error;
+
+  return {
+    ...result,
+    action:
+      missing.length === 0
+        ? "repaired"
+        : repaired
+          ? "partially_repaired"
+          : "unresolved",
+  };
+}
+
+/**
+ * Exécute la tâche de réparation des adhésions payantes incomplètes
+ * (facture, customer ou session Stripe manquants)
+ * Utilisée par la commande CLI, la route cron et la route admin
+ * @param {object} options - Options d'exécution
+ * @param {boolean} options.dryRun - Simulation sans écriture ni création Stripe
+ * @param {number} options.limit - Nombre maximal d'adhésions traitées
+ * @param {number} options.membershipId - Adhésion précise (ignore les tentatives)
+ * @param {Date} options.now - Date de référence (par défaut maintenant)
+ * @returns {Promise<object>} Rapport d'exécution
+ */
+async function runMembershipRepairJob({
+  dryRun = false,
+  limit = MEMBERSHIP_REPAIR.BATCH_SIZE,
+  membershipId = null,
+  now = new Date(),
+} = {}) {
+  logWithTimestamp("info", "=== TÂCHE RÉPARATION ADHÉSIONS ===", {
+    dryRun,
+    limit,
+    membershipId,
+  });
+
+  let query = supabase.from("memberships").select("*");
+
+  query = membershipId
+    ? query.eq("membership_id", membershipId)
+    : query
+        .gt("membership_price", 0)
+        .lt("repair_attempts", MEMBERSHIP_REPAIR.MAX_ATTEMPTS)
+        .or(REPAIRED_FIELDS.map((field) => `${field}.is.null`).join(","))
+        .order("repair_attempted_at", { ascending: true, nullsFirst: true })
+        .limit(limit);
+
+  const { data: memberships, error } = await query;
+  if (error) throw error;
+
+  const results = [];
+  for (const membership of memberships || []) {
+    try {
+      results.push(await repairMembership(membership, { dryRun, now }));
+    } catch (repairError) {
+      logWithTimestamp("error", "❌ Erreur réparation adhésion", {
+        membershipId: membership.membership_id,
+        error: repairError.message,
+      });
+      results.push({
+        membershipId: membership.membership_id,
+        action: "error",
+        error: repairError.message,
+      });
+
+      // L'échec compte comme une tentative : l'adhésion n'est pas reprise
+      // indéfiniment en tête de lot
+      if (!dryRun) {
+        const { error: attemptError } = await supabase
+          .from("memberships")
+          .update({
+            repair_attempts: (membership.repair_attempts || 0) + 1,
+            repair_attempted_at: now.toISOString(),
+          })
+          .eq("membership_id", membership.membership_id);
+
+        if (attemptError) {
+          logWithTimestamp("warn", "Tentative de réparation non enregistrée", {
+            membershipId: membership.membership_id,
+            error: attemptError.message,
+          });
+        }
+      }
+    }
+  }
+
+  const count = (...actions) =>
+    results.filter((result) => actions.includes(result.action)).length;
+
+  const report = {
+    ranAt: now.toISOString(),
+    dryRun,
+    scanned: results.length,
+    repaired: count("repaired", "partially_repaired", "would_repair"),
+    unresolved: count("unresolved"),
+    errors: count("error"),
+    results,
+  };
+
+  logWithTimestamp("info", "✅ Tâche réparation adhésions terminée", {
+    scanned: report.scanned,
+    repaired: report.repaired,
+    unresolved: report.unresolved,
+    errors: report.errors,
+  });
+
+  return report;
+}
+
+module.exports = {
+  repairMembership,
+  runMembershipRepairJob,
+};
@@ -2,13 +2,17 @@ const { supabase } = require("../config/database");
 const { stripe } = require("../config/stripe");
 const { logWithTimestamp } = require("../shared/logger");
 const { getPriceFromPriceId } = require("../shared/pricing");
+const { USER_STATUS } = require("../config/constants");
+const { getSessionCoupon } = require("../coupons/couponService");
+const { enqueueJobs } = require("../jobs/jobQueueService");
 const {
-  sendMembershipConfirmationEmail,
-  sendAssociationMembershipConfirmationEmail,
-} = require("../emails/membershipEmails");
+  INACTIVE_PAYMENT_STATUSES,
+  getMembershipStatus,
+} = require("./membershipStatusService");
 
 /**
  * Vérifie si un utilisateur est adhérent actif
+ * (adhésion en cours ou en délai de grâce, propre ou via une association)
  * @param {string} userId - UUID de l'utilisateur
  * @returns {Promise<boolean>} True si l'utilisateur est adhérent
  */
@@ -16,31 +20,17 @@ async function checkIfUserIsMember(userId) {
   try {
     logWithTimestamp("info", "Vérification statut adhérent", { userId });
 
-    // Status ID qui correspondent à un membre : 2, 3, ou 4
-    const memberStatusIds = [2, 3, 4];
-
-    const { data: userStatuses, error } = await supabase
-      .from("users_status")
-      .select("status_id")
-      .eq("user_id", userId)
-      .in("status_id", memberStatusIds); // Filtre seulement les status de membre
-
-    if (error) {
-      logWithTimestamp("error", "Erreur vérification statut adhérent", error);
-      return false;
-    }
-
-    // Si l'utilisateur a au moins un status de membre (2, 3, ou 4)
-    const isActiveMember = userStatuses && userStatuses.length > 0;
+    const status = await getMembershipStatus({ userId });
 
     logWithTimestamp("info", "👤 Statut adhérent vérifié", {
       userId,
-      isMember: isActiveMember,
-      memberStatusesFound: userStatuses?.map((s) => s.status_id) || [],
-      allMemberStatuses: memberStatusIds,
+      isMember: status.is_member,
+      state: status.state,
+      source: status.source,
+      coveredUntil: status.covered_until,
     });
 
-    return isActiveMember;
+    return status.is_member;
   } catch (error) {
     logWithTimestamp("error", "Exception vérification statut adhérent", error);
     return false;
@@ -89,84 +79,47 @@ async function updateUserStatusToMembership(userId, statusId) {
 }
 
 /**
- * Crée une facture Stripe pour un paiement unique si elle n'existe pas
- * @param {object} session - Session Stripe complétée
- * @returns {Promise<string|null>} ID de la facture créée ou null
+ * Retire le statut adhérent d'un utilisateur si aucune autre adhésion n'est active
+ * @param {string} userId - UUID de l'utilisateur
+ * @param {number} excludedMembershipId - Adhésion à ignorer (remboursée, expirée...)
+ * @returns {Promise<boolean>} True si le statut a été rétrogradé
  */
-async function createInvoiceForPayment(session) {
-  try {
-    logWithTimestamp("info", "Création facture pour paiement", session.id);
-
-    if (!session.payment_intent) {
-      logWithTimestamp(
-        "warn",
-        "Pas de payment_intent dans la session",
-        session.id
-      );
-      return null;
-    }
-
-    // Récupérer le payment_intent avec les charges
-    const paymentIntent = await stripe.paymentIntents.retrieve(
-      session.payment_intent,
-      {
-        expand: ["charges.data", "latest_charge"],
-      }
-    );
-
-    // Si pas de customer, on ne peut pas créer de facture
-    // Retourner le payment_intent pour utiliser le reçu de charge à la place
-    if (!paymentIntent.customer && !session.customer) {
-      logWithTimestamp(
-        "warn",
-        "Pas de customer pour créer une facture, utilisation du reçu de charge",
-        paymentIntent.id
-      );
-
-      // Vérifier si on a un reçu de charge disponible
-      if (paymentIntent.charges && paymentIntent.charges.data.length > 0) {
-        const charge = paymentIntent.charges.data[0];
-        if (charge.receipt_url) {
-          logWithTimestamp(
-            "info",
-            "Reçu de charge disponible",
-            charge.receipt_url
-          );
-        }
-      }
-
-      return paymentIntent.id; // Retourner le payment_intent ID pour utiliser le reçu
-    }
-
-    const customerId = paymentIntent.customer || session.customer;
-
-    // Vérifier si une facture existe déjà
-    const existingInvoices = await stripe.invoices.list({
-      customer: customerId,
-      limit: 10,
+async function revokeUserMembershipStatus(userId, excludedMembershipId) {
+  const { data: userMemberships, error } = await supabase
+    .from("users_memberships")
+    .select(
+      `
+      membership_id,
+      memberships (
+        membership_id,
+        membership_end,
+        payment_status
+      )
+    `
+    )
+    .eq("user_id", userId);
+
+  if (error) throw error;
+
+  const now = new Date();
+  const otherActiveMemberships = (userMemberships || []).filter(
+    ({ memberships: membership }) =>
+      membership &&
+      membership.membership_id !== excludedMembershipId &&
+      new Date(membership.membership_end) > now &&
+      !INACTIVE_PAYMENT_STATUSES.includes(membership.payment_status)
+  );
+
+  if (otherActiveMemberships.length > 0) {
+    logWithTimestamp("info", "Statut adhérent conservé (autre adhésion)", {
+      userId,
+      excludedMembershipId,
+      activeMemberships: otherActiveMemberships.map((m) => m.membership_id),
     });
-
-    const existingInvoice = existingInvoices.data.find(
-      (inv) => inv.payment_intent === paymentIntent.id
-    );
-
-    if (existingInvoice) {
-      logWithTimestamp("info", "Facture existante trouvée", existingInvoice.id);
-      return existingInvoice.id;
-    }
-
-    // Pour les paiements déjà effectués, on ne peut pas créer de facture rétroactivement
-    // Retourner le payment_intent pour utiliser le reçu
-    logWithTimestamp(
-      "info",
-      "Paiement déjà effectué, utilisation du reçu au lieu de créer une facture",
-      paymentIntent.id
-    );
-    return paymentIntent.id;
-  } catch (error) {
-    logWithTimestamp("error", "Erreur création facture", error);
-    return null;
+    return false;
   }
+
+  return updateUserStatusToMembership(userId, USER_STATUS.DEFAULT_STATUS_ID);
 }
 
 /**
@@ -275,15 +228,269 @@ async function getReceiptFromPaymentIntent(paymentIntentId) {
   }
 }
 
+/**
+ * Met en file les effets de bord de la création d'une adhésion
+ * (exécutés par le worker de tâches, avec reprises en cas d'échec)
+ * @param {object} membership - Adhésion créée
+ * @param {object} context - { userType, userId, associationId, statusId, invoiceId, session }
+ * @returns {Promise<Array<object>>} Tâches créées
+ */
+async function enqueueMembershipFulfilmentJobs(
+  membership,
+  { userType, userId, associationId, statusId, invoiceId, session }
+) {
+  const membershipId = membership.membership_id;
+  const jobKey = `membership:${membershipId}`;
+  const jobs = [];
+
+  const holder =
+    userType === "user" && userId
+      ? { userId }
+      : userType === "association" && associationId
+        ? { associationId }
+        : null;
+
+  if (holder?.userId) {
+    jobs.push({
+      type: "membership.user_status",
+      payload: { userId, statusId },
+      dedupeKey: `${jobKey}:user_status`,
+    });
+  }
+
+  if (holder) {
+    jobs.push(
+      {
+        type: "membership.confirmation_email",
+        payload: { membershipId, ...holder },
+        dedupeKey: `${jobKey}:confirmation_email`,
+      },
+      {
+        type: "membership.invoice",
+        payload: { membershipId, ...holder },
+        dedupeKey: `${jobKey}:invoice`,
+      }
+    );
+  }
+
+  // Facture ou reçu Stripe pas encore disponible : nouvelle recherche différée
+  if (!invoiceId && session?.payment_intent) {
+    jobs.push({
+      type: "membership.repair",
+      payload: { membershipId },
+      dedupeKey: `${jobKey}:repair`,
+      runAt: new Date(Date.now() + 5 * 60 * 1000),
+    });
+  }
+
+  return enqueueJobs(jobs);
+}
+
+/**
+ * Récupère l'adhésion renouvelée par un paiement, si elle appartient bien au
+ * titulaire de la session (sinon le paiement crée une adhésion indépendante)
+ * @param {number|string} previousMembershipId - Adhésion renouvelée (optionnel)
+ * @param {object} holder - Titulaire ({ userId } ou { associationId })
+ * @returns {Promise<object|null>} Adhésion renouvelée (membership_id, membership_end)
+ */
+async function getRenewedMembership(previousMembershipId, holder) {
+  if (!previousMembershipId) return null;
+
+  const [table, column, id] = holder.userId
+    ? ["users_memberships", "user_id", holder.userId]
+    : ["associations_memberships", "association_id", holder.associationId];
+
+  const { data, error } = await supabase
+    .from(table)
+    .select("memberships (membership_id, membership_end)")
+    .eq("membership_id", parseInt(previousMembershipId))
+    .eq(column, id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data?.memberships) {
+    logWithTimestamp(
+      "warn",
+      "Adhésion renouvelée introuvable pour ce titulaire",
+      {
+        previousMembershipId,
+        ...holder,
+      }
+    );
+    return null;
+  }
+
+  return data.memberships;
+}
+
+/**
+ * Détermine le début d'une période d'adhésion
+ * Pour un renouvellement : fin de l'adhésion précédente si elle est encore
+ * en cours (les jours restants sont conservés), sinon maintenant
+ * @param {object|null} previousMembership - Adhésion renouvelée (optionnel)
+ * @returns {Date} Date de début de la période
+ */
+function getMembershipPeriodStart(previousMembership) {
+  const now = new Date();
+  if (!previousMembership) return now;
+
+  const previousEnd = new Date(previousMembership.membership_end);
+  return previousEnd > now ? previousEnd : now;
+}
+
+/**
+ * Recherche le renouvellement déjà enregistré d'une adhésion
+ * @param {number} membershipId - ID de l'adhésion renouvelée
+ * @returns {Promise<object|null>} Adhésion de renouvellement
+ */
+async function findMembershipRenewal(membershipId) {
+  const { data, error } = await supabase
+    .from("memberships")
+    .select("membership_id")
+    .eq("previous_membership_id", membershipId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Recherche l'adhésion déjà créée pour une session Stripe
+ * @param {object} session - Session Stripe
+ * @returns {Promise<object|null>} Adhésion existante
+ */
+async function findSessionMembership(session) {
+  if (!session?.id) return null;
+
+  const { data, error } = await supabase
+    .from("memberships")
+    .select("*")
+    .eq("stripe_session_id", session.id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Rattache une adhésion à son titulaire (users_memberships ou
+ * associations_memberships), sans doublon si le lien existe déjà
+ * @param {object} membership - Adhésion
+ * @param {object} holder - { userType, userId, associationId }
+ * @returns {Promise<object|null>} Lien titulaire <-> adhésion
+ */
+async function linkMembershipHolder(
+  membership,
+  { userType, userId, associationId }
+) {
+  const link =
+    userType === "user" && userId
+      ? { table: "users_memberships", row: { user_id: userId } }
+      : userType === "association" && associationId
+        ? {
+            table: "associations_memberships",
+            row: { association_id: associationId },
+          }
+        : null;
+
+  if (!link) {
+    logWithTimestamp(
+      "warn",
+      "⚠️ Type d'utilisateur non reconnu ou données manquantes",
+      {
+        userType,
+        hasUserId: !!userId,
+        hasAssociationId: !!associationId,
+      }
+    );
+    return null;
+  }
+
+  const findLink = async () => {
+    const { data, error } = await supabase
+      .from(link.table)
+      .select("*")
+      .eq("membership_id", membership.membership_id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  };
+
+  const existingLink = await findLink();
+  if (existingLink) return existingLink;
+
+  logWithTimestamp(
+    "info",
+    link.row.user_id
+      ? "👤 Traitement adhésion UTILISATEUR"
+      : "🏢 Traitement adhésion ASSOCIATION",
+    link.row
+  );
+
+  const { data: holderLink, error: linkError } = await supabase
+    .from(link.table)
+    .insert({ ...link.row, membership_id: membership.membership_id })
+    .select()
+    .single();
+
+  if (linkError) {
+    // Lien créé entre-temps par un traitement concurrent de la même session
+    if (linkError.code === "23505") {
+      const concurrentLink = await findLink();
+      if (concurrentLink) return concurrentLink;
+    }
+
+    logWithTimestamp("error", `❌ Erreur création ${link.table}`, {
+      error: linkError.message,
+      code: linkError.code,
+      details: linkError.details,
+      ...link.row,
+      membership_id: membership.membership_id,
+    });
+    throw linkError;
+  }
+
+  logWithTimestamp("info", `✅ Lien ${link.table} créé`, holderLink);
+  return holderLink;
+}
+
+/**
+ * Reprend le traitement d'une adhésion déjà créée pour la session
+ * (webhook rejoué, page de succès ou création concurrente) : le lien au
+ * titulaire est vérifié et les tâches remises en file
+ * @param {object} membership - Adhésion existante
+ * @param {object} context - { userType, userId, associationId, statusId, session }
+ * @returns {Promise<object>} Adhésion existante
+ */
+async function resumeMembershipFulfilment(membership, context) {
+  logWithTimestamp("warn", "⚠️ Adhésion déjà créée pour cette session", {
+    membership_id: membership.membership_id,
+    session_id: context.session?.id,
+  });
+
+  // Lien au titulaire absent si la première tentative a échoué après l'insertion
+  await linkMembershipHolder(membership, context);
+
+  // Sans effet si les tâches sont déjà en file (dedupeKey)
+  await enqueueMembershipFulfilmentJobs(membership, {
+    ...context,
+    invoiceId: membership.stripe_invoice_id,
+  });
+
+  return membership;
+}
+
 /**
  * Crée un forfait d'adhésion d'un an (paiement unique) avec gestion améliorée des factures
  * @param {object} metadata - Métadonnées de la session Stripe
  * @param {object} session - Session Stripe complétée
+ * @param {object} overrides - Colonnes imposées (ex : période d'un abonnement)
  * @returns {Promise<object>} Données de l'adhésion créée
  */
-async function createMembership(metadata, session) {
+async function createMembership(metadata, session, overrides = {}) {
   const { userId, associationId, userType, priceId, statusId } = metadata;
-  const price = getPriceFromPriceId(priceId);
+  const price = await getPriceFromPriceId(priceId);
 
   logWithTimestamp("info", "=== DÉBUT CRÉATION FORFAIT ADHÉSION ===");
   logWithTimestamp("info", "📋 Metadata reçues", {
@@ -295,20 +502,57 @@ async function createMembership(metadata, session) {
     price: `${price}€`,
   });
 
+  const context = { userType, userId, associationId, statusId, session };
+
   try {
+    // Idempotence : une session Stripe ne crée qu'une seule adhésion
+    const existingMembership = await findSessionMembership(session);
+    if (existingMembership) {
+      return resumeMembershipFulfilment(existingMembership, context);
+    }
+
     // Récupération ou création de la facture
     const invoiceId = await getInvoiceFromPayment(session);
 
+    // Renouvellement : la nouvelle période démarre à la fin de la précédente
+    const previousMembership = await getRenewedMembership(
+      metadata.renewsMembershipId,
+      { userId, associationId }
+    );
+    const membershipStart = getMembershipPeriodStart(previousMembership);
+
     // Création d'une adhésion de 1 an exactement
     const membershipData = {
-      membership_start: new Date().toISOString(),
+      membership_start: membershipStart.toISOString(),
       membership_end: new Date(
-        Date.now() + 365 * 24 * 60 * 60 * 1000
+        membershipStart.getTime() + 365 * 24 * 60 * 60 * 1000
       ).toISOString(),
       membership_price: price,
       status_id: parseInt(statusId),
+      price_id: priceId,
     };
 
+    // Code promo : le prix enregistré est le montant effectivement payé
+    const appliedCoupon = getSessionCoupon(metadata, session);
+    if (appliedCoupon) {
+      Object.assign(membershipData, appliedCoupon, {
+        membership_price:
+          Math.round((price - appliedCoupon.coupon_discount) * 100) / 100,
+      });
+      logWithTimestamp("info", "🏷️ Code promo appliqué", {
+        couponCode: metadata.couponCode,
+        discount: appliedCoupon.coupon_discount,
+      });
+    }
+
+    if (previousMembership) {
+      membershipData.previous_membership_id = previousMembership.membership_id;
+      logWithTimestamp("info", "🔁 Renouvellement d'adhésion", {
+        previousMembershipId: membershipData.previous_membership_id,
+        membershipStart: membershipData.membership_start,
+      });
+    }
+
     // Ajout des IDs Stripe si disponibles
     if (invoiceId) {
       membershipData.stripe_invoice_id = invoiceId;
@@ -320,6 +564,13 @@ async function createMembership(metadata, session) {
       logWithTimestamp("info", "🔗 Session ID ajouté", session.id);
     }
 
+    if (session?.customer) {
+      membershipData.stripe_customer_id =
+        typeof session.customer === "string"
+          ? session.customer
+          : session.customer.id;
+    }
+
     // Ajout de métadonnées pour debug et traçabilité
     if (session?.payment_intent) {
       membershipData.payment_intent_id = session.payment_intent;
@@ -330,6 +581,8 @@ async function createMembership(metadata, session) {
       );
     }
 
+    Object.assign(membershipData, overrides);
+
     logWithTimestamp("info", "💾 Données forfait adhésion à insérer", {
       ...membershipData,
       membership_start: new Date(
@@ -348,6 +601,39 @@ async function createMembership(metadata, session) {
       .single();
 
     if (membershipError) {
+      // Création concurrente pour la même session (index unique) : reprise
+      if (membershipError.code === "23505") {
+        const concurrentMembership = await findSessionMembership(session);
+        if (concurrentMembership) {
+          return resumeMembershipFulfilment(concurrentMembership, context);
+        }
+
+        // Adhésion déjà renouvelée par un autre paiement (index unique sur
+        // previous_membership_id) : ce paiement prolonge le renouvellement
+        const renewal =
+          previousMembership &&
+          (await findMembershipRenewal(previousMembership.membership_id));
+        if (renewal) {
+          logWithTimestamp(
+            "warn",
+            "⚠️ Adhésion déjà renouvelée, prolongation",
+            {
+              previousMembershipId: previousMembership.membership_id,
+              renewalMembershipId: renewal.membership_id,
+              sessionId: session?.id,
+            }
+          );
+          return createMembership(
+            {
+              ...metadata,
+              renewsMembershipId: String(renewal.membership_id),
+            },
+            session,
+            overrides
+          );
+        }
+      }
+
       logWithTimestamp("error", "❌ Erreur création forfait adhésion", {
         error: membershipError.message,
         code: membershipError.code,
@@ -363,186 +649,21 @@ async function createMembership(metadata, session) {
     });
 
     // Association utilisateur <-> adhésion
-    if (userType === "user" && userId) {
-      logWithTimestamp("info", "👤 Traitement adhésion UTILISATEUR", {
-        userId,
-      });
-
-      const { data: userMembership, error: userMembershipError } =
-        await supabase
-          .from("users_memberships")
-          .insert({
-            user_id: userId,
-            membership_id: membership.membership_id,
-          })
-          .select()
-          .single();
-
-      if (userMembershipError) {
-        logWithTimestamp("error", "❌ Erreur création user_membership", {
-          error: userMembershipError.message,
-          code: userMembershipError.code,
-          userId,
-          membership_id: membership.membership_id,
-        });
-        throw userMembershipError;
-      }
-
-      logWithTimestamp("info", "✅ User membership créé", userMembership);
-
-      // Mise à jour du statut utilisateur
-      const statusUpdated = await updateUserStatusToMembership(
-        userId,
-        statusId
-      );
-      logWithTimestamp(
-        "info",
-        `📊 Statut utilisateur ${statusUpdated ? "mis à jour" : "non modifié"}`,
-        {
-          userId,
-          statusId,
-        }
-      );
-
-      // Envoi email de confirmation
-      const emailSent = await sendMembershipConfirmationEmail(
-        userId,
-        membership
-      );
-      logWithTimestamp(
-        "info",
-        `📧 Email utilisateur ${emailSent ? "envoyé" : "échoué"}`,
-        { userId }
-      );
-    } else if (userType === "association" && associationId) {
-      logWithTimestamp("info", "🏢 Traitement adhésion ASSOCIATION", {
-        associationId,
-      });
-
-      // Vérifier d'abord si une adhésion existe déjà pour cette association
-      const { data: existingMembership, error: checkError } = await supabase
-        .from("associations_memberships")
-        .select("*")
-        .eq("association_id", associationId)
-        .single();
-
-      if (checkError && checkError.code !== "PGRST116") {
-        logWithTimestamp("warn", "⚠️ Erreur vérification adhésion existante", {
-          error: checkError.message,
-          associationId,
-        });
-      }
-
-      if (existingMembership) {
-        logWithTimestamp(
-          "info",
-          "📝 Association a déjà une adhésion, création d'une nouvelle",
-          {
-            associationId,
-            existingMembershipId: existingMembership.membership_id,
-          }
-        );
-      }
-
-      const { data: assoMembership, error: assoMembershipError } =
-        await supabase
-          .from("associations_memberships")
-          .insert({
-            association_id: associationId,
-            membership_id: membership.membership_id,
-          })
-          .select()
-          .single();
-
-      if (assoMembershipError) {
-        logWithTimestamp("error", "❌ Erreur création association_membership", {
-          error: assoMembershipError.message,
-          code: assoMembershipError.code,
-          details: assoMembershipError.details,
-          hint: assoMembershipError.hint,
-          associationId,
-          membership_id: membership.membership_id,
-        });
-
-        // Si c'est une erreur de clé dupliquée, donnons plus d'informations
-        if (assoMembershipError.code === "23505") {
-          logWithTimestamp("error", "🔑 Erreur de clé dupliquée détectée", {
-            message:
-              "L'association a déjà une entrée dans associations_memberships",
-            suggestion:
-              "Vérifiez le schéma de la table associations_memberships",
-          });
-        }
-
-        throw assoMembershipError;
-      }
-
-      logWithTimestamp("info", "✅ Association membership créé", {
-        association_id: assoMembership.association_id,
-        membership_id: assoMembership.membership_id,
-      });
-
-      // Envoi email de confirmation spécifique aux associations
-      const emailSent = await sendAssociationMembershipConfirmationEmail(
-        associationId,
-        membership
-      );
-      logWithTimestamp(
-        "info",
-        `📧 Email association ${emailSent ? "envoyé" : "échoué"}`,
-        {
-          associationId,
-        }
-      );
-    } else {
-      logWithTimestamp(
-        "warn",
-        "⚠️ Type d'utilisateur non reconnu ou données manquantes",
-        {
-          userType,
-          hasUserId: !!userId,
-          hasAssociationId: !!associationId,
-        }
-      );
-    }
+    await linkMembershipHolder(membership, {
+      userType,
+      userId,
+      associationId,
+    });
 
-    // Tentative de création de facture en arrière-plan si pas encore disponible
-    if (!invoiceId && session?.payment_intent) {
-      logWithTimestamp("info", "🔄 Tentative création facture en arrière-plan");
-
-      // Faire cela de manière asynchrone pour ne pas bloquer la création de l'adhésion
-      setTimeout(async () => {
-        try {
-          const backgroundInvoiceId = await createInvoiceForPayment(session);
-          if (backgroundInvoiceId) {
-            // Mettre à jour l'adhésion avec la nouvelle facture
-            await supabase
-              .from("memberships")
-              .update({ stripe_invoice_id: backgroundInvoiceId })
-              .eq("membership_id", membership.membership_id);
-
-            logWithTimestamp("info", "✅ Facture créée en arrière-plan", {
-              membershipId: membership.membership_id,
-              invoiceId: backgroundInvoiceId,
-            });
-          } else {
-            logWithTimestamp(
-              "warn",
-              "⚠️ Impossible de créer la facture en arrière-plan",
-              {
-                membershipId: membership.membership_id,
-                sessionId: session.id,
-              }
-            );
-          }
-        } catch (bgError) {
-          logWithTimestamp("warn", "❌ Échec création facture arrière-plan", {
-            error: bgError.message,
-            membershipId: membership.membership_id,
-          });
-        }
-      }, 5000); // Attendre 5 secondes puis essayer
-    }
+    // Statut, email de confirmation et facture : file de tâches durable
+    await enqueueMembershipFulfilmentJobs(membership, {
+      userType,
+      userId,
+      associationId,
+      statusId,
+      invoiceId,
+      session,
+    });
 
     logWithTimestamp(
       "info",
@@ -573,7 +694,7 @@ async function createMembership(metadata, session) {
 module.exports = {
   checkIfUserIsMember,
   updateUserStatusToMembership,
-  createInvoiceForPayment,
+  revokeUserMembershipStatus,
   getInvoiceFromPayment,
   getReceiptFromPaymentIntent,
   createMembership,
@@ -0,0 +1,252 @@
+const { supabase } = require("../config/database");
+const { MEMBERSHIP_LIFECYCLE } = require("../config/constants");
+const { getCatalogEntry } = require("../catalog/catalogService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Adhésions qui ne couvrent plus leur titulaire (remboursées, contestées)
+// Référence pour tous les services d'adhésion
+const INACTIVE_PAYMENT_STATUSES = ["refunded", "disputed"];
+
+/**
+ * Statut d'adhésion calculé à partir des dates des adhésions (et non des
+ * lignes users_status) : source unique pour le tarif adhérent des formations,
+ * la route de statut et la vérification des associations
+ */
+
+/**
+ * Récupère les adhésions d'un titulaire, de la plus récente à la plus ancienne
+ * @param {object} holder - Titulaire ({ userId } ou { associationId })
+ * @returns {Promise<Array<object>>} Adhésions (memberships avec status)
+ */
+async function listHolderMemberships({ userId, associationId }) {
+  const [table, column, id] = userId
+    ? ["users_memberships", "user_id", userId]
+    : ["associations_memberships", "association_id", associationId];
+
+  const { data, error } = await supabase
+    .from(table)
+    .select("memberships (*, status (status_name))")
+    .eq(column, id);
+
+  if (error) throw error;
+
+  return (data || [])
+    .map((item) => item.memberships)
+    .filter(Boolean)
+    .sort(
+      (a, b) => new Date(b.membership_start) - new Date(a.membership_start)
+    );
+}
+
+/**
+ * Liste les places actives d'un utilisateur (toutes associations confondues)
+ * @param {string} userId - UUID de l'utilisateur
+ * @returns {Promise<Array<object>>} Places ({ seat_id, association_id, accepted_at })
+ */
+async function listUserActiveSeats(userId) {
+  const { data, error } = await supabase
+    .from("association_seats")
+    .select("seat_id, association_id, accepted_at")
+    .eq("user_id", userId)
+    .eq("status", "active");
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Fin de la couverture continue à partir d'une adhésion
+ * (renouvellements déjà payés enchaînés compris)
+ * @param {object} membership - Adhésion de référence
+ * @param {Array<object>} memberships - Adhésions valides du titulaire
+ * @returns {Date} Fin de couverture
+ */
+function getCoveredUntil(membership, memberships) {
+  let coveredUntil = new Date(membership.membership_end);
+
+  const byStart = [...memberships].sort(
+    (a, b) => new Date(a.membership_start) - new Date(b.membership_start)
+  );
+  for (const other of byStart) {
+    const start = new Date(other.membership_start);
+    const end = new Date(other.membership_end);
+    if (start <= coveredUntil && end > coveredUntil) coveredUntil = end;
+  }
+
+  return coveredUntil;
+}
+
+/**
+ * Éligibilité au renouvellement de l'adhésion de référence
+ * (mêmes règles que createMembershipRenewalCheckout)
+ * @param {object|null} membership - Adhésion de référence
+ * @param {Array<object>} memberships - Toutes les adhésions du titulaire
+ * @returns {object} { eligible, reason, auto_renew, renewed_by }
+ */
+function getRenewalEligibility(membership, memberships) {
+  if (!membership) {
+    return {
+      eligible: false,
+      reason: "no_membership",
+      auto_renew: false,
+      renewed_by: null,
+    };
+  }
+
+  const renewal = memberships.find(
+    (other) => other.previous_membership_id === membership.membership_id
+  );
+  const reason = membership.auto_renew
+    ? "auto_renew"
+    : renewal
+      ? "already_renewed"
+      : null;
+
+  return {
+    eligible: !reason,
+    reason,
+    auto_renew: Boolean(membership.auto_renew),
+    renewed_by: renewal?.membership_id || null,
+  };
+}
+
+/**
+ * Calcule le statut d'adhésion d'un titulaire à partir des dates
+ * - active : une adhésion payée couvre la date
+ * - grace : adhésion terminée depuis moins de MEMBERSHIP_LIFECYCLE.GRACE_DAYS
+ *   (avantages maintenus le temps de renouveler)
+ * - expired : adhésions passées uniquement ; none : aucune adhésion
+ * Un utilisateur sans adhésion propre peut être couvert par une association
+ * (place acceptée sur une adhésion active ou en délai de grâce)
+ * @param {object} holder - Titulaire ({ userId } ou { associationId })
+ * @param {object} options - Options
+ * @param {Date} options.now - Date de référence (par défaut maintenant)
+ * @returns {Promise<object>} Statut d'adhésion
+ */
+async function getMembershipStatus(
+  { userId, associationId },
+  { now = new Date() } = {}
+) {
+  if (!userId && !associationId) {
+    throw Object.assign(new Error("userId ou associationId manquant"), {
+      status: 400,
+    });
+  }
+
+  const memberships = await listHolderMemberships({ userId, associationId });
+  const valid = memberships.filter(
+    (membership) =>
+      !INACTIVE_PAYMENT_STATUSES.includes(membership.payment_status)
+  );
+  const graceMs = MEMBERSHIP_LIFECYCLE.GRACE_DAYS * DAY_MS;
+
+  const current = valid.find(
+    (membership) =>
+      new Date(membership.membership_start) <= now &&
+      new Date(membership.membership_end) > now
+  );
+  const lastEnded = valid
+    .filter((membership) => new Date(membership.membership_end) <= now)
+    .sort((a, b) => new Date(b.membership_end) - new Date(a.membership_end))[0];
+  const inGrace =
+    !current &&
+    Boolean(lastEnded) &&
+    now - new Date(lastEnded.membership_end) < graceMs;
+
+  const reference = current || lastEnded || valid[0] || null;
+  const state = current
+    ? "active"
+    : inGrace
+      ? "grace"
+      : valid.length > 0
+        ? "expired"
+        : "none";
+
+  const status = {
+    holder_type: userId ? "user" : "association",
+    holder_id: userId || associationId,
+    is_member: state === "active" || state === "grace",
+    state,
+    source: null,
+    association_id: null,
+    membership_id: reference?.membership_id || null,
+    tier: null,
+    membership_start: reference?.membership_start || null,
+    membership_end: reference?.membership_end || null,
+    covered_until: null,
+    days_remaining: 0,
+    grace_period: {
+      days: MEMBERSHIP_LIFECYCLE.GRACE_DAYS,
+      in_grace_period: inGrace,
+      ends_at: reference
+        ? new Date(
+            new Date(reference.membership_end).getTime() + graceMs
+          ).toISOString()
+        : null,
+    },
+    renewal: getRenewalEligibility(reference, memberships),
+    memberships,
+  };
+
+  if (reference) {
+    const entry = await getCatalogEntry(reference.price_id);
+    status.tier = {
+      price_id: reference.price_id || null,
+      name: entry?.name || reference.status?.status_name || null,
+      status_id: reference.status_id,
+      status_name: reference.status?.status_name || null,
+    };
+  }
+
+  if (status.is_member) {
+    const coveredUntil = getCoveredUntil(reference, valid);
+    status.source = "membership";
+    status.covered_until = coveredUntil.toISOString();
+    status.days_remaining = Math.max(
+      Math.ceil((coveredUntil - now) / DAY_MS),
+      0
+    );
+    return status;
+  }
+
+  // Membre couvert par l'adhésion d'une association
+  if (userId) {
+    for (const seat of await listUserActiveSeats(userId)) {
+      const associationStatus = await getMembershipStatus(
+        { associationId: seat.association_id },
+        { now }
+      );
+      if (!associationStatus.is_member) continue;
+
+      return {
+        ...status,
+        is_member: true,
+        state: associationStatus.state,
+        source: "association_seat",
+        association_id: seat.association_id,
+        membership_id: associationStatus.membership_id,
+        tier: associationStatus.tier,
+        membership_start: associationStatus.membership_start,
+        membership_end: associationStatus.membership_end,
+        covered_until: associationStatus.covered_until,
+        days_remaining: associationStatus.days_remaining,
+        grace_period: associationStatus.grace_period,
+        // Le renouvellement revient à l'association
+        renewal: {
+          eligible: false,
+          reason: "covered_by_association",
+          auto_renew: false,
+          renewed_by: null,
+        },
+      };
+    }
+  }
+
+  return status;
+}
+
+module.exports = {
+  INACTIVE_PAYMENT_STATUSES,
+  getMembershipStatus,
+};
@@ -0,0 +1,304 @@
+const { supabase } = require("../config/database");
+const { stripe } = require("../config/stripe");
+const { logWithTimestamp } = require("../shared/logger");
+const {
+  createMembership,
+  updateUserStatusToMembership,
+} = require("./membershipService");
+const {
+  getMembershipHolder,
+  getHolderMembership,
+  logMembershipTransition,
+} = require("./membershipLifecycleService");
+const { enqueueJobs } = require("../jobs/jobQueueService");
+
+/**
+ * Convertit un timestamp Stripe (secondes) en date ISO
+ * @param {number} timestamp - Timestamp Unix
+ * @returns {string} Date ISO
+ */
+function fromStripeTimestamp(timestamp) {
+  return new Date(timestamp * 1000).toISOString();
+}
+
+/**
+ * Récupère l'adhésion liée à un abonnement Stripe
+ * @param {string} subscriptionId - ID de l'abonnement Stripe
+ * @returns {Promise<object|null>} Adhésion ou null
+ */
+async function getMembershipBySubscription(subscriptionId) {
+  const { data, error } = await supabase
+    .from("memberships")
+    .select("*")
+    .eq("stripe_subscription_id", subscriptionId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Crée l'adhésion correspondant à un abonnement (checkout.session.completed)
+ * La période de l'adhésion suit la période en cours de l'abonnement
+ * @param {object} metadata - Métadonnées de la session Stripe
+ * @param {object} session - Session Stripe complétée (mode subscription)
+ * @returns {Promise<object>} Adhésion créée
+ */
+async function activateMembershipSubscription(metadata, session) {
+  const subscription = await stripe.subscriptions.retrieve(
+    session.subscription
+  );
+
+  const overrides = {
+    membership_start: fromStripeTimestamp(subscription.current_period_start),
+    membership_end: fromStripeTimestamp(subscription.current_period_end),
+    stripe_subscription_id: subscription.id,
+    subscription_status: subscription.status,
+    auto_renew: !subscription.cancel_at_period_end,
+  };
+
+  // En mode abonnement, le payment_intent est porté par la facture
+  if (session.invoice) {
+    const invoice = await stripe.invoices.retrieve(session.invoice);
+    if (invoice.payment_intent) {
+      overrides.payment_intent_id = invoice.payment_intent;
+    }
+  }
+
+  logWithTimestamp("info", "🔄 Activation adhésion par abonnement", {
+    subscriptionId: subscription.id,
+    sessionId: session.id,
+    membershipEnd: overrides.membership_end,
+  });
+
+  return createMembership(metadata, session, overrides);
+}
+
+/**
+ * Synchronise une adhésion avec son abonnement (customer.subscription.*)
+ * @param {object} subscription - Abonnement Stripe
+ * @returns {Promise<object>} Résultat du traitement
+ */
+async function syncMembershipSubscription(subscription) {
+  const membership = await getMembershipBySubscription(subscription.id);
+
+  if (!membership) {
+    // L'adhésion est créée au checkout.session.completed, qui peut arriver après
+    logWithTimestamp("info", "Abonnement sans adhésion (pas encore créée)", {
+      subscriptionId: subscription.id,
+      status: subscription.status,
+    });
+    return { action: "skipped", reason: "membership_not_found" };
+  }
+
+  const isCanceled = subscription.status === "canceled";
+  const updates = {
+    subscription_status: subscription.status,
+    auto_renew: !isCanceled && !subscription.cancel_at_period_end,
+  };
+
+  // La fin d'adhésion ne recule jamais (un abonnement annulé va à son terme)
+  const periodEnd = fromStripeTimestamp(subscription.current_period_end);
+  if (
+    !isCanceled &&
+    new Date(periodEnd) > new Date(membership.membership_end)
+  ) {
+    updates.membership_end = periodEnd;
+  }
+
+  const { error } = await supabase
+    .from("memberships")
+    .update(updates)
+    .eq("membership_id", membership.membership_id);
+
+  if (error) throw error;
+
+  if (
+    updates.auto_renew !== membership.auto_renew ||
+    updates.subscription_status !== membership.subscription_status
+  ) {
+    const holder = await getMembershipHolder(membership.membership_id);
+    await logMembershipTransition(membership, holder, "subscription_updated", {
+      subscription_id: subscription.id,
+      subscription_status: subscription.status,
+      auto_renew: updates.auto_renew,
+    });
+  }
+
+  return {
+    action: "subscription_synced",
+    membershipId: membership.membership_id,
+    ...updates,
+  };
+}
+
+/**
+ * Prolonge une adhésion à chaque échéance payée de son abonnement (invoice.paid)
+ * L'échéance est enregistrée dans membership_payments ; la ligne memberships
+ * conserve les références du paiement initial
+ * @param {object} invoice - Facture Stripe payée
+ * @returns {Promise<object>} Résultat du traitement
+ */
+async function handleSubscriptionInvoicePaid(invoice) {
+  if (!invoice.subscription) {
+    return { action: "ignored", reason: "not_a_subscription" };
+  }
+
+  // La première facture est traitée par checkout.session.completed
+  if (invoice.billing_reason === "subscription_create") {
+    return { action: "skipped", reason: "handled_by_checkout" };
+  }
+
+  const membership = await getMembershipBySubscription(invoice.subscription);
+  if (!membership) {
+    logWithTimestamp("warn", "⚠️ Facture d'abonnement sans adhésion", {
+      invoiceId: invoice.id,
+      subscriptionId: invoice.subscription,
+    });
+    return { action: "unmatched", invoiceId: invoice.id };
+  }
+
+  const periodStart = Math.min(
+    ...invoice.lines.data.map((line) => line.period.start)
+  );
+  const periodEnd = Math.max(
+    ...invoice.lines.data.map((line) => line.period.end)
+  );
+  const holder = await getMembershipHolder(membership.membership_id);
+
+  // Facture au registre de l'échéance (payment_intent propre à chaque échéance,
+  // crédité en cas de remboursement) ; sans effet si déjà en file (dedupeKey)
+  const enqueueRenewalInvoice = () =>
+    enqueueJobs([
+      {
+        type: "membership.invoice",
+        payload: {
+          membershipId: membership.membership_id,
+          ...holder,
+          period: {
+            paymentIntentId: invoice.payment_intent,
+            start: fromStripeTimestamp(periodStart),
+            end: fromStripeTimestamp(periodEnd),
+            amount: invoice.amount_paid / 100,
+          },
+        },
+        dedupeKey: `membership_subscription_invoice:${invoice.id}:invoice`,
+      },
+    ]);
+
+  // La fin d'adhésion ne recule jamais (échéances reçues dans le désordre)
+  const updates = {
+    payment_status: "paid",
+    subscription_status: "active",
+    expired_at: null,
+  };
+  if (new Date(periodEnd * 1000) > new Date(membership.membership_end)) {
+    updates.membership_end = fromStripeTimestamp(periodEnd);
+  }
+
+  const { error } = await supabase
+    .from("memberships")
+    .update(updates)
+    .eq("membership_id", membership.membership_id);
+
+  if (error) throw error;
+
+  // Une ligne par échéance : les références de paiement des années
+  // précédentes restent rattachables (remboursements, litiges, comptabilité)
+  const { data: payment, error: paymentError } = await supabase
+    .from("membership_payments")
+    .upsert(
+      {
+        membership_id: membership.membership_id,
+        stripe_invoice_id: invoice.id,
+        payment_intent_id: invoice.payment_intent,
+        amount: invoice.amount_paid / 100,
+        period_start: fromStripeTimestamp(periodStart),
+        period_end: fromStripeTimestamp(periodEnd),
+      },
+      { onConflict: "stripe_invoice_id", ignoreDuplicates: true }
+    )
+    .select()
+    .maybeSingle();
+
+  if (paymentError) throw paymentError;
+
+  await enqueueRenewalInvoice();
+
+  if (!payment) {
+    return { action: "already_synced", membershipId: membership.membership_id };
+  }
+
+  await logMembershipTransition(membership, holder, "subscription_renewed", {
+    invoice_id: invoice.id,
+    previous_end: membership.membership_end,
+    membership_end: fromStripeTimestamp(periodEnd),
+  });
+
+  // Paiement tardif : l'adhésion a pu expirer entre-temps
+  if (membership.expired_at && holder.userId) {
+    await updateUserStatusToMembership(holder.userId, membership.status_id);
+    await logMembershipTransition(membership, holder, "status_restored", {
+      status_id: membership.status_id,
+    });
+  }
+
+  return {
+    action: "membership_extended",
+    membershipId: membership.membership_id,
+    membershipPaymentId: payment.id,
+    membershipEnd: fromStripeTimestamp(periodEnd),
+  };
+}
+
+/**
+ * Désactive le renouvellement automatique d'une adhésion
+ * L'abonnement reste actif jusqu'à la fin de la période payée
+ * @param {number} membershipId - ID de l'adhésion
+ * @param {object} params - Titulaire ({ userId } ou { associationId })
+ * @returns {Promise<object>} Adhésion mise à jour
+ */
+async function cancelMembershipAutoRenew(
+  membershipId,
+  { userId, associationId }
+) {
+  const { membership, holder } = await getHolderMembership(membershipId, {
+    userId,
+    associationId,
+  });
+
+  if (!membership.stripe_subscription_id) {
+    throw Object.assign(
+      new Error("Cette adhésion n'est pas renouvelée automatiquement"),
+      { status: 409 }
+    );
+  }
+
+  const subscription = await stripe.subscriptions.update(
+    membership.stripe_subscription_id,
+    { cancel_at_period_end: true }
+  );
+
+  const { data: updated, error: updateError } = await supabase
+    .from("memberships")
+    .update({ auto_renew: false, subscription_status: subscription.status })
+    .eq("membership_id", membershipId)
+    .select()
+    .single();
+
+  if (updateError) throw updateError;
+
+  await logMembershipTransition(membership, holder, "auto_renew_canceled", {
+    subscription_id: subscription.id,
+    membership_end: membership.membership_end,
+  });
+
+  return updated;
+}
+
+module.exports = {
+  activateMembershipSubscription,
+  syncMembershipSubscription,
+  handleSubscriptionInvoicePaid,
+  cancelMembershipAutoRenew,
+};
@@ -0,0 +1,120 @@
+const { FRONTEND_URL } = require("../config/constants");
+const { logWithTimestamp } = require("../shared/logger");
+const { getMailByUser } = require("../shared/userUtils");
+const {
+  registerPaymentType,
+  toClientMetadata,
+} = require("../payments/paymentTypeRegistry");
+const {
+  getTierChangeQuote,
+  fulfilMembershipTierChange,
+} = require("./membershipTierChangeService");
+
+/**
+ * Construit la session Stripe de la différence de prix d'un changement de forfait
+ * @param {object} params - Paramètres de la session
+ * @param {number} params.membershipId - ID de l'adhésion
+ * @param {string} params.userId - UUID de l'utilisateur
+ * @param {string} params.priceId - ID du prix Stripe du forfait visé
+ * @param {object} params.metadata - Métadonnées additionnelles du client (préfixées)
+ * @param {string} params.successUrl - URL de succès (optionnel)
+ * @param {string} params.cancelUrl - URL d'annulation (optionnel)
+ * @returns {Promise<object>} { sessionConfig, details }
+ */
+async function buildMembershipTierChangeCheckoutSession({
+  membershipId,
+  userId,
+  priceId,
+  metadata = {},
+  successUrl,
+  cancelUrl,
+}) {
+  if (!membershipId) {
+    throw Object.assign(new Error("membershipId manquant"), { status: 400 });
+  }
+
+  const quote = await getTierChangeQuote(membershipId, { userId, priceId });
+
+  if (quote.amount <= 0) {
+    throw Object.assign(
+      new Error("Aucune différence à payer pour ce changement de forfait"),
+      { status: 400 }
+    );
+  }
+
+  logWithTimestamp("info", "💰 Différence de forfait calculée", {
+    membershipId,
+    remainingDays: quote.remaining_days,
+    amount: quote.amount,
+  });
+
+  const userEmail = await getMailByUser(userId);
+  const label = `Changement de forfait - ${quote.from_name} vers ${quote.to_name}`;
+
+  const sessionConfig = {
+    mode: "payment",
+    line_items: [
+      {
+        price_data: {
+          currency: "eur",
+          product_data: {
+            name: label,
+            description: `Au prorata des ${quote.remaining_days} jours restants, jusqu'au ${new Date(quote.membership_end).toLocaleDateString("fr-FR")}`,
+          },
+          unit_amount: Math.round(quote.amount * 100),
+        },
+        quantity: 1,
+      },
+    ],
+    success_url:
+      successUrl || `${FRONTEND_URL}/success?session_id={CHECKOUT_SESSION_ID}`,
+    cancel_url: cancelUrl || `${FRONTEND_URL}/pricing`,
+    payment_method_types: ["card"],
+    metadata: {
+      ...toClientMetadata(metadata),
+      type: "membership_tier_change",
+      userId: userId.toString(),
+      membershipId: quote.membership_id.toString(),
+      fromPriceId: quote.from_price_id || "",
+      fromName: quote.from_name,
+      fromStatusId: quote.from_status_id?.toString() || "",
+      priceId: quote.to_price_id,
+      toName: quote.to_name,
+      statusId: quote.to_status_id.toString(),
+      remainingDays: quote.remaining_days.toString(),
+      tierChangeAmount: quote.amount.toString(),
+    },
+    customer_creation: "always",
+  };
+
+  if (userEmail) {
+    sessionConfig.customer_email = userEmail;
+  }
+
+  return {
+    sessionConfig,
+    details: {
+      from_price_id: quote.from_price_id,
+      to_price_id: quote.to_price_id,
+      remaining_days: quote.remaining_days,
+      membership_end: quote.membership_end,
+      amount: quote.amount,
+    },
+  };
+}
+
+module.exports = registerPaymentType({
+  type: "membership_tier_change",
+  metadataSchema: {
+    required: [
+      "userId",
+      "membershipId",
+      "priceId",
+      "statusId",
+      "remainingDays",
+      "tierChangeAmount",
+    ],
+  },
+  buildCheckoutSession: buildMembershipTierChangeCheckoutSession,
+  fulfil: fulfilMembershipTierChange,
+});
@@ -0,0 +1,313 @@
+const { supabase } = require("../config/database");
+const { stripe } = require("../config/stripe");
+const { logWithTimestamp } = require("../shared/logger");
+const { MEMBERSHIP_TIER_CHANGE } = require("../config/constants");
+const { getCatalogEntry } = require("../catalog/catalogService");
+const { enqueueJobs } = require("../jobs/jobQueueService");
+const {
+  getHolderMembership,
+  getMembershipPriceId,
+} = require("./membershipLifecycleService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Calcule la différence au prorata des jours restants de l'adhésion
+ * @param {number} fromPrice - Prix annuel du forfait actuel
+ * @param {number} toPrice - Prix annuel du forfait visé
+ * @param {number} remainingDays - Jours restants avant membership_end
+ * @param {number} periodDays - Durée totale de la période d'adhésion
+ * @returns {number} Montant à payer en euros (0 pour une descente de gamme)
+ */
+function computeTierChangeAmount(
+  fromPrice,
+  toPrice,
+  remainingDays,
+  periodDays
+) {
+  const difference = ((toPrice - fromPrice) * remainingDays) / periodDays;
+  const amount = Math.round(difference * 100) / 100;
+
+  return amount >= MEMBERSHIP_TIER_CHANGE.MIN_CHARGE ? amount : 0;
+}
+
+/**
+ * Prépare le changement de forfait d'une adhésion individuelle en cours
+ * @param {number} membershipId - ID de l'adhésion
+ * @param {object} params - Paramètres de la demande
+ * @param {string} params.userId - UUID de l'utilisateur titulaire
+ * @param {string} params.priceId - ID du prix Stripe du forfait visé
+ * @returns {Promise<object>} Devis du changement (forfaits, statut visé, jours restants, montant)
+ */
+async function getTierChangeQuote(membershipId, { userId, priceId }) {
+  if (!userId) {
+    throw Object.assign(
+      new Error("Changement de forfait réservé aux adhésions individuelles"),
+      { status: 400 }
+    );
+  }
+  if (!priceId) {
+    throw Object.assign(new Error("priceId manquant"), { status: 400 });
+  }
+
+  const { membership } = await getHolderMembership(membershipId, { userId });
+
+  if (membership.payment_status !== "paid") {
+    throw Object.assign(
+      new Error(`Forfait non modifiable (statut ${membership.payment_status})`),
+      { status: 409 }
+    );
+  }
+  if (membership.auto_renew) {
+    throw Object.assign(
+      new Error(
+        "Désactivez le renouvellement automatique avant de changer de forfait"
+      ),
+      { status: 409 }
+    );
+  }
+
+  const now = Date.now();
+  const start = new Date(membership.membership_start).getTime();
+  const end = new Date(membership.membership_end).getTime();
+  if (end <= now) {
+    throw Object.assign(new Error("Adhésion expirée"), { status: 409 });
+  }
+
+  const fromPriceId = await getMembershipPriceId(membership);
+  if (fromPriceId === priceId) {
+    throw Object.assign(new Error("Forfait déjà souscrit"), { status: 400 });
+  }
+
+  const [fromEntry, toEntry] = await Promise.all([
+    getCatalogEntry(fromPriceId),
+    getCatalogEntry(priceId),
+  ]);
+
+  if (!toEntry || toEntry.kind !== "membership" || !toEntry.active) {
+    throw Object.assign(new Error("Forfait d'adhésion inconnu"), {
+      status: 400,
+    });
+  }
+  if (!fromEntry) {
+    throw Object.assign(new Error("Forfait actuel de l'adhésion introuvable"), {
+      status: 422,
+    });
+  }
+  // Le statut visé est celui du forfait au catalogue
+  if (!toEntry.status_id) {
+    throw Object.assign(
+      new Error("Statut d'adhésion du forfait visé non configuré"),
+      { status: 422 }
+    );
+  }
+
+  // Adhésion pas encore commencée (renouvellement) : toute la période reste due
+  const remainingDays = Math.ceil((end - Math.max(now, start)) / DAY_MS);
+  const periodDays = Math.round((end - start) / DAY_MS);
+
+  return {
+    membership_id: membership.membership_id,
+    user_id: userId,
+    membership_end: membership.membership_end,
+    from_price_id: fromPriceId,
+    from_name: fromEntry.name,
+    from_status_id: membership.status_id,
+    to_price_id: toEntry.price_id,
+    to_name: toEntry.name,
+    to_status_id: toEntry.status_id,
+    remaining_days: remainingDays,
+    amount: computeTierChangeAmount(
+      fromEntry.base_price,
+      toEntry.base_price,
+      remainingDays,
+      periodDays
+    ),
+  };
+}
+
+/**
+ * Change le forfait de l'adhésion (date de fin conservée), journalise,
+ * puis met à jour le statut utilisateur et facture la différence via la file de tâches
+ * @param {object} quote - Devis issu de getTierChangeQuote
+ * @param {object} payment - Paiement de la différence (optionnel)
+ * @param {string} payment.stripeSessionId - ID de la session Stripe
+ * @param {string} payment.paymentIntentId - ID du payment_intent
+ * @returns {Promise<object>} Changement enregistré
+ */
+async function applyMembershipTierChange(quote, payment = {}) {
+  logWithTimestamp("info", "=== 🔼 CHANGEMENT DE FORFAIT ADHÉSION ===", {
+    membershipId: quote.membership_id,
+    from: quote.from_price_id,
+    to: quote.to_price_id,
+    amount: quote.amount,
+  });
+
+  const { error: updateError } = await supabase
+    .from("memberships")
+    .update({ price_id: quote.to_price_id, status_id: quote.to_status_id })
+    .eq("membership_id", quote.membership_id);
+
+  if (updateError) throw updateError;
+
+  const { data: change, error: logError } = await supabase
+    .from("membership_tier_changes")
+    .insert({
+      membership_id: quote.membership_id,
+      user_id: quote.user_id,
+      from_price_id: quote.from_price_id,
+      to_price_id: quote.to_price_id,
+      from_status_id: quote.from_status_id,
+      to_status_id: quote.to_status_id,
+      remaining_days: quote.remaining_days,
+      amount: quote.amount,
+      stripe_session_id: payment.stripeSessionId || null,
+      payment_intent_id: payment.paymentIntentId || null,
+    })
+    .select()
+    .single();
+
+  if (logError) throw logError;
+
+  // Statut utilisateur (set_user_status_membership) et facture : file de tâches durable
+  const jobKey = `membership_tier_change:${change.id}`;
+  await enqueueJobs([
+    {
+      type: "membership.user_status",
+      payload: { userId: quote.user_id, statusId: quote.to_status_id },
+      dedupeKey: `${jobKey}:user_status`,
+    },
+    ...(quote.amount > 0
+      ? [
+          {
+            type: "membership.tier_change_invoice",
+            payload: {
+              tierChangeId: change.id,
+              fromName: quote.from_name,
+              toName: quote.to_name,
+            },
+            dedupeKey: `${jobKey}:invoice`,
+          },
+        ]
+      : []),
+  ]);
+
+  logWithTimestamp("info", "✅ Forfait d'adhésion modifié", {
+    tierChangeId: change.id,
+    membershipId: quote.membership_id,
+  });
+
+  return change;
+}
+
+/**
+ * Applique un changement de forfait dont la différence a été payée
+ * (webhook ou page de succès), si l'adhésion est toujours payée et au forfait
+ * chiffré ; sinon la différence est remboursée
+ * @param {object} metadata - Métadonnées de la session Stripe
+ * @param {object} session - Session Stripe complétée
+ * @returns {Promise<object>} Changement enregistré (ou remboursement de la différence)
+ */
+async function fulfilMembershipTierChange(metadata, session) {
+  const { data: existing, error } = await supabase
+    .from("membership_tier_changes")
+    .select("*")
+    .eq("stripe_session_id", session.id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (existing) {
+    logWithTimestamp("warn", "⚠️ Changement de forfait déjà appliqué", {
+      tierChangeId: existing.id,
+      sessionId: session.id,
+    });
+    return existing;
+  }
+
+  const paymentIntentId =
+    typeof session.payment_intent === "string"
+      ? session.payment_intent
+      : session.payment_intent?.id || null;
+
+  // L'adhésion a pu être remboursée, contestée ou changer de forfait pendant
+  // le paiement : le changement n'est pas appliqué et la différence est remboursée
+  const { data: membership, error: membershipError } = await supabase
+    .from("memberships")
+    .select("*")
+    .eq("membership_id", parseInt(metadata.membershipId))
+    .maybeSingle();
+
+  if (membershipError) throw membershipError;
+
+  const currentPriceId = membership
+    ? await getMembershipPriceId(membership)
+    : null;
+  const reason = !membership
+    ? "membership_not_found"
+    : membership.payment_status !== "paid"
+      ? `membership_${membership.payment_status}`
+      : (currentPriceId || "") !== (metadata.fromPriceId || "")
+        ? "tier_already_changed"
+        : null;
+
+  if (reason) {
+    logWithTimestamp("warn", "⚠️ Changement de forfait refusé au paiement", {
+      membershipId: metadata.membershipId,
+      reason,
+      sessionId: session.id,
+    });
+
+    const refund = paymentIntentId
+      ? await stripe.refunds.create(
+          {
+            payment_intent: paymentIntentId,
+            reason: "requested_by_customer",
+            metadata: {
+              membership_id: metadata.membershipId,
+              user_id: metadata.userId,
+              tier_change_session_id: session.id,
+            },
+          },
+          { idempotencyKey: `membership-tier-change-refund-${session.id}` }
+        )
+      : null;
+
+    logWithTimestamp("info", "💸 Différence de forfait remboursée", {
+      membershipId: metadata.membershipId,
+      stripeRefundId: refund?.id || null,
+    });
+
+    return {
+      action: "difference_refunded",
+      membership_id: parseInt(metadata.membershipId),
+      reason,
+      stripe_refund_id: refund?.id || null,
+    };
+  }
+
+  // La différence est payée : le changement est appliqué tel que chiffré au checkout
+  return applyMembershipTierChange(
+    {
+      membership_id: parseInt(metadata.membershipId),
+      user_id: metadata.userId,
+      from_price_id: metadata.fromPriceId || null,
+      from_name: metadata.fromName,
+      from_status_id: metadata.fromStatusId
+        ? parseInt(metadata.fromStatusId)
+        : null,
+      to_price_id: metadata.priceId,
+      to_name: metadata.toName,
+      to_status_id: parseInt(metadata.statusId),
+      remaining_days: parseInt(metadata.remainingDays),
+      amount: parseFloat(metadata.tierChangeAmount),
+    },
+    { stripeSessionId: session.id, paymentIntentId }
+  );
+}
+
+module.exports = {
+  computeTierChangeAmount,
+  getTierChangeQuote,
+  applyMembershipTierChange,
+  fulfilMembershipTierChange,
+};
@@ -0,0 +1,116 @@
+// Variables d'environnement de test (avant tout chargement de module)
+process.env.STRIPE_SECRET_KEY = "sk_test_local";
+process.env.ADMIN_API_KEYS = "alice:key-alice";
+
+const request = require("supertest");
+
+jest.mock("./config/database", () => ({ supabase: {} }));
+jest.mock("./config/email", () => ({
+  resend: { emails: { send: jest.fn() } },
+  FROM_EMAIL: "noreply@novapsy.info",
+  CONTACT_EMAIL: "contact@novapsy.info",
+}));
+jest.mock("./payments/paymentDocumentService", () => ({
+  ...jest.requireActual("./payments/paymentDocumentService"),
+  getPaymentDocumentData: jest.fn(),
+}));
+jest.mock("./payments/paymentDocumentPdf", () => ({
+  PAYMENT_DOCUMENT_TITLES: {
+    attestation: "ATTESTATION DE PAIEMENT",
+    receipt: "REÇU DE PAIEMENT",
+  },
+  renderPaymentDocumentPdf: jest.fn(),
+}));
+
+const { supabase } = require("./config/database");
+const { getPaymentDocumentData } = require("./payments/paymentDocumentService");
+const { renderPaymentDocumentPdf } = require("./payments/paymentDocumentPdf");
+const { createApp } = require("./createApp");
+
+/**
+ * Simule les tables Supabase : rows[table] est la ligne renvoyée pour le
+ * payment intent demandé (aucune par défaut)
+ */
+function mockTables(rows) {
+  supabase.from = jest.fn((table) => {
+    const builder = {
+      select: () => builder,
+      eq: () => builder,
+      limit: () => builder,
+      maybeSingle: async () => ({ data: rows[table] || null, error: null }),
+    };
+    return builder;
+  });
+}
+
+describe("Payment attestation PDF", () => {
+  let app;
+
+  beforeAll(() => {
+    app = createApp();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    getPaymentDocumentData.mockResolvedValue({
+      payment_intent_id: "pi_1",
+      customer_name: "Jeanne Martin",
+    });
+    renderPaymentDocumentPdf.mockResolvedValue(Buffer.from("%PDF"));
+  });
+
+  test("serves the attestation to the user who paid", async () => {
+    mockTables({ trainings_purchase: { user_id: "u1" } });
+
+    const response = await request(app).get("/attestations/pi_1.pdf?userId=u1");
+
+    expect(response.status).toBe(200);
+    expect(response.headers["content-type"]).toBe("application/pdf");
+    expect(getPaymentDocumentData).toHaveBeenCalledWith("pi_1");
+  });
+
+  test("serves the attestation to the association holding the membership", async () => {
+    mockTables({
+      memberships: { membership_id: 7 },
+      associations_memberships: { association_id: "42" },
+    });
+
+    const response = await request(app).get(
+      "/attestations/pi_1.pdf?associationId=42"
+    );
+
+    expect(response.status).toBe(200);
+  });
+
+  test("hides another holder's payment without reading its personal data", async () => {
+    mockTables({ trainings_purchase: { user_id: "u1" } });
+
+    const response = await request(app).get("/attestations/pi_1.pdf?userId=u2");
+
+    expect(response.status).toBe(404);
+    expect(getPaymentDocumentData).not.toHaveBeenCalled();
+  });
+
+  test("requires the holder", async () => {
+    const response = await request(app).get("/attestations/pi_1.pdf");
+
+    expect(response.status).toBe(400);
+    expect(getPaymentDocumentData).not.toHaveBeenCalled();
+  });
+
+  test("serves any attestation to an administrator", async () => {
+    mockTables({});
+
+    const response = await request(app)
+      .get("/admin/attestations/pi_1.pdf?type=receipt")
+      .set("X-Admin-Key", "key-alice");
+
+    expect(response.status).toBe(200);
+    expect(renderPaymentDocumentPdf).toHaveBeenCalledWith(
+      expect.objectContaining({ payment_intent_id: "pi_1" }),
+      "receipt"
+    );
+  });
+});
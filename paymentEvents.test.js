@@ -0,0 +1,314 @@
+// Variables d'environnement de test (avant tout chargement de module)
+process.env.STRIPE_SECRET_KEY = "sk_test_local";
+
+jest.mock("./config/database", () => ({ supabase: {} }));
+jest.mock("./config/email", () => ({
+  resend: { emails: { send: jest.fn() } },
+  FROM_EMAIL: "noreply@novapsy.info",
+  CONTACT_EMAIL: "contact@novapsy.info",
+}));
+jest.mock("./emails/adminEmails", () => ({
+  sendAdminPaymentAlertEmail: jest.fn(),
+}));
+jest.mock("./emails/trainingEmails", () => ({
+  sendTrainingRefundNotificationEmail: jest.fn(),
+}));
+jest.mock("./invoices/invoiceService", () => ({
+  issueCreditNotesForCharge: jest.fn(),
+}));
+jest.mock("./trainings/trainingSeatService", () => ({
+  releasePurchaseSeat: jest.fn(),
+}));
+jest.mock("./certificates/certificateService", () => ({
+  revokeTrainingCertificate: jest.fn(),
+}));
+
+const { supabase } = require("./config/database");
+const { stripe } = require("./config/stripe");
+const { sendAdminPaymentAlertEmail } = require("./emails/adminEmails");
+const {
+  sendTrainingRefundNotificationEmail,
+} = require("./emails/trainingEmails");
+const { issueCreditNotesForCharge } = require("./invoices/invoiceService");
+const { releasePurchaseSeat } = require("./trainings/trainingSeatService");
+const {
+  revokeTrainingCertificate,
+} = require("./certificates/certificateService");
+const { registerPaymentType } = require("./payments/paymentTypeRegistry");
+const {
+  handleChargeRefunded,
+  handleDisputeCreated,
+} = require("./payments/paymentEventService");
+const { createCheckoutSession } = require("./payments/paymentService");
+
+/**
+ * Simule les lignes locales d'un payment intent
+ */
+function mockLocalRows(rows = {}) {
+  const updates = [];
+
+  supabase.from = jest.fn((table) => {
+    const builder = {
+      select: () => builder,
+      eq: () => builder,
+      update: (fields) => {
+        updates.push({ table, fields });
+        return { eq: async () => ({ error: null }) };
+      },
+      maybeSingle: async () => ({
+        data:
+          table === "trainings"
+            ? { training_name: "TCC" }
+            : rows[table] || null,
+        error: null,
+      }),
+    };
+    return builder;
+  });
+
+  return updates;
+}
+
+function refundedCharge(overrides = {}) {
+  return {
+    id: "ch_1",
+    payment_intent: "pi_1",
+    amount: 25000,
+    amount_refunded: 25000,
+    refunded: true,
+    refunds: { data: [{ id: "re_1", created: 1, metadata: {} }] },
+    ...overrides,
+  };
+}
+
+const purchase = {
+  purchase_id: 12,
+  user_id: "u1",
+  training_id: "training_1",
+  refund_amount: null,
+  payment_status: "paid",
+};
+
+describe("handleChargeRefunded", () => {
+  beforeEach(() => {
+    issueCreditNotesForCharge.mockResolvedValue([]);
+    revokeTrainingCertificate.mockResolvedValue({ certificate_id: 5 });
+  });
+
+  test("unenrols the learner on a full dashboard refund", async () => {
+    const updates = mockLocalRows({ trainings_purchase: purchase });
+
+    const outcome = await handleChargeRefunded(refundedCharge());
+
+    expect(updates).toContainEqual({
+      table: "trainings_purchase",
+      fields: expect.objectContaining({
+        payment_status: "refunded",
+        refund_amount: 250,
+      }),
+    });
+    expect(releasePurchaseSeat).toHaveBeenCalledWith(purchase);
+    expect(sendTrainingRefundNotificationEmail).toHaveBeenCalledWith(
+      "u1",
+      expect.objectContaining({ refundAmount: 250, isFullRefund: true })
+    );
+    expect(revokeTrainingCertificate).toHaveBeenCalledWith(12, "refunded");
+    expect(outcome).toMatchObject({
+      purchase: 12,
+      seatReleased: true,
+      certificateRevoked: true,
+    });
+    expect(sendAdminPaymentAlertEmail).toHaveBeenCalled();
+  });
+
+  test("keeps the enrolment on a partial dashboard refund", async () => {
+    mockLocalRows({ trainings_purchase: purchase });
+
+    await handleChargeRefunded(
+      refundedCharge({ amount_refunded: 5000, refunded: false })
+    );
+
+    expect(releasePurchaseSeat).not.toHaveBeenCalled();
+    expect(revokeTrainingCertificate).not.toHaveBeenCalled();
+    expect(sendTrainingRefundNotificationEmail).toHaveBeenCalledWith(
+      "u1",
+      expect.objectContaining({ refundAmount: 50, isFullRefund: false })
+    );
+  });
+
+  test("does not repeat a refund already recorded locally", async () => {
+    mockLocalRows({
+      trainings_purchase: {
+        ...purchase,
+        payment_status: "refunded",
+        refund_amount: 250,
+      },
+    });
+
+    const outcome = await handleChargeRefunded(refundedCharge());
+
+    expect(outcome.purchase).toBe("already_synced");
+    expect(releasePurchaseSeat).not.toHaveBeenCalled();
+    expect(sendAdminPaymentAlertEmail).not.toHaveBeenCalled();
+  });
+
+  test("matches a refunded transfer fee", async () => {
+    mockLocalRows({ training_transfers: { id: 4, purchase_id: 12 } });
+
+    const outcome = await handleChargeRefunded(
+      refundedCharge({ amount: 3000, amount_refunded: 3000 })
+    );
+
+    expect(outcome).toMatchObject({ action: "refund_synced", transfer: 4 });
+    expect(issueCreditNotesForCharge).toHaveBeenCalled();
+    expect(sendAdminPaymentAlertEmail).toHaveBeenCalled();
+  });
+
+  test("does not alert on a refund issued at fulfilment", async () => {
+    mockLocalRows();
+
+    const outcome = await handleChargeRefunded(
+      refundedCharge({
+        refunds: {
+          data: [
+            { id: "re_1", created: 1, metadata: { transfer_session_id: "cs" } },
+          ],
+        },
+      })
+    );
+
+    expect(outcome.action).toBe("fulfilment_refund");
+    expect(sendAdminPaymentAlertEmail).not.toHaveBeenCalled();
+  });
+
+  test("matches the refund of an earlier subscription period", async () => {
+    const updates = mockLocalRows({
+      membership_payments: {
+        id: 31,
+        membership_id: 8,
+        amount: 250,
+        period_start: "2025-01-10T00:00:00.000Z",
+        period_end: "2026-01-10T00:00:00.000Z",
+      },
+      memberships: {
+        membership_id: 8,
+        membership_end: "2027-01-10T00:00:00.000Z",
+      },
+    });
+
+    const outcome = await handleChargeRefunded(refundedCharge());
+
+    expect(outcome.membershipPayment).toBe(31);
+    expect(outcome.membershipEnd).toBeUndefined();
+    expect(updates).toEqual([
+      {
+        table: "membership_payments",
+        fields: expect.objectContaining({
+          payment_status: "refunded",
+          refund_amount: 250,
+        }),
+      },
+    ]);
+    expect(issueCreditNotesForCharge).toHaveBeenCalled();
+    expect(sendAdminPaymentAlertEmail).toHaveBeenCalled();
+  });
+
+  test("ends the membership when its latest period is fully refunded", async () => {
+    const updates = mockLocalRows({
+      membership_payments: {
+        id: 32,
+        membership_id: 8,
+        amount: 250,
+        period_start: "2027-01-10T00:00:00.000Z",
+        period_end: "2028-01-10T00:00:00.000Z",
+      },
+      memberships: {
+        membership_id: 8,
+        membership_end: "2028-01-10T00:00:00.000Z",
+      },
+    });
+
+    const outcome = await handleChargeRefunded(refundedCharge());
+
+    expect(updates).toContainEqual({
+      table: "memberships",
+      fields: { membership_end: "2027-01-10T00:00:00.000Z" },
+    });
+    expect(outcome.membershipEnd).toBe("2027-01-10T00:00:00.000Z");
+  });
+});
+
+describe("handleDisputeCreated", () => {
+  test("revokes the certificate of a disputed training purchase", async () => {
+    revokeTrainingCertificate.mockResolvedValue({ certificate_id: 5 });
+    const updates = mockLocalRows({ trainings_purchase: purchase });
+
+    const outcome = await handleDisputeCreated({
+      id: "dp_2",
+      payment_intent: "pi_1",
+      amount: 25000,
+      reason: "fraudulent",
+    });
+
+    expect(updates).toEqual([
+      {
+        table: "trainings_purchase",
+        fields: { payment_status: "disputed", stripe_dispute_id: "dp_2" },
+      },
+    ]);
+    expect(revokeTrainingCertificate).toHaveBeenCalledWith(12, "disputed");
+    expect(outcome).toMatchObject({ purchase: 12, certificateRevoked: true });
+  });
+
+  test("marks the disputed subscription period, not the membership", async () => {
+    const updates = mockLocalRows({
+      membership_payments: { id: 31, membership_id: 8 },
+      memberships: { membership_id: 8 },
+    });
+
+    const outcome = await handleDisputeCreated({
+      id: "dp_1",
+      payment_intent: "pi_1",
+      amount: 25000,
+      reason: "fraudulent",
+    });
+
+    expect(updates).toEqual([
+      {
+        table: "membership_payments",
+        fields: { payment_status: "disputed", stripe_dispute_id: "dp_1" },
+      },
+    ]);
+    expect(outcome).toMatchObject({ membership: 8, membershipPayment: 31 });
+  });
+});
+
+describe("createCheckoutSession", () => {
+  registerPaymentType({
+    type: "test_payment",
+    buildCheckoutSession: async () => ({
+      sessionConfig: {
+        mode: "payment",
+        metadata: { type: "test_payment", userId: "u1" },
+      },
+      details: {},
+    }),
+    fulfil: jest.fn(),
+  });
+
+  test("copies the session metadata to the payment intent", async () => {
+    const create = jest
+      .spyOn(stripe.checkout.sessions, "create")
+      .mockResolvedValue({ id: "cs_1", amount_total: 1000 });
+
+    await createCheckoutSession({ type: "test_payment" });
+
+    expect(create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        payment_intent_data: {
+          metadata: { type: "test_payment", userId: "u1" },
+        },
+      })
+    );
+  });
+});
@@ -0,0 +1,316 @@
+const { supabase } = require("../config/database");
+const { stripe } = require("../config/stripe");
+const { logWithTimestamp } = require("../shared/logger");
+const {
+  sendTrainingRefundNotificationEmail,
+  sendMembershipRefundEmail,
+} = require("../emails");
+const {
+  revokeUserMembershipStatus,
+} = require("../memberships/membershipService");
+const {
+  getMembershipHolder,
+  logMembershipTransition,
+} = require("../memberships/membershipLifecycleService");
+const { releasePurchaseSeat } = require("../trainings/trainingSeatService");
+const {
+  revokeTrainingCertificate,
+} = require("../certificates/certificateService");
+
+// Lignes remboursables par l'administration
+const REFUND_TARGETS = {
+  training: {
+    table: "trainings_purchase",
+    idColumn: "purchase_id",
+    amountColumn: "purchase_amount",
+    notFound: "Achat de formation introuvable",
+  },
+  membership: {
+    table: "memberships",
+    idColumn: "membership_id",
+    amountColumn: "membership_price",
+    notFound: "Adhésion introuvable",
+  },
+};
+
+/**
+ * Émet un remboursement Stripe sur une ligne locale et met la ligne à jour
+ * @param {string} targetType - "training" ou "membership"
+ * @param {number} targetId - purchase_id ou membership_id
+ * @param {object} input - { amount?: euros (défaut : solde restant), reason }
+ * @param {string} adminId - Administrateur à l'origine du remboursement
+ * @returns {Promise<object>} { row, refund, isFullRefund }
+ */
+async function issueRefund(targetType, targetId, input, adminId) {
+  const target = REFUND_TARGETS[targetType];
+  const reason = String(input.reason || "").trim();
+
+  if (!reason) {
+    throw Object.assign(new Error("reason obligatoire"), { status: 400 });
+  }
+
+  const { data: row, error } = await supabase
+    .from(target.table)
+    .select("*")
+    .eq(target.idColumn, targetId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!row) {
+    throw Object.assign(new Error(target.notFound), { status: 404 });
+  }
+  if (!row.payment_intent_id) {
+    throw Object.assign(
+      new Error("payment_intent_id manquant, remboursement impossible"),
+      { status: 422 }
+    );
+  }
+  if (row.payment_status === "disputed") {
+    throw Object.assign(
+      new Error("Paiement contesté : remboursement géré par le litige"),
+      { status: 409 }
+    );
+  }
+
+  // Montants en centimes, plafonnés au solde restant
+  const paidCents = Math.round(Number(row[target.amountColumn] || 0) * 100);
+  const refundedCents = Math.round(Number(row.refund_amount || 0) * 100);
+  const remainingCents = paidCents - refundedCents;
+
+  if (remainingCents <= 0) {
+    throw Object.assign(new Error("Paiement déjà intégralement remboursé"), {
+      status: 409,
+    });
+  }
+
+  const amountCents =
+    input.amount === undefined || input.amount === null
+      ? remainingCents
+      : Math.round(Number(input.amount) * 100);
+
+  if (!Number.isInteger(amountCents) || amountCents <= 0) {
+    throw Object.assign(new Error("amount invalide"), { status: 400 });
+  }
+  if (amountCents > remainingCents) {
+    throw Object.assign(
+      new Error(
+        `amount supérieur au solde remboursable (${remainingCents / 100}€)`
+      ),
+      { status: 400 }
+    );
+  }
+
+  const refund = await stripe.refunds.create({
+    payment_intent: row.payment_intent_id,
+    amount: amountCents,
+    reason: "requested_by_customer",
+    metadata: {
+      target_type: targetType,
+      target_id: targetId.toString(),
+      admin_id: adminId,
+      admin_reason: reason.slice(0, 500),
+    },
+  });
+
+  const isFullRefund = refundedCents + amountCents >= paidCents;
+  const now = new Date().toISOString();
+
+  // refund_amount cumule les remboursements (comparé à amount_refunded de Stripe)
+  const { data: updated, error: updateError } = await supabase
+    .from(target.table)
+    .update({
+      payment_status: isFullRefund ? "refunded" : "partially_refunded",
+      refund_amount: (refundedCents + amountCents) / 100,
+      refund_date: now,
+      stripe_refund_id: refund.id,
+    })
+    .eq(target.idColumn, targetId)
+    .select()
+    .single();
+
+  if (updateError) throw updateError;
+
+  const { error: logError } = await supabase.from("admin_refunds").insert({
+    target_type: targetType,
+    target_id: targetId,
+    amount: amountCents / 100,
+    reason,
+    admin_id: adminId,
+    stripe_refund_id: refund.id,
+  });
+
+  if (logError) {
+    // Le remboursement est émis : on ne bloque pas sur le journal
+    logWithTimestamp("error", "Journal remboursement admin non enregistré", {
+      targetType,
+      targetId,
+      refundId: refund.id,
+      error: logError.message,
+    });
+  }
+
+  logWithTimestamp("info", "💸 Remboursement admin émis", {
+    targetType,
+    targetId,
+    amount: amountCents / 100,
+    isFullRefund,
+    refundId: refund.id,
+    adminId,
+  });
+
+  return {
+    row: updated,
+    refund,
+    refundAmount: amountCents / 100,
+    amountPaid: paidCents / 100,
+    isFullRefund,
+  };
+}
+
+/**
+ * Rembourse (intégralement ou partiellement) un achat de formation (admin)
+ * Un remboursement intégral libère la place, désinscrit de la session et
+ * révoque le certificat éventuel
+ * @param {number} purchaseId - ID de l'achat
+ * @param {object} input - { amount?, reason }
+ * @param {string} adminId - Administrateur à l'origine du remboursement
+ * @returns {Promise<object>} Résultat du remboursement
+ */
+async function refundTrainingPurchaseAsAdmin(purchaseId, input, adminId) {
+  logWithTimestamp("info", "=== 💸 REMBOURSEMENT ADMIN FORMATION ===", {
+    purchaseId,
+    amount: input.amount,
+    adminId,
+  });
+
+  const {
+    row: purchase,
+    refund,
+    refundAmount,
+    amountPaid,
+    isFullRefund,
+  } = await issueRefund("training", purchaseId, input, adminId);
+
+  if (isFullRefund) {
+    await releasePurchaseSeat(purchase);
+
+    try {
+      await revokeTrainingCertificate(purchaseId, "refunded");
+    } catch (certificateError) {
+      logWithTimestamp("warn", "Révocation certificat impossible", {
+        purchaseId,
+        error: certificateError.message,
+      });
+    }
+  }
+
+  const { data: training } = await supabase
+    .from("trainings")
+    .select("training_name")
+    .eq("training_id", purchase.training_id)
+    .maybeSingle();
+
+  await sendTrainingRefundNotificationEmail(purchase.user_id, {
+    trainingName: training?.training_name || purchase.training_id,
+    refundAmount,
+    amountPaid,
+    isFullRefund,
+    consequence: isFullRefund
+      ? "Votre inscription à cette formation a été annulée."
+      : null,
+  });
+
+  return {
+    success: true,
+    purchase_id: purchaseId,
+    refund_amount: refundAmount,
+    total_refunded: purchase.refund_amount,
+    payment_status: purchase.payment_status,
+    stripe_refund_id: refund.id,
+  };
+}
+
+/**
+ * Rembourse (intégralement ou partiellement) une adhésion (admin)
+ * Un remboursement intégral retire le statut adhérent
+ * @param {number} membershipId - ID de l'adhésion
+ * @param {object} input - { amount?, reason }
+ * @param {string} adminId - Administrateur à l'origine du remboursement
+ * @returns {Promise<object>} Résultat du remboursement
+ */
+async function refundMembershipAsAdmin(membershipId, input, adminId) {
+  logWithTimestamp("info", "=== 💸 REMBOURSEMENT ADMIN ADHÉSION ===", {
+    membershipId,
+    amount: input.amount,
+    adminId,
+  });
+
+  const {
+    row: membership,
+    refund,
+    refundAmount,
+    amountPaid,
+    isFullRefund,
+  } = await issueRefund("membership", membershipId, input, adminId);
+
+  const holder = await getMembershipHolder(membershipId);
+  let statusRevoked = false;
+
+  if (isFullRefund && holder.userId) {
+    statusRevoked = await revokeUserMembershipStatus(
+      holder.userId,
+      membershipId
+    );
+  }
+
+  await logMembershipTransition(membership, holder, "refunded_by_admin", {
+    amount: refundAmount,
+    full: isFullRefund,
+    reason: String(input.reason).trim(),
+    adminId,
+    statusRevoked,
+  });
+
+  await sendMembershipRefundEmail(holder, {
+    refundAmount,
+    amountPaid,
+    isFullRefund,
+    consequence: isFullRefund
+      ? "Votre adhésion a été clôturée suite à ce remboursement."
+      : null,
+  });
+
+  return {
+    success: true,
+    membership_id: membershipId,
+    refund_amount: refundAmount,
+    total_refunded: membership.refund_amount,
+    payment_status: membership.payment_status,
+    status_revoked: statusRevoked,
+    stripe_refund_id: refund.id,
+  };
+}
+
+/**
+ * Liste les remboursements admin d'une ligne (historique)
+ * @param {string} targetType - "training" ou "membership"
+ * @param {number} targetId - purchase_id ou membership_id
+ * @returns {Promise<Array<object>>} Remboursements
+ */
+async function listAdminRefunds(targetType, targetId) {
+  const { data, error } = await supabase
+    .from("admin_refunds")
+    .select("*")
+    .eq("target_type", targetType)
+    .eq("target_id", targetId)
+    .order("created_at", { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+module.exports = {
+  refundTrainingPurchaseAsAdmin,
+  refundMembershipAsAdmin,
+  listAdminRefunds,
+};
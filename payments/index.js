@@ -7,12 +7,13 @@
 
 const paymentService = require('./paymentService');
 const paymentRoutes = require('./paymentRoutes');
+const webhookRoutes = require('./webhookRoutes');
 
 module.exports = {
   // Services métier
   createCheckoutSession: paymentService.createCheckoutSession,
   handleWebhook: paymentService.handleWebhook,
-  createInvoice: paymentService.createInvoice,
+  replayWebhookEvent: paymentService.replayWebhookEvent,
   retrievePaymentIntent: paymentService.retrievePaymentIntent,
   processPaymentSuccess: paymentService.processPaymentSuccess,
   processPaymentFailure: paymentService.processPaymentFailure,
@@ -21,4 +22,6 @@ module.exports = {
   
   // Routes API
   paymentRoutes,
+  // Webhooks Stripe (à monter avant express.json)
+  webhookRoutes,
 };
\ No newline at end of file
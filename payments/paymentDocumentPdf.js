@@ -0,0 +1,172 @@
+const { ASSOCIATION_LEGAL } = require("../config/constants");
+const {
+  PDF_BRAND,
+  renderPdf,
+  formatPdfDate,
+  formatPdfAmount,
+} = require("../shared/pdf");
+
+// Titres des documents de paiement
+const PAYMENT_DOCUMENT_TITLES = {
+  attestation: "ATTESTATION DE PAIEMENT",
+  receipt: "REÇU DE PAIEMENT",
+};
+
+/**
+ * Libellé du moyen de paiement (ex. Carte VISA se terminant par 4242)
+ * @param {object} document - Données du document de paiement
+ * @returns {string} Moyen de paiement
+ */
+function formatPaymentMethod(document) {
+  if (document.last4) {
+    const brand = document.brand ? ` ${document.brand.toUpperCase()}` : "";
+    return `Carte${brand} se terminant par ${document.last4}`;
+  }
+  return document.payment_method === "card"
+    ? "Carte bancaire"
+    : document.payment_method;
+}
+
+/**
+ * Génère le PDF d'une attestation ou d'un reçu de paiement
+ * @param {object} document - Données du document (getPaymentDocumentData)
+ * @param {string} type - "attestation" ou "receipt"
+ * @returns {Promise<Buffer>} Contenu du PDF
+ */
+function renderPaymentDocumentPdf(document, type = "attestation") {
+  const title = PAYMENT_DOCUMENT_TITLES[type];
+  const paidAt = new Date(document.created * 1000);
+  const payer = document.customer_name || document.customer_email || "—";
+  const address = document.customer_address
+    ? [
+        document.customer_address.line1,
+        document.customer_address.line2,
+        [document.customer_address.postal_code, document.customer_address.city]
+          .filter(Boolean)
+          .join(" "),
+      ]
+        .filter(Boolean)
+        .join(", ")
+    : null;
+
+  const legalLines = [
+    ASSOCIATION_LEGAL.ADDRESS,
+    ASSOCIATION_LEGAL.SIRET && `SIRET : ${ASSOCIATION_LEGAL.SIRET}`,
+    ASSOCIATION_LEGAL.RNA && `RNA : ${ASSOCIATION_LEGAL.RNA}`,
+    ASSOCIATION_LEGAL.TRAINING_DECLARATION &&
+      `Déclaration d'activité : ${ASSOCIATION_LEGAL.TRAINING_DECLARATION}`,
+  ].filter(Boolean);
+
+  const rows = [
+    ["Objet", document.description],
+    ["Date du paiement", formatPdfDate(paidAt)],
+    ["Moyen de paiement", formatPaymentMethod(document)],
+    ["Référence", document.payment_intent_id],
+    ["Montant payé", formatPdfAmount(document.amount)],
+  ];
+  if (document.amount_refunded > 0) {
+    rows.push(
+      ["Montant remboursé", formatPdfAmount(document.amount_refunded)],
+      [
+        "Montant net",
+        formatPdfAmount(document.amount - document.amount_refunded),
+      ]
+    );
+  }
+
+  return renderPdf(
+    (doc) => {
+      const left = doc.page.margins.left;
+      const contentWidth =
+        doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+      // Émetteur
+      doc
+        .fillColor(PDF_BRAND.PRIMARY_COLOR)
+        .font("Helvetica-Bold")
+        .fontSize(18)
+        .text(ASSOCIATION_LEGAL.NAME, left, 50);
+
+      doc.font("Helvetica").fontSize(9).fillColor(PDF_BRAND.MUTED_COLOR);
+      legalLines.forEach((line) => doc.text(line));
+
+      // Titre
+      doc
+        .moveDown(2)
+        .font("Helvetica-Bold")
+        .fontSize(20)
+        .fillColor(PDF_BRAND.TEXT_COLOR)
+        .text(title, { align: "center" });
+
+      // Payeur
+      doc.moveDown(1.5).font("Helvetica-Bold").fontSize(11).text("Payeur");
+      doc.font("Helvetica").fontSize(11).text(payer);
+      if (document.customer_name && document.customer_email) {
+        doc.text(document.customer_email);
+      }
+      if (address) doc.text(address);
+
+      if (type === "attestation") {
+        doc
+          .moveDown(1.5)
+          .text(
+            `${ASSOCIATION_LEGAL.NAME} atteste avoir reçu de ${payer} la somme de ${formatPdfAmount(document.amount)} le ${formatPdfDate(paidAt)}, au titre de : ${document.description}.`,
+            { width: contentWidth }
+          );
+      }
+
+      // Détail du paiement
+      doc.moveDown(1.5);
+      rows.forEach(([label, value]) => {
+        const y = doc.y;
+        doc
+          .font("Helvetica-Bold")
+          .text(label, left, y, { width: 150 })
+          .font("Helvetica")
+          .text(value, left + 160, y, { width: contentWidth - 160 });
+        doc.moveDown(0.4);
+      });
+
+      doc
+        .moveDown(1)
+        .fontSize(10)
+        .fillColor(PDF_BRAND.MUTED_COLOR)
+        .text(ASSOCIATION_LEGAL.VAT_MENTION, left, doc.y, {
+          width: contentWidth,
+        });
+
+      if (type === "attestation") {
+        doc
+          .moveDown(2)
+          .fontSize(11)
+          .fillColor(PDF_BRAND.TEXT_COLOR)
+          .text("Fait pour servir et valoir ce que de droit.")
+          .moveDown(0.5)
+          .text(
+            `Le ${formatPdfDate(new Date())}, pour ${ASSOCIATION_LEGAL.NAME}`
+          );
+      }
+
+      doc
+        .fontSize(8)
+        .fillColor(PDF_BRAND.MUTED_COLOR)
+        .text(
+          `Document généré électroniquement le ${formatPdfDate(new Date())}`,
+          left,
+          doc.page.height - 90,
+          { width: contentWidth, align: "center" }
+        );
+    },
+    {
+      info: {
+        Title: `${title} - ${document.payment_intent_id}`,
+        Author: ASSOCIATION_LEGAL.NAME,
+      },
+    }
+  );
+}
+
+module.exports = {
+  PAYMENT_DOCUMENT_TITLES,
+  renderPaymentDocumentPdf,
+};
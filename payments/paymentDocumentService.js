@@ -0,0 +1,170 @@
+const { supabase } = require("../config/database");
+const { stripe } = require("../config/stripe");
+const { logWithTimestamp } = require("../shared/logger");
+const {
+  getMembershipHolder,
+} = require("../memberships/membershipLifecycleService");
+
+// Paiements rattachés directement à un utilisateur (achat, transfert,
+// changement de forfait, prévention)
+const USER_PAYMENT_TABLES = [
+  "trainings_purchase",
+  "training_transfers",
+  "membership_tier_changes",
+  "prevention_orders",
+];
+
+/**
+ * Objet du paiement d'après les lignes locales (achat de formation ou adhésion)
+ * @param {object} paymentIntent - Payment intent Stripe
+ * @returns {Promise<string>} Libellé de l'objet du paiement
+ */
+async function getPaymentObjectLabel(paymentIntent) {
+  const { data: purchase, error: purchaseError } = await supabase
+    .from("trainings_purchase")
+    .select("training_id")
+    .eq("payment_intent_id", paymentIntent.id)
+    .maybeSingle();
+
+  if (purchaseError) throw purchaseError;
+
+  if (purchase) {
+    const { data: training } = await supabase
+      .from("trainings")
+      .select("training_name")
+      .eq("training_id", purchase.training_id)
+      .maybeSingle();
+
+    return `Formation ${training?.training_name || purchase.training_id}`;
+  }
+
+  const { data: membership, error: membershipError } = await supabase
+    .from("memberships")
+    .select("membership_start, membership_end")
+    .eq("payment_intent_id", paymentIntent.id)
+    .maybeSingle();
+
+  if (membershipError) throw membershipError;
+
+  const formatDate = (date) => new Date(date).toLocaleDateString("fr-FR");
+
+  if (membership) {
+    return membership.membership_start && membership.membership_end
+      ? `Adhésion du ${formatDate(membership.membership_start)} au ${formatDate(membership.membership_end)}`
+      : "Adhésion";
+  }
+
+  // Échéance de renouvellement d'une adhésion par abonnement
+  const { data: period, error: periodError } = await supabase
+    .from("membership_payments")
+    .select("period_start, period_end")
+    .eq("payment_intent_id", paymentIntent.id)
+    .maybeSingle();
+
+  if (periodError) throw periodError;
+
+  if (period) {
+    return `Adhésion du ${formatDate(period.period_start)} au ${formatDate(period.period_end)}`;
+  }
+
+  return paymentIntent.description || "Paiement";
+}
+
+/**
+ * Rassemble les données d'une attestation ou d'un reçu de paiement
+ * (montant, payeur, moyen de paiement, objet du paiement)
+ * @param {string} paymentIntentId - ID du payment intent
+ * @returns {Promise<object>} Données du document
+ */
+async function getPaymentDocumentData(paymentIntentId) {
+  const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId, {
+    expand: ["customer", "latest_charge"],
+  });
+
+  if (paymentIntent.status !== "succeeded") {
+    throw Object.assign(
+      new Error(`Ce paiement n'est pas réussi: ${paymentIntent.status}`),
+      { status: 400 }
+    );
+  }
+
+  const charge =
+    paymentIntent.latest_charge &&
+    typeof paymentIntent.latest_charge === "object"
+      ? paymentIntent.latest_charge
+      : null;
+  const customer =
+    paymentIntent.customer && typeof paymentIntent.customer === "object"
+      ? paymentIntent.customer
+      : null;
+
+  const document = {
+    payment_intent_id: paymentIntent.id,
+    amount: paymentIntent.amount / 100,
+    amount_refunded: (charge?.amount_refunded || 0) / 100,
+    currency: paymentIntent.currency.toUpperCase(),
+    status: "PAYÉ",
+    created: paymentIntent.created,
+    created_date: new Date(paymentIntent.created * 1000).toISOString(),
+    description: await getPaymentObjectLabel(paymentIntent),
+    customer_name: customer?.name || charge?.billing_details?.name || null,
+    customer_email: customer?.email || charge?.billing_details?.email || null,
+    customer_address:
+      customer?.address || charge?.billing_details?.address || null,
+    charge_id: charge?.id || null,
+    payment_method: charge?.payment_method_details?.type || "carte bancaire",
+    last4: charge?.payment_method_details?.card?.last4 || null,
+    brand: charge?.payment_method_details?.card?.brand || null,
+  };
+
+  logWithTimestamp("info", "📜 Données attestation de paiement", {
+    paymentIntentId,
+    amount: document.amount,
+    description: document.description,
+  });
+
+  return document;
+}
+
+/**
+ * Titulaire d'un paiement d'après les lignes locales
+ * @param {string} paymentIntentId - ID du payment intent
+ * @returns {Promise<{userId: string|null, associationId: string|null}>} Titulaire
+ */
+async function getPaymentHolder(paymentIntentId) {
+  const results = await Promise.all(
+    USER_PAYMENT_TABLES.map((table) =>
+      supabase
+        .from(table)
+        .select("user_id")
+        .eq("payment_intent_id", paymentIntentId)
+        .limit(1)
+        .maybeSingle()
+    )
+  );
+
+  for (const { data, error } of results) {
+    if (error) throw error;
+    if (data?.user_id) return { userId: data.user_id, associationId: null };
+  }
+
+  // Adhésion : paiement initial ou échéance de renouvellement
+  for (const table of ["memberships", "membership_payments"]) {
+    const { data: membership, error } = await supabase
+      .from(table)
+      .select("membership_id")
+      .eq("payment_intent_id", paymentIntentId)
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (membership) return getMembershipHolder(membership.membership_id);
+  }
+
+  return { userId: null, associationId: null };
+}
+
+module.exports = {
+  getPaymentDocumentData,
+  getPaymentHolder,
+};
@@ -0,0 +1,541 @@
+const { supabase } = require("../config/database");
+const { stripe } = require("../config/stripe");
+const { logWithTimestamp } = require("../shared/logger");
+const { sendAdminPaymentAlertEmail } = require("../emails/adminEmails");
+const {
+  sendTrainingRefundNotificationEmail,
+} = require("../emails/trainingEmails");
+const {
+  revokeUserMembershipStatus,
+} = require("../memberships/membershipService");
+const { releasePaymentCheckout } = require("./paymentTypeRegistry");
+const { issueCreditNotesForCharge } = require("../invoices/invoiceService");
+const { releasePurchaseSeat } = require("../trainings/trainingSeatService");
+const {
+  revokeTrainingCertificate,
+} = require("../certificates/certificateService");
+
+/**
+ * Normalise une référence Stripe (ID ou objet développé) en ID
+ * @param {string|object|null} reference - Référence Stripe
+ * @returns {string|null} ID Stripe
+ */
+function toStripeId(reference) {
+  if (!reference) return null;
+  return typeof reference === "string" ? reference : reference.id || null;
+}
+
+/**
+ * Formate une date pour les alertes administrateur
+ * @param {string|Date} date - Date
+ * @returns {string} Date au format français
+ */
+function formatDate(date) {
+  return new Date(date).toLocaleDateString("fr-FR");
+}
+
+/**
+ * Récupère les lignes locales (formation, adhésion, échéance d'abonnement,
+ * frais de transfert) liées à un payment_intent
+ * Pour une échéance de renouvellement, membership est l'adhésion prolongée
+ * @param {string} paymentIntentId - ID du payment_intent
+ * @returns {Promise<{purchase: object|null, membership: object|null, membershipPayment: object|null, transfer: object|null}>}
+ */
+async function findLocalPayment(paymentIntentId) {
+  const [purchaseResult, membershipResult, transferResult, periodResult] =
+    await Promise.all(
+      [
+        "trainings_purchase",
+        "memberships",
+        "training_transfers",
+        "membership_payments",
+      ].map((table) =>
+        supabase
+          .from(table)
+          .select("*")
+          .eq("payment_intent_id", paymentIntentId)
+          .maybeSingle()
+      )
+    );
+
+  if (purchaseResult.error) throw purchaseResult.error;
+  if (membershipResult.error) throw membershipResult.error;
+  if (transferResult.error) throw transferResult.error;
+  if (periodResult.error) throw periodResult.error;
+
+  const membershipPayment = periodResult.data;
+  let membership = membershipResult.data;
+
+  if (!membership && membershipPayment) {
+    const { data, error } = await supabase
+      .from("memberships")
+      .select("*")
+      .eq("membership_id", membershipPayment.membership_id)
+      .maybeSingle();
+
+    if (error) throw error;
+    membership = data;
+  }
+
+  return {
+    purchase: purchaseResult.data,
+    membership,
+    membershipPayment,
+    transfer: transferResult.data,
+  };
+}
+
+/**
+ * Révoque le certificat d'un achat sans bloquer le traitement de l'événement
+ * @param {number} purchaseId - ID de l'achat
+ * @param {string} reason - refunded | disputed
+ * @returns {Promise<boolean>} True si un certificat a été révoqué
+ */
+async function revokePurchaseCertificate(purchaseId, reason) {
+  try {
+    return !!(await revokeTrainingCertificate(purchaseId, reason));
+  } catch (error) {
+    logWithTimestamp("warn", "Révocation certificat impossible", {
+      purchaseId,
+      reason,
+      error: error.message,
+    });
+    return false;
+  }
+}
+
+/**
+ * Récupère l'utilisateur titulaire d'une adhésion (null pour une association)
+ * @param {number} membershipId - ID de l'adhésion
+ * @returns {Promise<string|null>} UUID de l'utilisateur
+ */
+async function getMembershipUserId(membershipId) {
+  const { data, error } = await supabase
+    .from("users_memberships")
+    .select("user_id")
+    .eq("membership_id", membershipId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.user_id || null;
+}
+
+/**
+ * Récupère le remboursement le plus récent d'une charge
+ * @param {object} charge - Charge Stripe
+ * @returns {Promise<object|null>} Remboursement Stripe
+ */
+async function getLatestRefund(charge) {
+  // Selon la version d'API du webhook, les remboursements ne sont pas inclus
+  const refunds =
+    charge.refunds?.data ||
+    (
+      await stripe.refunds.list({
+        charge: charge.id,
+        limit: 10,
+      })
+    ).data;
+
+  return refunds.sort((a, b) => b.created - a.created)[0] || null;
+}
+
+/**
+ * Synchronise un remboursement (dashboard Stripe ou autre) sur les lignes locales
+ * @param {object} charge - Charge Stripe remboursée
+ * @returns {Promise<object>} Résultat du traitement
+ */
+async function handleChargeRefunded(charge) {
+  const paymentIntentId = toStripeId(charge.payment_intent);
+  const refundedAmount = charge.amount_refunded / 100;
+  const isFullRefund = charge.refunded === true;
+
+  logWithTimestamp("info", "💸 Charge remboursée", {
+    chargeId: charge.id,
+    paymentIntentId,
+    refundedAmount,
+    isFullRefund,
+  });
+
+  if (!paymentIntentId) {
+    return { action: "ignored", reason: "no_payment_intent" };
+  }
+
+  const { purchase, membership, membershipPayment, transfer } =
+    await findLocalPayment(paymentIntentId);
+  const latestRefund = await getLatestRefund(charge);
+  const refundStatus = isFullRefund ? "refunded" : "partially_refunded";
+  const now = new Date().toISOString();
+  const outcome = { action: "refund_synced", paymentIntentId, refundStatus };
+
+  if (purchase) {
+    // Remboursement déjà enregistré par le parcours /cancel-training
+    const alreadySynced =
+      Math.round(Number(purchase.refund_amount || 0) * 100) ===
+      charge.amount_refunded;
+
+    if (alreadySynced) {
+      logWithTimestamp("info", "Remboursement formation déjà enregistré", {
+        purchaseId: purchase.purchase_id,
+      });
+      outcome.purchase = "already_synced";
+    } else {
+      const { error } = await supabase
+        .from("trainings_purchase")
+        .update({
+          payment_status: refundStatus,
+          refund_amount: refundedAmount,
+          refund_date: now,
+          stripe_refund_id: latestRefund?.id || purchase.stripe_refund_id,
+        })
+        .eq("purchase_id", purchase.purchase_id);
+
+      if (error) throw error;
+
+      logWithTimestamp(
+        "info",
+        "✅ Achat formation mis à jour (remboursement)",
+        {
+          purchaseId: purchase.purchase_id,
+          refundStatus,
+          refundedAmount,
+        }
+      );
+      outcome.purchase = purchase.purchase_id;
+
+      // Mêmes suites qu'un remboursement admin : un remboursement intégral
+      // désinscrit l'apprenant et libère sa place
+      if (isFullRefund) {
+        await releasePurchaseSeat(purchase);
+        outcome.seatReleased = true;
+        outcome.certificateRevoked = await revokePurchaseCertificate(
+          purchase.purchase_id,
+          "refunded"
+        );
+      }
+
+      const { data: training } = await supabase
+        .from("trainings")
+        .select("training_name")
+        .eq("training_id", purchase.training_id)
+        .maybeSingle();
+
+      await sendTrainingRefundNotificationEmail(purchase.user_id, {
+        trainingName: training?.training_name || purchase.training_id,
+        refundAmount:
+          (charge.amount_refunded -
+            Math.round(Number(purchase.refund_amount || 0) * 100)) /
+          100,
+        amountPaid: charge.amount / 100,
+        isFullRefund,
+        consequence: isFullRefund
+          ? "Votre inscription à cette formation a été annulée."
+          : null,
+      });
+    }
+  }
+
+  // Frais de transfert de session : rien à mettre à jour sur le transfert,
+  // le remboursement est rattaché pour l'avoir et l'alerte
+  if (transfer) {
+    outcome.transfer = transfer.id;
+  }
+
+  // Échéance de renouvellement : le remboursement porte sur cette période,
+  // le paiement initial de l'adhésion n'est pas touché
+  if (membershipPayment) {
+    const alreadySynced =
+      Math.round(Number(membershipPayment.refund_amount || 0) * 100) ===
+      charge.amount_refunded;
+
+    if (alreadySynced) {
+      outcome.membershipPayment = "already_synced";
+    } else {
+      const { error } = await supabase
+        .from("membership_payments")
+        .update({
+          payment_status: refundStatus,
+          refund_amount: refundedAmount,
+          refund_date: now,
+          stripe_refund_id: latestRefund?.id || null,
+        })
+        .eq("id", membershipPayment.id);
+
+      if (error) throw error;
+
+      logWithTimestamp(
+        "info",
+        "✅ Échéance d'adhésion mise à jour (remboursement)",
+        {
+          membershipId: membershipPayment.membership_id,
+          membershipPaymentId: membershipPayment.id,
+          refundStatus,
+          refundedAmount,
+        }
+      );
+      outcome.membershipPayment = membershipPayment.id;
+
+      // Dernière échéance intégralement remboursée : l'adhésion s'arrête au
+      // début de la période remboursée
+      const isLatestPeriod =
+        membership &&
+        new Date(membership.membership_end) <=
+          new Date(membershipPayment.period_end);
+
+      if (isFullRefund && isLatestPeriod) {
+        const { error: endError } = await supabase
+          .from("memberships")
+          .update({ membership_end: membershipPayment.period_start })
+          .eq("membership_id", membership.membership_id);
+
+        if (endError) throw endError;
+        outcome.membershipEnd = membershipPayment.period_start;
+
+        const userId = await getMembershipUserId(membership.membership_id);
+        if (userId && new Date(membershipPayment.period_start) <= new Date()) {
+          outcome.statusRevoked = await revokeUserMembershipStatus(
+            userId,
+            membership.membership_id
+          );
+        }
+      }
+    }
+  }
+
+  if (membership && !membershipPayment) {
+    // Remboursement déjà enregistré par un remboursement admin
+    const alreadySynced =
+      Math.round(Number(membership.refund_amount || 0) * 100) ===
+      charge.amount_refunded;
+
+    if (alreadySynced) {
+      logWithTimestamp("info", "Remboursement adhésion déjà enregistré", {
+        membershipId: membership.membership_id,
+      });
+      outcome.membership = "already_synced";
+    } else {
+      const { error } = await supabase
+        .from("memberships")
+        .update({
+          payment_status: refundStatus,
+          refund_amount: refundedAmount,
+          refund_date: now,
+          stripe_refund_id: latestRefund?.id || null,
+        })
+        .eq("membership_id", membership.membership_id);
+
+      if (error) throw error;
+
+      logWithTimestamp("info", "✅ Adhésion mise à jour (remboursement)", {
+        membershipId: membership.membership_id,
+        refundStatus,
+        refundedAmount,
+      });
+      outcome.membership = membership.membership_id;
+
+      // Adhésion intégralement remboursée : le statut adhérent est retiré
+      if (isFullRefund) {
+        const userId = await getMembershipUserId(membership.membership_id);
+        if (userId) {
+          outcome.statusRevoked = await revokeUserMembershipStatus(
+            userId,
+            membership.membership_id
+          );
+        }
+      }
+    }
+  }
+
+  // Différence de forfait ou frais de transfert remboursés automatiquement à
+  // la finalisation (adhésion ou achat devenu inactif) : aucune ligne locale
+  const isFulfilmentRefund = Boolean(
+    latestRefund?.metadata?.transfer_session_id ||
+      latestRefund?.metadata?.tier_change_session_id
+  );
+
+  if (!purchase && !membership && !membershipPayment && !transfer) {
+    logWithTimestamp("warn", "⚠️ Remboursement sans ligne locale associée", {
+      paymentIntentId,
+      isFulfilmentRefund,
+    });
+    outcome.action = isFulfilmentRefund ? "fulfilment_refund" : "unmatched";
+  }
+
+  // Avoirs au registre des factures (un par remboursement Stripe)
+  if (purchase || membership || membershipPayment || transfer) {
+    const creditNotes = await issueCreditNotesForCharge(charge);
+    outcome.creditNotes = creditNotes.map((note) => note.invoice_number);
+  }
+
+  // Pas d'alerte si les lignes locales étaient déjà à jour (annulation, admin)
+  const rowsAlreadySynced = [
+    outcome.purchase,
+    outcome.membership,
+    outcome.membershipPayment,
+  ].every((row) => row === undefined || row === "already_synced");
+
+  if (outcome.action === "unmatched" || transfer || !rowsAlreadySynced) {
+    await sendAdminPaymentAlertEmail({
+      title: isFullRefund ? "Remboursement intégral" : "Remboursement partiel",
+      eventType: "charge.refunded",
+      summary:
+        "Un remboursement a été effectué en dehors des parcours d'annulation et de remboursement admin (ex : dashboard Stripe).",
+      details: {
+        "Payment intent": paymentIntentId,
+        "Montant remboursé": `${refundedAmount}€`,
+        "Montant initial": `${charge.amount / 100}€`,
+        "Achat formation": purchase?.purchase_id,
+        Adhésion: membership?.membership_id,
+        "Échéance d'abonnement": membershipPayment
+          ? `${formatDate(membershipPayment.period_start)} - ${formatDate(membershipPayment.period_end)}`
+          : undefined,
+        "Fin d'adhésion avancée au": outcome.membershipEnd
+          ? formatDate(outcome.membershipEnd)
+          : undefined,
+        "Transfert de session": transfer?.id,
+        "Place libérée": outcome.seatReleased ? "oui" : undefined,
+        "Certificat révoqué": outcome.certificateRevoked ? "oui" : undefined,
+        "Statut adhérent retiré": outcome.statusRevoked ? "oui" : undefined,
+      },
+    });
+  }
+
+  return outcome;
+}
+
+/**
+ * Marque les lignes locales d'un paiement contesté et alerte l'administration
+ * @param {object} dispute - Litige Stripe
+ * @returns {Promise<object>} Résultat du traitement
+ */
+async function handleDisputeCreated(dispute) {
+  const paymentIntentId = toStripeId(dispute.payment_intent);
+
+  logWithTimestamp("warn", "⚖️ Litige ouvert", {
+    disputeId: dispute.id,
+    paymentIntentId,
+    amount: dispute.amount / 100,
+    reason: dispute.reason,
+  });
+
+  const outcome = { action: "dispute_recorded", paymentIntentId };
+
+  if (paymentIntentId) {
+    const { purchase, membership, membershipPayment } =
+      await findLocalPayment(paymentIntentId);
+
+    if (purchase) {
+      const { error } = await supabase
+        .from("trainings_purchase")
+        .update({ payment_status: "disputed", stripe_dispute_id: dispute.id })
+        .eq("purchase_id", purchase.purchase_id);
+
+      if (error) throw error;
+      outcome.purchase = purchase.purchase_id;
+      outcome.certificateRevoked = await revokePurchaseCertificate(
+        purchase.purchase_id,
+        "disputed"
+      );
+    }
+
+    // Échéance de renouvellement : le litige porte sur cette période
+    if (membershipPayment) {
+      const { error } = await supabase
+        .from("membership_payments")
+        .update({ payment_status: "disputed", stripe_dispute_id: dispute.id })
+        .eq("id", membershipPayment.id);
+
+      if (error) throw error;
+      outcome.membershipPayment = membershipPayment.id;
+    } else if (membership) {
+      const { error } = await supabase
+        .from("memberships")
+        .update({ payment_status: "disputed", stripe_dispute_id: dispute.id })
+        .eq("membership_id", membership.membership_id);
+
+      if (error) throw error;
+    }
+
+    if (membership) {
+      outcome.membership = membership.membership_id;
+    }
+  }
+
+  await sendAdminPaymentAlertEmail({
+    title: "Litige ouvert sur un paiement",
+    eventType: "charge.dispute.created",
+    summary:
+      "Un litige (contestation bancaire) a été ouvert. Une réponse doit être apportée depuis le dashboard Stripe avant la date limite.",
+    details: {
+      Litige: dispute.id,
+      "Payment intent": paymentIntentId,
+      Montant: `${dispute.amount / 100}€`,
+      Motif: dispute.reason,
+      "Date limite": dispute.evidence_details?.due_by
+        ? new Date(dispute.evidence_details.due_by * 1000).toLocaleDateString(
+            "fr-FR"
+          )
+        : undefined,
+      "Achat formation": outcome.purchase,
+      "Certificat révoqué": outcome.certificateRevoked ? "oui" : undefined,
+      Adhésion: outcome.membership,
+      "Échéance d'abonnement": outcome.membershipPayment,
+    },
+  });
+
+  return outcome;
+}
+
+/**
+ * Traite l'expiration d'une session checkout non payée
+ * @param {object} session - Session Stripe expirée
+ * @returns {Promise<object>} Résultat du traitement
+ */
+async function handleCheckoutSessionExpired(session) {
+  logWithTimestamp("info", "⌛ Session checkout expirée", {
+    sessionId: session.id,
+    type: session.metadata?.type || "unknown",
+    userId: session.metadata?.userId,
+  });
+
+  // Libère ce qui était réservé pour la session (place de formation...)
+  const released = await releasePaymentCheckout(session.metadata);
+
+  return { action: "session_expired", sessionId: session.id, released };
+}
+
+/**
+ * Alerte l'administration d'un échec de paiement
+ * @param {object} paymentIntent - Payment intent Stripe en échec
+ * @returns {Promise<object>} Résultat du traitement
+ */
+async function handlePaymentFailed(paymentIntent) {
+  const errorMessage = paymentIntent.last_payment_error?.message;
+
+  logWithTimestamp("warn", "❌ Payment Intent échoué", {
+    id: paymentIntent.id,
+    last_payment_error: errorMessage,
+  });
+
+  await sendAdminPaymentAlertEmail({
+    title: "Échec de paiement",
+    eventType: "payment_intent.payment_failed",
+    summary: "Un paiement a été refusé ou n'a pas pu aboutir.",
+    details: {
+      "Payment intent": paymentIntent.id,
+      Montant: `${paymentIntent.amount / 100}€`,
+      Type: paymentIntent.metadata?.type,
+      Utilisateur: paymentIntent.metadata?.userId,
+      Erreur: errorMessage,
+      Code: paymentIntent.last_payment_error?.decline_code,
+    },
+  });
+
+  return { action: "failure_notified", paymentIntentId: paymentIntent.id };
+}
+
+module.exports = {
+  handleChargeRefunded,
+  handleDisputeCreated,
+  handleCheckoutSessionExpired,
+  handlePaymentFailed,
+};
@@ -3,93 +3,49 @@ const router = express.Router();
 
 const { stripe } = require("../config/stripe");
 const { logWithTimestamp } = require("../shared/logger");
+const { requireAdmin } = require("../shared/middleware");
 const {
   createCheckoutSession,
-  handleWebhook,
-  createInvoice,
+  replayWebhookEvent,
   retrievePaymentIntent,
   processPaymentSuccess,
   processPaymentFailure,
   createPaymentAttestation,
   getReceipt,
 } = require("./paymentService");
-
-/**
- * POST /webhook
- * Gestionnaire des webhooks Stripe pour les paiements
- * IMPORTANT: Cette route doit être déclarée AVANT express.json() dans server.js
- */
-router.post(
-  "/webhook",
-  express.raw({ type: "application/json" }),
-  async (req, res) => {
-    const sig = req.headers["stripe-signature"];
-
-    logWithTimestamp("info", "🔔 Webhook Stripe reçu via module payments");
-
-    try {
-      const result = await handleWebhook(req.body, sig);
-
-      logWithTimestamp("info", "✅ Webhook traité avec succès", {
-        type: result.type,
-        processed: result.processed,
-      });
-
-      res.json({ received: true });
-    } catch (error) {
-      logWithTimestamp("error", "❌ Erreur webhook dans routes", {
-        error: error.message,
-      });
-
-      if (error.message.includes("Invalid signature")) {
-        return res.status(400).send(`Webhook Error: ${error.message}`);
-      }
-
-      res.status(500).json({ error: error.message });
-    }
-  }
-);
+const { listWebhookEvents } = require("./webhookEventService");
+const {
+  getPaymentDocumentData,
+  getPaymentHolder,
+} = require("./paymentDocumentService");
+const {
+  PAYMENT_DOCUMENT_TITLES,
+  renderPaymentDocumentPdf,
+} = require("./paymentDocumentPdf");
+const {
+  refundTrainingPurchaseAsAdmin,
+  refundMembershipAsAdmin,
+  listAdminRefunds,
+} = require("./adminRefundService");
 
 /**
  * POST /create-checkout-session
- * Crée une session de paiement Stripe générique
- * Body: { priceId, userId, userEmail, type, metadata, successUrl?, cancelUrl? }
+ * Crée une session de paiement Stripe pour un type de paiement enregistré
+ * Body: { type?, priceId, ...paramètres du type, metadata?, successUrl?, cancelUrl? }
+ * Sans type, la session créée est un forfait d'adhésion (compatibilité)
  */
 router.post("/create-checkout-session", async (req, res) => {
-  const {
-    priceId,
-    userId,
-    userEmail,
-    type, // 'membership', 'training', 'prevention', etc.
-    metadata = {},
-    successUrl,
-    cancelUrl,
-  } = req.body;
-
-  logWithTimestamp("info", "=== CRÉATION SESSION CHECKOUT GÉNÉRIQUE ===", {
+  const params = { ...req.body, type: req.body.type || "membership" };
+  const { priceId, userId, type } = params;
+
+  logWithTimestamp("info", "=== CRÉATION SESSION CHECKOUT ===", {
     priceId,
     userId,
     type,
-    userEmail,
   });
 
   try {
-    // Validation des données requises
-    if (!priceId || !userId || !userEmail || !type) {
-      return res.status(400).json({
-        error: "priceId, userId, userEmail et type sont requis",
-      });
-    }
-
-    const session = await createCheckoutSession({
-      priceId,
-      userId,
-      userEmail,
-      type,
-      metadata,
-      successUrl,
-      cancelUrl,
-    });
+    const { session, details } = await createCheckoutSession(params);
 
     logWithTimestamp("info", "✅ Session checkout créée avec succès", {
       sessionId: session.id,
@@ -102,6 +58,7 @@ router.post("/create-checkout-session", async (req, res) => {
       sessionId: session.id,
       url: session.url,
       payment_details: {
+        ...details,
         type,
         amount: session.amount_total / 100,
         currency: session.currency,
@@ -115,7 +72,7 @@ router.post("/create-checkout-session", async (req, res) => {
       type,
     });
 
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: error.message,
       suggestion: "Vérifiez les paramètres de paiement",
     });
@@ -124,13 +81,13 @@ router.post("/create-checkout-session", async (req, res) => {
 
 /**
  * POST /process-payment-success
- * Traite le succès d'un paiement générique
+ * Traite le succès d'un paiement (tous types confondus)
  * Body: { sessionId }
  */
 router.post("/process-payment-success", async (req, res) => {
   const { sessionId } = req.body;
 
-  logWithTimestamp("info", "=== TRAITEMENT SUCCÈS PAIEMENT GÉNÉRIQUE ===");
+  logWithTimestamp("info", "=== TRAITEMENT SUCCÈS PAIEMENT ===");
   logWithTimestamp("info", "Session ID reçu", sessionId);
 
   if (!sessionId) {
@@ -156,7 +113,7 @@ router.post("/process-payment-success", async (req, res) => {
       error: error.message,
     });
 
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: error.message,
     });
   }
@@ -202,51 +159,6 @@ router.get("/receipt/:invoiceId", async (req, res) => {
   }
 });
 
-/**
- * POST /create-invoice
- * Crée une facture pour un paiement
- * Body: { paymentIntentId, customerId?, metadata? }
- */
-router.post("/create-invoice", async (req, res) => {
-  const { paymentIntentId, customerId, metadata = {} } = req.body;
-
-  logWithTimestamp("info", "=== CRÉATION FACTURE ===", {
-    paymentIntentId,
-    customerId,
-  });
-
-  try {
-    if (!paymentIntentId) {
-      return res.status(400).json({ error: "paymentIntentId requis" });
-    }
-
-    const invoice = await createInvoice({
-      paymentIntentId,
-      customerId,
-      metadata,
-    });
-
-    logWithTimestamp("info", "✅ Facture créée avec succès", {
-      invoiceId: invoice.id,
-      paymentIntentId,
-    });
-
-    res.json({
-      success: true,
-      invoice,
-    });
-  } catch (error) {
-    logWithTimestamp("error", "❌ Erreur création facture", {
-      paymentIntentId,
-      error: error.message,
-    });
-
-    res.status(500).json({
-      error: error.message,
-    });
-  }
-});
-
 /**
  * GET /payment-intent/:paymentIntentId
  * Récupère les détails d'un payment intent
@@ -313,7 +225,7 @@ router.post(
         error: error.message,
       });
 
-      res.status(500).json({
+      res.status(error.status || 500).json({
         error: error.message,
         suggestion: "Vérifiez que l'ID du paiement est correct",
       });
@@ -321,4 +233,246 @@ router.post(
   }
 );
 
+/**
+ * Envoie l'attestation ou le reçu d'un paiement au format PDF
+ * @param {object} res - Réponse Express
+ * @param {string} paymentIntentId - ID du payment intent
+ * @param {string} type - attestation | receipt
+ */
+async function sendPaymentDocumentPdf(res, paymentIntentId, type) {
+  const document = await getPaymentDocumentData(paymentIntentId);
+  const pdf = await renderPaymentDocumentPdf(document, type);
+  const filename = `${type === "receipt" ? "recu" : "attestation"}-${paymentIntentId}.pdf`;
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  res.send(pdf);
+}
+
+/**
+ * GET /attestations/:paymentIntentId.pdf
+ * Télécharge l'attestation (défaut) ou le reçu d'un paiement au format PDF
+ * (titulaire uniquement : le document contient nom, email et adresse du payeur)
+ * Query: type=attestation|receipt, userId | associationId
+ */
+router.get("/attestations/:paymentIntentId.pdf", async (req, res) => {
+  const { paymentIntentId } = req.params;
+  const { userId, associationId } = req.query;
+  const type = req.query.type || "attestation";
+
+  if (!PAYMENT_DOCUMENT_TITLES[type]) {
+    return res
+      .status(400)
+      .json({ error: "type invalide (attestation ou receipt)" });
+  }
+
+  if (!userId && !associationId) {
+    return res.status(400).json({ error: "userId ou associationId manquant" });
+  }
+
+  try {
+    const holder = await getPaymentHolder(paymentIntentId);
+
+    // On ne révèle pas l'existence d'un paiement d'autrui
+    const isHolder = userId
+      ? holder.userId === userId
+      : holder.associationId === String(associationId);
+    if (!isHolder) {
+      return res.status(404).json({ error: "Paiement introuvable" });
+    }
+
+    await sendPaymentDocumentPdf(res, paymentIntentId, type);
+  } catch (error) {
+    logWithTimestamp("error", "❌ Erreur génération PDF de paiement", {
+      paymentIntentId,
+      type,
+      error: error.message,
+    });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /admin/attestations/:paymentIntentId.pdf
+ * Télécharge l'attestation ou le reçu d'un paiement (admin)
+ * Query: type=attestation|receipt
+ */
+router.get(
+  "/admin/attestations/:paymentIntentId.pdf",
+  requireAdmin,
+  async (req, res) => {
+    const { paymentIntentId } = req.params;
+    const type = req.query.type || "attestation";
+
+    if (!PAYMENT_DOCUMENT_TITLES[type]) {
+      return res
+        .status(400)
+        .json({ error: "type invalide (attestation ou receipt)" });
+    }
+
+    try {
+      await sendPaymentDocumentPdf(res, paymentIntentId, type);
+    } catch (error) {
+      logWithTimestamp("error", "❌ Erreur génération PDF de paiement", {
+        paymentIntentId,
+        type,
+        error: error.message,
+      });
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * GET /admin/webhook-events
+ * Liste les événements webhook reçus (admin)
+ * Query: status? (processing|processed|failed), type?, limit?
+ */
+router.get("/admin/webhook-events", requireAdmin, async (req, res) => {
+  const { status, type, limit } = req.query;
+
+  logWithTimestamp("info", "=== LISTE ÉVÉNEMENTS WEBHOOK ===", {
+    status,
+    type,
+    adminId: req.adminId,
+  });
+
+  try {
+    const events = await listWebhookEvents({ status, type, limit });
+    res.json({ success: true, count: events.length, events });
+  } catch (error) {
+    logWithTimestamp("error", "❌ Erreur liste événements webhook", {
+      error: error.message,
+    });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /admin/webhook-events/:eventId/replay
+ * Rejoue un événement webhook en échec (admin)
+ */
+router.post(
+  "/admin/webhook-events/:eventId/replay",
+  requireAdmin,
+  async (req, res) => {
+    const { eventId } = req.params;
+
+    logWithTimestamp("info", "=== REJEU ÉVÉNEMENT WEBHOOK ===", {
+      eventId,
+      adminId: req.adminId,
+    });
+
+    try {
+      const result = await replayWebhookEvent(eventId);
+      res.json({ success: true, ...result });
+    } catch (error) {
+      logWithTimestamp("error", "❌ Erreur rejeu événement webhook", {
+        eventId,
+        error: error.message,
+      });
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * POST /admin/trainings/purchases/:purchaseId/refund
+ * Rembourse un achat de formation (admin), intégralement ou en partie
+ * Body: { reason, amount? (euros, défaut : solde restant) }
+ */
+router.post(
+  "/admin/trainings/purchases/:purchaseId/refund",
+  requireAdmin,
+  async (req, res) => {
+    const { purchaseId } = req.params;
+
+    logWithTimestamp("info", "=== REMBOURSEMENT ADMIN FORMATION ===", {
+      purchaseId,
+      amount: req.body.amount,
+      adminId: req.adminId,
+    });
+
+    try {
+      const result = await refundTrainingPurchaseAsAdmin(
+        Number(purchaseId),
+        req.body,
+        req.adminId
+      );
+      res.json(result);
+    } catch (error) {
+      logWithTimestamp("error", "❌ Erreur remboursement admin formation", {
+        purchaseId,
+        error: error.message,
+      });
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * POST /admin/memberships/:membershipId/refund
+ * Rembourse une adhésion (admin), intégralement ou en partie
+ * Body: { reason, amount? (euros, défaut : solde restant) }
+ */
+router.post(
+  "/admin/memberships/:membershipId/refund",
+  requireAdmin,
+  async (req, res) => {
+    const { membershipId } = req.params;
+
+    logWithTimestamp("info", "=== REMBOURSEMENT ADMIN ADHÉSION ===", {
+      membershipId,
+      amount: req.body.amount,
+      adminId: req.adminId,
+    });
+
+    try {
+      const result = await refundMembershipAsAdmin(
+        Number(membershipId),
+        req.body,
+        req.adminId
+      );
+      res.json(result);
+    } catch (error) {
+      logWithTimestamp("error", "❌ Erreur remboursement admin adhésion", {
+        membershipId,
+        error: error.message,
+      });
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * GET /admin/refunds/:targetType/:targetId
+ * Historique des remboursements admin d'un achat ou d'une adhésion
+ * targetType : training | membership
+ */
+router.get(
+  "/admin/refunds/:targetType/:targetId",
+  requireAdmin,
+  async (req, res) => {
+    const { targetType, targetId } = req.params;
+
+    if (!["training", "membership"].includes(targetType)) {
+      return res
+        .status(400)
+        .json({ error: "targetType invalide (training, membership)" });
+    }
+
+    try {
+      const refunds = await listAdminRefunds(targetType, Number(targetId));
+      res.json({ success: true, count: refunds.length, refunds });
+    } catch (error) {
+      logWithTimestamp("error", "❌ Erreur historique remboursements", {
+        targetType,
+        targetId,
+        error: error.message,
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
 module.exports = router;
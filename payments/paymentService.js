@@ -1,92 +1,104 @@
 const { supabase } = require("../config/database");
 const { stripe } = require("../config/stripe");
-const { FRONTEND_URL, WEBHOOK_SECRET } = require("../config/constants");
+const { WEBHOOK_SECRET } = require("../config/constants");
 const { logWithTimestamp } = require("../shared/logger");
-const { getPriceFromPriceId } = require("../shared/pricing");
-
-// Import des services spécialisés
-const { createMembership } = require("../memberships/membershipService");
-const { createTrainingPurchase } = require("../trainings/trainingService");
+const {
+  getPaymentType,
+  validatePaymentMetadata,
+  releasePaymentCheckout,
+} = require("./paymentTypeRegistry");
+
+// Enregistrement des types de paiement fournis par chaque module
+require("../memberships/membershipPaymentType");
+require("../memberships/membershipTierChangePaymentType");
+require("../trainings/trainingPaymentType");
+require("../trainings/trainingTransferPaymentType");
+require("../prevention/preventionPaymentType");
+const {
+  getWebhookEvent,
+  recordWebhookEvent,
+  markWebhookEventProcessing,
+  markWebhookEventProcessed,
+  markWebhookEventFailed,
+} = require("./webhookEventService");
+const {
+  handleChargeRefunded,
+  handleDisputeCreated,
+  handleCheckoutSessionExpired,
+  handlePaymentFailed,
+} = require("./paymentEventService");
+const {
+  syncMembershipSubscription,
+  handleSubscriptionInvoicePaid,
+} = require("../memberships/membershipSubscriptionService");
+const { recordCouponRedemption } = require("../coupons/couponService");
+const { getPaymentDocumentData } = require("./paymentDocumentService");
+
+// Statuts de session considérés comme payés (un code promo à 100% ne donne
+// lieu à aucun paiement)
+const PAID_SESSION_STATUSES = ["paid", "no_payment_required"];
 
 /**
- * Crée une session de checkout Stripe générique
- * @param {Object} params - Paramètres de la session
+ * Crée une session de checkout Stripe pour un type de paiement enregistré
+ * @param {Object} params - Paramètres de la session (spécifiques au type)
+ * @param {string} params.type - Type de paiement (membership, training, prevention, etc.)
  * @param {string} params.priceId - ID du prix Stripe
  * @param {string} params.userId - ID de l'utilisateur
- * @param {string} params.userEmail - Email de l'utilisateur
- * @param {string} params.type - Type de paiement (membership, training, prevention, etc.)
  * @param {Object} params.metadata - Métadonnées additionnelles
  * @param {string} params.successUrl - URL de succès (optionnel)
  * @param {string} params.cancelUrl - URL d'annulation (optionnel)
- * @returns {Promise<Object>} Session Stripe
+ * @param {Object} context - Paramètres fixés par le serveur, jamais issus de
+ *   la requête (ex : renewsMembershipId pour un renouvellement)
+ * @returns {Promise<Object>} { session, details } Session Stripe et détails du type
  */
-async function createCheckoutSession({
-  priceId,
-  userId,
-  userEmail,
-  type,
-  metadata = {},
-  successUrl,
-  cancelUrl,
-}) {
+async function createCheckoutSession(params, context = {}) {
+  const { type, priceId, userId } = params;
+
   try {
-    logWithTimestamp("info", "🛒 Création session checkout générique", {
+    logWithTimestamp("info", "🛒 Création session checkout", {
       priceId,
       userId,
       type,
-      userEmail,
     });
 
-    // URLs par défaut
-    const defaultSuccessUrl = `${FRONTEND_URL}/payment-success?session_id={CHECKOUT_SESSION_ID}`;
-    const defaultCancelUrl = `${FRONTEND_URL}/payment-cancel`;
-
-    // Récupérer les détails du prix
-    const priceDetails = await getPriceFromPriceId(priceId);
-    if (!priceDetails) {
-      throw new Error(`Prix non trouvé pour l'ID: ${priceId}`);
-    }
-
-    // Métadonnées de base
-    const sessionMetadata = {
-      type,
-      userId,
-      userEmail,
-      priceId,
-      ...metadata,
-    };
+    const paymentType = getPaymentType(type);
+    const { sessionConfig, details } = await paymentType.buildCheckoutSession(
+      params,
+      context
+    );
 
-    // Configuration de la session
-    const sessionConfig = {
-      payment_method_types: ["card"],
-      line_items: [
-        {
-          price: priceId,
-          quantity: 1,
+    // Métadonnées reprises sur le payment intent (échecs de paiement,
+    // remboursements et litiges ne portent que le payment intent)
+    if (sessionConfig.mode === "payment") {
+      sessionConfig.payment_intent_data = {
+        ...sessionConfig.payment_intent_data,
+        metadata: {
+          ...sessionConfig.metadata,
+          ...sessionConfig.payment_intent_data?.metadata,
         },
-      ],
-      mode: "payment",
-      success_url: successUrl || defaultSuccessUrl,
-      cancel_url: cancelUrl || defaultCancelUrl,
-      metadata: sessionMetadata,
-      customer_email: userEmail,
-      billing_address_collection: "required",
-      payment_intent_data: {
-        metadata: sessionMetadata,
-      },
-    };
+      };
+    }
 
-    // Créer la session Stripe
-    const session = await stripe.checkout.sessions.create(sessionConfig);
+    let session;
+    try {
+      validatePaymentMetadata(paymentType, sessionConfig.metadata);
+
+      // Créer la session Stripe
+      session = await stripe.checkout.sessions.create(sessionConfig);
+    } catch (error) {
+      // Session non créée : libérer ce que le type a réservé (places...)
+      await releasePaymentCheckout(sessionConfig.metadata);
+      throw error;
+    }
 
     logWithTimestamp("info", "✅ Session checkout créée", {
       sessionId: session.id,
-      type,
+      type: paymentType.type,
       amount: session.amount_total / 100,
       currency: session.currency,
     });
 
-    return session;
+    return { session, details };
   } catch (error) {
     logWithTimestamp("error", "❌ Erreur création session checkout", {
       error: error.message,
@@ -99,7 +111,7 @@ async function createCheckoutSession({
 }
 
 /**
- * Traite le succès d'un paiement
+ * Traite le succès d'un paiement via le handler de son type
  * @param {string} sessionId - ID de la session Stripe
  * @returns {Promise<Object>} Résultat du traitement
  */
@@ -108,50 +120,41 @@ async function processPaymentSuccess(sessionId) {
     logWithTimestamp("info", "🎉 Traitement succès paiement", { sessionId });
 
     // Récupérer la session Stripe
-    const session = await stripe.checkout.sessions.retrieve(sessionId, {
-      expand: ["payment_intent", "customer"],
-    });
+    const session = await stripe.checkout.sessions.retrieve(sessionId);
 
-    if (session.payment_status !== "paid") {
-      throw new Error(`Paiement non confirmé: ${session.payment_status}`);
+    if (!PAID_SESSION_STATUSES.includes(session.payment_status)) {
+      throw Object.assign(
+        new Error(`Paiement non confirmé: ${session.payment_status}`),
+        { status: 400 }
+      );
     }
 
-    const { type } = session.metadata;
+    const paymentType = getPaymentType(session.metadata?.type);
+    validatePaymentMetadata(paymentType, session.metadata);
 
     logWithTimestamp("info", "📋 Session récupérée", {
       sessionId,
-      type,
+      type: paymentType.type,
+      metadataType: session.metadata.type,
       paymentStatus: session.payment_status,
       amount: session.amount_total / 100,
     });
 
-    // Traitement selon le type
-    let result;
-    switch (type) {
-      case "membership":
-        result = await createMembership(session.metadata, session);
-        break;
-      case "training":
-        result = await createTrainingPurchase(session.metadata, session);
-        break;
-      case "prevention":
-        // TODO: Implémenter le traitement des paiements de prévention
-        result = { type: "prevention", message: "Paiement prévention traité" };
-        break;
-      default:
-        throw new Error(`Type de paiement non supporté: ${type}`);
-    }
+    const result = await paymentType.fulfil(session.metadata, session);
+    await recordCouponRedemption(session);
 
     logWithTimestamp("info", "✅ Paiement traité avec succès", {
       sessionId,
-      type,
-      result,
+      type: paymentType.type,
     });
 
     return {
-      type,
+      type: paymentType.type,
       sessionId,
-      paymentIntentId: session.payment_intent?.id,
+      paymentIntentId:
+        typeof session.payment_intent === "string"
+          ? session.payment_intent
+          : session.payment_intent?.id || null,
       amount: session.amount_total / 100,
       currency: session.currency,
       result,
@@ -203,8 +206,91 @@ async function processPaymentFailure(sessionId) {
   }
 }
 
+/**
+ * Exécute le traitement métier d'un événement Stripe
+ * @param {object} event - Événement Stripe
+ * @returns {Promise<Object>} Résultat du traitement (enregistré dans le registre)
+ */
+async function dispatchWebhookEvent(event) {
+  switch (event.type) {
+    case "checkout.session.completed": {
+      const session = event.data.object;
+      logWithTimestamp("info", "📋 Session checkout complétée", {
+        id: session.id,
+        type: session.metadata?.type || "unknown",
+        payment_status: session.payment_status,
+      });
+
+      if (!PAID_SESSION_STATUSES.includes(session.payment_status)) {
+        return { action: "skipped", reason: session.payment_status };
+      }
+
+      const payment = await processPaymentSuccess(session.id);
+      return {
+        action: "payment_processed",
+        sessionId: session.id,
+        type: payment.type,
+      };
+    }
+
+    case "payment_intent.succeeded": {
+      const paymentIntent = event.data.object;
+      logWithTimestamp("info", "💳 Payment Intent réussi", {
+        id: paymentIntent.id,
+        amount: paymentIntent.amount / 100,
+        currency: paymentIntent.currency,
+      });
+      return { action: "logged" };
+    }
+
+    case "payment_intent.payment_failed":
+      return handlePaymentFailed(event.data.object);
+
+    case "checkout.session.expired":
+      return handleCheckoutSessionExpired(event.data.object);
+
+    case "charge.refunded":
+      return handleChargeRefunded(event.data.object);
+
+    case "charge.dispute.created":
+      return handleDisputeCreated(event.data.object);
+
+    case "customer.subscription.created":
+    case "customer.subscription.updated":
+    case "customer.subscription.deleted":
+      return syncMembershipSubscription(event.data.object);
+
+    case "invoice.paid":
+      return handleSubscriptionInvoicePaid(event.data.object);
+
+    default:
+      logWithTimestamp("info", "🔔 Événement webhook non traité", {
+        type: event.type,
+      });
+      return { action: "ignored" };
+  }
+}
+
+/**
+ * Traite un événement enregistré et met à jour son statut dans le registre
+ * @param {object} event - Événement Stripe
+ * @returns {Promise<Object>} Résultat du traitement
+ */
+async function runWebhookEvent(event) {
+  try {
+    const outcome = await dispatchWebhookEvent(event);
+    await markWebhookEventProcessed(event.id, outcome);
+    return outcome;
+  } catch (error) {
+    await markWebhookEventFailed(event.id, error);
+    throw error;
+  }
+}
+
 /**
  * Gère les webhooks Stripe
+ * Chaque événement est enregistré dans le registre : les renvois Stripe
+ * d'un événement déjà traité sont ignorés
  * @param {Buffer} body - Corps de la requête
  * @param {string} signature - Signature Stripe
  * @returns {Promise<Object>} Résultat du traitement
@@ -223,44 +309,19 @@ async function handleWebhook(body, signature) {
       id: event.id,
     });
 
-    switch (event.type) {
-      case "checkout.session.completed":
-        const session = event.data.object;
-        logWithTimestamp("info", "📋 Session checkout complétée", {
-          id: session.id,
-          type: session.metadata?.type || "unknown",
-          payment_status: session.payment_status,
-        });
-
-        if (session.payment_status === "paid") {
-          await processPaymentSuccess(session.id);
-        }
-        break;
-
-      case "payment_intent.succeeded":
-        const paymentIntent = event.data.object;
-        logWithTimestamp("info", "💳 Payment Intent réussi", {
-          id: paymentIntent.id,
-          amount: paymentIntent.amount / 100,
-          currency: paymentIntent.currency,
-        });
-        break;
-
-      case "payment_intent.payment_failed":
-        const failedPayment = event.data.object;
-        logWithTimestamp("warn", "❌ Payment Intent échoué", {
-          id: failedPayment.id,
-          last_payment_error: failedPayment.last_payment_error?.message,
-        });
-        break;
-
-      default:
-        logWithTimestamp("info", "🔔 Événement webhook non traité", {
-          type: event.type,
-        });
+    const { duplicate, record } = await recordWebhookEvent(event, body);
+    if (duplicate) {
+      return {
+        processed: false,
+        duplicate: true,
+        type: event.type,
+        status: record.status,
+      };
     }
 
-    return { processed: true, type: event.type };
+    const outcome = await runWebhookEvent(event);
+
+    return { processed: true, type: event.type, outcome };
   } catch (error) {
     logWithTimestamp("error", "❌ Erreur webhook", {
       error: error.message,
@@ -269,6 +330,53 @@ async function handleWebhook(body, signature) {
   }
 }
 
+/**
+ * Rejoue un événement webhook en échec depuis le payload enregistré
+ * @param {string} eventId - ID de l'événement Stripe
+ * @returns {Promise<Object>} Résultat du traitement
+ */
+async function replayWebhookEvent(eventId) {
+  logWithTimestamp("info", "🔁 Rejeu événement webhook", { eventId });
+
+  const record = await getWebhookEvent(eventId);
+  if (!record) {
+    throw Object.assign(new Error("Événement webhook introuvable"), {
+      status: 404,
+    });
+  }
+  if (record.status !== "failed") {
+    throw Object.assign(
+      new Error(
+        `Seuls les événements en échec peuvent être rejoués (statut: ${record.status})`
+      ),
+      { status: 409 }
+    );
+  }
+
+  const claimed = await markWebhookEventProcessing(record);
+  if (!claimed) {
+    throw Object.assign(
+      new Error("Événement webhook déjà en cours de retraitement"),
+      { status: 409 }
+    );
+  }
+
+  const outcome = await runWebhookEvent(record.payload);
+
+  logWithTimestamp("info", "✅ Événement webhook rejoué", {
+    eventId,
+    type: record.event_type,
+    outcome,
+  });
+
+  return {
+    event_id: eventId,
+    type: record.event_type,
+    attempts: (record.attempts || 0) + 1,
+    outcome,
+  };
+}
+
 /**
  * Récupère les détails d'un payment intent
  * @param {string} paymentIntentId - ID du payment intent
@@ -304,81 +412,6 @@ async function retrievePaymentIntent(paymentIntentId) {
   }
 }
 
-/**
- * Crée une facture pour un paiement
- * @param {Object} params - Paramètres de la facture
- * @param {string} params.paymentIntentId - ID du payment intent
- * @param {string} params.customerId - ID du customer (optionnel)
- * @param {Object} params.metadata - Métadonnées (optionnel)
- * @returns {Promise<Object>} Facture Stripe
- */
-async function createInvoice({ paymentIntentId, customerId, metadata = {} }) {
-  try {
-    logWithTimestamp("info", "📄 Création facture", {
-      paymentIntentId,
-      customerId,
-    });
-
-    // Récupérer le payment intent
-    const paymentIntent = await retrievePaymentIntent(paymentIntentId);
-
-    if (paymentIntent.status !== "succeeded") {
-      throw new Error(`Payment intent non réussi: ${paymentIntent.status}`);
-    }
-
-    // Utiliser le customer du payment intent si pas fourni
-    const finalCustomerId = customerId || paymentIntent.customer;
-    if (!finalCustomerId) {
-      throw new Error("Aucun customer associé au paiement");
-    }
-
-    // Créer la facture
-    const invoice = await stripe.invoices.create({
-      customer: finalCustomerId,
-      collection_method: "charge_automatically",
-      auto_advance: false,
-      metadata: {
-        payment_intent_id: paymentIntentId,
-        retroactive_invoice: "true",
-        ...metadata,
-      },
-      description: "Facture Novapsy",
-    });
-
-    // Ajouter un item à la facture
-    await stripe.invoiceItems.create({
-      customer: finalCustomerId,
-      invoice: invoice.id,
-      amount: paymentIntent.amount,
-      currency: paymentIntent.currency,
-      description: `Paiement Novapsy - Référence: ${paymentIntentId}`,
-      metadata: {
-        payment_intent_id: paymentIntentId,
-      },
-    });
-
-    // Finaliser et marquer comme payée
-    const finalizedInvoice = await stripe.invoices.finalizeInvoice(invoice.id);
-    const paidInvoice = await stripe.invoices.pay(finalizedInvoice.id, {
-      paid_out_of_band: true,
-    });
-
-    logWithTimestamp("info", "✅ Facture créée avec succès", {
-      invoiceId: paidInvoice.id,
-      paymentIntentId,
-      amount: paidInvoice.amount_paid / 100,
-    });
-
-    return paidInvoice;
-  } catch (error) {
-    logWithTimestamp("error", "❌ Erreur création facture", {
-      paymentIntentId,
-      error: error.message,
-    });
-    throw error;
-  }
-}
-
 /**
  * Récupère un reçu ou une facture
  * @param {string} invoiceId - ID de la facture ou du payment intent
@@ -474,34 +507,7 @@ async function createPaymentAttestation(paymentIntentId) {
       paymentIntentId,
     });
 
-    const paymentIntent = await retrievePaymentIntent(paymentIntentId);
-
-    if (paymentIntent.status !== "succeeded") {
-      throw new Error(`Ce paiement n'est pas réussi: ${paymentIntent.status}`);
-    }
-
-    // Créer les données d'attestation
-    const attestationData = {
-      payment_intent_id: paymentIntent.id,
-      amount: paymentIntent.amount / 100,
-      currency: paymentIntent.currency.toUpperCase(),
-      status: "PAYÉ",
-      created: paymentIntent.created,
-      created_date: new Date(paymentIntent.created * 1000).toISOString(),
-      description: `Attestation de paiement pour ${paymentIntent.id}`,
-    };
-
-    // Ajouter les détails de la charge si disponible
-    if (paymentIntent.charges && paymentIntent.charges.data.length > 0) {
-      const charge = paymentIntent.charges.data[0];
-      if (charge) {
-        attestationData.charge_id = charge.id;
-        attestationData.payment_method =
-          charge.payment_method_details?.type || "carte bancaire";
-        attestationData.last4 = charge.payment_method_details?.card?.last4;
-        attestationData.brand = charge.payment_method_details?.card?.brand;
-      }
-    }
+    const attestationData = await getPaymentDocumentData(paymentIntentId);
 
     logWithTimestamp("info", "✅ Attestation créée", {
       paymentIntentId,
@@ -509,7 +515,10 @@ async function createPaymentAttestation(paymentIntentId) {
       currency: attestationData.currency,
     });
 
-    return attestationData;
+    return {
+      ...attestationData,
+      pdf_url: `/attestations/${paymentIntentId}.pdf`,
+    };
   } catch (error) {
     logWithTimestamp("error", "❌ Erreur création attestation", {
       paymentIntentId,
@@ -524,8 +533,9 @@ module.exports = {
   processPaymentSuccess,
   processPaymentFailure,
   handleWebhook,
+  dispatchWebhookEvent,
+  replayWebhookEvent,
   retrievePaymentIntent,
-  createInvoice,
   getReceipt,
   createPaymentAttestation,
 };
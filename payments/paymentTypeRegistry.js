@@ -0,0 +1,171 @@
+const { logWithTimestamp } = require("../shared/logger");
+
+/**
+ * Registre des types de paiement
+ * Chaque module (adhésions, formations, prévention...) y déclare :
+ * - type / aliases : valeurs de metadata.type reconnues
+ * - metadataSchema : champs de métadonnées obligatoires (+ validation optionnelle)
+ * - buildCheckoutSession : construit la configuration de session Stripe
+ *   (paramètres de la requête, puis contexte fixé par le serveur)
+ * - fulfil : traite un paiement confirmé (webhook ou page de succès)
+ * - releaseCheckout (optionnel) : libère ce qui a été réservé pour une session
+ *   qui n'aboutira pas (session expirée ou non créée)
+ */
+const paymentTypes = new Map();
+const typeAliases = new Map();
+
+/**
+ * Enregistre un type de paiement
+ * @param {object} definition - Définition du type de paiement
+ * @param {string} definition.type - Type canonique
+ * @param {string[]} definition.aliases - Autres valeurs de metadata.type acceptées
+ * @param {object} definition.metadataSchema - { required: string[], validate?: function }
+ * @param {function} definition.buildCheckoutSession - async (params, context) => { sessionConfig, details }
+ * @param {function} definition.fulfil - async (metadata, session) => résultat
+ * @param {function} definition.releaseCheckout - async (metadata) => void (optionnel)
+ * @returns {object} Définition enregistrée
+ */
+function registerPaymentType(definition) {
+  const { type, aliases = [], buildCheckoutSession, fulfil } = definition;
+
+  if (!type || typeof buildCheckoutSession !== "function") {
+    throw new Error("Type de paiement invalide: type et checkout requis");
+  }
+  if (typeof fulfil !== "function") {
+    throw new Error(`Type de paiement ${type}: fulfil requis`);
+  }
+
+  for (const name of [type, ...aliases]) {
+    if (typeAliases.has(name)) {
+      throw new Error(`Type de paiement déjà enregistré: ${name}`);
+    }
+  }
+
+  const registered = {
+    metadataSchema: { required: [] },
+    ...definition,
+    aliases,
+  };
+
+  paymentTypes.set(type, registered);
+  for (const name of [type, ...aliases]) {
+    typeAliases.set(name, type);
+  }
+
+  logWithTimestamp("info", "🧩 Type de paiement enregistré", {
+    type,
+    aliases,
+  });
+
+  return registered;
+}
+
+/**
+ * Récupère la définition d'un type de paiement (type canonique ou alias)
+ * @param {string} type - Valeur de metadata.type
+ * @returns {object} Définition du type de paiement
+ */
+function getPaymentType(type) {
+  const canonicalType = typeAliases.get(type);
+  if (!canonicalType) {
+    throw Object.assign(new Error(`Type de paiement non supporté: ${type}`), {
+      status: 400,
+    });
+  }
+
+  return paymentTypes.get(canonicalType);
+}
+
+/**
+ * Vérifie les métadonnées d'un paiement selon le schéma de son type
+ * @param {object} definition - Définition du type de paiement
+ * @param {object} metadata - Métadonnées de la session Stripe
+ * @returns {void}
+ */
+function validatePaymentMetadata(definition, metadata = {}) {
+  const { required = [], validate } = definition.metadataSchema;
+
+  const missing = required.filter(
+    (field) => metadata[field] === undefined || metadata[field] === ""
+  );
+  const errors = missing.map((field) => `${field} manquant`);
+
+  if (typeof validate === "function") {
+    errors.push(...(validate(metadata) || []));
+  }
+
+  if (errors.length > 0) {
+    throw Object.assign(
+      new Error(
+        `Métadonnées ${definition.type} invalides: ${errors.join(", ")}`
+      ),
+      { status: 400, errors }
+    );
+  }
+}
+
+/**
+ * Métadonnées additionnelles transmises par le client lors du checkout
+ * Elles sont reprises sur la session sous le préfixe "client_" : le
+ * traitement d'un paiement ne lit que les clés fixées par le serveur
+ * (session de formation, renouvellement, code promo...)
+ * @param {object} metadata - Métadonnées reçues dans la requête
+ * @returns {object} Métadonnées préfixées (valeurs simples uniquement)
+ */
+function toClientMetadata(metadata) {
+  if (!metadata || typeof metadata !== "object") return {};
+
+  return Object.fromEntries(
+    Object.entries(metadata)
+      .filter(([, value]) =>
+        ["string", "number", "boolean"].includes(typeof value)
+      )
+      // Clés Stripe limitées à 40 caractères
+      .map(([key, value]) => [`client_${key}`.slice(0, 40), String(value)])
+  );
+}
+
+/**
+ * Libère les ressources réservées par une session checkout qui n'aboutira pas
+ * @param {object} metadata - Métadonnées de la session (ou de sa configuration)
+ * @returns {Promise<boolean>} True si le type a libéré des ressources
+ */
+async function releasePaymentCheckout(metadata = {}) {
+  const canonicalType = typeAliases.get(metadata.type);
+  const definition = canonicalType && paymentTypes.get(canonicalType);
+
+  if (!definition || typeof definition.releaseCheckout !== "function") {
+    return false;
+  }
+
+  try {
+    await definition.releaseCheckout(metadata);
+    return true;
+  } catch (error) {
+    logWithTimestamp("warn", "Libération checkout impossible", {
+      type: definition.type,
+      error: error.message,
+    });
+    return false;
+  }
+}
+
+/**
+ * Liste les types de paiement enregistrés
+ * @returns {Array<{type: string, aliases: string[]}>} Types enregistrés
+ */
+function listPaymentTypes() {
+  return [...paymentTypes.values()].map(({ type, aliases }) => ({
+    type,
+    aliases,
+  }));
+}
+
+module.exports = {
+  registerPaymentType,
+  getPaymentType,
+  validatePaymentMetadata,
+  toClientMetadata,
+  releasePaymentCheckout,
+  listPaymentTypes,
+};
@@ -0,0 +1,222 @@
+const crypto = require("crypto");
+const { supabase } = require("../config/database");
+const { logWithTimestamp } = require("../shared/logger");
+
+const WEBHOOK_EVENTS_TABLE = "stripe_webhook_events";
+
+// Un événement resté "processing" plus longtemps est considéré comme abandonné
+// (fonction serverless interrompue) et peut être retraité
+const PROCESSING_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Calcule l'empreinte SHA-256 du corps brut d'un webhook
+ * @param {Buffer|string} payload - Corps brut de la requête
+ * @returns {string} Empreinte hexadécimale
+ */
+function hashPayload(payload) {
+  return crypto.createHash("sha256").update(payload).digest("hex");
+}
+
+/**
+ * Récupère un événement du registre
+ * @param {string} eventId - ID de l'événement Stripe
+ * @returns {Promise<object|null>} Enregistrement ou null
+ */
+async function getWebhookEvent(eventId) {
+  const { data, error } = await supabase
+    .from(WEBHOOK_EVENTS_TABLE)
+    .select("*")
+    .eq("event_id", eventId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Passe un événement existant au statut "processing" pour une nouvelle tentative.
+ * La mise à jour n'aboutit que si l'enregistrement n'a pas changé depuis sa
+ * lecture (statut et updated_at), afin qu'une seule livraison concurrente
+ * revendique la tentative.
+ * @param {object} record - Enregistrement existant, tel que lu
+ * @returns {Promise<object|null>} Enregistrement mis à jour, ou null si déjà revendiqué
+ */
+async function markWebhookEventProcessing(record) {
+  const { data, error } = await supabase
+    .from(WEBHOOK_EVENTS_TABLE)
+    .update({
+      status: "processing",
+      attempts: (record.attempts || 0) + 1,
+      last_error: null,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("event_id", record.event_id)
+    .eq("status", record.status)
+    .eq("updated_at", record.updated_at)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Enregistre un événement reçu et indique s'il a déjà été traité
+ * @param {object} event - Événement Stripe vérifié
+ * @param {Buffer|string} rawBody - Corps brut de la requête
+ * @returns {Promise<{duplicate: boolean, record: object}>} Résultat de l'enregistrement
+ */
+async function recordWebhookEvent(event, rawBody) {
+  const now = new Date().toISOString();
+
+  const { data: record, error } = await supabase
+    .from(WEBHOOK_EVENTS_TABLE)
+    .insert({
+      event_id: event.id,
+      event_type: event.type,
+      status: "processing",
+      payload_hash: hashPayload(rawBody),
+      payload: event,
+      livemode: !!event.livemode,
+      attempts: 1,
+      received_at: now,
+      updated_at: now,
+    })
+    .select()
+    .single();
+
+  if (!error) {
+    return { duplicate: false, record };
+  }
+
+  // Clé dupliquée : l'événement a déjà été reçu
+  if (error.code !== "23505") throw error;
+
+  const existing = await getWebhookEvent(event.id);
+
+  const isStaleProcessing =
+    existing.status === "processing" &&
+    Date.now() - new Date(existing.updated_at).getTime() >
+      PROCESSING_TIMEOUT_MS;
+
+  if (
+    existing.status === "processed" ||
+    (existing.status === "processing" && !isStaleProcessing)
+  ) {
+    logWithTimestamp("info", "🔁 Événement webhook déjà reçu, ignoré", {
+      eventId: event.id,
+      type: event.type,
+      status: existing.status,
+    });
+    return { duplicate: true, record: existing };
+  }
+
+  // Échec précédent (ou traitement abandonné) : nouvelle tentative
+  logWithTimestamp("info", "🔄 Nouvelle tentative événement webhook", {
+    eventId: event.id,
+    type: event.type,
+    previousStatus: existing.status,
+    attempts: existing.attempts,
+  });
+
+  const retried = await markWebhookEventProcessing(existing);
+
+  // Une autre livraison a revendiqué la tentative entre la lecture et la mise à jour
+  if (!retried) {
+    logWithTimestamp("info", "🔁 Nouvelle tentative déjà en cours, ignorée", {
+      eventId: event.id,
+      type: event.type,
+    });
+    return { duplicate: true, record: existing };
+  }
+
+  return { duplicate: false, record: retried };
+}
+
+/**
+ * Marque un événement comme traité avec succès
+ * @param {string} eventId - ID de l'événement Stripe
+ * @param {object} outcome - Résultat du traitement
+ * @returns {Promise<void>}
+ */
+async function markWebhookEventProcessed(eventId, outcome = {}) {
+  const now = new Date().toISOString();
+
+  const { error } = await supabase
+    .from(WEBHOOK_EVENTS_TABLE)
+    .update({
+      status: "processed",
+      outcome,
+      last_error: null,
+      processed_at: now,
+      updated_at: now,
+    })
+    .eq("event_id", eventId);
+
+  if (error) {
+    logWithTimestamp("error", "Erreur mise à jour registre webhook", {
+      eventId,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Marque un événement comme échoué
+ * @param {string} eventId - ID de l'événement Stripe
+ * @param {Error} failure - Erreur survenue pendant le traitement
+ * @returns {Promise<void>}
+ */
+async function markWebhookEventFailed(eventId, failure) {
+  const { error } = await supabase
+    .from(WEBHOOK_EVENTS_TABLE)
+    .update({
+      status: "failed",
+      last_error: failure?.message || String(failure),
+      updated_at: new Date().toISOString(),
+    })
+    .eq("event_id", eventId);
+
+  if (error) {
+    logWithTimestamp("error", "Erreur mise à jour registre webhook", {
+      eventId,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Liste les événements du registre
+ * @param {object} filters - Filtres optionnels
+ * @param {string} filters.status - Statut (processing, processed, failed)
+ * @param {string} filters.type - Type d'événement Stripe
+ * @param {number} filters.limit - Nombre maximum de résultats
+ * @returns {Promise<Array>} Événements (sans payload)
+ */
+async function listWebhookEvents({ status, type, limit = 50 } = {}) {
+  let query = supabase
+    .from(WEBHOOK_EVENTS_TABLE)
+    .select(
+      "event_id, event_type, status, payload_hash, livemode, attempts, outcome, last_error, received_at, updated_at, processed_at"
+    )
+    .order("received_at", { ascending: false })
+    .limit(Math.min(Number(limit) || 50, 200));
+
+  if (status) query = query.eq("status", status);
+  if (type) query = query.eq("event_type", type);
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  return data || [];
+}
+
+module.exports = {
+  hashPayload,
+  getWebhookEvent,
+  recordWebhookEvent,
+  markWebhookEventProcessing,
+  markWebhookEventProcessed,
+  markWebhookEventFailed,
+  listWebhookEvents,
+};
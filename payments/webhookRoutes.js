@@ -0,0 +1,45 @@
+const express = require("express");
+const router = express.Router();
+
+const { logWithTimestamp } = require("../shared/logger");
+const { handleWebhook } = require("./paymentService");
+
+/**
+ * POST /webhook
+ * Gestionnaire des webhooks Stripe pour les paiements
+ * IMPORTANT: Ce routeur doit être monté AVANT express.json() (voir createApp.js) :
+ * la vérification de signature Stripe exige le corps brut de la requête
+ */
+router.post(
+  "/webhook",
+  express.raw({ type: "application/json" }),
+  async (req, res) => {
+    const sig = req.headers["stripe-signature"];
+
+    logWithTimestamp("info", "🔔 Webhook Stripe reçu via module payments");
+
+    try {
+      const result = await handleWebhook(req.body, sig);
+
+      logWithTimestamp("info", "✅ Webhook traité avec succès", {
+        type: result.type,
+        processed: result.processed,
+        duplicate: !!result.duplicate,
+      });
+
+      res.json({ received: true, duplicate: !!result.duplicate });
+    } catch (error) {
+      logWithTimestamp("error", "❌ Erreur webhook dans routes", {
+        error: error.message,
+      });
+
+      if (error.type === "StripeSignatureVerificationError") {
+        return res.status(400).send(`Webhook Error: ${error.message}`);
+      }
+
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const { supabase } = require("../config/database");
+const { registerJobHandler } = require("../jobs/jobQueueService");
+const { sendAdminPaymentAlertEmail } = require("../emails/adminEmails");
+
+/**
+ * Tâches de la file déclenchées par une commande de prévention
+ * (fulfilPreventionOrder)
+ */
+
+// Notification de l'équipe pour planifier l'intervention : { orderId }
+registerJobHandler("prevention.order_notification", async ({ orderId }) => {
+  const { data: order, error } = await supabase
+    .from("prevention_orders")
+    .select("*")
+    .eq("order_id", orderId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!order) throw new Error(`Commande prévention introuvable: ${orderId}`);
+
+  const sent = await sendAdminPaymentAlertEmail({
+    title: "Intervention de prévention payée",
+    eventType: "prevention.order",
+    summary:
+      "Une intervention de prévention a été payée en ligne : contactez le client pour la planifier.",
+    details: {
+      Commande: order.order_id,
+      Intervention: order.name || order.price_id,
+      Montant: `${order.amount}€`,
+      Client: order.user_email,
+      "Payment intent": order.payment_intent_id,
+    },
+  });
+
+  if (!sent) throw new Error("Notification commande prévention non envoyée");
+});
@@ -0,0 +1,100 @@
+const { supabase } = require("../config/database");
+const { logWithTimestamp } = require("../shared/logger");
+const { getCatalogEntry } = require("../catalog/catalogService");
+const { enqueueJobs } = require("../jobs/jobQueueService");
+
+/**
+ * Recherche la commande déjà enregistrée pour une session Stripe
+ * @param {string} sessionId - ID de la session Stripe
+ * @returns {Promise<object|null>} Commande (prevention_orders)
+ */
+async function findSessionOrder(sessionId) {
+  const { data, error } = await supabase
+    .from("prevention_orders")
+    .select("*")
+    .eq("stripe_session_id", sessionId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Met en file la notification de l'équipe (planification de l'intervention)
+ * Sans effet si la tâche est déjà en file (dedupeKey)
+ * @param {object} order - Commande (prevention_orders)
+ * @returns {Promise<Array<object>>} Tâches créées
+ */
+async function enqueueOrderNotification(order) {
+  return enqueueJobs([
+    {
+      type: "prevention.order_notification",
+      payload: { orderId: order.order_id },
+      dedupeKey: `prevention_order:${order.order_id}:notification`,
+    },
+  ]);
+}
+
+/**
+ * Enregistre une intervention de prévention payée (webhook ou page de succès)
+ * Une seule commande par session Stripe, notification de l'équipe via la file de tâches
+ * @param {object} metadata - Métadonnées de la session Stripe
+ * @param {object} session - Session Stripe complétée
+ * @returns {Promise<object>} Commande enregistrée
+ */
+async function fulfilPreventionOrder(metadata, session) {
+  const existing = await findSessionOrder(session.id);
+  if (existing) {
+    logWithTimestamp("warn", "⚠️ Commande prévention déjà enregistrée", {
+      orderId: existing.order_id,
+      sessionId: session.id,
+    });
+    await enqueueOrderNotification(existing);
+    return existing;
+  }
+
+  const entry = await getCatalogEntry(metadata.priceId);
+  const paymentIntentId =
+    typeof session.payment_intent === "string"
+      ? session.payment_intent
+      : session.payment_intent?.id || null;
+
+  const { data: order, error } = await supabase
+    .from("prevention_orders")
+    .insert({
+      user_id: metadata.userId,
+      user_email: metadata.userEmail || session.customer_details?.email || null,
+      price_id: metadata.priceId,
+      name: entry?.full_name || entry?.name || null,
+      amount: (session.amount_total || 0) / 100,
+      stripe_session_id: session.id,
+      payment_intent_id: paymentIntentId,
+    })
+    .select()
+    .single();
+
+  if (error) {
+    // Enregistrement concurrent de la même session (webhook et page de succès)
+    if (error.code === "23505") {
+      const concurrentOrder = await findSessionOrder(session.id);
+      if (concurrentOrder) {
+        await enqueueOrderNotification(concurrentOrder);
+        return concurrentOrder;
+      }
+    }
+    throw error;
+  }
+
+  logWithTimestamp("info", "🛡️ Commande prévention enregistrée", {
+    orderId: order.order_id,
+    userId: order.user_id,
+    amount: order.amount,
+  });
+
+  await enqueueOrderNotification(order);
+  return order;
+}
+
+module.exports = {
+  fulfilPreventionOrder,
+};
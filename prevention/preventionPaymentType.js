@@ -0,0 +1,74 @@
+const { FRONTEND_URL } = require("../config/constants");
+const { getPriceFromPriceId } = require("../shared/pricing");
+const {
+  registerPaymentType,
+  toClientMetadata,
+} = require("../payments/paymentTypeRegistry");
+const { fulfilPreventionOrder } = require("./preventionOrderService");
+
+/**
+ * Construit la session Stripe d'une intervention de prévention
+ * @param {object} params - Paramètres de la session
+ * @param {string} params.priceId - ID du prix Stripe
+ * @param {string} params.userId - UUID de l'utilisateur
+ * @param {string} params.userEmail - Email de l'utilisateur
+ * @param {object} params.metadata - Métadonnées additionnelles du client (préfixées)
+ * @param {string} params.successUrl - URL de succès (optionnel)
+ * @param {string} params.cancelUrl - URL d'annulation (optionnel)
+ * @returns {Promise<object>} { sessionConfig, details }
+ */
+async function buildPreventionCheckoutSession({
+  priceId,
+  userId,
+  userEmail,
+  metadata = {},
+  successUrl,
+  cancelUrl,
+}) {
+  if (!priceId || !userId || !userEmail) {
+    throw Object.assign(new Error("priceId, userId et userEmail sont requis"), {
+      status: 400,
+    });
+  }
+
+  // Récupérer les détails du prix
+  const price = await getPriceFromPriceId(priceId);
+  if (!price) {
+    throw Object.assign(new Error(`Prix non trouvé pour l'ID: ${priceId}`), {
+      status: 400,
+    });
+  }
+
+  const sessionMetadata = {
+    ...toClientMetadata(metadata),
+    type: "prevention",
+    userId,
+    userEmail,
+    priceId,
+  };
+
+  const sessionConfig = {
+    payment_method_types: ["card"],
+    line_items: [{ price: priceId, quantity: 1 }],
+    mode: "payment",
+    success_url:
+      successUrl ||
+      `${FRONTEND_URL}/payment-success?session_id={CHECKOUT_SESSION_ID}`,
+    cancel_url: cancelUrl || `${FRONTEND_URL}/payment-cancel`,
+    metadata: sessionMetadata,
+    customer_email: userEmail,
+    billing_address_collection: "required",
+    payment_intent_data: {
+      metadata: sessionMetadata,
+    },
+  };
+
+  return { sessionConfig, details: { price } };
+}
+
+module.exports = registerPaymentType({
+  type: "prevention",
+  metadataSchema: { required: ["userId", "priceId"] },
+  buildCheckoutSession: buildPreventionCheckoutSession,
+  fulfil: fulfilPreventionOrder,
+});
@@ -0,0 +1,38 @@
+require("dotenv").config();
+
+const fs = require("fs");
+const path = require("path");
+const { logWithTimestamp } = require("../shared/logger");
+const { exportAccounting } = require("../accounting/accountingExportService");
+
+/**
+ * Commande CLI : export comptable d'une période (CSV ou FEC)
+ * Usage: npm run accounting:export -- --from=2026-01-01 --to=2026-12-31
+ *          [--format=csv|fec] [--out=dossier]
+ */
+async function main(args) {
+  const option = (name) =>
+    args.find((arg) => arg.startsWith(`--${name}=`))?.slice(name.length + 3);
+
+  const file = await exportAccounting({
+    from: option("from"),
+    to: option("to"),
+    format: option("format") || "csv",
+  });
+
+  const outputPath = path.join(option("out") || process.cwd(), file.filename);
+  fs.writeFileSync(outputPath, file.content);
+
+  console.log(
+    JSON.stringify({ file: outputPath, transactions: file.count }, null, 2)
+  );
+}
+
+main(process.argv.slice(2))
+  .then(() => process.exit(0))
+  .catch((error) => {
+    logWithTimestamp("error", "❌ Échec export comptable", {
+      error: error.message,
+    });
+    process.exit(1);
+  });
@@ -0,0 +1,55 @@
+require("dotenv").config();
+
+const { logWithTimestamp } = require("../shared/logger");
+const { runJobWorker } = require("../jobs/jobWorker");
+
+const IDLE_DELAY_MS = 5000;
+
+/**
+ * Commande CLI : worker de la file de tâches
+ * Sans --watch, traite les tâches dues puis s'arrête ; avec --watch, reste actif
+ * Usage: npm run job:worker -- [--watch] [--limit=10]
+ */
+async function main(args) {
+  const watch = args.includes("--watch");
+  const limitArg = args.find((arg) => arg.startsWith("--limit="));
+  const limit = limitArg
+    ? parseInt(limitArg.slice("--limit=".length))
+    : undefined;
+
+  if (Number.isNaN(limit)) {
+    throw new Error(`Limite invalide: ${limitArg}`);
+  }
+
+  let stopping = false;
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.on(signal, () => {
+      logWithTimestamp("info", "Arrêt du worker demandé", { signal });
+      stopping = true;
+    });
+  }
+
+  const totals = { claimed: 0, succeeded: 0, retried: 0, dead: 0 };
+
+  while (!stopping) {
+    const report = await runJobWorker({ limit });
+    for (const key of Object.keys(totals)) totals[key] += report[key];
+
+    if (report.claimed === 0) {
+      if (!watch) break;
+      await new Promise((resolve) => setTimeout(resolve, IDLE_DELAY_MS));
+    }
+  }
+
+  console.log(JSON.stringify(totals, null, 2));
+  return totals.dead > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2))
+  .then((exitCode) => process.exit(exitCode))
+  .catch((error) => {
+    logWithTimestamp("error", "❌ Échec worker de tâches", {
+      error: error.message,
+    });
+    process.exit(1);
+  });
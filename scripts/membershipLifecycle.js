@@ -0,0 +1,34 @@
+require("dotenv").config();
+
+const { logWithTimestamp } = require("../shared/logger");
+const {
+  runMembershipLifecycleJob,
+} = require("../memberships/membershipLifecycleService");
+
+/**
+ * Commande CLI : rappels de renouvellement et expiration des adhésions
+ * Usage: npm run job:memberships -- [--dry-run] [--now=2026-01-31]
+ */
+async function main(args) {
+  const dryRun = args.includes("--dry-run");
+  const nowArg = args.find((arg) => arg.startsWith("--now="));
+  const now = nowArg ? new Date(nowArg.slice("--now=".length)) : new Date();
+
+  if (Number.isNaN(now.getTime())) {
+    throw new Error(`Date invalide: ${nowArg}`);
+  }
+
+  const report = await runMembershipLifecycleJob({ now, dryRun });
+  console.log(JSON.stringify(report, null, 2));
+
+  return report.errors > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2))
+  .then((exitCode) => process.exit(exitCode))
+  .catch((error) => {
+    logWithTimestamp("error", "❌ Échec tâche cycle de vie adhésions", {
+      error: error.message,
+    });
+    process.exit(1);
+  });
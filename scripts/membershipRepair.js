@@ -0,0 +1,39 @@
+require("dotenv").config();
+
+const { logWithTimestamp } = require("../shared/logger");
+const {
+  runMembershipRepairJob,
+} = require("../memberships/membershipRepairService");
+
+/**
+ * Commande CLI : complète les factures, customers et sessions Stripe
+ * manquants des adhésions payantes
+ * Usage: npm run job:membership-repair -- [--dry-run] [--limit=25] [--membership=123]
+ */
+async function main(args) {
+  const option = (name) =>
+    args.find((arg) => arg.startsWith(`--${name}=`))?.slice(name.length + 3);
+
+  const limit = option("limit") ? parseInt(option("limit")) : undefined;
+  if (Number.isNaN(limit)) {
+    throw new Error(`Limite invalide: ${option("limit")}`);
+  }
+
+  const report = await runMembershipRepairJob({
+    dryRun: args.includes("--dry-run"),
+    limit,
+    membershipId: option("membership") || null,
+  });
+  console.log(JSON.stringify(report, null, 2));
+
+  return report.errors > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2))
+  .then((exitCode) => process.exit(exitCode))
+  .catch((error) => {
+    logWithTimestamp("error", "❌ Échec tâche réparation adhésions", {
+      error: error.message,
+    });
+    process.exit(1);
+  });
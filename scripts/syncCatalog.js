@@ -0,0 +1,24 @@
+require("dotenv").config();
+
+const { logWithTimestamp } = require("../shared/logger");
+const { syncCatalogFromStripe } = require("../catalog/catalogService");
+
+/**
+ * Commande CLI : synchronise le catalogue produits avec Stripe
+ * Usage: npm run catalog:sync -- [--dry-run]
+ */
+async function main(args) {
+  const report = await syncCatalogFromStripe({
+    dryRun: args.includes("--dry-run"),
+  });
+  console.log(JSON.stringify(report, null, 2));
+}
+
+main(process.argv.slice(2))
+  .then(() => process.exit(0))
+  .catch((error) => {
+    logWithTimestamp("error", "❌ Échec synchronisation catalogue", {
+      error: error.message,
+    });
+    process.exit(1);
+  });
@@ -1,5 +1,4 @@
 require("dotenv").config();
-const express = require("express");
 
 // Configuration imports
 const { PORT, FRONTEND_URL } = require("./config/constants");
@@ -7,77 +6,9 @@ const { CONTACT_EMAIL } = require("./config/email");
 
 // Shared utilities imports
 const { logWithTimestamp } = require("./shared/logger");
-const {
-  corsMiddleware,
-  errorHandler,
-  notFoundHandler,
-} = require("./shared/middleware");
 
-// Business logic imports - TOUS LES MODULES REFACTORISÉS ✅
-const membershipRoutes = require("./memberships/membershipRoutes");
-const { trainingRoutes } = require("./trainings");
-const { healthRoutes } = require("./health");
-const { contactRoutes } = require("./contact");
-const { preventionRoutes } = require("./prevention");
-const { paymentRoutes } = require("./payments");
-const { newsletterRoutes } = require("./newsletter");
-const { debugRoutes } = require("./debug");
-
-const app = express();
-
-const { specs, swaggerUi } = require("./config/swagger");
-
-// Swagger documentation
-app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(specs));
-
-// ========================
-// MIDDLEWARES
-// ========================
-
-// IMPORTANT: Le webhook Stripe doit être déclaré AVANT express.json()
-// Mais maintenant il est géré dans le module payments avec express.raw()
-app.use(express.json());
-
-// Configuration CORS
-app.use(corsMiddleware);
-
-// ========================
-// ROUTES MODULAIRES - 🎯 REFACTORING 100% TERMINÉ ! 🎯
-// ========================
-
-// Routes des adhésions ✅
-app.use("/", membershipRoutes);
-
-// Routes des formations ✅
-app.use("/", trainingRoutes);
-
-// Routes de santé ✅
-app.use("/", healthRoutes);
-
-// Routes de contact ✅
-app.use("/", contactRoutes);
-
-// Routes de prévention ✅
-app.use("/", preventionRoutes);
-
-// Routes de paiement ✅
-app.use("/", paymentRoutes);
-
-// 🆕 Routes de newsletter ✅ (NOUVEAU - refactorisées)
-app.use("/", newsletterRoutes);
-
-// 🆕 Routes de debug/utils ✅ (NOUVEAU - refactorisées)
-app.use("/", debugRoutes);
-
-// ========================
-// GESTION D'ERREURS
-// ========================
-
-// Gestionnaire d'erreurs global
-app.use(errorHandler);
-
-// Route non trouvée
-app.use("*", notFoundHandler);
+// Application Express (routes, middlewares, webhooks)
+const { createApp } = require("./createApp");
 
 // ========================
 // DÉMARRAGE SERVEUR
@@ -96,6 +27,7 @@ async function startServer() {
     }
 
     // Démarrage du serveur
+    const app = createApp();
     app.listen(PORT, () => {
       logWithTimestamp(
         "info",
@@ -135,5 +67,11 @@ process.on("SIGTERM", () => {
   process.exit(0);
 });
 
-// Démarrage
-startServer();
+// Démarrage (uniquement en exécution directe : node server.js)
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = {
+  startServer,
+};
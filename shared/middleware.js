@@ -1,4 +1,10 @@
-const { ALLOWED_ORIGINS } = require("../config/constants");
+const crypto = require("crypto");
+const {
+  ALLOWED_ORIGINS,
+  ADMIN_API_KEYS,
+  CRON_SECRET,
+} = require("../config/constants");
+const { supabase } = require("../config/database");
 const { logWithTimestamp } = require("./logger");
 
 /**
@@ -7,7 +13,7 @@ const { logWithTimestamp } = require("./logger");
 function corsMiddleware(req, res, next) {
   const origin = req.headers.origin;
 
-  if (ALLOWED_ORIGINS.includes(origin)) {
+  if (origin && ALLOWED_ORIGINS.includes(origin)) {
     res.setHeader("Access-Control-Allow-Origin", origin);
   }
 
@@ -17,7 +23,7 @@ function corsMiddleware(req, res, next) {
   );
   res.setHeader(
     "Access-Control-Allow-Headers",
-    "Content-Type, Authorization, X-Requested-With"
+    "Content-Type, Authorization, X-Requested-With, X-Admin-Key"
   );
 
   if (req.method === "OPTIONS") {
@@ -27,6 +33,103 @@ function corsMiddleware(req, res, next) {
   next();
 }
 
+/**
+ * Compare deux secrets en temps constant
+ * @param {string} provided - Valeur reçue
+ * @param {string} expected - Valeur attendue
+ * @returns {boolean} True si les valeurs sont identiques
+ */
+function secretsMatch(provided, expected) {
+  if (!provided || !expected) return false;
+
+  const providedBuffer = Buffer.from(String(provided));
+  const expectedBuffer = Buffer.from(String(expected));
+
+  return (
+    providedBuffer.length === expectedBuffer.length &&
+    crypto.timingSafeEqual(providedBuffer, expectedBuffer)
+  );
+}
+
+/**
+ * Protège les routes d'administration par clé API (header X-Admin-Key)
+ * L'identifiant de l'administrateur associé à la clé (ADMIN_API_KEYS) est
+ * exposé dans req.adminId
+ */
+function requireAdmin(req, res, next) {
+  const provided = req.headers["x-admin-key"];
+  const admin = ADMIN_API_KEYS.find(({ key }) => secretsMatch(provided, key));
+
+  if (!admin) {
+    logWithTimestamp("warn", "Accès administrateur refusé", {
+      method: req.method,
+      url: req.originalUrl,
+    });
+
+    return res.status(401).json({
+      success: false,
+      error: "Accès administrateur requis",
+    });
+  }
+
+  req.adminId = admin.adminId;
+  next();
+}
+
+/**
+ * Réserve une route au compte de l'association visée (:associationId)
+ * Le jeton de session Supabase (header Authorization: Bearer) doit
+ * appartenir à ce compte ; l'association est exposée dans req.associationId
+ */
+async function requireAssociation(req, res, next) {
+  const token = (req.headers.authorization || "").replace(/^Bearer /, "");
+  const { associationId } = req.params;
+
+  const { data, error } = token
+    ? await supabase.auth.getUser(token)
+    : { data: null, error: null };
+  const accountId = !error ? data?.user?.id : null;
+
+  if (!accountId || accountId !== associationId) {
+    logWithTimestamp("warn", "Accès association refusé", {
+      method: req.method,
+      url: req.originalUrl,
+      accountId,
+    });
+
+    return res.status(accountId ? 403 : 401).json({
+      success: false,
+      error: accountId
+        ? "Accès réservé à l'association concernée"
+        : "Authentification requise",
+    });
+  }
+
+  req.associationId = associationId;
+  next();
+}
+
+/**
+ * Protège les routes de tâches planifiées (header Authorization: Bearer CRON_SECRET)
+ */
+function requireCronSecret(req, res, next) {
+  const token = (req.headers.authorization || "").replace(/^Bearer /, "");
+
+  if (!secretsMatch(token, CRON_SECRET)) {
+    logWithTimestamp("warn", "Accès tâche planifiée refusé", {
+      method: req.method,
+      url: req.originalUrl,
+    });
+
+    return res.status(401).json({
+      success: false,
+      error: "Accès tâche planifiée refusé",
+    });
+  }
+
+  next();
+}
+
 /**
  * Gestionnaire d'erreurs global
  */
@@ -66,6 +169,10 @@ function notFoundHandler(req, res) {
 
 module.exports = {
   corsMiddleware,
+  requireAdmin,
+  requireAssociation,
+  requireCronSecret,
+  secretsMatch,
   errorHandler,
   notFoundHandler,
 };
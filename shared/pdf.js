@@ -0,0 +1,63 @@
+const PDFDocument = require("pdfkit");
+
+// Charte graphique des documents PDF
+const PDF_BRAND = {
+  NAME: "Novapsy",
+  PRIMARY_COLOR: "#667eea",
+  TEXT_COLOR: "#2d3748",
+  MUTED_COLOR: "#4a5568",
+};
+
+/**
+ * Génère un document PDF en mémoire
+ * @param {function(PDFKit.PDFDocument): void} draw - Dessine le contenu du document
+ * @param {object} options - Options pdfkit (size, layout, margins, info...)
+ * @returns {Promise<Buffer>} Contenu du PDF
+ */
+function renderPdf(draw, options = {}) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50, ...options });
+    const chunks = [];
+
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    try {
+      draw(doc);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Formate une date au format français (ex. 12 mars 2026)
+ * @param {Date|string} date - Date à formater
+ * @returns {string} Date formatée
+ */
+function formatPdfDate(date) {
+  return new Date(date).toLocaleDateString("fr-FR", {
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+  });
+}
+
+/**
+ * Formate un montant en euros (ex. 1234,50 €)
+ * Sans séparateur de milliers : l'espace insécable n'existe pas dans les polices standard
+ * @param {number} amount - Montant en euros
+ * @returns {string} Montant formaté
+ */
+function formatPdfAmount(amount) {
+  return `${Number(amount).toFixed(2).replace(".", ",")} €`;
+}
+
+module.exports = {
+  PDF_BRAND,
+  renderPdf,
+  formatPdfDate,
+  formatPdfAmount,
+};
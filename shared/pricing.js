@@ -1,40 +1,68 @@
-const { PRICES, TRAININGS } = require("../config/constants");
+const { getCatalogEntry } = require("../catalog/catalogService");
 const { logWithTimestamp } = require("./logger");
 
 /**
- * Récupère le prix d'un produit à partir de son ID Stripe
+ * Récupère le prix d'un produit à partir de son ID Stripe (catalogue)
  * @param {string} priceId - ID du prix Stripe
- * @returns {number} Prix en euros
+ * @returns {Promise<number>} Prix en euros
  */
-function getPriceFromPriceId(priceId) {
-  return PRICES[priceId] || 0;
+async function getPriceFromPriceId(priceId) {
+  const entry = await getCatalogEntry(priceId);
+  return entry ? entry.base_price : 0;
 }
 
 /**
- * Récupère les détails d'une formation à partir de son ID de prix
+ * Récupère les détails d'une formation à partir de son ID de prix (catalogue)
  * @param {string} priceId - ID du prix Stripe pour la formation
- * @returns {object|null} Détails de la formation ou null si non trouvée
+ * @returns {Promise<object|null>} Détails de la formation ou null si non trouvée
  */
-function getTrainingDetails(priceId) {
-  return TRAININGS[priceId] || null;
+async function getTrainingDetails(priceId) {
+  const entry = await getCatalogEntry(priceId);
+  return entry && entry.kind === "training" ? entry : null;
+}
+
+/**
+ * Applique un code promo à un montant (en centimes pour éviter les arrondis)
+ * Même calcul que Stripe : pourcentage arrondi au centime, plancher à 0
+ * @param {number} amount - Montant en euros
+ * @param {object|null} coupon - Code promo (percent_off ou amount_off)
+ * @returns {{discount: number, finalAmount: number}} Montants en euros
+ */
+function applyCouponDiscount(amount, coupon) {
+  const amountCents = Math.round(amount * 100);
+  if (!coupon) return { discount: 0, finalAmount: amountCents / 100 };
+
+  const discountCents = coupon.percent_off
+    ? Math.round((amountCents * Number(coupon.percent_off)) / 100)
+    : Math.round(Number(coupon.amount_off) * 100);
+  const appliedCents = Math.min(discountCents, amountCents);
+
+  return {
+    discount: appliedCents / 100,
+    finalAmount: (amountCents - appliedCents) / 100,
+  };
 }
 
 /**
  * Calcule le prix final d'une formation avec réduction adhérent
- * @param {object} trainingDetails - Détails de la formation
+ * Un code promo s'applique ensuite sur le prix adhérent (cumul)
+ * @param {object} trainingDetails - Détails de la formation (entrée du catalogue)
  * @param {boolean} isMember - Si l'utilisateur est adhérent
+ * @param {object|null} coupon - Code promo validé (optionnel)
  * @returns {number} Prix final après réduction
  */
-function calculateDiscountedPrice(trainingDetails, isMember) {
+function calculateDiscountedPrice(trainingDetails, isMember, coupon = null) {
   if (!trainingDetails) return 0;
 
   const basePrice = trainingDetails.base_price;
   const discount = isMember ? trainingDetails.member_discount : 0;
-  const finalPrice = basePrice - discount;
+  const { discount: couponDiscount, finalAmount: finalPrice } =
+    applyCouponDiscount(basePrice - discount, coupon);
 
   logWithTimestamp("info", "Calcul prix avec réduction", {
     basePrice,
     discount,
+    couponDiscount,
     finalPrice,
     isMember,
   });
@@ -46,4 +74,5 @@ module.exports = {
   getPriceFromPriceId,
   getTrainingDetails,
   calculateDiscountedPrice,
+  applyCouponDiscount,
 };
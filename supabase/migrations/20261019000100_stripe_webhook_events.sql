@@ -0,0 +1,24 @@
+-- Registre des événements webhook Stripe reçus
+-- Garantit le traitement idempotent (un event.id n'est traité qu'une fois)
+
+create table if not exists public.stripe_webhook_events (
+  event_id text primary key,
+  event_type text not null,
+  status text not null default 'processing'
+    check (status in ('processing', 'processed', 'failed')),
+  payload_hash text not null,
+  payload jsonb not null,
+  livemode boolean not null default false,
+  attempts integer not null default 1,
+  outcome jsonb,
+  last_error text,
+  received_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  processed_at timestamptz
+);
+
+create index if not exists stripe_webhook_events_status_idx
+  on public.stripe_webhook_events (status, received_at desc);
+
+create index if not exists stripe_webhook_events_type_idx
+  on public.stripe_webhook_events (event_type);
@@ -0,0 +1,17 @@
+-- Suivi des remboursements et litiges effectués hors du parcours d'annulation
+-- (dashboard Stripe, litiges bancaires)
+
+alter table public.memberships
+  add column if not exists refund_amount numeric(10, 2),
+  add column if not exists refund_date timestamptz,
+  add column if not exists stripe_refund_id text,
+  add column if not exists stripe_dispute_id text;
+
+alter table public.trainings_purchase
+  add column if not exists stripe_dispute_id text;
+
+create index if not exists memberships_payment_intent_id_idx
+  on public.memberships (payment_intent_id);
+
+create index if not exists trainings_purchase_payment_intent_id_idx
+  on public.trainings_purchase (payment_intent_id);
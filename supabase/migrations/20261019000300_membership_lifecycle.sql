@@ -0,0 +1,32 @@
+-- Cycle de vie des adhésions : rappels de renouvellement et expiration
+
+alter table public.memberships
+  add column if not exists expired_at timestamptz;
+
+create index if not exists memberships_membership_end_idx
+  on public.memberships (membership_end)
+  where expired_at is null;
+
+-- Rappels envoyés (un seul rappel par adhésion et par échéance)
+create table if not exists public.membership_reminders (
+  id bigint generated always as identity primary key,
+  membership_id bigint not null references public.memberships (membership_id) on delete cascade,
+  days_before integer not null,
+  sent boolean not null default false,
+  created_at timestamptz not null default now(),
+  unique (membership_id, days_before)
+);
+
+-- Journal des transitions (rappel, expiration, rétrogradation de statut...)
+create table if not exists public.membership_transitions (
+  id bigint generated always as identity primary key,
+  membership_id bigint not null references public.memberships (membership_id) on delete cascade,
+  user_id uuid,
+  association_id uuid,
+  transition text not null,
+  details jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists membership_transitions_membership_id_idx
+  on public.membership_transitions (membership_id);
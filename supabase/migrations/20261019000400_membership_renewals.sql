@@ -0,0 +1,9 @@
+-- Renouvellement des adhésions : lien vers l'adhésion précédente et prix Stripe du forfait
+
+alter table public.memberships
+  add column if not exists price_id text,
+  add column if not exists previous_membership_id bigint
+    references public.memberships (membership_id) on delete set null;
+
+create index if not exists memberships_previous_membership_id_idx
+  on public.memberships (previous_membership_id);
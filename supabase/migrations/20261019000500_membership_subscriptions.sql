@@ -0,0 +1,10 @@
+-- Adhésions à renouvellement automatique (abonnements Stripe annuels)
+
+alter table public.memberships
+  add column if not exists stripe_subscription_id text,
+  add column if not exists subscription_status text,
+  add column if not exists auto_renew boolean not null default false;
+
+create unique index if not exists memberships_stripe_subscription_id_idx
+  on public.memberships (stripe_subscription_id)
+  where stripe_subscription_id is not null;
@@ -0,0 +1,35 @@
+-- Catalogue produits (remplace PRICES et TRAININGS de config/constants.js)
+-- Les champs Stripe (nom, montant, devise, actif) sont mis à jour par la
+-- commande de synchronisation ; les champs métier sont gérés par l'administration
+
+create table if not exists public.catalog_products (
+  price_id text primary key,
+  product_id text,
+  kind text not null default 'other'
+    check (kind in ('membership', 'training', 'prevention', 'other')),
+  name text not null,
+  full_name text,
+  amount numeric(10, 2) not null check (amount >= 0),
+  currency text not null default 'eur',
+  member_discount numeric(10, 2) not null default 0 check (member_discount >= 0),
+  duration integer,
+  training_type text,
+  active boolean not null default true,
+  stripe_synced_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists catalog_products_kind_idx
+  on public.catalog_products (kind);
+
+-- Reprise des valeurs codées en dur jusqu'ici
+insert into public.catalog_products
+  (price_id, kind, name, full_name, amount, member_discount, duration, training_type)
+values
+  ('price_1RknRO05Uibkj68MUPgVuW2Y', 'membership', 'Adhésion Simple', 'Adhésion Simple', 30, 0, null, null),
+  ('price_1RknR205Uibkj68MeezgOEAs', 'membership', 'Adhésion Pro', 'Adhésion Pro', 20, 0, null, null),
+  ('price_1RknQd05Uibkj68MgNOg2UxF', 'membership', 'Membre Asso', 'Membre Asso', 10, 0, null, null),
+  ('price_1RZKxz05Uibkj68MfCpirZlH', 'training', 'PSSM', 'Premiers Secours en Santé Mentale', 250, 35, 14, 'Premiers Secours en Santé Mentale'),
+  ('price_1RT2Gi05Uibkj68MuYaG5HZn', 'training', 'VSS', 'Violences Sexistes et Sexuelles', 50, 15, 7, 'Violences Sexistes et Sexuelles')
+on conflict (price_id) do nothing;
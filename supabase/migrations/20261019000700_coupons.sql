@@ -0,0 +1,43 @@
+-- Codes promo (reflétés dans Stripe en coupon + promotion code)
+
+create table if not exists public.coupons (
+  coupon_id bigint generated always as identity primary key,
+  code text not null unique check (code = upper(code)),
+  description text,
+  percent_off numeric(5, 2) check (percent_off > 0 and percent_off <= 100),
+  amount_off numeric(10, 2) check (amount_off > 0),
+  applies_to text not null default 'all'
+    check (applies_to in ('all', 'training', 'membership')),
+  price_ids text[], -- Restriction à une formation ou un forfait (null = tous)
+  max_redemptions integer check (max_redemptions > 0),
+  expires_at timestamptz,
+  active boolean not null default true,
+  stripe_coupon_id text,
+  stripe_promotion_code_id text,
+  created_by text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check ((percent_off is null) <> (amount_off is null))
+);
+
+-- Utilisations (une par session Stripe)
+create table if not exists public.coupon_redemptions (
+  id bigint generated always as identity primary key,
+  coupon_id bigint not null references public.coupons (coupon_id),
+  stripe_session_id text not null unique,
+  user_id uuid,
+  association_id uuid,
+  amount_discount numeric(10, 2) not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists coupon_redemptions_coupon_id_idx
+  on public.coupon_redemptions (coupon_id);
+
+alter table public.trainings_purchase
+  add column if not exists coupon_id bigint references public.coupons (coupon_id),
+  add column if not exists coupon_discount numeric(10, 2) not null default 0;
+
+alter table public.memberships
+  add column if not exists coupon_id bigint references public.coupons (coupon_id),
+  add column if not exists coupon_discount numeric(10, 2) not null default 0;
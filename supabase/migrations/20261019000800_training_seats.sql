@@ -0,0 +1,98 @@
+-- Places de formation : réservations temporaires pendant le checkout et liste d'attente
+
+-- Réservation d'une place, valable jusqu'à l'expiration de la session Stripe
+create table if not exists public.training_seat_holds (
+  hold_id bigint generated always as identity primary key,
+  training_id text not null,
+  user_id uuid not null,
+  status text not null default 'held'
+    check (status in ('held', 'converted', 'released')),
+  expires_at timestamptz not null,
+  stripe_session_id text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists training_seat_holds_active_idx
+  on public.training_seat_holds (training_id, expires_at)
+  where status = 'held';
+
+-- Liste d'attente (une inscription active par utilisateur et par formation)
+create table if not exists public.training_waitlist (
+  id bigint generated always as identity primary key,
+  training_id text not null,
+  user_id uuid not null,
+  status text not null default 'waiting'
+    check (status in ('waiting', 'notified', 'converted', 'cancelled')),
+  notified_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists training_waitlist_active_idx
+  on public.training_waitlist (training_id, user_id)
+  where status in ('waiting', 'notified');
+
+-- Places occupées : achats non annulés + réservations en cours
+create or replace function public.training_seats_taken(p_training_id text)
+returns integer
+language sql
+stable
+as $$
+  select (
+    (select count(*)
+       from public.trainings_purchase
+      where training_id = p_training_id
+        and payment_status not in ('refunded', 'partially_refunded', 'cancelled'))
+    +
+    (select count(*)
+       from public.training_seat_holds
+      where training_id = p_training_id
+        and status = 'held'
+        and expires_at > now())
+  )::integer;
+$$;
+
+-- Réserve une place (null si la formation est complète)
+-- Le verrou sur la formation sérialise les réservations concurrentes
+create or replace function public.reserve_training_seat(
+  p_training_id text,
+  p_user_id uuid,
+  p_expires_at timestamptz
+)
+returns bigint
+language plpgsql
+as $$
+declare
+  v_capacity integer;
+  v_hold_id bigint;
+begin
+  select training_slots into v_capacity
+    from public.trainings
+   where training_id = p_training_id
+     for update;
+
+  if not found then
+    raise exception 'Formation introuvable: %', p_training_id
+      using errcode = 'P0002';
+  end if;
+
+  -- Une seule réservation en cours par utilisateur (nouveau checkout)
+  update public.training_seat_holds
+     set status = 'released', updated_at = now()
+   where training_id = p_training_id
+     and user_id = p_user_id
+     and status = 'held';
+
+  if v_capacity is not null
+     and public.training_seats_taken(p_training_id) >= v_capacity then
+    return null;
+  end if;
+
+  insert into public.training_seat_holds (training_id, user_id, expires_at)
+  values (p_training_id, p_user_id, p_expires_at)
+  returning hold_id into v_hold_id;
+
+  return v_hold_id;
+end;
+$$;
@@ -0,0 +1,58 @@
+-- Achat de formation et inscription à la session choisie au checkout,
+-- enregistrés dans une même transaction
+
+create or replace function public.create_training_purchase(
+  p_purchase jsonb,
+  p_session_id text default null
+)
+returns public.trainings_purchase
+language plpgsql
+as $$
+declare
+  v_purchase public.trainings_purchase;
+begin
+  insert into public.trainings_purchase (
+    user_id,
+    training_id,
+    purchase_date,
+    purchase_amount,
+    original_price,
+    member_discount,
+    coupon_id,
+    coupon_discount,
+    payment_status,
+    stripe_session_id,
+    payment_intent_id,
+    hours_purchased,
+    hours_consumed
+  )
+  select
+    r.user_id,
+    r.training_id,
+    r.purchase_date,
+    r.purchase_amount,
+    r.original_price,
+    r.member_discount,
+    r.coupon_id,
+    coalesce(r.coupon_discount, 0),
+    r.payment_status,
+    r.stripe_session_id,
+    r.payment_intent_id,
+    r.hours_purchased,
+    coalesce(r.hours_consumed, 0)
+  from jsonb_populate_record(null::public.trainings_purchase, p_purchase) r
+  returning * into v_purchase;
+
+  if p_session_id is not null then
+    -- La session choisie remplace une éventuelle inscription précédente
+    delete from public.users_trainings
+     where user_id = v_purchase.user_id
+       and training_id = v_purchase.training_id;
+
+    insert into public.users_trainings (user_id, training_id, session_id)
+    values (v_purchase.user_id, v_purchase.training_id, p_session_id);
+  end if;
+
+  return v_purchase;
+end;
+$$;
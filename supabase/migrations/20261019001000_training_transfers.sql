@@ -0,0 +1,18 @@
+-- Transferts d'un achat de formation vers une autre session de la même formation
+
+create table if not exists public.training_transfers (
+  id bigint generated always as identity primary key,
+  purchase_id bigint not null references public.trainings_purchase (purchase_id),
+  user_id uuid not null,
+  training_id text not null,
+  from_session_id text,
+  to_session_id text not null,
+  days_before integer, -- Jours restants avant la session d'origine
+  fee numeric(10, 2) not null default 0,
+  stripe_session_id text unique, -- Paiement des frais (null si gratuit)
+  payment_intent_id text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists training_transfers_purchase_id_idx
+  on public.training_transfers (purchase_id);
@@ -0,0 +1,38 @@
+-- Politiques de remboursement des formations (par formation, ou par défaut)
+--   tiers      : paliers [{ "min_days": 31, "percent": 100 }, ...]
+--   exceptions : cas particuliers [{ "code": "medical_certificate", "label": "...", "percent": 100 }]
+
+create table if not exists public.refund_policies (
+  policy_id bigint generated always as identity primary key,
+  training_id text unique, -- null = politique par défaut
+  tiers jsonb not null default '[]'::jsonb,
+  exceptions jsonb not null default '[]'::jsonb,
+  updated_by text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- Une seule politique par défaut
+create unique index if not exists refund_policies_default_idx
+  on public.refund_policies ((training_id is null))
+  where training_id is null;
+
+-- Politique par défaut : règles historiques (REFUND_RULES)
+insert into public.refund_policies (training_id, tiers, exceptions)
+select
+  null,
+  '[{"min_days": 31, "percent": 100}, {"min_days": 16, "percent": 80}]'::jsonb,
+  '[{"code": "medical_certificate", "label": "Certificat médical", "percent": 100}]'::jsonb
+where not exists (
+  select 1 from public.refund_policies where training_id is null
+);
+
+-- Dérogation accordée par l'administration sur un achat
+-- (exception justifiée ou pourcentage imposé), appliquée à l'annulation
+alter table public.trainings_purchase
+  add column if not exists refund_exception text,
+  add column if not exists refund_override_percent numeric(5, 2)
+    check (refund_override_percent >= 0 and refund_override_percent <= 100),
+  add column if not exists refund_override_reason text,
+  add column if not exists refund_override_by text,
+  add column if not exists refund_override_at timestamptz;
@@ -0,0 +1,15 @@
+-- Remboursements émis par l'administration (formations et adhésions)
+
+create table if not exists public.admin_refunds (
+  id bigint generated always as identity primary key,
+  target_type text not null check (target_type in ('training', 'membership')),
+  target_id bigint not null, -- purchase_id ou membership_id
+  amount numeric(10, 2) not null check (amount > 0),
+  reason text not null check (length(trim(reason)) > 0),
+  admin_id text not null,
+  stripe_refund_id text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists admin_refunds_target_idx
+  on public.admin_refunds (target_type, target_id);
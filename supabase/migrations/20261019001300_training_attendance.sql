@@ -0,0 +1,88 @@
+-- Présence des apprenants par jour de session et consommation des heures achetées
+
+create table if not exists public.training_attendance (
+  id bigint generated always as identity primary key,
+  purchase_id bigint not null references public.trainings_purchase (purchase_id),
+  user_id uuid not null,
+  training_id text not null,
+  session_id text not null,
+  day_date date not null, -- Jour de session_days concerné
+  hours numeric(6, 2) not null check (hours > 0),
+  recorded_by text,
+  created_at timestamptz not null default now(),
+  unique (purchase_id, session_id, day_date)
+);
+
+create index if not exists training_attendance_purchase_id_idx
+  on public.training_attendance (purchase_id);
+
+alter table public.trainings_purchase
+  add column if not exists completion_status text not null default 'not_started'
+    check (completion_status in ('not_started', 'in_progress', 'completed')),
+  add column if not exists completed_at timestamptz;
+
+-- Marque (ou retire) la présence d'un apprenant sur un jour de session,
+-- puis recalcule hours_consumed et le statut de complétion de l'achat
+-- Le verrou sur l'achat sérialise les saisies concurrentes
+create or replace function public.set_training_attendance(
+  p_purchase_id bigint,
+  p_session_id text,
+  p_day_date date,
+  p_hours numeric,
+  p_present boolean,
+  p_recorded_by text default null
+)
+returns public.trainings_purchase
+language plpgsql
+as $$
+declare
+  v_purchase public.trainings_purchase;
+  v_consumed numeric;
+  v_status text;
+begin
+  select * into v_purchase
+    from public.trainings_purchase
+   where purchase_id = p_purchase_id
+   for update;
+
+  if p_present then
+    insert into public.training_attendance (
+      purchase_id, user_id, training_id, session_id, day_date, hours, recorded_by
+    )
+    values (
+      p_purchase_id, v_purchase.user_id, v_purchase.training_id,
+      p_session_id, p_day_date, p_hours, p_recorded_by
+    )
+    on conflict (purchase_id, session_id, day_date)
+    do update set hours = excluded.hours, recorded_by = excluded.recorded_by;
+  else
+    delete from public.training_attendance
+     where purchase_id = p_purchase_id
+       and session_id = p_session_id
+       and day_date = p_day_date;
+  end if;
+
+  select coalesce(sum(hours), 0) into v_consumed
+    from public.training_attendance
+   where purchase_id = p_purchase_id;
+
+  v_status := case
+    when v_consumed <= 0 then 'not_started'
+    when v_purchase.hours_purchased is not null
+     and v_consumed >= v_purchase.hours_purchased then 'completed'
+    else 'in_progress'
+  end;
+
+  update public.trainings_purchase
+     set hours_consumed = v_consumed,
+         completion_status = v_status,
+         completed_at = case
+           when v_status = 'completed' then coalesce(completed_at, now())
+           else null
+         end
+   where purchase_id = p_purchase_id
+  returning * into v_purchase;
+
+  return v_purchase;
+end;
+$$;
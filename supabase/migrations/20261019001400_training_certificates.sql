@@ -0,0 +1,23 @@
+-- Certificats de fin de formation (PDF stocké dans le bucket "certificates")
+
+create table if not exists public.training_certificates (
+  certificate_id bigint generated always as identity primary key,
+  purchase_id bigint not null unique references public.trainings_purchase (purchase_id),
+  user_id uuid not null,
+  training_id text not null,
+  session_id text,
+  verification_code text not null unique,
+  holder_name text not null,
+  training_full_name text not null,
+  training_type text, -- "Attestante" ou "Certifiante"
+  session_start date,
+  session_end date,
+  hours numeric(6, 2) not null,
+  storage_path text not null,
+  issued_at timestamptz not null default now(),
+  emailed_at timestamptz
+);
+
+insert into storage.buckets (id, name, public)
+values ('certificates', 'certificates', false)
+on conflict (id) do nothing;
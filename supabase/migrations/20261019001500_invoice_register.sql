@@ -0,0 +1,127 @@
+-- Registre des factures et avoirs : numérotation continue, sans trou,
+-- indépendante de Stripe (une série par type de document et par année)
+--   FA-2026-000001 : factures
+--   AV-2026-000001 : avoirs (remboursements)
+
+create table if not exists public.invoice_sequences (
+  series text primary key,
+  last_number bigint not null default 0
+);
+
+create table if not exists public.invoices (
+  invoice_id bigint generated always as identity primary key,
+  invoice_number text not null unique,
+  kind text not null check (kind in ('invoice', 'credit_note')),
+  series text not null,
+  sequence_number bigint not null,
+  issued_at timestamptz not null default now(),
+  membership_id bigint references public.memberships (membership_id),
+  purchase_id bigint references public.trainings_purchase (purchase_id),
+  user_id uuid,
+  association_id text,
+  payment_intent_id text,
+  stripe_refund_id text,
+  credited_invoice_id bigint references public.invoices (invoice_id),
+  total_amount numeric(10, 2) not null, -- Négatif pour un avoir
+  currency text not null default 'EUR',
+  snapshot jsonb not null, -- Facture figée : émetteur, client, lignes, mentions
+  unique (series, sequence_number),
+  check (membership_id is not null or purchase_id is not null)
+);
+
+-- Une facture par paiement, un avoir par remboursement Stripe
+create unique index if not exists invoices_payment_intent_idx
+  on public.invoices (payment_intent_id)
+  where kind = 'invoice';
+
+create unique index if not exists invoices_stripe_refund_idx
+  on public.invoices (stripe_refund_id)
+  where kind = 'credit_note';
+
+create index if not exists invoices_membership_id_idx
+  on public.invoices (membership_id);
+
+create index if not exists invoices_purchase_id_idx
+  on public.invoices (purchase_id);
+
+-- Émet une facture ou un avoir avec le numéro suivant de sa série
+-- Le compteur est incrémenté dans la même transaction que l'insertion :
+-- un échec annule les deux, la numérotation reste sans trou
+-- Idempotent : renvoie le document existant pour le même paiement / remboursement
+create or replace function public.issue_invoice(
+  p_kind text,
+  p_invoice jsonb
+)
+returns public.invoices
+language plpgsql
+as $$
+declare
+  v_invoice public.invoices;
+  v_series text;
+  v_number bigint;
+begin
+  if p_kind = 'invoice' then
+    select * into v_invoice
+      from public.invoices
+     where kind = 'invoice'
+       and payment_intent_id = p_invoice->>'payment_intent_id';
+  else
+    select * into v_invoice
+      from public.invoices
+     where kind = 'credit_note'
+       and stripe_refund_id = p_invoice->>'stripe_refund_id';
+  end if;
+
+  if found then
+    return v_invoice;
+  end if;
+
+  v_series := (case when p_kind = 'credit_note' then 'AV' else 'FA' end)
+    || '-' || extract(year from now() at time zone 'Europe/Paris')::int;
+
+  insert into public.invoice_sequences as s (series, last_number)
+  values (v_series, 1)
+  on conflict (series) do update set last_number = s.last_number + 1
+  returning last_number into v_number;
+
+  insert into public.invoices (
+    invoice_number,
+    kind,
+    series,
+    sequence_number,
+    membership_id,
+    purchase_id,
+    user_id,
+    association_id,
+    payment_intent_id,
+    stripe_refund_id,
+    credited_invoice_id,
+    total_amount,
+    currency,
+    snapshot
+  )
+  select
+    v_series || '-' || lpad(v_number::text, 6, '0'),
+    p_kind,
+    v_series,
+    v_number,
+    r.membership_id,
+    r.purchase_id,
+    r.user_id,
+    r.association_id,
+    r.payment_intent_id,
+    r.stripe_refund_id,
+    r.credited_invoice_id,
+    r.total_amount,
+    coalesce(r.currency, 'EUR'),
+    -- Le numéro attribué fait partie du document figé
+    r.snapshot || jsonb_build_object(
+      'invoice_number', v_series || '-' || lpad(v_number::text, 6, '0'),
+      'issued_at', now()
+    )
+  from jsonb_populate_record(null::public.invoices, p_invoice) r
+  returning * into v_invoice;
+
+  return v_invoice;
+end;
+$$;
@@ -0,0 +1,12 @@
+-- Réparation automatique des adhésions (facture, customer ou session Stripe manquants)
+
+alter table public.memberships
+  add column if not exists stripe_customer_id text,
+  add column if not exists repair_attempts integer not null default 0,
+  add column if not exists repair_attempted_at timestamptz;
+
+-- Adhésions payantes incomplètes encore à traiter par la tâche de réparation
+create index if not exists memberships_repair_idx
+  on public.memberships (membership_id)
+  where membership_price > 0
+    and (stripe_invoice_id is null or stripe_customer_id is null or stripe_session_id is null);
@@ -0,0 +1,59 @@
+-- File de tâches durable (effets de bord après paiement : emails, statuts, factures...)
+-- Chaque tâche est reprise avec un délai croissant, puis mise de côté (dead)
+-- après max_attempts échecs
+
+create table if not exists public.jobs (
+  id bigint generated always as identity primary key,
+  type text not null,
+  payload jsonb not null default '{}'::jsonb,
+  status text not null default 'pending'
+    check (status in ('pending', 'running', 'succeeded', 'dead')),
+  attempts integer not null default 0,
+  max_attempts integer not null default 5,
+  run_at timestamptz not null default now(),
+  locked_at timestamptz,
+  locked_by text,
+  last_error text,
+  dedupe_key text unique, -- Une seule tâche par effet de bord (ex. membership:12:invoice)
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  completed_at timestamptz
+);
+
+create index if not exists jobs_pending_idx
+  on public.jobs (run_at, id)
+  where status in ('pending', 'running');
+
+create index if not exists jobs_dead_idx
+  on public.jobs (updated_at)
+  where status = 'dead';
+
+-- Réserve les prochaines tâches à exécuter pour un worker
+-- (tâches dues, ou en cours depuis plus de p_lock_timeout_seconds : worker interrompu)
+-- skip locked : plusieurs workers ne réservent jamais la même tâche
+create or replace function public.claim_jobs(
+  p_worker text,
+  p_limit integer,
+  p_lock_timeout_seconds integer
+)
+returns setof public.jobs
+language sql
+as $$
+  update public.jobs j
+     set status = 'running',
+         attempts = j.attempts + 1,
+         locked_at = now(),
+         locked_by = p_worker,
+         updated_at = now()
+   where j.id in (
+     select id
+       from public.jobs
+      where (status = 'pending' and run_at <= now())
+         or (status = 'running'
+             and locked_at < now() - make_interval(secs => p_lock_timeout_seconds))
+      order by run_at, id
+      limit p_limit
+      for update skip locked
+   )
+  returning j.*;
+$$;
@@ -0,0 +1,71 @@
+-- Places d'adhésion des associations : membres couverts par l'adhésion de l'association
+
+-- Nombre de places incluses dans un forfait d'adhésion association
+-- (null : valeur par défaut ASSOCIATION_SEATS.DEFAULT_SEAT_LIMIT)
+alter table public.catalog_products
+  add column if not exists seat_limit integer check (seat_limit >= 0);
+
+create table if not exists public.association_seats (
+  seat_id bigint generated always as identity primary key,
+  association_id uuid not null,
+  email text not null,
+  user_id uuid,
+  status text not null default 'invited'
+    check (status in ('invited', 'active', 'removed', 'expired')),
+  invite_token text unique,
+  invite_expires_at timestamptz,
+  invited_at timestamptz not null default now(),
+  accepted_at timestamptz,
+  removed_at timestamptz,
+  updated_at timestamptz not null default now()
+);
+
+-- Une seule place en cours par email et par association
+create unique index if not exists association_seats_email_idx
+  on public.association_seats (association_id, lower(email))
+  where status in ('invited', 'active');
+
+-- Places actives d'un utilisateur (vérification du statut adhérent)
+create index if not exists association_seats_user_idx
+  on public.association_seats (user_id)
+  where status = 'active';
+
+-- Invite un membre (null si toutes les places sont occupées)
+-- Le verrou sur l'association sérialise les invitations concurrentes
+create or replace function public.invite_association_seat(
+  p_association_id uuid,
+  p_email text,
+  p_seat_limit integer,
+  p_token text,
+  p_expires_at timestamptz
+)
+returns bigint
+language plpgsql
+as $$
+declare
+  v_seat_id bigint;
+begin
+  perform pg_advisory_xact_lock(hashtext('association_seats:' || p_association_id::text));
+
+  -- Invitations périmées : la place est libérée
+  update public.association_seats
+     set status = 'expired', updated_at = now()
+   where association_id = p_association_id
+     and status = 'invited'
+     and invite_expires_at <= now();
+
+  if (select count(*)
+        from public.association_seats
+       where association_id = p_association_id
+         and status in ('invited', 'active')) >= p_seat_limit then
+    return null;
+  end if;
+
+  insert into public.association_seats
+    (association_id, email, invite_token, invite_expires_at)
+  values (p_association_id, lower(p_email), p_token, p_expires_at)
+  returning seat_id into v_seat_id;
+
+  return v_seat_id;
+end;
+$$;
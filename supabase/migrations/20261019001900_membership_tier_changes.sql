@@ -0,0 +1,21 @@
+-- Changements de forfait d'une adhésion en cours (montée ou descente de gamme)
+-- La date de fin est conservée ; la différence au prorata des jours restants
+-- est payée via Checkout (aucun remboursement pour une descente de gamme)
+
+create table if not exists public.membership_tier_changes (
+  id bigint generated always as identity primary key,
+  membership_id bigint not null references public.memberships (membership_id),
+  user_id uuid not null,
+  from_price_id text,
+  to_price_id text not null,
+  from_status_id integer,
+  to_status_id integer not null,
+  remaining_days integer not null, -- Jours restants avant membership_end
+  amount numeric(10, 2) not null default 0, -- Différence payée (0 si aucune)
+  stripe_session_id text unique, -- Paiement de la différence (null si gratuit)
+  payment_intent_id text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists membership_tier_changes_membership_id_idx
+  on public.membership_tier_changes (membership_id);
@@ -0,0 +1,11 @@
+-- Une session Checkout ne crée qu'une seule adhésion et un seul achat de formation
+-- (webhook et page de succès concurrents : la seconde insertion échoue en 23505)
+-- Les doublons existants doivent être fusionnés avant d'appliquer la migration
+
+create unique index if not exists memberships_stripe_session_id_key
+  on public.memberships (stripe_session_id)
+  where stripe_session_id is not null;
+
+create unique index if not exists trainings_purchase_stripe_session_id_key
+  on public.trainings_purchase (stripe_session_id)
+  where stripe_session_id is not null;
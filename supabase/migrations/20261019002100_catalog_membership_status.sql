@@ -0,0 +1,19 @@
+-- Statut d'adhésion attribué par un forfait du catalogue
+-- (changement de forfait : le statut visé est celui du forfait, pas celui envoyé par le client)
+
+alter table public.catalog_products
+  add column if not exists status_id integer;
+
+-- Reprise : statut le plus fréquent des adhésions déjà souscrites à chaque forfait
+update public.catalog_products c
+   set status_id = m.status_id
+  from (
+    select distinct on (price_id) price_id, status_id
+      from public.memberships
+     where price_id is not null
+     group by price_id, status_id
+     order by price_id, count(*) desc
+  ) m
+ where c.price_id = m.price_id
+   and c.kind = 'membership'
+   and c.status_id is null;
@@ -0,0 +1,18 @@
+-- Interventions de prévention payées en ligne
+-- (une commande par session Checkout ; l'équipe est prévenue pour planifier l'intervention)
+
+create table if not exists public.prevention_orders (
+  order_id bigint generated always as identity primary key,
+  user_id uuid not null,
+  user_email text,
+  price_id text not null,
+  name text,
+  amount numeric(10, 2) not null default 0,
+  stripe_session_id text not null unique,
+  payment_intent_id text,
+  payment_status text not null default 'paid',
+  created_at timestamptz not null default now()
+);
+
+create index if not exists prevention_orders_user_id_idx
+  on public.prevention_orders (user_id);
@@ -0,0 +1,10 @@
+-- Une adhésion n'est renouvelée qu'une seule fois : deux paiements de
+-- renouvellement concurrents ne créent pas deux périodes qui se chevauchent
+-- (le second paiement prolonge le renouvellement, voir createMembership)
+-- Les doublons existants doivent être corrigés avant d'appliquer la migration
+
+drop index if exists public.memberships_previous_membership_id_idx;
+
+create unique index if not exists memberships_previous_membership_id_key
+  on public.memberships (previous_membership_id)
+  where previous_membership_id is not null;
@@ -0,0 +1,30 @@
+-- Places occupées : un achat occupe sa place tant que l'inscription à la
+-- session existe (un remboursement partiel ne désinscrit pas l'apprenant)
+-- Sans inscription (aucune session choisie), le statut de paiement fait foi
+
+create or replace function public.training_seats_taken(p_training_id text)
+returns integer
+language sql
+stable
+as $$
+  select (
+    (select count(*)
+       from public.trainings_purchase p
+      where p.training_id = p_training_id
+        and (
+          exists (
+            select 1
+              from public.users_trainings ut
+             where ut.user_id = p.user_id
+               and ut.training_id = p.training_id
+          )
+          or p.payment_status not in ('refunded', 'partially_refunded', 'cancelled')
+        ))
+    +
+    (select count(*)
+       from public.training_seat_holds
+      where training_id = p_training_id
+        and status = 'held'
+        and expires_at > now())
+  )::integer;
+$$;
@@ -0,0 +1,22 @@
+-- Échéances payées des adhésions par abonnement : une ligne par période
+-- facturée au renouvellement (la première période reste portée par memberships)
+-- Les remboursements et litiges d'une échéance passée sont rattachés ici
+
+create table if not exists public.membership_payments (
+  id bigint generated always as identity primary key,
+  membership_id bigint not null references public.memberships (membership_id),
+  stripe_invoice_id text not null unique,
+  payment_intent_id text unique,
+  amount numeric(10, 2) not null default 0,
+  period_start timestamptz not null,
+  period_end timestamptz not null,
+  payment_status text not null default 'paid',
+  refund_amount numeric(10, 2),
+  refund_date timestamptz,
+  stripe_refund_id text,
+  stripe_dispute_id text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists membership_payments_membership_id_idx
+  on public.membership_payments (membership_id);
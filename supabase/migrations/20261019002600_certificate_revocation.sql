@@ -0,0 +1,7 @@
+-- Révocation des certificats de formation (achat intégralement remboursé,
+-- annulé ou contesté) : la vérification publique ne les présente plus comme valides
+
+alter table public.training_certificates
+  add column if not exists revoked_at timestamptz,
+  add column if not exists revoked_reason text
+    check (revoked_reason in ('refunded', 'cancelled', 'disputed'));
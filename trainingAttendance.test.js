@@ -0,0 +1,47 @@
+// Variables d'environnement de test (avant tout chargement de module)
+process.env.STRIPE_SECRET_KEY = "sk_test_local";
+
+jest.mock("./config/database", () => ({ supabase: {} }));
+jest.mock("./config/email", () => ({
+  resend: { emails: { send: jest.fn() } },
+  FROM_EMAIL: "noreply@novapsy.info",
+  CONTACT_EMAIL: "contact@novapsy.info",
+}));
+
+const { getDefaultDayHours } = require("./trainings/trainingAttendanceService");
+
+const days = [
+  new Date("2026-11-02T00:00:00Z"),
+  new Date("2026-11-03T00:00:00Z"),
+  new Date("2026-11-04T00:00:00Z"),
+];
+
+describe("getDefaultDayHours", () => {
+  test("gives the rounding remainder to the last session day", () => {
+    expect(getDefaultDayHours(10, days, "2026-11-02")).toBe(3.33);
+    expect(getDefaultDayHours(10, days, "2026-11-03")).toBe(3.33);
+    expect(getDefaultDayHours(10, days, "2026-11-04")).toBe(3.34);
+  });
+
+  test("adds up to the hours purchased when every day is attended", () => {
+    for (const hoursPurchased of [10, 21, 7.5, 14]) {
+      const totalCents = days
+        .map((day) =>
+          getDefaultDayHours(
+            hoursPurchased,
+            days,
+            day.toISOString().slice(0, 10)
+          )
+        )
+        .reduce((sum, hours) => sum + Math.round(hours * 100), 0);
+
+      expect(totalCents).toBe(Math.round(hoursPurchased * 100));
+    }
+  });
+
+  test("finds the last day whatever the order of the planned days", () => {
+    const unordered = [days[2], days[0], days[1]];
+
+    expect(getDefaultDayHours(10, unordered, "2026-11-04")).toBe(3.34);
+  });
+});
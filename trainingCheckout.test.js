@@ -0,0 +1,118 @@
+// Variables d'environnement de test (avant tout chargement de module)
+process.env.STRIPE_SECRET_KEY = "sk_test_local";
+
+jest.mock("./config/database", () => ({ supabase: {} }));
+jest.mock("./shared/userUtils", () => ({ getMailByUser: jest.fn() }));
+jest.mock("./shared/pricing", () => ({
+  getTrainingDetails: jest.fn(),
+  calculateDiscountedPrice: jest.fn(),
+}));
+jest.mock("./memberships/membershipService", () => ({
+  checkIfUserIsMember: jest.fn(),
+}));
+jest.mock("./trainings/trainingService", () => ({
+  createTrainingPurchase: jest.fn(),
+}));
+jest.mock("./trainings/trainingSeatService", () => ({
+  reserveTrainingSeat: jest.fn(),
+  releaseSeatHold: jest.fn(),
+}));
+jest.mock("./trainings/trainingSessionService", () => ({
+  getBookableTrainingSession: jest.fn(),
+}));
+
+const {
+  getTrainingDetails,
+  calculateDiscountedPrice,
+} = require("./shared/pricing");
+const { checkIfUserIsMember } = require("./memberships/membershipService");
+const { reserveTrainingSeat } = require("./trainings/trainingSeatService");
+const {
+  getBookableTrainingSession,
+} = require("./trainings/trainingSessionService");
+const { getPaymentType } = require("./payments/paymentTypeRegistry");
+require("./trainings/trainingPaymentType");
+
+const trainingDetails = {
+  active: true,
+  name: "TCC",
+  full_name: "Thérapies comportementales et cognitives",
+  duration: 21,
+  training_type: "formation",
+  base_price: 300,
+  member_discount: 50,
+};
+
+function mockCheckoutDependencies() {
+  getTrainingDetails.mockResolvedValue(trainingDetails);
+  checkIfUserIsMember.mockResolvedValue(false);
+  calculateDiscountedPrice.mockReturnValue(300);
+  reserveTrainingSeat.mockResolvedValue({
+    hold_id: 5,
+    expires_at: new Date(Date.now() + 30 * 60 * 1000),
+  });
+}
+
+function buildCheckout(params) {
+  return getPaymentType("training").buildCheckoutSession({
+    priceId: "price_training",
+    userId: "u1",
+    trainingId: "training_1",
+    ...params,
+  });
+}
+
+describe("training checkout metadata", () => {
+  test("ignores session and coupon keys injected by the client", async () => {
+    mockCheckoutDependencies();
+
+    const { sessionConfig } = await buildCheckout({
+      metadata: {
+        trainingSessionId: "past_session",
+        couponId: "4",
+        type: "membership",
+        source: "newsletter",
+      },
+    });
+
+    expect(getBookableTrainingSession).not.toHaveBeenCalled();
+    expect(sessionConfig.metadata).toMatchObject({
+      type: "training_purchase",
+      trainingSessionId: "",
+      seatHoldId: "5",
+      client_trainingSessionId: "past_session",
+      client_source: "newsletter",
+    });
+    expect(sessionConfig.metadata.couponId).toBeUndefined();
+  });
+
+  test("keeps the session validated for the training", async () => {
+    mockCheckoutDependencies();
+    getBookableTrainingSession.mockResolvedValue({
+      session_id: "session_2",
+      training_id: "training_1",
+      first_day: new Date(Date.now() + 20 * 24 * 60 * 60 * 1000),
+    });
+
+    const { sessionConfig } = await buildCheckout({
+      sessionId: "session_2",
+      metadata: { trainingSessionId: "past_session" },
+    });
+
+    expect(getBookableTrainingSession).toHaveBeenCalledWith(
+      "training_1",
+      "session_2"
+    );
+    expect(sessionConfig.metadata.trainingSessionId).toBe("session_2");
+  });
+
+  test("leaves invoicing to the local register", async () => {
+    mockCheckoutDependencies();
+
+    const { sessionConfig } = await buildCheckout({});
+
+    // Une seule numérotation : la facture est émise par le registre local
+    expect(sessionConfig.invoice_creation).toBeUndefined();
+    expect(sessionConfig.customer_creation).toBe("always");
+  });
+});
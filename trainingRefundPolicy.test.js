@@ -0,0 +1,137 @@
+// Variables d'environnement de test (avant tout chargement de module)
+process.env.STRIPE_SECRET_KEY = "sk_test_local";
+
+jest.mock("./config/database", () => ({ supabase: {} }));
+
+const { supabase } = require("./config/database");
+const {
+  FALLBACK_REFUND_POLICY,
+  computeRefundQuote,
+  getRefundQuote,
+} = require("./trainings/trainingRefundPolicyService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date("2026-10-19T10:00:00Z");
+
+const policy = {
+  tiers: [
+    { min_days: 30, percent: 100 },
+    { min_days: 7, percent: 50 },
+  ],
+  exceptions: [{ code: "medical", label: "Certificat médical", percent: 80 }],
+};
+
+const purchase = {
+  purchase_id: 12,
+  training_id: "k9dme4a3kdhjettlbe0fk145",
+  purchase_amount: 250,
+  refund_amount: null,
+};
+
+function sessionIn(days) {
+  return new Date(now.getTime() + days * DAY_MS);
+}
+
+describe("computeRefundQuote", () => {
+  test("applies the highest tier reached by the delay", () => {
+    const quote = computeRefundQuote({
+      purchase,
+      policy,
+      sessionFirstDay: sessionIn(10),
+      now,
+    });
+
+    expect(quote.days_until).toBe(10);
+    expect(quote.rule).toBe("tier");
+    expect(quote.refund_percent).toBe(50);
+    expect(quote.refund_amount).toBe(125);
+    expect(quote.refund_amount_cents).toBe(12500);
+  });
+
+  test("refunds nothing below the last tier", () => {
+    const quote = computeRefundQuote({
+      purchase,
+      policy,
+      sessionFirstDay: sessionIn(3),
+      now,
+    });
+
+    expect(quote.refund_percent).toBe(0);
+    expect(quote.refund_amount).toBe(0);
+    expect(quote.rule_label).toBe("Annulation hors délai de remboursement");
+  });
+
+  test("gives priority to the admin override, then to the exception", () => {
+    const withException = computeRefundQuote({
+      purchase: { ...purchase, refund_exception: "medical" },
+      policy,
+      sessionFirstDay: sessionIn(3),
+      now,
+    });
+    expect(withException.rule).toBe("exception");
+    expect(withException.refund_amount).toBe(200);
+
+    const withOverride = computeRefundQuote({
+      purchase: {
+        ...purchase,
+        refund_exception: "medical",
+        refund_override_percent: 0,
+      },
+      policy,
+      sessionFirstDay: sessionIn(60),
+      now,
+    });
+    expect(withOverride.rule).toBe("override");
+    expect(withOverride.refund_amount).toBe(0);
+  });
+
+  test("refunds in full when no session is scheduled", () => {
+    const quote = computeRefundQuote({
+      purchase,
+      policy: FALLBACK_REFUND_POLICY,
+      sessionFirstDay: null,
+      now,
+    });
+
+    expect(quote.rule).toBe("no_session");
+    expect(quote.days_until).toBeNull();
+    expect(quote.refund_amount).toBe(250);
+  });
+
+  test("never refunds more than the remaining balance, to the cent", () => {
+    const quote = computeRefundQuote({
+      purchase: { ...purchase, purchase_amount: 99.99, refund_amount: 49.99 },
+      policy,
+      sessionFirstDay: sessionIn(45),
+      now,
+    });
+
+    expect(quote.refund_percent).toBe(100);
+    expect(quote.refund_amount_cents).toBe(5000);
+    expect(quote.refund_amount).toBe(50);
+  });
+});
+
+describe("getRefundQuote", () => {
+  function mockPurchase(row) {
+    const query = {
+      select: () => query,
+      eq: () => query,
+      maybeSingle: async () => ({ data: row, error: null }),
+    };
+    supabase.from = jest.fn(() => query);
+  }
+
+  test.each(["refunded", "partially_refunded", "cancelled", "disputed"])(
+    "rejects a purchase already %s",
+    async (paymentStatus) => {
+      mockPurchase({ ...purchase, payment_status: paymentStatus });
+
+      await expect(getRefundQuote(12, "user-1")).rejects.toMatchObject({
+        status: 409,
+      });
+      // L'inscription (supprimée à la première annulation) n'est pas relue
+      expect(supabase.from).toHaveBeenCalledTimes(1);
+    }
+  );
+});
@@ -9,6 +9,11 @@ const {
   checkTrainingPurchase,
   getTrainingDetailsForUser,
 } = require("./trainingService");
+const {
+  getTrainingAvailability,
+  notifyNextOnWaitlist,
+} = require("./trainingSeatService");
+const { getTransferQuote } = require("./trainingTransferService");
 
 // Routes API
 const trainingRoutes = require("./trainingRoutes");
@@ -18,6 +23,9 @@ module.exports = {
   createTrainingPurchase,
   checkTrainingPurchase,
   getTrainingDetailsForUser,
+  getTrainingAvailability,
+  notifyNextOnWaitlist,
+  getTransferQuote,
 
   // Routes (pour montage dans server.js)
   trainingRoutes,
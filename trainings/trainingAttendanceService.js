@@ -0,0 +1,232 @@
+const { supabase } = require("../config/database");
+const { logWithTimestamp } = require("../shared/logger");
+const { getSessionDays } = require("./trainingSessionService");
+const {
+  issueTrainingCertificate,
+} = require("../certificates/certificateService");
+
+// Achats pour lesquels la présence ne peut plus être saisie
+const CLOSED_PURCHASE_STATUSES = ["refunded", "cancelled"];
+
+/**
+ * Formate un jour de session en date ISO (AAAA-MM-JJ)
+ * @param {Date} day - Jour de session
+ * @returns {string} Date ISO
+ */
+function toDayKey(day) {
+  return day.toISOString().slice(0, 10);
+}
+
+/**
+ * Récupère un achat de formation, la session suivie et ses jours planifiés
+ * @param {number} purchaseId - ID de l'achat dans trainings_purchase
+ * @param {string|null} userId - UUID de l'utilisateur (sécurité, null = admin)
+ * @returns {Promise<{purchase: object, sessionId: string|null, days: Array<Date>}>}
+ */
+async function getPurchaseSession(purchaseId, userId = null) {
+  let query = supabase
+    .from("trainings_purchase")
+    .select("*")
+    .eq("purchase_id", purchaseId);
+  if (userId) query = query.eq("user_id", userId);
+
+  const { data: purchase, error } = await query.maybeSingle();
+
+  if (error) throw error;
+  if (!purchase) {
+    throw Object.assign(new Error("Achat introuvable ou accès non autorisé"), {
+      status: 404,
+    });
+  }
+
+  const { data: enrolment, error: enrolmentError } = await supabase
+    .from("users_trainings")
+    .select("session_id")
+    .eq("user_id", purchase.user_id)
+    .eq("training_id", purchase.training_id)
+    .maybeSingle();
+
+  if (enrolmentError) throw enrolmentError;
+
+  const sessionId = enrolment?.session_id || null;
+  const days = await getSessionDays(sessionId);
+
+  return { purchase, sessionId, days };
+}
+
+/**
+ * Heures par défaut d'un jour de session : hours_purchased réparti sur les
+ * jours planifiés, au centième, le reliquat de l'arrondi allant au dernier
+ * jour (10 h sur 3 jours : 3,33 + 3,33 + 3,34) pour que l'assiduité complète
+ * atteigne exactement les heures achetées
+ * @param {number} hoursPurchased - Heures achetées
+ * @param {Array<Date>} days - Jours planifiés de la session
+ * @param {string} dayDate - Jour de session (AAAA-MM-JJ)
+ * @returns {number} Heures du jour
+ */
+function getDefaultDayHours(hoursPurchased, days, dayDate) {
+  const totalCents = Math.round(Number(hoursPurchased || 0) * 100);
+  const dayCents = Math.floor(totalCents / days.length);
+  const lastDay = days.map(toDayKey).sort()[days.length - 1];
+
+  return dayDate === lastDay
+    ? (totalCents - dayCents * (days.length - 1)) / 100
+    : dayCents / 100;
+}
+
+/**
+ * Calcule la progression d'un achat à partir des présences enregistrées
+ * @param {object} purchase - Achat (trainings_purchase)
+ * @param {Array<Date>} days - Jours planifiés de la session
+ * @param {Array<object>} attendance - Présences (training_attendance)
+ * @returns {object} Récapitulatif de présence
+ */
+function buildAttendanceSummary(purchase, days, attendance) {
+  const hoursPurchased = Number(purchase.hours_purchased || 0);
+  const hoursConsumed = Number(purchase.hours_consumed || 0);
+  const byDay = new Map(attendance.map((row) => [row.day_date, row]));
+
+  return {
+    purchase_id: purchase.purchase_id,
+    training_id: purchase.training_id,
+    completion_status: purchase.completion_status || "not_started",
+    completed_at: purchase.completed_at || null,
+    hours_purchased: hoursPurchased,
+    hours_consumed: hoursConsumed,
+    hours_remaining: Math.max(hoursPurchased - hoursConsumed, 0),
+    progress_percent:
+      hoursPurchased > 0
+        ? Math.min(Math.round((hoursConsumed / hoursPurchased) * 100), 100)
+        : 0,
+    days: days.map((day) => {
+      const record = byDay.get(toDayKey(day));
+      return {
+        day_date: toDayKey(day),
+        present: !!record,
+        hours: record ? Number(record.hours) : 0,
+      };
+    }),
+  };
+}
+
+/**
+ * Récapitulatif de présence d'un achat de formation
+ * @param {number} purchaseId - ID de l'achat dans trainings_purchase
+ * @param {string|null} userId - UUID de l'utilisateur (sécurité, null = admin)
+ * @returns {Promise<object>} Récapitulatif de présence
+ */
+async function getTrainingAttendance(purchaseId, userId = null) {
+  const { purchase, days } = await getPurchaseSession(purchaseId, userId);
+
+  const { data: attendance, error } = await supabase
+    .from("training_attendance")
+    .select("day_date, hours")
+    .eq("purchase_id", purchaseId);
+
+  if (error) throw error;
+
+  return buildAttendanceSummary(purchase, days, attendance || []);
+}
+
+/**
+ * Marque un apprenant présent (ou absent) sur un jour de sa session (admin)
+ * Les heures par défaut répartissent hours_purchased sur les jours planifiés
+ * (voir getDefaultDayHours)
+ * @param {number} purchaseId - ID de l'achat dans trainings_purchase
+ * @param {string} dayDate - Jour de session (AAAA-MM-JJ)
+ * @param {object} input - { present?: défaut true, hours? }
+ * @param {string} adminId - Administrateur à l'origine de la saisie
+ * @returns {Promise<object>} Récapitulatif de présence mis à jour
+ */
+async function setTrainingAttendance(purchaseId, dayDate, input = {}, adminId) {
+  const present = input.present !== false;
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dayDate || "")) {
+    throw Object.assign(new Error("dayDate invalide (AAAA-MM-JJ)"), {
+      status: 400,
+    });
+  }
+
+  const { purchase, sessionId, days } = await getPurchaseSession(purchaseId);
+
+  if (CLOSED_PURCHASE_STATUSES.includes(purchase.payment_status)) {
+    throw Object.assign(
+      new Error("Achat annulé ou remboursé : présence non modifiable"),
+      { status: 409 }
+    );
+  }
+  if (!sessionId) {
+    throw Object.assign(new Error("Apprenant inscrit à aucune session"), {
+      status: 409,
+    });
+  }
+  if (!days.some((day) => toDayKey(day) === dayDate)) {
+    throw Object.assign(
+      new Error("Ce jour ne fait pas partie de la session suivie"),
+      { status: 400 }
+    );
+  }
+  if (dayDate > toDayKey(new Date())) {
+    throw Object.assign(new Error("Présence impossible sur un jour à venir"), {
+      status: 409,
+    });
+  }
+
+  const hours =
+    input.hours === undefined || input.hours === null
+      ? getDefaultDayHours(purchase.hours_purchased, days, dayDate)
+      : Number(input.hours);
+
+  if (present && !(hours > 0)) {
+    throw Object.assign(new Error("hours invalide"), { status: 400 });
+  }
+
+  const { data: updated, error } = await supabase.rpc(
+    "set_training_attendance",
+    {
+      p_purchase_id: purchaseId,
+      p_session_id: sessionId,
+      p_day_date: dayDate,
+      p_hours: present ? hours : null,
+      p_present: present,
+      p_recorded_by: adminId || null,
+    }
+  );
+
+  if (error) throw error;
+
+  logWithTimestamp("info", "🗓️ Présence formation enregistrée", {
+    purchaseId,
+    sessionId,
+    dayDate,
+    present,
+    hours: present ? hours : 0,
+    hoursConsumed: updated.hours_consumed,
+    completionStatus: updated.completion_status,
+    adminId,
+  });
+
+  // Formation terminée : délivrance du certificat (rattrapable par l'admin)
+  if (
+    updated.completion_status === "completed" &&
+    purchase.completion_status !== "completed"
+  ) {
+    try {
+      await issueTrainingCertificate(purchaseId);
+    } catch (certificateError) {
+      logWithTimestamp("warn", "Délivrance certificat impossible", {
+        purchaseId,
+        error: certificateError.message,
+      });
+    }
+  }
+
+  return getTrainingAttendance(purchaseId);
+}
+
+module.exports = {
+  buildAttendanceSummary,
+  getDefaultDayHours,
+  getTrainingAttendance,
+  setTrainingAttendance,
+};
@@ -0,0 +1,78 @@
+const { supabase } = require("../config/database");
+const { registerJobHandler } = require("../jobs/jobQueueService");
+const {
+  sendTrainingPurchaseConfirmationEmail,
+  sendTrainingTransferEmail,
+} = require("../emails");
+const {
+  issueTrainingInvoice,
+  issueTransferFeeInvoice,
+} = require("../invoices/invoiceService");
+
+/**
+ * Tâches de la file déclenchées par un achat de formation
+ * (createTrainingPurchase) ou un transfert de session (applyTrainingTransfer)
+ */
+
+/**
+ * Récupère une ligne par son ID
+ * @param {string} table - Table Supabase
+ * @param {string} column - Colonne d'identifiant
+ * @param {number} id - Identifiant
+ * @returns {Promise<object>} Ligne
+ */
+async function getRow(table, column, id) {
+  const { data, error } = await supabase
+    .from(table)
+    .select("*")
+    .eq(column, id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw new Error(`Ligne introuvable: ${table} ${id}`);
+  return data;
+}
+
+// Facture au registre : { purchaseId }
+registerJobHandler("training.invoice", async ({ purchaseId }) => {
+  await issueTrainingInvoice(
+    await getRow("trainings_purchase", "purchase_id", purchaseId)
+  );
+});
+
+// Email de confirmation d'achat : { userId, purchaseId, trainingDetails }
+registerJobHandler(
+  "training.confirmation_email",
+  async ({ userId, purchaseId, trainingDetails }) => {
+    const purchase = await getRow(
+      "trainings_purchase",
+      "purchase_id",
+      purchaseId
+    );
+    const sent = await sendTrainingPurchaseConfirmationEmail(
+      userId,
+      purchase,
+      trainingDetails
+    );
+
+    if (!sent) throw new Error("Email de confirmation de formation non envoyé");
+  }
+);
+
+// Facture des frais de transfert : { transferId, trainingName }
+registerJobHandler(
+  "training.transfer_invoice",
+  async ({ transferId, trainingName }) => {
+    await issueTransferFeeInvoice(
+      await getRow("training_transfers", "id", transferId),
+      trainingName
+    );
+  }
+);
+
+// Email de confirmation de transfert : { userId, trainingName, fromStart, newDays, fee }
+registerJobHandler("training.transfer_email", async ({ userId, ...data }) => {
+  if (!(await sendTrainingTransferEmail(userId, data))) {
+    throw new Error("Email de transfert de session non envoyé");
+  }
+});
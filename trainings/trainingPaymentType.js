@@ -0,0 +1,189 @@
+const { FRONTEND_URL } = require("../config/constants");
+const { logWithTimestamp } = require("../shared/logger");
+const { getMailByUser } = require("../shared/userUtils");
+const {
+  getTrainingDetails,
+  calculateDiscountedPrice,
+} = require("../shared/pricing");
+const {
+  registerPaymentType,
+  toClientMetadata,
+} = require("../payments/paymentTypeRegistry");
+const { checkIfUserIsMember } = require("../memberships/membershipService");
+const {
+  validateCoupon,
+  applyCouponToSession,
+} = require("../coupons/couponService");
+const { createTrainingPurchase } = require("./trainingService");
+const {
+  reserveTrainingSeat,
+  releaseSeatHold,
+} = require("./trainingSeatService");
+const { getBookableTrainingSession } = require("./trainingSessionService");
+
+/**
+ * Construit la session Stripe d'une formation avec réduction adhérent
+ * Une place est réservée jusqu'à l'expiration de la session
+ * @param {object} params - Paramètres de la session
+ * @param {string} params.priceId - ID du prix Stripe de la formation
+ * @param {string} params.userId - UUID de l'utilisateur
+ * @param {string} params.trainingId - ID de la formation
+ * @param {string} params.sessionId - ID de la session choisie (optionnel)
+ * @param {string} params.couponCode - Code promo (optionnel, cumulable avec la réduction adhérent)
+ * @param {object} params.metadata - Métadonnées additionnelles du client (préfixées)
+ * @returns {Promise<object>} { sessionConfig, details }
+ */
+async function buildTrainingCheckoutSession({
+  priceId,
+  userId,
+  trainingId,
+  sessionId,
+  couponCode,
+  metadata = {},
+}) {
+  // Validation des paramètres requis
+  if (!priceId) {
+    throw Object.assign(new Error("priceId manquant"), { status: 400 });
+  }
+  if (!userId) {
+    throw Object.assign(new Error("userId manquant"), { status: 400 });
+  }
+  if (!trainingId) {
+    throw Object.assign(new Error("trainingId manquant"), { status: 400 });
+  }
+
+  const trainingDetails = await getTrainingDetails(priceId);
+  logWithTimestamp("info", "🎓 Training details récupérés", trainingDetails);
+
+  if (!trainingDetails || !trainingDetails.active) {
+    throw Object.assign(new Error("Formation non trouvée"), { status: 400 });
+  }
+
+  // Session choisie : doit appartenir à la formation et être à venir
+  const trainingSession = sessionId
+    ? await getBookableTrainingSession(trainingId.toString(), sessionId)
+    : null;
+
+  const isMember = await checkIfUserIsMember(userId);
+  logWithTimestamp("info", "👤 Statut adhérent vérifié", {
+    userId,
+    isMember,
+  });
+
+  const coupon = couponCode
+    ? await validateCoupon(couponCode, { priceId, kind: "training" })
+    : null;
+
+  // Prix adhérent facturé : le code promo est déduit ensuite par Stripe
+  const memberPrice = calculateDiscountedPrice(trainingDetails, isMember);
+  const finalPrice = calculateDiscountedPrice(
+    trainingDetails,
+    isMember,
+    coupon
+  );
+  const originalPrice = trainingDetails.base_price || trainingDetails.price;
+  const discount = isMember ? trainingDetails.member_discount || 0 : 0;
+  const couponDiscount = Math.round((memberPrice - finalPrice) * 100) / 100;
+
+  logWithTimestamp("info", "💰 Prix calculé", {
+    originalPrice,
+    isMember,
+    finalPrice,
+    memberDiscount: trainingDetails.member_discount || 0,
+    couponCode: coupon?.code,
+    couponDiscount,
+  });
+
+  // Récupérer l'email de l'utilisateur
+  const userEmail = await getMailByUser(userId);
+
+  const sessionConfig = {
+    mode: "payment",
+    line_items: [
+      {
+        price_data: {
+          currency: "eur",
+          product_data: {
+            name: `Formation ${trainingDetails.name}`,
+            description: `${trainingDetails.full_name} - ${trainingDetails.duration} heures`,
+            metadata: {
+              training_type: trainingDetails.training_type,
+              duration: trainingDetails.duration.toString(),
+            },
+          },
+          unit_amount: Math.round(memberPrice * 100),
+        },
+        quantity: 1,
+      },
+    ],
+    success_url: `${FRONTEND_URL}/success-training?session_id={CHECKOUT_SESSION_ID}`,
+    cancel_url: `${FRONTEND_URL}/formations`,
+    payment_method_types: ["card"],
+    metadata: {
+      ...toClientMetadata(metadata),
+      userId: userId.toString(),
+      trainingId: trainingId.toString(),
+      priceId: priceId,
+      originalPrice: originalPrice.toString(),
+      discountedPrice: finalPrice.toString(),
+      isMember: isMember.toString(),
+      type: "training_purchase",
+      trainingName: trainingDetails.full_name,
+      duration: trainingDetails.duration.toString(),
+      // Toujours fixée ici : seule une session validée ci-dessus est retenue
+      trainingSessionId: trainingSession
+        ? trainingSession.session_id.toString()
+        : "",
+    },
+    customer_creation: "always",
+  };
+
+  // Si on a un email, l'ajouter
+  if (userEmail) {
+    sessionConfig.customer_email = userEmail;
+  }
+
+  if (coupon) {
+    applyCouponToSession(sessionConfig, coupon);
+  }
+
+  // Réservation de la place en dernier : rejet si la formation est complète
+  const hold = await reserveTrainingSeat(trainingId.toString(), userId);
+  sessionConfig.expires_at = Math.floor(hold.expires_at.getTime() / 1000);
+  sessionConfig.metadata.seatHoldId = hold.hold_id.toString();
+
+  return {
+    sessionConfig,
+    details: {
+      name: trainingDetails.name,
+      full_name: trainingDetails.full_name,
+      original_price: originalPrice,
+      final_price: finalPrice,
+      discount,
+      is_member: isMember,
+      coupon_code: coupon?.code || null,
+      coupon_discount: couponDiscount,
+      session_id: trainingSession?.session_id || null,
+      session_start: trainingSession?.first_day.toISOString() || null,
+      seat_hold_expires_at: hold.expires_at.toISOString(),
+    },
+  };
+}
+
+module.exports = registerPaymentType({
+  type: "training",
+  aliases: ["training_purchase"],
+  metadataSchema: {
+    required: [
+      "userId",
+      "trainingId",
+      "priceId",
+      "originalPrice",
+      "discountedPrice",
+      "isMember",
+    ],
+  },
+  buildCheckoutSession: buildTrainingCheckoutSession,
+  fulfil: createTrainingPurchase,
+  releaseCheckout: (metadata) => releaseSeatHold(metadata.seatHoldId),
+});
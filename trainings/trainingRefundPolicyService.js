@@ -0,0 +1,415 @@
+const { supabase } = require("../config/database");
+const { logWithTimestamp } = require("../shared/logger");
+const { REFUND_RULES } = require("../config/constants");
+const { getSessionFirstDay } = require("./trainingSessionService");
+
+// Politique appliquée si aucune politique n'est enregistrée en base
+const FALLBACK_REFUND_POLICY = {
+  training_id: null,
+  tiers: [
+    { min_days: REFUND_RULES.FULL_REFUND_DAYS, percent: 100 },
+    {
+      min_days: REFUND_RULES.PARTIAL_REFUND_DAYS,
+      percent: REFUND_RULES.PARTIAL_REFUND_PERCENT,
+    },
+  ],
+  exceptions: [],
+};
+
+// Achats dont l'annulation n'est plus possible
+// (une annulation supprime l'inscription : une seconde annulation serait
+// chiffrée sans session, donc remboursée intégralement)
+const CLOSED_PURCHASE_STATUSES = {
+  refunded: "Cet achat a déjà été remboursé",
+  partially_refunded: "Cet achat a déjà été annulé et remboursé en partie",
+  cancelled: "Cet achat a déjà été annulé",
+  disputed: "Cet achat fait l'objet d'une contestation bancaire",
+};
+
+/**
+ * Valide une politique de remboursement
+ * @param {object} input - { tiers, exceptions }
+ * @returns {{tiers: Array<object>, exceptions: Array<object>}} Politique normalisée
+ */
+function sanitizeRefundPolicy(input = {}) {
+  const errors = [];
+  const isPercent = (value) =>
+    Number.isFinite(value) && value >= 0 && value <= 100;
+
+  if (!Array.isArray(input.tiers)) {
+    errors.push("tiers doit être une liste");
+  }
+  const tiers = (Array.isArray(input.tiers) ? input.tiers : []).map(
+    (tier, index) => {
+      const minDays = Number(tier?.min_days);
+      const percent = Number(tier?.percent);
+      if (!Number.isInteger(minDays) || minDays < 0) {
+        errors.push(`tiers[${index}].min_days invalide`);
+      }
+      if (!isPercent(percent)) {
+        errors.push(`tiers[${index}].percent invalide`);
+      }
+      return { min_days: minDays, percent };
+    }
+  );
+
+  if (new Set(tiers.map((tier) => tier.min_days)).size !== tiers.length) {
+    errors.push("tiers : min_days en double");
+  }
+
+  const exceptions = (input.exceptions || []).map((exception, index) => {
+    const percent = Number(exception?.percent);
+    if (!exception?.code || !/^[a-z0-9_]+$/.test(exception.code)) {
+      errors.push(`exceptions[${index}].code invalide`);
+    }
+    if (!isPercent(percent)) {
+      errors.push(`exceptions[${index}].percent invalide`);
+    }
+    return {
+      code: exception?.code,
+      label: exception?.label || exception?.code,
+      percent,
+    };
+  });
+
+  if (errors.length > 0) {
+    throw Object.assign(
+      new Error(`Politique de remboursement invalide: ${errors.join(", ")}`),
+      { status: 400, errors }
+    );
+  }
+
+  return {
+    tiers: tiers.sort((a, b) => b.min_days - a.min_days),
+    exceptions,
+  };
+}
+
+/**
+ * Récupère la politique applicable à une formation
+ * (politique de la formation, sinon politique par défaut)
+ * @param {string} trainingId - ID de la formation
+ * @returns {Promise<object>} Politique de remboursement
+ */
+async function getRefundPolicy(trainingId) {
+  const { data, error } = await supabase
+    .from("refund_policies")
+    .select("*")
+    .or(`training_id.eq.${trainingId},training_id.is.null`);
+
+  if (error) throw error;
+
+  return (
+    (data || []).find((policy) => policy.training_id === trainingId) ||
+    (data || []).find((policy) => policy.training_id === null) ||
+    FALLBACK_REFUND_POLICY
+  );
+}
+
+/**
+ * Liste les politiques de remboursement enregistrées
+ * @returns {Promise<Array<object>>} Politiques (par défaut en premier)
+ */
+async function listRefundPolicies() {
+  const { data, error } = await supabase
+    .from("refund_policies")
+    .select("*")
+    .order("training_id", { ascending: true, nullsFirst: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Crée ou remplace la politique d'une formation (ou la politique par défaut)
+ * @param {string|null} trainingId - ID de la formation (null = par défaut)
+ * @param {object} input - { tiers, exceptions }
+ * @param {string} adminId - Administrateur à l'origine de la modification
+ * @returns {Promise<object>} Politique enregistrée
+ */
+async function saveRefundPolicy(trainingId, input, adminId) {
+  const policy = sanitizeRefundPolicy(input);
+
+  let query = supabase.from("refund_policies").select("policy_id");
+  query =
+    trainingId === null
+      ? query.is("training_id", null)
+      : query.eq("training_id", trainingId);
+
+  const { data: existing, error: existingError } = await query.maybeSingle();
+  if (existingError) throw existingError;
+
+  const row = {
+    ...policy,
+    updated_by: adminId || null,
+    updated_at: new Date().toISOString(),
+  };
+
+  const { data, error } = existing
+    ? await supabase
+        .from("refund_policies")
+        .update(row)
+        .eq("policy_id", existing.policy_id)
+        .select()
+        .single()
+    : await supabase
+        .from("refund_policies")
+        .insert({ training_id: trainingId, ...row })
+        .select()
+        .single();
+
+  if (error) throw error;
+
+  logWithTimestamp("info", "✅ Politique de remboursement enregistrée", {
+    trainingId: trainingId || "default",
+    tiers: policy.tiers.length,
+    exceptions: policy.exceptions.length,
+    adminId,
+  });
+
+  return data;
+}
+
+/**
+ * Supprime la politique propre à une formation (retour à la politique par défaut)
+ * @param {string} trainingId - ID de la formation
+ * @returns {Promise<boolean>} True si une politique a été supprimée
+ */
+async function deleteRefundPolicy(trainingId) {
+  const { data, error } = await supabase
+    .from("refund_policies")
+    .delete()
+    .eq("training_id", trainingId)
+    .select("policy_id");
+
+  if (error) throw error;
+  return (data || []).length > 0;
+}
+
+/**
+ * Calcule le remboursement d'un achat selon une politique
+ * Priorité : dérogation admin > exception accordée > palier selon le délai
+ * @param {object} params - Paramètres du calcul
+ * @param {object} params.purchase - Achat (trainings_purchase)
+ * @param {object} params.policy - Politique de remboursement
+ * @param {Date|null} params.sessionFirstDay - Premier jour de la session
+ * @param {Date} params.now - Date de référence
+ * @returns {object} Devis (pourcentage, règle appliquée, montants au centime)
+ */
+function computeRefundQuote({
+  purchase,
+  policy,
+  sessionFirstDay,
+  now = new Date(),
+}) {
+  const daysUntil = sessionFirstDay
+    ? Math.ceil(
+        (sessionFirstDay.getTime() - now.getTime()) / (1000 * 60 * 60 * 24)
+      )
+    : null;
+
+  let percent;
+  let rule;
+  let label;
+
+  const exception =
+    purchase.refund_exception &&
+    (policy.exceptions || []).find(
+      (item) => item.code === purchase.refund_exception
+    );
+
+  if (
+    purchase.refund_override_percent !== null &&
+    purchase.refund_override_percent !== undefined
+  ) {
+    percent = Number(purchase.refund_override_percent);
+    rule = "override";
+    label = purchase.refund_override_reason || "Dérogation accordée";
+  } else if (exception) {
+    percent = exception.percent;
+    rule = "exception";
+    label = exception.label;
+  } else if (daysUntil === null) {
+    // Pas de session planifiée : remboursement intégral
+    percent = 100;
+    rule = "no_session";
+    label = "Aucune session planifiée";
+  } else {
+    const tier = [...(policy.tiers || [])]
+      .sort((a, b) => b.min_days - a.min_days)
+      .find((item) => daysUntil >= item.min_days);
+    percent = tier ? tier.percent : 0;
+    rule = "tier";
+    label = tier
+      ? `Annulation à ${tier.min_days} jours ou plus de la session`
+      : "Annulation hors délai de remboursement";
+  }
+
+  // Montants en centimes : pas d'arrondi à l'euro, ni de dépassement du restant dû
+  const paidCents = Math.round(Number(purchase.purchase_amount) * 100);
+  const alreadyRefundedCents = Math.round(
+    Number(purchase.refund_amount || 0) * 100
+  );
+  const refundCents = Math.max(
+    Math.min(
+      Math.round((paidCents * percent) / 100),
+      paidCents - alreadyRefundedCents
+    ),
+    0
+  );
+
+  return {
+    purchase_id: purchase.purchase_id,
+    training_id: purchase.training_id,
+    session_first_day: sessionFirstDay,
+    days_until: daysUntil,
+    refund_percent: percent,
+    rule,
+    rule_label: label,
+    exception: exception ? exception.code : null,
+    amount_paid: paidCents / 100,
+    refund_amount_cents: refundCents,
+    refund_amount: refundCents / 100,
+  };
+}
+
+/**
+ * Calcule le remboursement auquel un utilisateur aurait droit s'il annulait
+ * @param {number} purchaseId - ID de l'achat dans trainings_purchase
+ * @param {string} userId - UUID de l'utilisateur (sécurité)
+ * @returns {Promise<{quote: object, purchase: object, sessionId: string|null}>}
+ */
+async function getRefundQuote(purchaseId, userId) {
+  const { data: purchase, error } = await supabase
+    .from("trainings_purchase")
+    .select("*")
+    .eq("purchase_id", purchaseId)
+    .eq("user_id", userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!purchase) {
+    throw Object.assign(new Error("Achat introuvable ou accès non autorisé"), {
+      status: 404,
+    });
+  }
+  if (CLOSED_PURCHASE_STATUSES[purchase.payment_status]) {
+    throw Object.assign(
+      new Error(CLOSED_PURCHASE_STATUSES[purchase.payment_status]),
+      { status: 409 }
+    );
+  }
+  // Une formation commencée n'est plus remboursable (hors remboursement admin)
+  if (Number(purchase.hours_consumed || 0) > 0) {
+    throw Object.assign(
+      new Error(
+        "Formation commencée : annulation et remboursement impossibles"
+      ),
+      { status: 409, attendance_started: true }
+    );
+  }
+
+  const { data: enrolment, error: enrolmentError } = await supabase
+    .from("users_trainings")
+    .select("session_id")
+    .eq("user_id", userId)
+    .eq("training_id", purchase.training_id)
+    .maybeSingle();
+
+  if (enrolmentError) throw enrolmentError;
+
+  const sessionId = enrolment?.session_id || null;
+  const [sessionFirstDay, policy] = await Promise.all([
+    getSessionFirstDay(sessionId),
+    getRefundPolicy(purchase.training_id),
+  ]);
+
+  const quote = computeRefundQuote({ purchase, policy, sessionFirstDay });
+
+  return { quote, purchase, sessionId };
+}
+
+/**
+ * Enregistre une dérogation de remboursement sur un achat (admin)
+ * - exception : code d'exception de la politique (ex. certificat médical vérifié)
+ * - percent : pourcentage imposé, prioritaire sur tout le reste
+ * @param {number} purchaseId - ID de l'achat
+ * @param {object} input - { exception?, percent?, reason? }
+ * @param {string} adminId - Administrateur à l'origine de la dérogation
+ * @returns {Promise<object>} Achat mis à jour
+ */
+async function setRefundOverride(purchaseId, input = {}, adminId) {
+  const { exception = null, reason = null } = input;
+  const percent =
+    input.percent === undefined || input.percent === null
+      ? null
+      : Number(input.percent);
+
+  if (exception === null && percent === null) {
+    throw Object.assign(new Error("exception ou percent requis"), {
+      status: 400,
+    });
+  }
+  if (percent !== null && !(percent >= 0 && percent <= 100)) {
+    throw Object.assign(new Error("percent invalide (0 à 100)"), {
+      status: 400,
+    });
+  }
+
+  const { data: purchase, error } = await supabase
+    .from("trainings_purchase")
+    .select("purchase_id, training_id")
+    .eq("purchase_id", purchaseId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!purchase) {
+    throw Object.assign(new Error("Achat introuvable"), { status: 404 });
+  }
+
+  if (exception !== null) {
+    const policy = await getRefundPolicy(purchase.training_id);
+    if (!(policy.exceptions || []).some((item) => item.code === exception)) {
+      throw Object.assign(
+        new Error(`Exception inconnue pour cette formation: ${exception}`),
+        { status: 400 }
+      );
+    }
+  }
+
+  const { data: updated, error: updateError } = await supabase
+    .from("trainings_purchase")
+    .update({
+      refund_exception: exception,
+      refund_override_percent: percent,
+      refund_override_reason: reason,
+      refund_override_by: adminId || null,
+      refund_override_at: new Date().toISOString(),
+    })
+    .eq("purchase_id", purchaseId)
+    .select()
+    .single();
+
+  if (updateError) throw updateError;
+
+  logWithTimestamp("info", "🛡️ Dérogation de remboursement enregistrée", {
+    purchaseId,
+    exception,
+    percent,
+    adminId,
+  });
+
+  return updated;
+}
+
+module.exports = {
+  FALLBACK_REFUND_POLICY,
+  sanitizeRefundPolicy,
+  getRefundPolicy,
+  listRefundPolicies,
+  saveRefundPolicy,
+  deleteRefundPolicy,
+  computeRefundQuote,
+  getRefundQuote,
+  setRefundOverride,
+};
@@ -1,144 +1,84 @@
 const express = require("express");
-const { stripe } = require("../config/stripe");
-const { FRONTEND_URL } = require("../config/constants");
 const { logWithTimestamp } = require("../shared/logger");
-const { getMailByUser } = require("../shared/userUtils");
-const {
-  getTrainingDetails,
-  calculateDiscountedPrice,
-} = require("../shared/pricing");
+const { requireAdmin } = require("../shared/middleware");
+const { calculateDiscountedPrice } = require("../shared/pricing");
 const { checkIfUserIsMember } = require("../memberships/membershipService");
 const {
-  createTrainingPurchase,
+  createCheckoutSession,
+  processPaymentSuccess,
+} = require("../payments/paymentService");
+const {
   checkTrainingPurchase,
   getTrainingDetailsForUser,
   cancelTrainingPurchase,
 } = require("./trainingService");
+const {
+  getTrainingAvailability,
+  joinTrainingWaitlist,
+  leaveTrainingWaitlist,
+} = require("./trainingSeatService");
+const {
+  getTransferQuote,
+  applyTrainingTransfer,
+} = require("./trainingTransferService");
+const {
+  getRefundQuote,
+  listRefundPolicies,
+  saveRefundPolicy,
+  deleteRefundPolicy,
+  setRefundOverride,
+} = require("./trainingRefundPolicyService");
+const {
+  getTrainingAttendance,
+  setTrainingAttendance,
+} = require("./trainingAttendanceService");
 
 const router = express.Router();
 
 /**
  * POST /create-training-checkout
  * Crée une session de paiement pour une formation avec réduction adhérent
- * Body: { priceId, userId, trainingId }
+ * Body: { priceId, userId, trainingId, sessionId?, couponCode? }
  */
 router.post("/create-training-checkout", async (req, res) => {
-  const { priceId, userId, trainingId } = req.body;
+  const { priceId, userId, trainingId, sessionId, couponCode } = req.body;
 
   logWithTimestamp("info", "=== CRÉATION SESSION FORMATION ===");
-  logWithTimestamp("info", "Données reçues", { priceId, userId, trainingId });
-
-  // Validation des paramètres requis
-  if (!priceId) return res.status(400).json({ error: "priceId manquant" });
-  if (!userId) return res.status(400).json({ error: "userId manquant" });
-  if (!trainingId)
-    return res.status(400).json({ error: "trainingId manquant" });
+  logWithTimestamp("info", "Données reçues", {
+    priceId,
+    userId,
+    trainingId,
+    sessionId,
+    couponCode,
+  });
 
   try {
-    const trainingDetails = getTrainingDetails(priceId);
-    logWithTimestamp("info", "🎓 Training details récupérés", trainingDetails);
-
-    if (!trainingDetails) {
-      return res.status(400).json({ error: "Formation non trouvée" });
-    }
-
-    const isMember = await checkIfUserIsMember(userId);
-    logWithTimestamp("info", "👤 Statut adhérent vérifié", {
+    const { session, details } = await createCheckoutSession({
+      type: "training",
+      priceId,
       userId,
-      isMember,
-    });
-
-    const finalPrice = calculateDiscountedPrice(trainingDetails, isMember);
-    logWithTimestamp("info", "💰 Prix calculé", {
-      originalPrice: trainingDetails.base_price || trainingDetails.price,
-      isMember,
-      finalPrice,
-      memberDiscount: trainingDetails.member_discount || 0,
+      trainingId,
+      sessionId,
+      couponCode,
     });
 
-    // Récupérer l'email de l'utilisateur
-    const userEmail = await getMailByUser(userId);
-
-    const sessionConfig = {
-      mode: "payment",
-      line_items: [
-        {
-          price_data: {
-            currency: "eur",
-            product_data: {
-              name: `Formation ${trainingDetails.name}`,
-              description: `${trainingDetails.full_name} - ${trainingDetails.duration} heures`,
-              metadata: {
-                training_type: trainingDetails.training_type,
-                duration: trainingDetails.duration.toString(),
-              },
-            },
-            unit_amount: Math.round(finalPrice * 100),
-          },
-          quantity: 1,
-        },
-      ],
-      success_url: `${FRONTEND_URL}/success-training?session_id={CHECKOUT_SESSION_ID}`,
-      cancel_url: `${FRONTEND_URL}/formations`,
-      payment_method_types: ["card"],
-      metadata: {
-        userId: userId.toString(),
-        trainingId: trainingId.toString(),
-        priceId: priceId,
-        originalPrice: (
-          trainingDetails.base_price || trainingDetails.price
-        ).toString(),
-        discountedPrice: finalPrice.toString(),
-        isMember: isMember.toString(),
-        type: "training_purchase",
-        trainingName: trainingDetails.full_name,
-        duration: trainingDetails.duration.toString(),
-      },
-      customer_creation: "always",
-      invoice_creation: {
-        enabled: true,
-        invoice_data: {
-          description: `Formation ${trainingDetails.full_name}`,
-          metadata: {
-            type: "training_purchase",
-            userId: userId.toString(),
-            trainingId: trainingId.toString(),
-          },
-        },
-      },
-    };
-
-    // Si on a un email, l'ajouter
-    if (userEmail) {
-      sessionConfig.customer_email = userEmail;
-    }
-
-    const session = await stripe.checkout.sessions.create(sessionConfig);
-
     logWithTimestamp("info", "✅ Session Stripe formation créée avec succès", {
       sessionId: session.id,
-      originalPrice: trainingDetails.base_price || trainingDetails.price,
-      finalPrice: finalPrice,
-      stripeAmount: Math.round(finalPrice * 100),
-      discount: isMember ? trainingDetails.member_discount || 0 : 0,
-      isMember,
-      customerCreation: "always",
+      originalPrice: details.original_price,
+      finalPrice: details.final_price,
+      discount: details.discount,
+      isMember: details.is_member,
     });
 
     res.status(200).json({
       url: session.url,
-      training_details: {
-        name: trainingDetails.name,
-        full_name: trainingDetails.full_name,
-        original_price: trainingDetails.base_price || trainingDetails.price,
-        final_price: finalPrice,
-        discount: isMember ? trainingDetails.member_discount || 0 : 0,
-        is_member: isMember,
-      },
+      training_details: details,
     });
   } catch (err) {
     logWithTimestamp("error", "Erreur création session Stripe formation", err);
-    res.status(500).json({ error: err.message });
+    res
+      .status(err.status || 500)
+      .json({ error: err.message, ...(err.soldOut && { sold_out: true }) });
   }
 });
 
@@ -182,32 +122,19 @@ router.post("/process-training-purchase", async (req, res) => {
   }
 
   try {
-    const session = await stripe.checkout.sessions.retrieve(sessionId);
-
-    logWithTimestamp("info", "Session Stripe récupérée", {
-      id: session.id,
-      payment_status: session.payment_status,
-      mode: session.mode,
-    });
-
-    if (session.payment_status === "paid") {
-      await createTrainingPurchase(session.metadata, session);
-      logWithTimestamp(
-        "info",
-        "Achat formation créé avec succès pour la session",
-        session.id
-      );
-      res.json({ success: true, message: "Formation achetée avec succès" });
-    } else {
-      logWithTimestamp("warn", "Paiement non confirmé", session.payment_status);
-      res.status(400).json({ error: "Paiement non confirmé" });
-    }
+    const payment = await processPaymentSuccess(sessionId);
+    logWithTimestamp(
+      "info",
+      "Achat formation créé avec succès pour la session",
+      payment.sessionId
+    );
+    res.json({ success: true, message: "Formation achetée avec succès" });
   } catch (error) {
     logWithTimestamp("error", "Erreur traitement succès formation", {
       sessionId,
       error: error.message,
     });
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -248,10 +175,8 @@ router.get("/training-details/:priceId/:userId", async (req, res) => {
 
 /**
  * POST /cancel-training/:purchaseId
- * Annule un achat de formation et émet un remboursement selon les règles métier :
- * - >= 31 jours avant la session : 100% remboursé
- * - 16-30 jours avant la session : 80% remboursé
- * - <= 15 jours avant la session : 0% remboursé
+ * Annule un achat de formation et émet un remboursement selon la politique
+ * de la formation (voir GET /trainings/purchases/:purchaseId/refund-quote)
  * Body: { userId }
  */
 router.post("/cancel-training/:purchaseId", async (req, res) => {
@@ -277,4 +202,399 @@ router.post("/cancel-training/:purchaseId", async (req, res) => {
   }
 });
 
+/**
+ * GET /trainings/purchases/:purchaseId/refund-quote
+ * Montant exact remboursé si l'utilisateur annule maintenant
+ * Query: userId
+ */
+router.get(
+  "/trainings/purchases/:purchaseId/refund-quote",
+  async (req, res) => {
+    const { purchaseId } = req.params;
+    const { userId } = req.query;
+
+    if (!userId) return res.status(400).json({ error: "userId manquant" });
+
+    try {
+      const { quote } = await getRefundQuote(Number(purchaseId), userId);
+      res.json(quote);
+    } catch (error) {
+      logWithTimestamp("error", "Erreur devis remboursement formation", {
+        purchaseId,
+        userId,
+        error: error.message,
+      });
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * GET /admin/refund-policies
+ * Liste les politiques de remboursement (admin)
+ */
+router.get("/admin/refund-policies", requireAdmin, async (req, res) => {
+  try {
+    const policies = await listRefundPolicies();
+    res.json({ success: true, count: policies.length, policies });
+  } catch (error) {
+    logWithTimestamp("error", "❌ Erreur liste politiques remboursement", {
+      error: error.message,
+    });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /admin/refund-policies/:trainingId
+ * Crée ou remplace la politique d'une formation ("default" = politique par défaut)
+ * Body: { tiers: [{ min_days, percent }], exceptions?: [{ code, label, percent }] }
+ */
+router.put(
+  "/admin/refund-policies/:trainingId",
+  requireAdmin,
+  async (req, res) => {
+    const { trainingId } = req.params;
+
+    try {
+      const policy = await saveRefundPolicy(
+        trainingId === "default" ? null : trainingId,
+        req.body,
+        req.adminId
+      );
+      res.json({ success: true, policy });
+    } catch (error) {
+      logWithTimestamp("error", "❌ Erreur enregistrement politique", {
+        trainingId,
+        error: error.message,
+      });
+      res
+        .status(error.status || 500)
+        .json({ error: error.message, errors: error.errors });
+    }
+  }
+);
+
+/**
+ * DELETE /admin/refund-policies/:trainingId
+ * Supprime la politique d'une formation (la politique par défaut s'applique)
+ */
+router.delete(
+  "/admin/refund-policies/:trainingId",
+  requireAdmin,
+  async (req, res) => {
+    const { trainingId } = req.params;
+
+    if (trainingId === "default") {
+      return res
+        .status(400)
+        .json({ error: "La politique par défaut ne peut pas être supprimée" });
+    }
+
+    try {
+      const deleted = await deleteRefundPolicy(trainingId);
+      if (!deleted) {
+        return res.status(404).json({ error: "Politique introuvable" });
+      }
+      res.json({ success: true });
+    } catch (error) {
+      logWithTimestamp("error", "❌ Erreur suppression politique", {
+        trainingId,
+        error: error.message,
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * PUT /admin/trainings/purchases/:purchaseId/refund-override
+ * Accorde une dérogation de remboursement sur un achat (admin),
+ * appliquée lors de l'annulation par l'utilisateur
+ * Body: { exception?: code d'exception de la politique, percent?: 0-100, reason? }
+ */
+router.put(
+  "/admin/trainings/purchases/:purchaseId/refund-override",
+  requireAdmin,
+  async (req, res) => {
+    const { purchaseId } = req.params;
+
+    try {
+      const purchase = await setRefundOverride(
+        Number(purchaseId),
+        req.body,
+        req.adminId
+      );
+      res.json({ success: true, purchase });
+    } catch (error) {
+      logWithTimestamp("error", "❌ Erreur dérogation remboursement", {
+        purchaseId,
+        error: error.message,
+      });
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * GET /trainings/purchases/:purchaseId/transfer-quote
+ * Frais applicables au transfert d'un achat vers une autre session
+ * Query: userId, targetSessionId
+ */
+router.get(
+  "/trainings/purchases/:purchaseId/transfer-quote",
+  async (req, res) => {
+    const { purchaseId } = req.params;
+    const { userId, targetSessionId } = req.query;
+
+    if (!userId) return res.status(400).json({ error: "userId manquant" });
+
+    try {
+      const quote = await getTransferQuote(
+        Number(purchaseId),
+        userId,
+        targetSessionId
+      );
+      res.json(quote);
+    } catch (error) {
+      logWithTimestamp("error", "Erreur devis transfert formation", {
+        purchaseId,
+        targetSessionId,
+        error: error.message,
+      });
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * POST /trainings/purchases/:purchaseId/transfer
+ * Transfère un achat vers une autre session de la même formation :
+ * - transfert gratuit : appliqué immédiatement
+ * - transfert payant : session Stripe des frais, appliqué au paiement
+ * Body: { userId, targetSessionId }
+ */
+router.post("/trainings/purchases/:purchaseId/transfer", async (req, res) => {
+  const { purchaseId } = req.params;
+  const { userId, targetSessionId } = req.body;
+
+  if (!userId) return res.status(400).json({ error: "userId manquant" });
+
+  logWithTimestamp("info", "=== TRANSFERT SESSION FORMATION ===", {
+    purchaseId,
+    userId,
+    targetSessionId,
+  });
+
+  try {
+    const quote = await getTransferQuote(
+      Number(purchaseId),
+      userId,
+      targetSessionId
+    );
+
+    if (quote.fee === 0) {
+      const transfer = await applyTrainingTransfer(quote);
+      return res.json({ success: true, transferred: true, transfer });
+    }
+
+    const { session } = await createCheckoutSession({
+      type: "training_transfer",
+      purchaseId: Number(purchaseId),
+      userId,
+      targetSessionId,
+    });
+
+    res.json({
+      success: true,
+      transferred: false,
+      fee: quote.fee,
+      sessionId: session.id,
+      url: session.url,
+    });
+  } catch (error) {
+    logWithTimestamp("error", "Erreur transfert formation", {
+      purchaseId,
+      userId,
+      targetSessionId,
+      error: error.message,
+    });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /trainings/:trainingId/availability
+ * Places disponibles d'une formation (achats + réservations en cours)
+ */
+router.get("/trainings/:trainingId/availability", async (req, res) => {
+  const { trainingId } = req.params;
+
+  try {
+    const availability = await getTrainingAvailability(trainingId);
+    res.json(availability);
+  } catch (error) {
+    logWithTimestamp("error", "Erreur disponibilité formation", {
+      trainingId,
+      error: error.message,
+    });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /trainings/:trainingId/waitlist
+ * Inscription en liste d'attente d'une formation complète
+ * Body: { userId }
+ */
+router.post("/trainings/:trainingId/waitlist", async (req, res) => {
+  const { trainingId } = req.params;
+  const { userId } = req.body;
+
+  if (!userId) return res.status(400).json({ error: "userId manquant" });
+
+  try {
+    const entry = await joinTrainingWaitlist(trainingId, userId);
+    res.status(201).json({ success: true, waitlist: entry });
+  } catch (error) {
+    logWithTimestamp("error", "Erreur inscription liste d'attente", {
+      trainingId,
+      userId,
+      error: error.message,
+    });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /trainings/:trainingId/waitlist/:userId
+ * Désinscription de la liste d'attente
+ */
+router.delete("/trainings/:trainingId/waitlist/:userId", async (req, res) => {
+  const { trainingId, userId } = req.params;
+
+  try {
+    const removed = await leaveTrainingWaitlist(trainingId, userId);
+    if (!removed) {
+      return res
+        .status(404)
+        .json({ error: "Aucune inscription en liste d'attente" });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    logWithTimestamp("error", "Erreur désinscription liste d'attente", {
+      trainingId,
+      userId,
+      error: error.message,
+    });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /trainings/purchases/:purchaseId/attendance
+ * Présences, heures consommées et statut de complétion d'un achat
+ * Query: userId
+ */
+router.get("/trainings/purchases/:purchaseId/attendance", async (req, res) => {
+  const { purchaseId } = req.params;
+  const { userId } = req.query;
+
+  if (!userId) return res.status(400).json({ error: "userId manquant" });
+
+  try {
+    const attendance = await getTrainingAttendance(Number(purchaseId), userId);
+    res.json(attendance);
+  } catch (error) {
+    logWithTimestamp("error", "Erreur récupération présences formation", {
+      purchaseId,
+      userId,
+      error: error.message,
+    });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /admin/trainings/purchases/:purchaseId/attendance
+ * Présences d'un achat (admin)
+ */
+router.get(
+  "/admin/trainings/purchases/:purchaseId/attendance",
+  requireAdmin,
+  async (req, res) => {
+    const { purchaseId } = req.params;
+
+    try {
+      const attendance = await getTrainingAttendance(Number(purchaseId));
+      res.json(attendance);
+    } catch (error) {
+      logWithTimestamp("error", "❌ Erreur récupération présences formation", {
+        purchaseId,
+        error: error.message,
+      });
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * PUT /admin/trainings/purchases/:purchaseId/attendance/:dayDate
+ * Marque l'apprenant présent sur un jour de sa session (admin)
+ * Body: { hours?: heures suivies (défaut : heures achetées / nombre de jours) }
+ */
+router.put(
+  "/admin/trainings/purchases/:purchaseId/attendance/:dayDate",
+  requireAdmin,
+  async (req, res) => {
+    const { purchaseId, dayDate } = req.params;
+
+    try {
+      const attendance = await setTrainingAttendance(
+        Number(purchaseId),
+        dayDate,
+        { present: true, hours: req.body?.hours },
+        req.adminId
+      );
+      res.json({ success: true, attendance });
+    } catch (error) {
+      logWithTimestamp("error", "❌ Erreur saisie présence formation", {
+        purchaseId,
+        dayDate,
+        error: error.message,
+      });
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * DELETE /admin/trainings/purchases/:purchaseId/attendance/:dayDate
+ * Retire une présence saisie par erreur (admin)
+ */
+router.delete(
+  "/admin/trainings/purchases/:purchaseId/attendance/:dayDate",
+  requireAdmin,
+  async (req, res) => {
+    const { purchaseId, dayDate } = req.params;
+
+    try {
+      const attendance = await setTrainingAttendance(
+        Number(purchaseId),
+        dayDate,
+        { present: false },
+        req.adminId
+      );
+      res.json({ success: true, attendance });
+    } catch (error) {
+      logWithTimestamp("error", "❌ Erreur suppression présence formation", {
+        purchaseId,
+        dayDate,
+        error: error.message,
+      });
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+);
+
 module.exports = router;
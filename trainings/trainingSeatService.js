@@ -0,0 +1,307 @@
+const { supabase } = require("../config/database");
+const { logWithTimestamp } = require("../shared/logger");
+const { FRONTEND_URL, TRAINING_SEATS } = require("../config/constants");
+const { sendTrainingWaitlistEmail } = require("../emails");
+
+/**
+ * Calcule les places disponibles d'une formation
+ * (achats encore inscrits ou payés + réservations de checkout en cours)
+ * @param {string} trainingId - ID de la formation
+ * @returns {Promise<object>} { training_id, training_name, capacity, taken, available, sold_out }
+ */
+async function getTrainingAvailability(trainingId) {
+  const { data: training, error } = await supabase
+    .from("trainings")
+    .select("training_id, training_name, training_slots")
+    .eq("training_id", trainingId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!training) {
+    throw Object.assign(new Error("Formation introuvable"), { status: 404 });
+  }
+
+  const { data: taken, error: takenError } = await supabase.rpc(
+    "training_seats_taken",
+    { p_training_id: trainingId }
+  );
+
+  if (takenError) throw takenError;
+
+  // Pas de capacité renseignée : places illimitées
+  const capacity = training.training_slots ?? null;
+  const available = capacity === null ? null : Math.max(capacity - taken, 0);
+
+  return {
+    training_id: training.training_id,
+    training_name: training.training_name,
+    capacity,
+    taken,
+    available,
+    sold_out: available === 0,
+  };
+}
+
+/**
+ * Réserve une place pour la durée d'une session checkout
+ * @param {string} trainingId - ID de la formation
+ * @param {string} userId - UUID de l'utilisateur
+ * @returns {Promise<{hold_id: number, expires_at: Date}>} Réservation créée
+ */
+async function reserveTrainingSeat(trainingId, userId) {
+  const expiresAt = new Date(
+    Date.now() + TRAINING_SEATS.HOLD_MINUTES * 60 * 1000
+  );
+
+  const { data: holdId, error } = await supabase.rpc("reserve_training_seat", {
+    p_training_id: trainingId,
+    p_user_id: userId,
+    p_expires_at: expiresAt.toISOString(),
+  });
+
+  if (error) {
+    if (error.code === "P0002") {
+      throw Object.assign(new Error("Formation introuvable"), { status: 404 });
+    }
+    throw error;
+  }
+
+  if (!holdId) {
+    logWithTimestamp("warn", "🚫 Formation complète", { trainingId, userId });
+    throw Object.assign(new Error("Formation complète"), {
+      status: 409,
+      soldOut: true,
+    });
+  }
+
+  logWithTimestamp("info", "🎟️ Place réservée", {
+    trainingId,
+    userId,
+    holdId,
+    expiresAt,
+  });
+
+  return { hold_id: holdId, expires_at: expiresAt };
+}
+
+/**
+ * Libère une réservation encore en cours (checkout expiré ou abandonné)
+ * @param {number|string} holdId - ID de la réservation
+ * @returns {Promise<boolean>} True si une réservation a été libérée
+ */
+async function releaseSeatHold(holdId) {
+  if (!holdId) return false;
+
+  const { data, error } = await supabase
+    .from("training_seat_holds")
+    .update({ status: "released", updated_at: new Date().toISOString() })
+    .eq("hold_id", parseInt(holdId))
+    .eq("status", "held")
+    .select("hold_id, training_id");
+
+  if (error) throw error;
+
+  const released = (data || []).length > 0;
+  if (released) {
+    logWithTimestamp("info", "🎟️ Réservation de place libérée", {
+      holdId,
+      trainingId: data[0].training_id,
+    });
+  }
+
+  return released;
+}
+
+/**
+ * Transforme une réservation en place achetée (l'achat compte désormais seul)
+ * @param {number|string} holdId - ID de la réservation
+ * @param {string} stripeSessionId - ID de la session Stripe payée
+ * @returns {Promise<void>}
+ */
+async function convertSeatHold(holdId, stripeSessionId) {
+  if (!holdId) return;
+
+  const { error } = await supabase
+    .from("training_seat_holds")
+    .update({
+      status: "converted",
+      stripe_session_id: stripeSessionId,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("hold_id", parseInt(holdId));
+
+  if (error) throw error;
+}
+
+/**
+ * Inscrit un utilisateur en liste d'attente d'une formation complète
+ * @param {string} trainingId - ID de la formation
+ * @param {string} userId - UUID de l'utilisateur
+ * @returns {Promise<object>} Inscription et position dans la file
+ */
+async function joinTrainingWaitlist(trainingId, userId) {
+  const availability = await getTrainingAvailability(trainingId);
+
+  if (!availability.sold_out) {
+    throw Object.assign(
+      new Error("Des places sont disponibles pour cette formation"),
+      { status: 409 }
+    );
+  }
+
+  const { data: entry, error } = await supabase
+    .from("training_waitlist")
+    .insert({ training_id: trainingId, user_id: userId })
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === "23505") {
+      throw Object.assign(new Error("Déjà inscrit en liste d'attente"), {
+        status: 409,
+      });
+    }
+    throw error;
+  }
+
+  const { count, error: countError } = await supabase
+    .from("training_waitlist")
+    .select("id", { count: "exact", head: true })
+    .eq("training_id", trainingId)
+    .eq("status", "waiting")
+    .lte("created_at", entry.created_at);
+
+  if (countError) throw countError;
+
+  logWithTimestamp("info", "📝 Inscription liste d'attente", {
+    trainingId,
+    userId,
+    position: count,
+  });
+
+  return { ...entry, position: count };
+}
+
+/**
+ * Retire un utilisateur de la liste d'attente
+ * @param {string} trainingId - ID de la formation
+ * @param {string} userId - UUID de l'utilisateur
+ * @returns {Promise<boolean>} True si une inscription a été retirée
+ */
+async function leaveTrainingWaitlist(trainingId, userId) {
+  const { data, error } = await supabase
+    .from("training_waitlist")
+    .update({ status: "cancelled", updated_at: new Date().toISOString() })
+    .eq("training_id", trainingId)
+    .eq("user_id", userId)
+    .in("status", ["waiting", "notified"])
+    .select("id");
+
+  if (error) throw error;
+  return (data || []).length > 0;
+}
+
+/**
+ * Clôt l'inscription en liste d'attente d'un utilisateur qui a acheté la formation
+ * @param {string} trainingId - ID de la formation
+ * @param {string} userId - UUID de l'utilisateur
+ * @returns {Promise<void>}
+ */
+async function markWaitlistConverted(trainingId, userId) {
+  const { error } = await supabase
+    .from("training_waitlist")
+    .update({ status: "converted", updated_at: new Date().toISOString() })
+    .eq("training_id", trainingId)
+    .eq("user_id", userId)
+    .in("status", ["waiting", "notified"]);
+
+  if (error) throw error;
+}
+
+/**
+ * Prévient la première personne en liste d'attente qu'une place s'est libérée
+ * @param {string} trainingId - ID de la formation
+ * @returns {Promise<object|null>} Inscription prévenue ou null
+ */
+async function notifyNextOnWaitlist(trainingId) {
+  const availability = await getTrainingAvailability(trainingId);
+  if (availability.sold_out) return null;
+
+  const { data: next, error } = await supabase
+    .from("training_waitlist")
+    .select("*")
+    .eq("training_id", trainingId)
+    .eq("status", "waiting")
+    .order("created_at", { ascending: true })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!next) return null;
+
+  // Réclamer l'inscription : une seule notification même en cas d'appels concurrents
+  const { data: claimed, error: claimError } = await supabase
+    .from("training_waitlist")
+    .update({
+      status: "notified",
+      notified_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", next.id)
+    .eq("status", "waiting")
+    .select()
+    .maybeSingle();
+
+  if (claimError) throw claimError;
+  if (!claimed) return null;
+
+  await sendTrainingWaitlistEmail(claimed.user_id, {
+    trainingName: availability.training_name,
+    available: availability.available,
+    bookingUrl: `${FRONTEND_URL}/formations`,
+  });
+
+  logWithTimestamp("info", "📧 Liste d'attente : place libérée notifiée", {
+    trainingId,
+    userId: claimed.user_id,
+  });
+
+  return claimed;
+}
+
+/**
+ * Libère la place d'un achat intégralement remboursé : désinscription de la
+ * session et notification de la liste d'attente
+ * @param {object} purchase - Achat de formation (user_id, training_id)
+ * @returns {Promise<void>}
+ */
+async function releasePurchaseSeat(purchase) {
+  const { error } = await supabase
+    .from("users_trainings")
+    .delete()
+    .eq("user_id", purchase.user_id)
+    .eq("training_id", purchase.training_id);
+
+  if (error) throw error;
+
+  try {
+    await notifyNextOnWaitlist(purchase.training_id);
+  } catch (waitlistError) {
+    logWithTimestamp("warn", "Notification liste d'attente impossible", {
+      trainingId: purchase.training_id,
+      error: waitlistError.message,
+    });
+  }
+}
+
+module.exports = {
+  getTrainingAvailability,
+  reserveTrainingSeat,
+  releaseSeatHold,
+  convertSeatHold,
+  joinTrainingWaitlist,
+  leaveTrainingWaitlist,
+  markWaitlistConverted,
+  notifyNextOnWaitlist,
+  releasePurchaseSeat,
+};
@@ -1,12 +1,63 @@
 const { supabase } = require("../config/database");
 const { logWithTimestamp } = require("../shared/logger");
 const { getTrainingDetails } = require("../shared/pricing");
-const {
-  sendTrainingPurchaseConfirmationEmail,
-  sendTrainingRefundEmail,
-} = require("../emails");
+const { sendTrainingRefundEmail } = require("../emails");
 const { stripe } = require("../config/stripe");
-const { REFUND_RULES } = require("../config/constants");
+const { getSessionCoupon } = require("../coupons/couponService");
+const {
+  convertSeatHold,
+  markWaitlistConverted,
+  notifyNextOnWaitlist,
+} = require("./trainingSeatService");
+const { getRefundQuote } = require("./trainingRefundPolicyService");
+const { enqueueJobs } = require("../jobs/jobQueueService");
+const {
+  revokeTrainingCertificate,
+} = require("../certificates/certificateService");
+
+/**
+ * Effets de bord d'un achat de formation enregistré : conversion de la place
+ * réservée, facture et email de confirmation (file de tâches durable)
+ * Rejouable sans doublon (webhook rejoué, page de succès, création concurrente)
+ * @param {object} purchase - Achat (trainings_purchase)
+ * @param {object} metadata - Métadonnées de la session Stripe
+ * @param {object} session - Session Stripe complétée
+ * @param {object} trainingDetails - Détails de la formation
+ */
+async function completeTrainingPurchase(
+  purchase,
+  metadata,
+  session,
+  trainingDetails
+) {
+  const { userId, trainingId } = metadata;
+
+  // La place réservée au checkout est désormais occupée par l'achat
+  try {
+    await convertSeatHold(metadata.seatHoldId, session.id);
+    await markWaitlistConverted(trainingId, userId);
+  } catch (seatError) {
+    logWithTimestamp("warn", "Mise à jour réservation de place impossible", {
+      seatHoldId: metadata.seatHoldId,
+      error: seatError.message,
+    });
+  }
+
+  // Sans effet si les tâches sont déjà en file (dedupeKey)
+  const jobKey = `training_purchase:${purchase.purchase_id}`;
+  await enqueueJobs([
+    {
+      type: "training.invoice",
+      payload: { purchaseId: purchase.purchase_id },
+      dedupeKey: `${jobKey}:invoice`,
+    },
+    {
+      type: "training.confirmation_email",
+      payload: { userId, purchaseId: purchase.purchase_id, trainingDetails },
+      dedupeKey: `${jobKey}:confirmation_email`,
+    },
+  ]);
+}
 
 /**
  * Crée un achat de formation avec email de confirmation
@@ -22,6 +73,7 @@ async function createTrainingPurchase(metadata, session) {
     originalPrice,
     discountedPrice,
     isMember,
+    trainingSessionId,
   } = metadata;
 
   logWithTimestamp("info", "=== 🎓 DÉBUT CRÉATION ACHAT FORMATION ===");
@@ -32,6 +84,7 @@ async function createTrainingPurchase(metadata, session) {
     originalPrice,
     discountedPrice,
     isMember,
+    trainingSessionId,
     sessionId: session.id,
   });
 
@@ -59,11 +112,17 @@ async function createTrainingPurchase(metadata, session) {
         purchase_id: existingPurchase.purchase_id,
         session_id: session.id,
       });
+      await completeTrainingPurchase(
+        existingPurchase,
+        metadata,
+        session,
+        await getTrainingDetails(priceId)
+      );
       return existingPurchase;
     }
 
     // Récupérer les détails de la formation
-    const trainingDetails = getTrainingDetails(priceId);
+    const trainingDetails = await getTrainingDetails(priceId);
     if (!trainingDetails) {
       throw new Error(`Formation non trouvée pour priceId: ${priceId}`);
     }
@@ -71,7 +130,7 @@ async function createTrainingPurchase(metadata, session) {
     logWithTimestamp("info", "📚 Détails formation", trainingDetails);
 
     // Résoudre le payment_intent_id : direct sur la session ou via l'invoice
-    // (quand invoice_creation est activé, Stripe l'attache parfois à l'invoice)
+    // (sessions antérieures : avec invoice_creation, Stripe l'attachait parfois à l'invoice)
     let paymentIntentId = typeof session.payment_intent === "string"
       ? session.payment_intent
       : session.payment_intent?.id || null;
@@ -89,6 +148,10 @@ async function createTrainingPurchase(metadata, session) {
 
     logWithTimestamp("info", "💳 payment_intent_id résolu", { paymentIntentId });
 
+    // Code promo éventuel (déduit après la réduction adhérent)
+    const appliedCoupon = getSessionCoupon(metadata, session);
+    const couponDiscount = appliedCoupon?.coupon_discount || 0;
+
     // Données à insérer
     const purchaseData = {
       user_id: userId,
@@ -98,8 +161,15 @@ async function createTrainingPurchase(metadata, session) {
       original_price: parseFloat(originalPrice),
       member_discount:
         isMember === "true"
-          ? parseFloat(originalPrice) - parseFloat(discountedPrice)
+          ? Math.round(
+              (parseFloat(originalPrice) -
+                parseFloat(discountedPrice) -
+                couponDiscount) *
+                100
+            ) / 100
           : 0,
+      coupon_id: appliedCoupon?.coupon_id || null,
+      coupon_discount: couponDiscount,
       payment_status: "paid",
       stripe_session_id: session.id,
       payment_intent_id: paymentIntentId,
@@ -113,13 +183,39 @@ async function createTrainingPurchase(metadata, session) {
       purchaseData
     );
 
-    const { data: purchase, error: purchaseError } = await supabase
-      .from("trainings_purchase")
-      .insert(purchaseData)
-      .select()
-      .single();
+    // Achat + inscription à la session choisie dans une même transaction
+    const { data: purchase, error: purchaseError } = await supabase.rpc(
+      "create_training_purchase",
+      {
+        p_purchase: purchaseData,
+        p_session_id: trainingSessionId || null,
+      }
+    );
 
     if (purchaseError) {
+      // Création concurrente pour la même session (index unique) : achat déjà enregistré
+      if (purchaseError.code === "23505") {
+        const { data: concurrentPurchase } = await supabase
+          .from("trainings_purchase")
+          .select("purchase_id")
+          .eq("stripe_session_id", session.id)
+          .maybeSingle();
+
+        if (concurrentPurchase) {
+          logWithTimestamp("warn", "⚠️ Achat déjà existant", {
+            purchase_id: concurrentPurchase.purchase_id,
+            session_id: session.id,
+          });
+          await completeTrainingPurchase(
+            concurrentPurchase,
+            metadata,
+            session,
+            trainingDetails
+          );
+          return concurrentPurchase;
+        }
+      }
+
       logWithTimestamp("error", "❌ Erreur création achat formation", {
         error: purchaseError.message,
         code: purchaseError.code,
@@ -133,15 +229,11 @@ async function createTrainingPurchase(metadata, session) {
       purchase_id: purchase.purchase_id,
       user_id: purchase.user_id,
       training_id: purchase.training_id,
+      training_session_id: trainingSessionId || null,
       amount: purchase.purchase_amount,
     });
 
-    // Envoi email de confirmation via module refactorisé
-    await sendTrainingPurchaseConfirmationEmail(
-      userId,
-      purchase,
-      trainingDetails
-    );
+    await completeTrainingPurchase(purchase, metadata, session, trainingDetails);
 
     logWithTimestamp(
       "info",
@@ -230,7 +322,7 @@ async function getTrainingDetailsForUser(
       }
     );
 
-    const trainingDetails = getTrainingDetails(priceId);
+    const trainingDetails = await getTrainingDetails(priceId);
     if (!trainingDetails) {
       throw new Error(`Formation non trouvée pour priceId: ${priceId}`);
     }
@@ -266,28 +358,8 @@ async function getTrainingDetailsForUser(
 }
 
 /**
- * Calcule le pourcentage de remboursement selon la date de début de session
- * @param {Date} sessionFirstDay - Date du premier jour de la session
- * @returns {{ percent: number, daysUntil: number }}
- */
-function computeRefundPercent(sessionFirstDay) {
-  const now = new Date();
-  const daysUntil = Math.ceil(
-    (sessionFirstDay.getTime() - now.getTime()) / (1000 * 60 * 60 * 24)
-  );
-
-  let percent = 0;
-  if (daysUntil >= REFUND_RULES.FULL_REFUND_DAYS) {
-    percent = 100;
-  } else if (daysUntil >= REFUND_RULES.PARTIAL_REFUND_DAYS) {
-    percent = REFUND_RULES.PARTIAL_REFUND_PERCENT;
-  }
-
-  return { percent, daysUntil };
-}
-
-/**
- * Annule un achat de formation et émet un remboursement Stripe selon les règles métier
+ * Annule un achat de formation et émet un remboursement Stripe selon la
+ * politique de remboursement de la formation
  * @param {number} purchaseId - ID de l'achat dans trainings_purchase
  * @param {string} userId - UUID de l'utilisateur (sécurité)
  * @returns {Promise<object>} Résultat de l'annulation
@@ -299,72 +371,26 @@ async function cancelTrainingPurchase(purchaseId, userId) {
   });
 
   try {
-    // 1. Récupérer l'achat et vérifier l'appartenance
-    const { data: purchase, error: purchaseError } = await supabase
-      .from("trainings_purchase")
-      .select("*")
-      .eq("purchase_id", purchaseId)
-      .eq("user_id", userId)
-      .maybeSingle();
-
-    if (purchaseError) throw purchaseError;
-    if (!purchase) {
-      throw Object.assign(new Error("Achat introuvable ou accès non autorisé"), { status: 404 });
-    }
-    if (purchase.payment_status === "refunded") {
-      throw Object.assign(new Error("Cet achat a déjà été remboursé"), { status: 409 });
-    }
-    if (purchase.payment_status === "cancelled") {
-      throw Object.assign(new Error("Cet achat a déjà été annulé"), { status: 409 });
-    }
-
-    // 2. Trouver la session de l'utilisateur pour cette formation
-    const { data: userTraining, error: utError } = await supabase
-      .from("users_trainings")
-      .select("session_id")
-      .eq("user_id", userId)
-      .eq("training_id", purchase.training_id)
-      .maybeSingle();
-
-    if (utError) throw utError;
-
-    // 3. Récupérer la date du premier jour de la session
-    let sessionFirstDay = null;
-    if (userTraining?.session_id) {
-      const { data: days, error: daysError } = await supabase
-        .from("session_days")
-        .select("day_date")
-        .eq("session_id", userTraining.session_id)
-        .order("day_date", { ascending: true })
-        .limit(1)
-        .maybeSingle();
-
-      if (daysError) throw daysError;
-      if (days?.day_date) {
-        sessionFirstDay = new Date(days.day_date);
-      }
-    }
-
-    // 4. Calculer le remboursement
-    let refundPercent = 100;
-    let daysUntil = null;
-
-    if (sessionFirstDay) {
-      const result = computeRefundPercent(sessionFirstDay);
-      refundPercent = result.percent;
-      daysUntil = result.daysUntil;
-    }
+    // 1-4. Achat, session, politique de remboursement et montant au centime
+    const { quote, purchase, sessionId } = await getRefundQuote(
+      purchaseId,
+      userId
+    );
+    const sessionFirstDay = quote.session_first_day;
+    const daysUntil = quote.days_until;
+    const refundPercent = quote.refund_percent;
+    const refundAmount = quote.refund_amount;
 
     logWithTimestamp("info", "💰 Calcul remboursement", {
       purchaseId,
       sessionFirstDay,
       daysUntil,
       refundPercent,
+      rule: quote.rule,
+      refundAmount,
       purchaseAmount: purchase.purchase_amount,
     });
 
-    const refundAmount = Math.floor((purchase.purchase_amount * refundPercent) / 100);
-
     // 5. Émettre le remboursement Stripe si montant > 0
     let stripeRefund = null;
     if (refundAmount > 0) {
@@ -377,12 +403,13 @@ async function cancelTrainingPurchase(purchaseId, userId) {
 
       stripeRefund = await stripe.refunds.create({
         payment_intent: purchase.payment_intent_id,
-        amount: refundAmount * 100, // centimes
+        amount: quote.refund_amount_cents,
         reason: "requested_by_customer",
         metadata: {
           purchase_id: purchaseId.toString(),
           user_id: userId,
           refund_percent: refundPercent.toString(),
+          refund_rule: quote.rule,
           days_until_training: daysUntil !== null ? daysUntil.toString() : "unknown",
         },
       });
@@ -395,13 +422,23 @@ async function cancelTrainingPurchase(purchaseId, userId) {
     }
 
     // 6. Mettre à jour le statut dans la BDD
-    const newStatus = refundPercent === 100 ? "refunded" : refundPercent > 0 ? "partially_refunded" : "cancelled";
+    // refund_amount cumule les remboursements (comparé à amount_refunded de Stripe)
+    const totalRefundedCents =
+      Math.round(Number(purchase.refund_amount || 0) * 100) +
+      quote.refund_amount_cents;
+    const newStatus =
+      totalRefundedCents >= Math.round(quote.amount_paid * 100) &&
+      totalRefundedCents > 0
+        ? "refunded"
+        : refundAmount > 0
+          ? "partially_refunded"
+          : "cancelled";
 
     const { error: updateError } = await supabase
       .from("trainings_purchase")
       .update({
         payment_status: newStatus,
-        refund_amount: refundAmount,
+        refund_amount: totalRefundedCents / 100,
         refund_date: new Date().toISOString(),
         stripe_refund_id: stripeRefund?.id || null,
       })
@@ -410,7 +447,7 @@ async function cancelTrainingPurchase(purchaseId, userId) {
     if (updateError) throw updateError;
 
     // 7. Supprimer l'inscription à la session si elle existe
-    if (userTraining?.session_id) {
+    if (sessionId) {
       await supabase
         .from("users_trainings")
         .delete()
@@ -418,8 +455,30 @@ async function cancelTrainingPurchase(purchaseId, userId) {
         .eq("training_id", purchase.training_id);
     }
 
-    // 8. Envoyer l'email de confirmation
-    const trainingDetails = getTrainingDetails(purchase.stripe_session_id) || {
+    // 7 bis. Révoquer le certificat éventuellement délivré
+    if (newStatus !== "partially_refunded") {
+      try {
+        await revokeTrainingCertificate(purchaseId, newStatus);
+      } catch (certificateError) {
+        logWithTimestamp("warn", "Révocation certificat impossible", {
+          purchaseId,
+          error: certificateError.message,
+        });
+      }
+    }
+
+    // 8. Prévenir la liste d'attente de la place libérée
+    try {
+      await notifyNextOnWaitlist(purchase.training_id);
+    } catch (waitlistError) {
+      logWithTimestamp("warn", "Notification liste d'attente impossible", {
+        trainingId: purchase.training_id,
+        error: waitlistError.message,
+      });
+    }
+
+    // 9. Envoyer l'email de confirmation
+    const trainingDetails = (await getTrainingDetails(purchase.stripe_session_id)) || {
       name: purchase.training_id,
       full_name: purchase.training_id,
     };
@@ -430,6 +489,7 @@ async function cancelTrainingPurchase(purchaseId, userId) {
       refundPercent,
       daysUntil,
       sessionFirstDay,
+      refundRuleLabel: quote.rule !== "tier" ? quote.rule_label : null,
       stripeRefundId: stripeRefund?.id || null,
       trainingDetails,
     });
@@ -439,6 +499,7 @@ async function cancelTrainingPurchase(purchaseId, userId) {
       purchase_id: purchaseId,
       refund_percent: refundPercent,
       refund_amount: refundAmount,
+      refund_rule: quote.rule,
       days_until_training: daysUntil,
       stripe_refund_id: stripeRefund?.id || null,
       new_status: newStatus,
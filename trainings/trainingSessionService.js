@@ -0,0 +1,90 @@
+const { supabase } = require("../config/database");
+const { logWithTimestamp } = require("../shared/logger");
+
+/**
+ * Récupère la date du premier jour d'une session de formation
+ * @param {string} sessionId - ID de la session
+ * @returns {Promise<Date|null>} Premier jour ou null si aucun jour planifié
+ */
+async function getSessionFirstDay(sessionId) {
+  if (!sessionId) return null;
+
+  const { data: day, error } = await supabase
+    .from("session_days")
+    .select("day_date")
+    .eq("session_id", sessionId)
+    .order("day_date", { ascending: true })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return day?.day_date ? new Date(day.day_date) : null;
+}
+
+/**
+ * Liste les jours planifiés d'une session de formation
+ * @param {string} sessionId - ID de la session
+ * @returns {Promise<Array<Date>>} Jours triés par date
+ */
+async function getSessionDays(sessionId) {
+  if (!sessionId) return [];
+
+  const { data, error } = await supabase
+    .from("session_days")
+    .select("day_date")
+    .eq("session_id", sessionId)
+    .order("day_date", { ascending: true });
+
+  if (error) throw error;
+  return (data || []).map((day) => new Date(day.day_date));
+}
+
+/**
+ * Vérifie qu'une session peut être choisie au checkout :
+ * elle appartient à la formation et n'a pas encore commencé
+ * @param {string} trainingId - ID de la formation
+ * @param {string} sessionId - ID de la session
+ * @returns {Promise<{session_id: string, training_id: string, first_day: Date}>}
+ */
+async function getBookableTrainingSession(trainingId, sessionId) {
+  const { data: trainingSession, error } = await supabase
+    .from("sessions")
+    .select("session_id, training_id")
+    .eq("session_id", sessionId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!trainingSession || trainingSession.training_id !== trainingId) {
+    throw Object.assign(new Error("Session introuvable pour cette formation"), {
+      status: 400,
+    });
+  }
+
+  const firstDay = await getSessionFirstDay(sessionId);
+
+  if (!firstDay) {
+    throw Object.assign(new Error("Session sans date planifiée"), {
+      status: 400,
+    });
+  }
+  if (firstDay <= new Date()) {
+    throw Object.assign(new Error("Session déjà commencée ou passée"), {
+      status: 400,
+    });
+  }
+
+  logWithTimestamp("info", "📅 Session de formation vérifiée", {
+    trainingId,
+    sessionId,
+    firstDay,
+  });
+
+  return { ...trainingSession, first_day: firstDay };
+}
+
+module.exports = {
+  getSessionFirstDay,
+  getSessionDays,
+  getBookableTrainingSession,
+};
@@ -0,0 +1,109 @@
+const { FRONTEND_URL } = require("../config/constants");
+const { logWithTimestamp } = require("../shared/logger");
+const { getMailByUser } = require("../shared/userUtils");
+const {
+  registerPaymentType,
+  toClientMetadata,
+} = require("../payments/paymentTypeRegistry");
+const {
+  getTransferQuote,
+  fulfilTrainingTransfer,
+} = require("./trainingTransferService");
+
+/**
+ * Construit la session Stripe des frais de transfert de session
+ * @param {object} params - Paramètres de la session
+ * @param {number} params.purchaseId - ID de l'achat de formation
+ * @param {string} params.userId - UUID de l'utilisateur
+ * @param {string} params.targetSessionId - ID de la session visée
+ * @param {object} params.metadata - Métadonnées additionnelles du client (préfixées)
+ * @returns {Promise<object>} { sessionConfig, details }
+ */
+async function buildTrainingTransferCheckoutSession({
+  purchaseId,
+  userId,
+  targetSessionId,
+  metadata = {},
+}) {
+  if (!purchaseId) {
+    throw Object.assign(new Error("purchaseId manquant"), { status: 400 });
+  }
+  if (!userId) {
+    throw Object.assign(new Error("userId manquant"), { status: 400 });
+  }
+
+  const quote = await getTransferQuote(purchaseId, userId, targetSessionId);
+
+  if (quote.fee <= 0) {
+    throw Object.assign(
+      new Error("Transfert gratuit, aucun paiement nécessaire"),
+      { status: 400 }
+    );
+  }
+
+  logWithTimestamp("info", "💰 Frais de transfert calculés", {
+    purchaseId,
+    daysUntil: quote.days_until,
+    fee: quote.fee,
+  });
+
+  const userEmail = await getMailByUser(userId);
+
+  const sessionConfig = {
+    mode: "payment",
+    line_items: [
+      {
+        price_data: {
+          currency: "eur",
+          product_data: {
+            name: `Frais de transfert - Formation ${quote.training_name}`,
+            description: `Nouvelle session à partir du ${quote.to_start.toLocaleDateString("fr-FR")}`,
+          },
+          unit_amount: Math.round(quote.fee * 100),
+        },
+        quantity: 1,
+      },
+    ],
+    success_url: `${FRONTEND_URL}/success-training?session_id={CHECKOUT_SESSION_ID}`,
+    cancel_url: `${FRONTEND_URL}/formations`,
+    payment_method_types: ["card"],
+    metadata: {
+      ...toClientMetadata(metadata),
+      type: "training_transfer",
+      userId: userId.toString(),
+      purchaseId: quote.purchase_id.toString(),
+      trainingId: quote.training_id.toString(),
+      trainingName: quote.training_name,
+      fromSessionId: quote.from_session_id?.toString() || "",
+      fromStart: quote.from_start?.toISOString() || "",
+      toSessionId: quote.to_session_id.toString(),
+      daysUntil: quote.days_until?.toString() || "",
+      transferFee: quote.fee.toString(),
+    },
+    customer_creation: "always",
+  };
+
+  if (userEmail) {
+    sessionConfig.customer_email = userEmail;
+  }
+
+  return {
+    sessionConfig,
+    details: {
+      training_name: quote.training_name,
+      from_session_id: quote.from_session_id,
+      to_session_id: quote.to_session_id,
+      days_until: quote.days_until,
+      fee: quote.fee,
+    },
+  };
+}
+
+module.exports = registerPaymentType({
+  type: "training_transfer",
+  metadataSchema: {
+    required: ["userId", "purchaseId", "toSessionId", "transferFee"],
+  },
+  buildCheckoutSession: buildTrainingTransferCheckoutSession,
+  fulfil: fulfilTrainingTransfer,
+});
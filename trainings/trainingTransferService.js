@@ -0,0 +1,308 @@
+const { supabase } = require("../config/database");
+const { stripe } = require("../config/stripe");
+const { logWithTimestamp } = require("../shared/logger");
+const { TRANSFER_RULES } = require("../config/constants");
+const { enqueueJobs } = require("../jobs/jobQueueService");
+const {
+  getSessionFirstDay,
+  getSessionDays,
+  getBookableTrainingSession,
+} = require("./trainingSessionService");
+
+// Achats pouvant être transférés (ni annulés, ni remboursés, ni contestés)
+const TRANSFERABLE_STATUSES = ["paid"];
+
+/**
+ * Calcule les frais de transfert selon le délai avant la session d'origine
+ * @param {number|null} daysUntil - Jours avant la session (null si aucune session)
+ * @returns {number} Frais en euros
+ */
+function computeTransferFee(daysUntil) {
+  if (daysUntil === null || daysUntil >= TRANSFER_RULES.FREE_TRANSFER_DAYS) {
+    return 0;
+  }
+  return TRANSFER_RULES.TRANSFER_FEE;
+}
+
+/**
+ * Prépare le transfert d'un achat vers une autre session de la formation
+ * @param {number} purchaseId - ID de l'achat dans trainings_purchase
+ * @param {string} userId - UUID de l'utilisateur (sécurité)
+ * @param {string} targetSessionId - ID de la session visée
+ * @returns {Promise<object>} Devis du transfert (sessions, délai, frais)
+ */
+async function getTransferQuote(purchaseId, userId, targetSessionId) {
+  if (!targetSessionId) {
+    throw Object.assign(new Error("targetSessionId manquant"), {
+      status: 400,
+    });
+  }
+
+  const { data: purchase, error } = await supabase
+    .from("trainings_purchase")
+    .select("purchase_id, user_id, training_id, payment_status")
+    .eq("purchase_id", purchaseId)
+    .eq("user_id", userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!purchase) {
+    throw Object.assign(new Error("Achat introuvable ou accès non autorisé"), {
+      status: 404,
+    });
+  }
+  if (!TRANSFERABLE_STATUSES.includes(purchase.payment_status)) {
+    throw Object.assign(
+      new Error(`Achat non transférable (statut ${purchase.payment_status})`),
+      { status: 409 }
+    );
+  }
+
+  const { data: enrolment, error: enrolmentError } = await supabase
+    .from("users_trainings")
+    .select("session_id")
+    .eq("user_id", userId)
+    .eq("training_id", purchase.training_id)
+    .maybeSingle();
+
+  if (enrolmentError) throw enrolmentError;
+
+  const fromSessionId = enrolment?.session_id || null;
+  if (fromSessionId && String(fromSessionId) === String(targetSessionId)) {
+    throw Object.assign(new Error("Déjà inscrit à cette session"), {
+      status: 400,
+    });
+  }
+
+  const fromFirstDay = await getSessionFirstDay(fromSessionId);
+  const daysUntil = fromFirstDay
+    ? Math.ceil((fromFirstDay.getTime() - Date.now()) / (1000 * 60 * 60 * 24))
+    : null;
+
+  if (daysUntil !== null && daysUntil <= 0) {
+    throw Object.assign(
+      new Error("Session déjà commencée, transfert impossible"),
+      { status: 409 }
+    );
+  }
+
+  const target = await getBookableTrainingSession(
+    purchase.training_id,
+    targetSessionId
+  );
+
+  const { data: training, error: trainingError } = await supabase
+    .from("trainings")
+    .select("training_name")
+    .eq("training_id", purchase.training_id)
+    .maybeSingle();
+
+  if (trainingError) throw trainingError;
+
+  const fee = computeTransferFee(daysUntil);
+
+  return {
+    purchase_id: purchase.purchase_id,
+    user_id: purchase.user_id,
+    training_id: purchase.training_id,
+    training_name: training?.training_name || purchase.training_id,
+    from_session_id: fromSessionId,
+    from_start: fromFirstDay,
+    to_session_id: target.session_id,
+    to_start: target.first_day,
+    days_until: daysUntil,
+    fee,
+  };
+}
+
+/**
+ * Déplace l'inscription vers la session visée, journalise et prévient l'utilisateur
+ * @param {object} quote - Devis issu de getTransferQuote
+ * @param {object} payment - Paiement des frais (optionnel)
+ * @param {string} payment.stripeSessionId - ID de la session Stripe
+ * @param {string} payment.paymentIntentId - ID du payment_intent
+ * @returns {Promise<object>} Transfert enregistré
+ */
+async function applyTrainingTransfer(quote, payment = {}) {
+  logWithTimestamp("info", "=== 🔀 TRANSFERT SESSION FORMATION ===", {
+    purchaseId: quote.purchase_id,
+    from: quote.from_session_id,
+    to: quote.to_session_id,
+    fee: quote.fee,
+  });
+
+  const { data: moved, error: moveError } = await supabase
+    .from("users_trainings")
+    .update({ session_id: quote.to_session_id })
+    .eq("user_id", quote.user_id)
+    .eq("training_id", quote.training_id)
+    .select("session_id");
+
+  if (moveError) throw moveError;
+
+  // Pas encore d'inscription (achat sans session choisie) : la créer
+  if (!moved || moved.length === 0) {
+    const { error: insertError } = await supabase
+      .from("users_trainings")
+      .insert({
+        user_id: quote.user_id,
+        training_id: quote.training_id,
+        session_id: quote.to_session_id,
+      });
+
+    if (insertError) throw insertError;
+  }
+
+  const { data: transfer, error: logError } = await supabase
+    .from("training_transfers")
+    .insert({
+      purchase_id: quote.purchase_id,
+      user_id: quote.user_id,
+      training_id: quote.training_id,
+      from_session_id: quote.from_session_id,
+      to_session_id: quote.to_session_id,
+      days_before: quote.days_until,
+      fee: quote.fee,
+      stripe_session_id: payment.stripeSessionId || null,
+      payment_intent_id: payment.paymentIntentId || null,
+    })
+    .select()
+    .single();
+
+  if (logError) throw logError;
+
+  // Facture des frais et email de confirmation : file de tâches durable
+  const jobKey = `training_transfer:${transfer.id}`;
+  await enqueueJobs([
+    ...(transfer.fee > 0
+      ? [
+          {
+            type: "training.transfer_invoice",
+            payload: {
+              transferId: transfer.id,
+              trainingName: quote.training_name,
+            },
+            dedupeKey: `${jobKey}:invoice`,
+          },
+        ]
+      : []),
+    {
+      type: "training.transfer_email",
+      payload: {
+        userId: quote.user_id,
+        trainingName: quote.training_name,
+        fromStart: quote.from_start,
+        newDays: await getSessionDays(quote.to_session_id),
+        fee: quote.fee,
+      },
+      dedupeKey: `${jobKey}:email`,
+    },
+  ]);
+
+  logWithTimestamp("info", "✅ Transfert de session effectué", {
+    transferId: transfer.id,
+    purchaseId: quote.purchase_id,
+  });
+
+  return transfer;
+}
+
+/**
+ * Applique un transfert dont les frais ont été payés (webhook ou page de succès)
+ * Si l'achat n'est plus transférable, les frais sont remboursés
+ * @param {object} metadata - Métadonnées de la session Stripe
+ * @param {object} session - Session Stripe complétée
+ * @returns {Promise<object>} Transfert enregistré (ou remboursement des frais)
+ */
+async function fulfilTrainingTransfer(metadata, session) {
+  const { data: existing, error } = await supabase
+    .from("training_transfers")
+    .select("*")
+    .eq("stripe_session_id", session.id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (existing) {
+    logWithTimestamp("warn", "⚠️ Transfert déjà effectué", {
+      transferId: existing.id,
+      sessionId: session.id,
+    });
+    return existing;
+  }
+
+  const { data: purchase, error: purchaseError } = await supabase
+    .from("trainings_purchase")
+    .select("purchase_id, user_id, training_id, payment_status")
+    .eq("purchase_id", parseInt(metadata.purchaseId))
+    .maybeSingle();
+
+  if (purchaseError) throw purchaseError;
+  if (!purchase) {
+    throw new Error(`Achat introuvable: ${metadata.purchaseId}`);
+  }
+
+  const paymentIntentId =
+    typeof session.payment_intent === "string"
+      ? session.payment_intent
+      : session.payment_intent?.id || null;
+
+  // Achat annulé, remboursé ou contesté pendant le paiement des frais :
+  // l'inscription n'est pas déplacée et les frais sont remboursés
+  if (!TRANSFERABLE_STATUSES.includes(purchase.payment_status)) {
+    logWithTimestamp("warn", "⚠️ Transfert refusé : achat plus transférable", {
+      purchaseId: purchase.purchase_id,
+      paymentStatus: purchase.payment_status,
+      sessionId: session.id,
+    });
+
+    const refund = paymentIntentId
+      ? await stripe.refunds.create(
+          {
+            payment_intent: paymentIntentId,
+            reason: "requested_by_customer",
+            metadata: {
+              purchase_id: purchase.purchase_id.toString(),
+              user_id: purchase.user_id,
+              transfer_session_id: session.id,
+            },
+          },
+          { idempotencyKey: `training-transfer-refund-${session.id}` }
+        )
+      : null;
+
+    logWithTimestamp("info", "💸 Frais de transfert remboursés", {
+      purchaseId: purchase.purchase_id,
+      stripeRefundId: refund?.id || null,
+    });
+
+    return {
+      action: "fee_refunded",
+      purchase_id: purchase.purchase_id,
+      payment_status: purchase.payment_status,
+      stripe_refund_id: refund?.id || null,
+    };
+  }
+
+  // Les frais sont payés : le transfert est appliqué tel que chiffré au checkout
+  return applyTrainingTransfer(
+    {
+      purchase_id: purchase.purchase_id,
+      user_id: purchase.user_id,
+      training_id: purchase.training_id,
+      training_name: metadata.trainingName,
+      from_session_id: metadata.fromSessionId || null,
+      from_start: metadata.fromStart ? new Date(metadata.fromStart) : null,
+      to_session_id: metadata.toSessionId,
+      days_until: metadata.daysUntil ? parseInt(metadata.daysUntil) : null,
+      fee: parseFloat(metadata.transferFee),
+    },
+    { stripeSessionId: session.id, paymentIntentId }
+  );
+}
+
+module.exports = {
+  computeTransferFee,
+  getTransferQuote,
+  applyTrainingTransfer,
+  fulfilTrainingTransfer,
+};
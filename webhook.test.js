@@ -0,0 +1,134 @@
+// Variables d'environnement de test (avant tout chargement de module)
+process.env.STRIPE_SECRET_KEY = "sk_test_local";
+process.env.STRIPE_WEBHOOK_SECRET = "whsec_test_local_secret";
+
+const request = require("supertest");
+
+jest.mock("./config/database", () => ({ supabase: {} }));
+jest.mock("./config/email", () => ({
+  resend: { emails: { send: jest.fn() } },
+  FROM_EMAIL: "noreply@novapsy.info",
+  CONTACT_EMAIL: "contact@novapsy.info",
+}));
+jest.mock("./payments/webhookEventService", () => ({
+  getWebhookEvent: jest.fn(),
+  recordWebhookEvent: jest.fn(),
+  markWebhookEventProcessing: jest.fn(),
+  markWebhookEventProcessed: jest.fn(),
+  markWebhookEventFailed: jest.fn(),
+  listWebhookEvents: jest.fn(),
+}));
+
+const { stripe } = require("./config/stripe");
+const webhookEvents = require("./payments/webhookEventService");
+const { createApp } = require("./createApp");
+
+const WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET;
+
+/**
+ * Construit un événement Stripe signé avec le secret local
+ */
+function signedEvent(event, secret = WEBHOOK_SECRET) {
+  const payload = JSON.stringify(event);
+  const signature = stripe.webhooks.generateTestHeaderString({
+    payload,
+    secret,
+  });
+  return { payload, signature };
+}
+
+const customerCreatedEvent = {
+  id: "evt_test_webhook_001",
+  object: "event",
+  type: "customer.created",
+  livemode: false,
+  data: { object: { id: "cus_test_001", object: "customer" } },
+};
+
+describe("Stripe webhook (app factory)", () => {
+  let app;
+
+  beforeAll(() => {
+    app = createApp();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    webhookEvents.recordWebhookEvent.mockResolvedValue({
+      duplicate: false,
+      record: { event_id: customerCreatedEvent.id, status: "processing" },
+    });
+    webhookEvents.markWebhookEventProcessed.mockResolvedValue();
+    webhookEvents.markWebhookEventFailed.mockResolvedValue();
+  });
+
+  test("accepts an event signed with the local webhook secret", async () => {
+    const { payload, signature } = signedEvent(customerCreatedEvent);
+
+    const response = await request(app)
+      .post("/webhook")
+      .set("Content-Type", "application/json")
+      .set("Stripe-Signature", signature)
+      .send(payload);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ received: true, duplicate: false });
+
+    // Le corps brut (Buffer) est transmis intact au registre
+    const [event, rawBody] = webhookEvents.recordWebhookEvent.mock.calls[0];
+    expect(event.id).toBe(customerCreatedEvent.id);
+    expect(Buffer.isBuffer(rawBody)).toBe(true);
+    expect(rawBody.toString()).toBe(payload);
+
+    expect(webhookEvents.markWebhookEventProcessed).toHaveBeenCalledWith(
+      customerCreatedEvent.id,
+      { action: "ignored" }
+    );
+  });
+
+  test("acknowledges an already processed event without reprocessing it", async () => {
+    webhookEvents.recordWebhookEvent.mockResolvedValue({
+      duplicate: true,
+      record: { event_id: customerCreatedEvent.id, status: "processed" },
+    });
+    const { payload, signature } = signedEvent(customerCreatedEvent);
+
+    const response = await request(app)
+      .post("/webhook")
+      .set("Content-Type", "application/json")
+      .set("Stripe-Signature", signature)
+      .send(payload);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ received: true, duplicate: true });
+    expect(webhookEvents.markWebhookEventProcessed).not.toHaveBeenCalled();
+  });
+
+  test("rejects an event signed with another secret", async () => {
+    const { payload, signature } = signedEvent(
+      customerCreatedEvent,
+      "whsec_wrong_secret"
+    );
+
+    const response = await request(app)
+      .post("/webhook")
+      .set("Content-Type", "application/json")
+      .set("Stripe-Signature", signature)
+      .send(payload);
+
+    expect(response.status).toBe(400);
+    expect(response.text).toContain("Webhook Error");
+    expect(webhookEvents.recordWebhookEvent).not.toHaveBeenCalled();
+  });
+
+  test("still parses JSON bodies on the other routes", async () => {
+    const response = await request(app)
+      .post("/process-payment-success")
+      .send({});
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe("sessionId manquant");
+  });
+});
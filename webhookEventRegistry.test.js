@@ -0,0 +1,122 @@
+// Variables d'environnement de test (avant tout chargement de module)
+process.env.STRIPE_SECRET_KEY = "sk_test_local";
+
+jest.mock("./config/database", () => ({ supabase: {} }));
+
+const { supabase } = require("./config/database");
+const {
+  recordWebhookEvent,
+  markWebhookEventProcessing,
+} = require("./payments/webhookEventService");
+
+const event = {
+  id: "evt_test_registry_001",
+  type: "checkout.session.completed",
+  livemode: false,
+};
+
+const failedRecord = {
+  event_id: event.id,
+  status: "failed",
+  attempts: 1,
+  updated_at: "2026-10-19T08:00:00.000+00:00",
+};
+
+/**
+ * Simule la table du registre : l'insertion est refusée (clé dupliquée),
+ * la lecture renvoie `existing` et la mise à jour conditionnelle ne touche
+ * une ligne que si `claimable` est vrai
+ */
+function mockRegistry({ existing, claimable }) {
+  const updates = [];
+
+  supabase.from = jest.fn(() => {
+    const query = { op: "select", filters: {} };
+    const run = async () => {
+      if (query.op === "insert") {
+        return { data: null, error: { code: "23505" } };
+      }
+      if (query.op === "update") {
+        updates.push(query);
+        return {
+          data: claimable ? { ...existing, ...query.row } : null,
+          error: null,
+        };
+      }
+      return { data: existing, error: null };
+    };
+    const builder = {
+      select: () => builder,
+      insert: (row) => {
+        Object.assign(query, { op: "insert", row });
+        return builder;
+      },
+      update: (row) => {
+        Object.assign(query, { op: "update", row });
+        return builder;
+      },
+      eq: (column, value) => {
+        query.filters[column] = value;
+        return builder;
+      },
+      maybeSingle: run,
+      single: run,
+    };
+    return builder;
+  });
+
+  return updates;
+}
+
+describe("Webhook event registry", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  test("claims a failed event only if it is unchanged since it was read", async () => {
+    const updates = mockRegistry({ existing: failedRecord, claimable: true });
+
+    const claimed = await markWebhookEventProcessing(failedRecord);
+
+    expect(claimed.status).toBe("processing");
+    expect(claimed.attempts).toBe(2);
+    expect(updates[0].filters).toEqual({
+      event_id: event.id,
+      status: "failed",
+      updated_at: failedRecord.updated_at,
+    });
+  });
+
+  test("retries a failed event when the claim succeeds", async () => {
+    mockRegistry({ existing: failedRecord, claimable: true });
+
+    const result = await recordWebhookEvent(event, "{}");
+
+    expect(result.duplicate).toBe(false);
+    expect(result.record.status).toBe("processing");
+  });
+
+  test("treats a retry claimed by a concurrent delivery as a duplicate", async () => {
+    mockRegistry({ existing: failedRecord, claimable: false });
+
+    const result = await recordWebhookEvent(event, "{}");
+
+    expect(result).toEqual({ duplicate: true, record: failedRecord });
+  });
+
+  test("ignores an event still being processed without claiming it", async () => {
+    const updates = mockRegistry({
+      existing: {
+        ...failedRecord,
+        status: "processing",
+        updated_at: new Date().toISOString(),
+      },
+      claimable: true,
+    });
+
+    const result = await recordWebhookEvent(event, "{}");
+
+    expect(result.duplicate).toBe(true);
+    expect(updates).toHaveLength(0);
+  });
+});